@@ -1,3 +1,5 @@
 module.exports = {
-    testEnvironment: 'node'
-};
\ No newline at end of file
+    testEnvironment: 'node',
+    // Other modules of __tests__ are helpers
+    testMatch: ['**/__tests__/**/*.test.js']
+};
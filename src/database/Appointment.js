@@ -1,6 +1,24 @@
+const { randomBytes } = require('crypto');
 const { Schema, model } = require('mongoose');
 const notification = require('./Notification');
+const Reservation = require('./Reservation');
+const Job = require('./Job');
 const { NOTIFICATION_ACTION, NOTIFICATION_TYPE } = require('../utils/notification-helper');
+const constants = require('../utils/variables');
+const timezone = require('../utils/timezone');
+const {
+  STATUS, ACTIVE, UPCOMING, previousOf,
+} = require('../utils/appointment-status');
+const { PAYMENT_TYPE } = require('../utils/billing');
+
+/**
+ * Appointment modes
+ */
+const MODE = {
+  IN_CLINIC: 'in-clinic',
+  VIDEO: 'video',
+};
+
 const schema = new Schema({
   doctorId: {
     type: Schema.Types.ObjectId,
@@ -12,31 +30,287 @@ const schema = new Schema({
     required: true,
     ref: 'User',
   },
-  date: {
+  serviceId: {
+    type: Schema.Types.ObjectId,
+    required: true,
+    ref: 'Service',
+  },
+  start: {
     type: Date,
     required: true,
   },
-  time: [{
-    type: String,
+  end: {
+    type: Date,
     required: true,
-  }],
+  },
   paymentType: {
     type: String,
     required: true,
+    lowercase: true,
+    trim: true,
+    enum: Object.values(PAYMENT_TYPE),
   },
-  isDeleted: {
-    type: Boolean,
-    default: false,
+  mode: {
+    type: String,
+    enum: Object.values(MODE),
+    default: MODE.IN_CLINIC,
   },
+  // Signalling room of a video visit
+  room: {
+    type: String,
+  },
+  status: {
+    type: String,
+    enum: Object.values(STATUS),
+    default: STATUS.BOOKED,
+  },
+  // Each status the appointment moved to, with who moved it
+  statusHistory: [{
+    _id: false,
+    status: {
+      type: String,
+      enum: Object.values(STATUS),
+      required: true,
+    },
+    at: {
+      type: Date,
+      default: Date.now,
+    },
+    by: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  }],
+  // Free text of bookings made before insurance policies
   insuranceInfo: {
     type: String,
   },
+  insurancePolicy: {
+    type: Schema.Types.ObjectId,
+    ref: 'InsurancePolicy',
+  },
+  // The account holder or one of their family members
   appointmentFor: {
+    type: Schema.Types.ObjectId,
+    required: true,
+    refPath: 'patientModel',
+  },
+  patientModel: {
     type: String,
     required: true,
+    enum: ['User', 'Family'],
+    default: 'User',
+  },
+  conflictingLeave: {
+    type: Schema.Types.ObjectId,
+    ref: 'Leave',
+  },
+  // Each reschedule, capped by the reschedule policy
+  reschedules: [{
+    _id: false,
+    from: Date,
+    to: Date,
+    at: {
+      type: Date,
+      default: Date.now,
+    },
+    by: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  }],
+  // Cancelled with less notice than the cancellation policy asks for
+  lateCancellation: {
+    type: Boolean,
+    default: false,
+  },
+  // Recurring series the appointment is an occurrence of
+  series: {
+    type: Schema.Types.ObjectId,
+    ref: 'AppointmentSeries',
+  },
+  // Details as booked, so that past visits stay readable once the doctor or service is removed
+  archive: {
+    doctorName: String,
+    doctorEducation: String,
+    serviceName: String,
+    patientName: String,
+    relationship: String,
   },
 }, {
   timestamps: true,
+  optimisticConcurrency: true,
+});
+
+schema.index({ doctorId: 1, start: 1 });
+schema.index({ userId: 1, start: 1 });
+schema.index({ series: 1, start: 1 });
+schema.index({ room: 1 }, { unique: true, sparse: true });
+
+/**
+ * Insurance claims of the appointment, see `Claim`
+ */
+schema.virtual('claims', {
+  ref: 'Claim',
+  localField: '_id',
+  foreignField: 'appointment',
+});
+
+schema.statics.MODE = MODE;
+
+/**
+ * Name and relationship of the patient. Falls back to the archived ones unless
+ * `appointmentFor` is populated with an existing patient.
+ * @returns {{patientName: string, relationship: string}}
+ */
+schema.methods.patient = function patient() {
+  const { appointmentFor } = this;
+  if (!appointmentFor || !this.populated('appointmentFor')) {
+    const archive = this.archive || {};
+    return { patientName: archive.patientName, relationship: archive.relationship };
+  }
+  return {
+    patientName: [appointmentFor.firstName, appointmentFor.lastName].filter(Boolean).join(' '),
+    relationship: this.patientModel === 'Family' ? appointmentFor.relationship : 'self',
+  };
+};
+
+/**
+ * Copies the doctor, service and patient details to `archive`
+ */
+schema.methods.archiveDetails = async function archiveDetails() {
+  const [doctor, service, patient] = await Promise.all([
+    this.model('Doctor').findById(this.doctorId).select('name qualification'),
+    this.model('Service').findById(this.serviceId).select('name'),
+    this.model(this.patientModel || 'User').findById(this.appointmentFor)
+      .select('firstName lastName relationship'),
+  ]);
+  this.archive = {
+    doctorName: doctor ? doctor.name : undefined,
+    doctorEducation: doctor ? doctor.qualification : undefined,
+    serviceName: service ? service.name : undefined,
+    patientName: patient
+      ? [patient.firstName, patient.lastName].filter(Boolean).join(' ') : undefined,
+    relationship: this.patientModel === 'Family' && patient ? patient.relationship : 'self',
+  };
+};
+
+/**
+ * Moves the appointment to `status` if its current status allows it.
+ * * Bumps the version so that a reschedule racing with it fails
+ * * Cancelled, no-show and completed appointments free their slots
+ * @param {string} id Appointment id
+ * @param {string} status
+ * @param {string} by Id of the user moving it
+ * @param {object} [conditions] Further conditions the appointment must meet
+ * @returns {Promise<Document<Appointment> | null>} the moved appointment,
+ * `null` if it doesn't exist or can't move to `status`
+ */
+schema.statics.transition = async function transition(id, status, by, conditions = {}) {
+  const appointment = await this.findOneAndUpdate(
+    { ...conditions, _id: id, status: { $in: previousOf(status) } },
+    {
+      status,
+      $push: { statusHistory: { status, at: new Date(), by } },
+      $inc: { __v: 1 },
+    },
+    { new: true },
+  );
+  if (appointment && !ACTIVE.includes(status)) {
+    await Reservation.release(appointment.id);
+  }
+  if (appointment && !UPCOMING.includes(status)) {
+    await Job.cancel(appointment.reminderKey());
+  }
+  return appointment;
+};
+
+/**
+ * Name of the reminder jobs
+ */
+schema.statics.REMINDER_JOB = 'appointment-reminder';
+
+/**
+ * Key grouping the reminder jobs of the appointment
+ * @returns {string}
+ */
+schema.methods.reminderKey = function reminderKey() {
+  return `${this.constructor.REMINDER_JOB}:${this.id}`;
+};
+
+/**
+ * Replaces the reminder jobs of the appointment with ones for its current start,
+ * `reminderOffsets` minutes before it. Past reminders are skipped.
+ * @returns {Promise<Document<Job>[]>}
+ */
+schema.methods.planReminders = async function planReminders() {
+  await Job.cancel(this.reminderKey());
+  if (!UPCOMING.includes(this.status)) {
+    return [];
+  }
+  const now = Date.now();
+  return Job.insertMany(constants.reminderOffsets()
+    .map((offset) => ({
+      name: this.constructor.REMINDER_JOB,
+      runAt: new Date(this.start.getTime() - offset * 60000),
+      key: this.reminderKey(),
+      data: { appointment: this.id, start: this.start, offset },
+    }))
+    .filter((job) => job.runAt.getTime() > now));
+};
+
+/**
+ * Open a room for video visits, close it for visits moved to the clinic
+ */
+schema.pre('validate', function assignRoom() {
+  if (this.mode === MODE.VIDEO && !this.room) {
+    this.room = randomBytes(16).toString('hex');
+  } else if (this.mode !== MODE.VIDEO && this.room) {
+    this.room = undefined;
+  }
+});
+
+/**
+ * Archive the details of new appointments
+ */
+schema.pre('save', async function archiveNew() {
+  if (this.isNew) {
+    await this.archiveDetails();
+  }
+});
+
+/**
+ * Re-plan reminders when an appointment is booked or rescheduled
+ */
+schema.pre('save', function trackStart() {
+  this.startChanged = this.isNew || this.isModified('start');
+});
+schema.post('save', async function replanReminders() {
+  if (this.startChanged) {
+    // eslint-disable-next-line no-console
+    await this.planReminders().catch(console.error);
+  }
+});
+
+/**
+ * Invoice new appointments from the price list of their service
+ */
+schema.post('save', async function issueInvoice() {
+  if (this.wasNew) {
+    // eslint-disable-next-line no-console
+    await this.model('Invoice').forAppointment(this).catch(console.error);
+  }
+});
+
+/**
+ * Serialize `start` `end` in clinic time, e.g. `2021-05-20T14:30:00+05:30`
+ */
+schema.set('toJSON', {
+  transform: (_document, appointment) => ({
+    ...appointment,
+    start: appointment.start && timezone.toISOString(appointment.start, constants.clinicTimezone()),
+    end: appointment.end && timezone.toISOString(appointment.end, constants.clinicTimezone()),
+  }),
 });
 
 /**
@@ -0,0 +1,71 @@
+const { Schema, model } = require('mongoose');
+const recurrence = require('../utils/recurrence');
+const constants = require('../utils/variables');
+const timezone = require('../utils/timezone');
+
+/**
+ * Appointment series schema.
+ * * A course of sessions booked together, e.g. 6 sessions every 2 weeks
+ * * Each occurrence is an `Appointment` referring back to its series
+ */
+const schema = new Schema({
+  userId: {
+    type: Schema.Types.ObjectId,
+    required: true,
+    ref: 'User',
+  },
+  doctorId: {
+    type: Schema.Types.ObjectId,
+    required: true,
+    ref: 'Doctor',
+  },
+  serviceId: {
+    type: Schema.Types.ObjectId,
+    required: true,
+    ref: 'Service',
+  },
+  appointmentFor: {
+    type: Schema.Types.ObjectId,
+    required: true,
+    refPath: 'patientModel',
+  },
+  patientModel: {
+    type: String,
+    required: true,
+    enum: ['User', 'Family'],
+    default: 'User',
+  },
+  // First occurrence as booked
+  start: {
+    type: Date,
+    required: true,
+  },
+  // iCalendar `RRULE` value, e.g. `FREQ=WEEKLY;INTERVAL=2;COUNT=6`
+  recurrence: {
+    type: String,
+    required: true,
+    validate: {
+      validator: (value) => !!recurrence.parseRule(value),
+      message: 'Invalid recurrence rule',
+    },
+  },
+}, {
+  timestamps: true,
+});
+
+schema.index({ userId: 1, createdAt: -1 });
+
+/**
+ * Serialize `start` in clinic time
+ */
+schema.set('toJSON', {
+  transform: (_document, series) => ({
+    ...series,
+    start: series.start && timezone.toISOString(series.start, constants.clinicTimezone()),
+  }),
+});
+
+/**
+ * Appointment series model
+ */
+module.exports = model('AppointmentSeries', schema);
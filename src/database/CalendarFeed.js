@@ -0,0 +1,59 @@
+const { randomBytes } = require('crypto');
+const { Schema, model } = require('mongoose');
+
+/**
+ * Calendar feed schema.
+ * * A subscription URL for calendar apps, which can't send headers, so the token is the only
+ * credential. Issuing a feed again replaces its token, revoking the old URL.
+ * * A feed without `doctor` lists the user's appointments, with `doctor` the doctor's agenda
+ */
+const schema = new Schema({
+  token: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  user: {
+    type: Schema.Types.ObjectId,
+    required: true,
+    ref: 'User',
+  },
+  doctor: {
+    type: Schema.Types.ObjectId,
+    ref: 'Doctor',
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+schema.index({ user: 1, doctor: 1 }, { unique: true });
+
+/**
+ * Issues the feed of a user or a doctor with a new token
+ * @param {string} user
+ * @param {string} [doctor] Issues the doctor's agenda feed
+ * @returns {Promise<Document<CalendarFeed>>}
+ */
+schema.statics.issue = function issue(user, doctor = null) {
+  return this.findOneAndUpdate(
+    { user, doctor },
+    { token: randomBytes(32).toString('hex') },
+    { new: true, upsert: true },
+  );
+};
+
+/**
+ * Revokes the feed of a user or a doctor
+ * @param {string} user
+ * @param {string} [doctor] Revokes the doctor's agenda feed
+ * @returns {Promise<Document<CalendarFeed> | null>} the revoked feed
+ */
+schema.statics.revoke = function revoke(user, doctor = null) {
+  return this.findOneAndDelete({ user, doctor });
+};
+
+/**
+ * Calendar feed model
+ */
+module.exports = model('CalendarFeed', schema);
@@ -0,0 +1,260 @@
+const { Schema, model } = require('mongoose');
+const Counter = require('./Counter');
+const claims = require('../utils/claims');
+
+const { KIND, STATUS } = claims;
+
+/**
+ * Counter key of claim numbers
+ */
+const SEQUENCE = 'claim';
+
+/**
+ * Insurance claim schema.
+ * * One claim of each kind per appointment, for the policy the appointment is billed to
+ * * `insurer` copies the policy details when the claim is opened, the policy may change later
+ * * Amounts are in the minor unit of `currency`, like the invoice
+ */
+const schema = new Schema({
+  // Sequential, see `Counter`, what reception quotes on insurer portals
+  number: {
+    type: Number,
+    required: true,
+    unique: true,
+  },
+  kind: {
+    type: String,
+    enum: Object.values(KIND),
+    default: KIND.CLAIM,
+  },
+  appointment: {
+    type: Schema.Types.ObjectId,
+    required: true,
+    ref: 'Appointment',
+  },
+  invoice: {
+    type: Schema.Types.ObjectId,
+    ref: 'Invoice',
+  },
+  insurancePolicy: {
+    type: Schema.Types.ObjectId,
+    required: true,
+    ref: 'InsurancePolicy',
+  },
+  // Account the appointment was booked on
+  user: {
+    type: Schema.Types.ObjectId,
+    required: true,
+    ref: 'User',
+  },
+  insurer: {
+    provider: String,
+    policyNumber: String,
+    memberId: String,
+  },
+  currency: String,
+  amountClaimed: {
+    type: Number,
+    min: 0,
+    validate: { validator: Number.isInteger, message: 'Amount must be in the minor unit' },
+  },
+  amountApproved: {
+    type: Number,
+    min: 0,
+    validate: { validator: Number.isInteger, message: 'Amount must be in the minor unit' },
+  },
+  amountSettled: {
+    type: Number,
+    min: 0,
+    validate: { validator: Number.isInteger, message: 'Amount must be in the minor unit' },
+  },
+  // Reference of the claim at the insurer
+  insurerReference: {
+    type: String,
+    trim: true,
+  },
+  status: {
+    type: String,
+    enum: Object.values(STATUS),
+    default: STATUS.DRAFT,
+  },
+  // Each status the claim moved to, with who moved it and why
+  statusHistory: [{
+    _id: false,
+    status: {
+      type: String,
+      enum: Object.values(STATUS),
+      required: true,
+    },
+    note: String,
+    at: {
+      type: Date,
+      default: Date.now,
+    },
+    by: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  }],
+  // Files kept in `assets/claim-documents`
+  documents: [{
+    name: {
+      type: String,
+      required: true,
+    },
+    file: {
+      type: String,
+      required: true,
+    },
+    mimetype: String,
+    size: Number,
+    at: {
+      type: Date,
+      default: Date.now,
+    },
+    by: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  }],
+  notes: [{
+    _id: false,
+    text: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    at: {
+      type: Date,
+      default: Date.now,
+    },
+    by: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  }],
+}, {
+  timestamps: true,
+  optimisticConcurrency: true,
+});
+
+schema.index({ appointment: 1, kind: 1 }, { unique: true });
+schema.index({ status: 1, createdAt: -1 });
+
+/**
+ * Pre validate hook to check the amounts each status needs and that they don't grow
+ * past the step before
+ */
+schema.pre('validate', function checkAmounts() {
+  if (this.status !== STATUS.DRAFT && !(this.amountClaimed > 0)) {
+    this.invalidate('amountClaimed', 'Claims are submitted with an amount');
+  }
+  if (this.status === STATUS.APPROVED && this.amountApproved === undefined) {
+    this.invalidate('amountApproved', 'Approvals need the amount approved');
+  }
+  if (this.status === STATUS.SETTLED && this.amountSettled === undefined) {
+    this.invalidate('amountSettled', 'Settlements need the amount settled');
+  }
+  if (this.amountApproved > this.amountClaimed) {
+    this.invalidate('amountApproved', 'Insurers approve at most the amount claimed');
+  }
+  if (this.amountSettled > this.amountApproved) {
+    this.invalidate('amountSettled', 'Insurers settle at most the amount approved');
+  }
+  const latest = this.statusHistory[this.statusHistory.length - 1];
+  if (this.status === STATUS.REJECTED && !(latest && latest.note)) {
+    this.invalidate('statusHistory', 'Rejections need the insurer\'s reason as a note');
+  }
+});
+
+/**
+ * Opens a draft claim of an appointment billed to an insurance policy. The amount claimed
+ * is the invoice total by default.
+ * @param {Document<Appointment>} appointment
+ * @param {string} kind `KIND` value
+ * @param {string} by Id of the user opening it
+ * @returns {Promise<Document<Claim>>} the claim of the kind, the existing one if it was
+ * opened already
+ */
+schema.statics.open = async function open(appointment, kind, by) {
+  const [policy, invoice] = await Promise.all([
+    this.model('InsurancePolicy').findById(appointment.insurancePolicy),
+    this.model('Invoice').forAppointment(appointment),
+  ]);
+  const number = await Counter.next(SEQUENCE);
+  try {
+    return await this.create({
+      number,
+      kind,
+      appointment: appointment.id,
+      invoice: invoice.id,
+      insurancePolicy: appointment.insurancePolicy,
+      user: appointment.userId,
+      insurer: policy && {
+        provider: policy.provider,
+        policyNumber: policy.policyNumber,
+        memberId: policy.memberId,
+      },
+      currency: invoice.currency,
+      amountClaimed: invoice.total,
+      statusHistory: [{ status: STATUS.DRAFT, by }],
+    });
+  } catch (error) {
+    // Opened meanwhile
+    const existing = error.code === 11000
+      && await this.findOne({ appointment: appointment.id, kind });
+    if (existing) {
+      return existing;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Moves the claim to `status`, recording the insurer's figures that come with it
+ * @param {string} status
+ * @param {{amountApproved: number, amountSettled: number, insurerReference: string,
+ * note: string}} details `amountApproved` is read on approval, `amountSettled` on settlement
+ * @param {string} by Id of the user moving it
+ * @returns {Promise<Document<Claim>>}
+ * @throws if the claim can't move to the status, or with a `ValidationError` for its amounts
+ */
+schema.methods.moveTo = async function moveTo(status, details, by) {
+  if (!claims.canMove(this.kind, this.status, status)) {
+    throw new Error(`Claim can't move from ${this.status} to ${status}`);
+  }
+  if (status === STATUS.APPROVED) {
+    this.amountApproved = details.amountApproved;
+  }
+  if (status === STATUS.SETTLED) {
+    this.amountSettled = details.amountSettled;
+  }
+  // A corrected claim is decided again
+  if (status === STATUS.DRAFT) {
+    this.amountApproved = undefined;
+  }
+  if (details.insurerReference !== undefined) {
+    this.insurerReference = details.insurerReference;
+  }
+  this.status = status;
+  this.statusHistory.push({ status, note: details.note, by });
+  return this.save();
+};
+
+/**
+ * Time the claim was last submitted
+ * @returns {Date | undefined}
+ */
+schema.methods.submittedAt = function submittedAt() {
+  const submissions = this.statusHistory.filter((entry) => entry.status === STATUS.SUBMITTED);
+  return submissions.length ? submissions[submissions.length - 1].at : undefined;
+};
+
+schema.statics.KIND = KIND;
+schema.statics.STATUS = STATUS;
+schema.statics.SEQUENCE = SEQUENCE;
+
+/**
+ * Claim model
+ */
+module.exports = model('Claim', schema);
@@ -1,10 +1,18 @@
 const { Schema, model } = require('mongoose');
-const { sign, verify } = require('jsonwebtoken');
+const { verify } = require('jsonwebtoken');
 const validator = require('validator');
 const constants = require('../utils/variables');
+const session = require('../utils/session');
+const geoip = require('../utils/geoip');
 
 /**
- * Client schema
+ * Client schema. A client is a signed-in session, its id is the `device-id` header.
+ * * Sessions authorize requests with short-lived access tokens and get new ones with
+ * refresh tokens, see `RefreshToken`
+ * * `token` is the access token of sessions signed in before access tokens expired.
+ * It is removed once exchanged at `POST /accounts/auth/refresh`.
+ * * `lastUsedAt` `ip` `location` are updated on sign in and on each refresh, so they are
+ * as recent as the last access token
  */
 const schema = new Schema({
   userAgent: {
@@ -13,9 +21,16 @@ const schema = new Schema({
   },
   token: {
     type: String,
-    unique: true,
     validate: { validator: validator.default.isJWT, message: 'Invalid token' },
   },
+  ip: String,
+  // Approximate, see `geoip`
+  location: {
+    city: String,
+    region: String,
+    country: String,
+  },
+  lastUsedAt: Date,
   isDeleted: {
     type: Boolean,
     default: false,
@@ -25,15 +40,7 @@ const schema = new Schema({
 });
 
 /**
- * Pre save hook to sign a JWT
- */
-schema.pre('save', function preSave() {
-  const { token, ...payload } = this.toJSON();
-  this.token = sign(payload, constants.token());
-});
-
-/**
- * Method to verify token
+ * Method to verify the token of sessions signed in before access tokens expired
  */
 schema.methods.isValid = async function isValid() {
   try {
@@ -46,6 +53,53 @@ schema.methods.isValid = async function isValid() {
   }
 };
 
+/**
+ * Issues an access token and a refresh token of the session
+ * @param {string} userId
+ * @returns {Promise<{token: string, refreshToken: string, expiresIn: number}>}
+ * `expiresIn` of the access token in seconds
+ */
+schema.methods.issueTokens = async function issueTokens(userId) {
+  const refreshToken = await this.model('RefreshToken').issue(this.id, userId);
+  return { ...session.signAccessToken(this.id, userId), refreshToken };
+};
+
+/**
+ * Records a session being used from an address. A new address is located in the background,
+ * sessions don't wait on the lookup service.
+ * @param {string} id
+ * @param {string} [ip]
+ */
+schema.statics.touch = async function touch(id, ip) {
+  const previous = await this.findOneAndUpdate({ _id: id }, { lastUsedAt: new Date(), ip });
+  if (previous && previous.ip !== ip) {
+    geoip.locate(ip)
+      .then((location) => this.updateOne(
+        { _id: id, ip },
+        location ? { location } : { $unset: { location: 1 } },
+      ))
+      // eslint-disable-next-line no-console
+      .catch(console.error);
+  }
+};
+
+/**
+ * Ends sessions. Their refresh tokens are dropped and they are removed from their user,
+ * so their access tokens stop authorizing requests too.
+ * @param {string | string[]} ids
+ */
+schema.statics.revoke = async function revoke(ids) {
+  const clients = [].concat(ids);
+  await Promise.all([
+    this.updateMany({ _id: { $in: clients } }, { isDeleted: true }),
+    this.model('User').updateMany(
+      { clients: { $in: clients } },
+      { $pull: { clients: { $in: clients } } },
+    ),
+    this.model('RefreshToken').deleteMany({ client: { $in: clients } }),
+  ]);
+};
+
 /**
  * Client model
  */
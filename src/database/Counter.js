@@ -0,0 +1,54 @@
+const { Schema, model } = require('mongoose');
+
+/**
+ * Counter schema, the last number taken of a sequence such as invoice numbers
+ */
+const schema = new Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  value: {
+    type: Number,
+    default: 0,
+  },
+});
+
+/**
+ * Takes the next number of a sequence, from 1. Concurrent callers get distinct numbers.
+ * @param {string} key Sequence
+ * @returns {Promise<number>}
+ */
+schema.statics.next = async function next(key) {
+  // Concurrent first numbers race to insert, the losers update
+  for (let tries = 0; ; tries += 1) {
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      const counter = await this.findOneAndUpdate(
+        { key },
+        { $inc: { value: 1 } },
+        { upsert: true, new: true },
+      );
+      return counter.value;
+    } catch (error) {
+      if (error.code !== 11000 || tries >= 2) {
+        throw error;
+      }
+    }
+  }
+};
+
+/**
+ * Moves a sequence on to at least `value`, for numbers taken before it was counted
+ * @param {string} key Sequence
+ * @param {number} value
+ */
+schema.statics.seed = function seed(key, value) {
+  return this.updateOne({ key }, { $max: { value } }, { upsert: true });
+};
+
+/**
+ * Counter model
+ */
+module.exports = model('Counter', schema);
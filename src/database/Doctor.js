@@ -1,5 +1,7 @@
 const { Schema, model } = require('mongoose');
 const validator = require('validator');
+const customValidators = require('../utils/validators');
+const scheduling = require('../utils/scheduling');
 
 const schema = new Schema({
   name: {
@@ -26,12 +28,65 @@ const schema = new Schema({
     type: String,
     required: true,
   },
-  busySlots: [{
-    date: Date,
-    time: [String],
+  // Account the doctor signs in with
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    unique: true,
+    sparse: true,
+  },
+  /**
+   * Weekly working hours, one entry per working weekday (0 is Sunday)
+   */
+  workingHours: [{
+    _id: false,
+    day: {
+      type: Number,
+      required: true,
+      min: 0,
+      max: 6,
+    },
+    start: {
+      type: String,
+      required: true,
+      validate: { validator: customValidators.isValidTime, message: 'Invalid time' },
+    },
+    end: {
+      type: String,
+      required: true,
+      validate: { validator: customValidators.isValidTime, message: 'Invalid time' },
+    },
+    slotLength: {
+      type: Number,
+      default: 10,
+      min: 5,
+    },
+    breaks: [{
+      _id: false,
+      start: {
+        type: String,
+        required: true,
+        validate: { validator: customValidators.isValidTime, message: 'Invalid time' },
+      },
+      end: {
+        type: String,
+        required: true,
+        validate: { validator: customValidators.isValidTime, message: 'Invalid time' },
+      },
+    }],
   }],
 },{timestamps:true});
 
+schema.path('workingHours').validate(
+  (workingHours) => workingHours.every(scheduling.isValidWorkingDay),
+  'Invalid working hours',
+);
+
+schema.path('workingHours').validate(
+  (workingHours) => new Set(workingHours.map((hours) => hours.day)).size === workingHours.length,
+  'Duplicate working day',
+);
+
 schema.virtual('service', {
   ref: 'Service',
   localField: '_id',
@@ -0,0 +1,102 @@
+const { Schema, model } = require('mongoose');
+const scheduling = require('../utils/scheduling');
+const timezone = require('../utils/timezone');
+const constants = require('../utils/variables');
+
+/**
+ * Insurance policy schema.
+ * * `holder` is the account holder or one of their family members, and is always covered
+ * * `coveredMembers` are further family members of the account the policy covers
+ * * `validFrom` `validTo` are clinic dates, both inclusive
+ */
+const schema = new Schema({
+  // Account the policy was added to
+  user: {
+    type: Schema.Types.ObjectId,
+    required: true,
+    ref: 'User',
+  },
+  provider: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  policyNumber: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  memberId: {
+    type: String,
+    trim: true,
+  },
+  holder: {
+    type: Schema.Types.ObjectId,
+    required: true,
+    refPath: 'holderModel',
+  },
+  holderModel: {
+    type: String,
+    required: true,
+    enum: ['User', 'Family'],
+    default: 'User',
+  },
+  coveredMembers: [{
+    type: Schema.Types.ObjectId,
+    ref: 'Family',
+  }],
+  validFrom: {
+    type: Date,
+    required: true,
+  },
+  validTo: {
+    type: Date,
+    required: true,
+  },
+  isDeleted: {
+    type: Boolean,
+    default: false,
+  },
+}, {
+  timestamps: true,
+});
+
+schema.index({ user: 1, provider: 1, policyNumber: 1 }, {
+  unique: true,
+  partialFilterExpression: { isDeleted: false },
+});
+
+/**
+ * Pre validate hook to check the validity period is consistent
+ */
+schema.pre('validate', function preValidate() {
+  if (this.validFrom > this.validTo) {
+    this.invalidate('validTo', 'Policy must end after it starts');
+  }
+});
+
+/**
+ * Checks if the policy covers a patient
+ * @param {string} patientId The account holder or a family member id
+ * @returns {boolean}
+ */
+schema.methods.covers = function covers(patientId) {
+  return String(this.holder) === String(patientId)
+    || this.coveredMembers.map(String).includes(String(patientId));
+};
+
+/**
+ * Checks if the policy is valid on the clinic date of an instant
+ * @param {Date} date
+ * @returns {boolean}
+ */
+schema.methods.isActiveOn = function isActiveOn(date) {
+  const day = timezone.toZoned(date, constants.clinicTimezone()).date;
+  return scheduling.toDateString(this.validFrom) <= day
+    && day <= scheduling.toDateString(this.validTo);
+};
+
+/**
+ * Insurance policy model
+ */
+module.exports = model('InsurancePolicy', schema);
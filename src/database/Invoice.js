@@ -0,0 +1,429 @@
+const { Schema, model } = require('mongoose');
+const Counter = require('./Counter');
+const Job = require('./Job');
+const billing = require('../utils/billing');
+const paymentGateway = require('../utils/payment-gateway');
+const constants = require('../utils/variables');
+
+const { PAYMENT_STATUS } = billing;
+
+/**
+ * Counter key of invoice numbers
+ */
+const SEQUENCE = 'invoice';
+
+/**
+ * Minutes a payment or refund holds the invoice at most, in case the server stopped
+ * during it
+ */
+const CHARGE_HOLD_MINUTES = 5;
+
+/**
+ * Invoice schema.
+ * * One invoice per appointment, its lines copied from the service price list at booking
+ * * Amounts are in the minor unit of `currency`, totals follow the lines and discount
+ * on every save, see `utils/billing`
+ */
+const schema = new Schema({
+  // Sequential, see `Counter`
+  number: {
+    type: Number,
+    required: true,
+    unique: true,
+  },
+  appointment: {
+    type: Schema.Types.ObjectId,
+    required: true,
+    unique: true,
+    ref: 'Appointment',
+  },
+  user: {
+    type: Schema.Types.ObjectId,
+    required: true,
+    ref: 'User',
+  },
+  currency: {
+    type: String,
+    default: () => constants.currency(),
+  },
+  lines: [{
+    _id: false,
+    description: {
+      type: String,
+      required: true,
+    },
+    quantity: {
+      type: Number,
+      default: 1,
+      min: 1,
+    },
+    unitAmount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    taxPercent: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 100,
+    },
+    amount: Number,
+    tax: Number,
+  }],
+  subtotal: Number,
+  discount: {
+    type: Number,
+    default: 0,
+    min: 0,
+    validate: { validator: Number.isInteger, message: 'Discount must be in the minor unit' },
+  },
+  discountReason: String,
+  tax: Number,
+  total: Number,
+  status: {
+    type: String,
+    enum: Object.values(PAYMENT_STATUS),
+    default: PAYMENT_STATUS.PENDING,
+  },
+  amountPaid: {
+    type: Number,
+    default: 0,
+  },
+  amountRefunded: {
+    type: Number,
+    default: 0,
+  },
+  // When the payment or refund under way started, see `claim`
+  chargingAt: Date,
+  payments: [{
+    gateway: String,
+    // Reference of the payment at the gateway
+    reference: String,
+    amount: Number,
+    refunded: {
+      type: Number,
+      default: 0,
+    },
+    at: {
+      type: Date,
+      default: Date.now,
+    },
+    by: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  }],
+  refunds: [{
+    _id: false,
+    gateway: String,
+    reference: String,
+    // Payment refunded
+    payment: Schema.Types.ObjectId,
+    amount: Number,
+    reason: String,
+    at: {
+      type: Date,
+      default: Date.now,
+    },
+    by: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  }],
+}, {
+  timestamps: true,
+  optimisticConcurrency: true,
+});
+
+schema.index({ user: 1, createdAt: -1 });
+
+/**
+ * Keep totals and status in line with the lines, discount, payments and refunds
+ */
+schema.pre('validate', function recalculate() {
+  const { lines, ...totals } = billing.totals(this.lines, this.discount);
+  lines.forEach(({ amount, tax }, index) => {
+    this.lines[index].amount = amount;
+    this.lines[index].tax = tax;
+  });
+  Object.assign(this, totals);
+  this.status = billing.statusOf(this);
+});
+
+/**
+ * Condition of an invoice no payment or refund holds
+ * @param {Date} now
+ * @returns {object}
+ */
+function unclaimed(now) {
+  return {
+    $or: [
+      { chargingAt: null },
+      { chargingAt: { $lt: new Date(now.getTime() - CHARGE_HOLD_MINUTES * 60 * 1000) } },
+    ],
+  };
+}
+
+/**
+ * Claims an invoice for a payment or refund, so that only one of concurrent ones goes ahead
+ * @param {Document<Invoice>} invoice As read, the claim fails if it changed since
+ * @param {Date} now
+ * @param {object} [conditions] More the invoice must meet
+ * @returns {Promise<Document<Invoice>>} the claimed invoice
+ * @throws with `busy` when the invoice changed or another payment or refund is under way
+ */
+async function claim(invoice, now, conditions = {}) {
+  const claimed = await invoice.constructor.findOneAndUpdate({
+    _id: invoice.id,
+    __v: invoice.get('__v'),
+    ...conditions,
+    ...unclaimed(now),
+  }, {
+    chargingAt: now,
+    $inc: { __v: 1 },
+  }, { new: true });
+  if (!claimed) {
+    const error = new Error('Invoice changed or is being paid');
+    error.busy = true;
+    throw error;
+  }
+  return claimed;
+}
+
+/**
+ * What is left to pay
+ * @returns {number}
+ */
+schema.methods.balance = function balance() {
+  return Math.max(this.total - this.amountPaid, 0);
+};
+
+/**
+ * Invoices an appointment from the price list of its service
+ * @param {Document<Appointment>} appointment
+ * @returns {Promise<Document<Invoice>>} the invoice of the appointment,
+ * the existing one if it was invoiced already
+ */
+schema.statics.issue = async function issue(appointment) {
+  const service = await this.model('Service').findById(appointment.serviceId);
+  const lines = (service ? service.prices : []).map((price) => ({
+    description: price.description,
+    unitAmount: price.amount,
+    taxPercent: price.taxPercent,
+  }));
+  const number = await Counter.next(SEQUENCE);
+  try {
+    return await this.create({
+      number,
+      appointment: appointment.id,
+      user: appointment.userId,
+      lines,
+    });
+  } catch (error) {
+    // Invoiced meanwhile
+    const existing = error.code === 11000
+      && await this.findOne({ appointment: appointment.id });
+    if (existing) {
+      return existing;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Gets the invoice of an appointment, issuing it for appointments booked before invoicing
+ * @param {Document<Appointment>} appointment
+ * @returns {Promise<Document<Invoice>>}
+ */
+schema.statics.forAppointment = async function forAppointment(appointment) {
+  const invoice = await this.findOne({ appointment: appointment.id });
+  return invoice || this.issue(appointment);
+};
+
+/**
+ * Charges the balance through the payment gateway. The invoice is claimed first, so only
+ * one of concurrent payments charges.
+ * @param {string} source Card or account as the gateway's client SDK handed it
+ * @param {string} by Id of the user paying
+ * @returns {Promise<Document<Invoice>>}
+ * @throws with `declined` when the gateway refused, with `busy` when the invoice changed
+ * or another payment is under way
+ */
+schema.methods.pay = async function pay(source, by) {
+  const { name, gateway } = paymentGateway.use();
+  const Invoice = this.model('Invoice');
+  const now = new Date();
+  const claimed = await claim(this, now, { status: PAYMENT_STATUS.PENDING });
+
+  const amount = claimed.balance();
+  let reference;
+  try {
+    ({ reference } = await gateway.charge({
+      amount,
+      currency: claimed.currency,
+      source,
+      description: `Invoice ${claimed.number}`,
+      // The claimed version tells this payment apart from later ones
+      idempotencyKey: `invoice-${claimed.id}-${claimed.get('__v')}`,
+    }));
+  } catch (error) {
+    await Invoice.updateOne({ _id: this.id, chargingAt: now }, { $unset: { chargingAt: 1 } });
+    throw error;
+  }
+
+  // Recorded whatever changed meanwhile, a charge that went through is never lost
+  const paid = await Invoice.findOneAndUpdate({ _id: this.id }, {
+    $push: {
+      payments: {
+        gateway: name, reference, amount, by,
+      },
+    },
+    $inc: { amountPaid: amount, __v: 1 },
+    $unset: { chargingAt: 1 },
+  }, { new: true });
+  // The appointment was cancelled while the hold had lapsed, the payment goes back
+  if (paid.status === PAYMENT_STATUS.VOID) {
+    await Invoice.settleCancellation(paid.appointment, false, by);
+  }
+  return paid.save();
+};
+
+/**
+ * Refunds the latest payments first through the gateways that took them. The invoice is
+ * claimed first, as for `pay`, so only one of concurrent refunds goes ahead.
+ * @param {number} amount At most what was paid and not refunded yet
+ * @param {string} reason
+ * @param {string} by Id of the user refunding
+ * @returns {Promise<Document<Invoice>>}
+ * @throws with `declined` when a gateway refused, the refunds before it are kept,
+ * with `busy` when the invoice changed or a payment or another refund is under way
+ */
+schema.methods.refund = async function refund(amount, reason, by) {
+  const Invoice = this.model('Invoice');
+  const claimed = await claim(this, new Date());
+
+  const refunds = [];
+  let left = amount;
+  let failure;
+  try {
+    // eslint-disable-next-line no-restricted-syntax
+    for (const payment of [...claimed.payments].reverse()) {
+      const share = Math.min(left, payment.amount - payment.refunded);
+      if (share > 0) {
+        const { gateway } = paymentGateway.use(payment.gateway);
+        // eslint-disable-next-line no-await-in-loop
+        const { reference } = await gateway.refund({
+          payment: payment.reference,
+          amount: share,
+          currency: claimed.currency,
+          // The claimed version tells this refund apart from later ones of the payment
+          idempotencyKey: `refund-${claimed.id}-${claimed.get('__v')}-${payment.id}`,
+        });
+        refunds.push({
+          gateway: payment.gateway, reference, payment: payment.id, amount: share, reason, by,
+        });
+        left -= share;
+      }
+    }
+  } catch (error) {
+    failure = error;
+  }
+
+  // Recorded in place, so a refund that went through is never lost to a change meanwhile
+  const refunded = await Invoice.findOneAndUpdate({ _id: this.id }, {
+    $push: { refunds: { $each: refunds } },
+    $inc: refunds.reduce((increments, made, index) => ({
+      ...increments,
+      [`payments.$[p${index}].refunded`]: made.amount,
+    }), { amountRefunded: amount - left, __v: 1 }),
+    $unset: { chargingAt: 1 },
+  }, {
+    new: true,
+    // One filter per payment refunded
+    ...(refunds.length > 0 ? {
+      arrayFilters: refunds.map((made, index) => ({ [`p${index}._id`]: made.payment })),
+    } : {}),
+  });
+  // Brings the status in line
+  await refunded.save();
+  if (failure) {
+    throw failure;
+  }
+  return refunded;
+};
+
+/**
+ * Name of the jobs settling the invoices of cancelled appointments
+ */
+const SETTLEMENT_JOB = 'invoice-settlement';
+
+/**
+ * Queues settling the invoice of a cancelled appointment, the scheduler runs it
+ * with `runSettlement` and retries it until it goes through
+ * @param {string} appointmentId
+ * @param {boolean} isLate Whether the cancellation was late
+ * @param {string} by Id of the user cancelling
+ * @returns {Promise<Document<Job>>}
+ */
+schema.statics.settleCancellation = function settleCancellation(appointmentId, isLate, by) {
+  return Job.create({
+    name: SETTLEMENT_JOB,
+    runAt: new Date(),
+    key: `${SETTLEMENT_JOB}:${appointmentId}`,
+    data: { appointment: appointmentId, isLate, by },
+  });
+};
+
+/**
+ * Settles the invoice of a cancelled appointment. What was paid is refunded as the
+ * cancellation policy allows, an invoice with nothing paid is voided.
+ * * What is left to refund is kept in the job, so a retry after a partial refund
+ * refunds only the rest
+ * @param {Document<Job>} job Queued by `settleCancellation`
+ * @throws when the refund failed, to retry the job
+ */
+schema.statics.runSettlement = async function runSettlement(job) {
+  const { appointment, isLate, by } = job.data;
+  const invoice = await this.findOne({ appointment });
+  if (!invoice) {
+    return;
+  }
+  if (invoice.amountPaid === 0) {
+    // Voided only if no payment is under way, a payment landing meanwhile is refunded on retry
+    const voided = await this.findOneAndUpdate({
+      _id: invoice.id,
+      amountPaid: 0,
+      ...unclaimed(new Date()),
+    }, {
+      status: PAYMENT_STATUS.VOID,
+      $inc: { __v: 1 },
+    });
+    if (!voided) {
+      const error = new Error('Invoice is being paid');
+      error.busy = true;
+      throw error;
+    }
+    return;
+  }
+  const due = job.data.due === undefined ? billing.refundFor(invoice, isLate) : job.data.due;
+  if (due === 0) {
+    return;
+  }
+  try {
+    await invoice.refund(due, isLate ? 'Late cancellation' : 'Cancellation', by);
+  } catch (error) {
+    const current = await this.findById(invoice.id);
+    job.set('data', { ...job.data, due: due - (current.amountRefunded - invoice.amountRefunded) });
+    throw error;
+  }
+};
+
+schema.statics.PAYMENT_STATUS = PAYMENT_STATUS;
+schema.statics.SEQUENCE = SEQUENCE;
+schema.statics.SETTLEMENT_JOB = SETTLEMENT_JOB;
+
+/**
+ * Invoice model
+ */
+module.exports = model('Invoice', schema);
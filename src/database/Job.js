@@ -0,0 +1,129 @@
+const { Schema, model } = require('mongoose');
+
+/**
+ * Attempts a job gets before it is marked failed
+ */
+const MAX_ATTEMPTS = 5;
+
+/**
+ * Job statuses
+ */
+const STATUS = {
+  PENDING: 'pending',
+  RUNNING: 'running',
+  DONE: 'done',
+  FAILED: 'failed',
+};
+
+/**
+ * Scheduled job schema.
+ * * Jobs are persisted so that they survive restarts, `utils/scheduler` runs them when due
+ * * `key` groups the jobs of a subject, e.g. the reminders of an appointment, to drop them together
+ * * A running job is locked until `lockedUntil`, after which another poll may take it over
+ */
+const schema = new Schema({
+  name: {
+    type: String,
+    required: true,
+  },
+  runAt: {
+    type: Date,
+    required: true,
+  },
+  data: {
+    type: Schema.Types.Mixed,
+    default: {},
+  },
+  key: String,
+  status: {
+    type: String,
+    enum: Object.values(STATUS),
+    default: STATUS.PENDING,
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  lockedUntil: Date,
+  lastError: String,
+  finishedAt: Date,
+}, {
+  timestamps: true,
+  minimize: false,
+});
+
+schema.index({ status: 1, runAt: 1 });
+schema.index({ key: 1 });
+// Finished jobs are kept for a month
+schema.index({ finishedAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+schema.statics.STATUS = STATUS;
+
+/**
+ * Drops the pending jobs of a key
+ * @param {string} key
+ */
+schema.statics.cancel = function cancel(key) {
+  return this.deleteMany({ key, status: STATUS.PENDING });
+};
+
+/**
+ * Takes the next due job, or one whose runner stopped without finishing it.
+ * * A single update claims the job, so concurrent polls never run it twice
+ * @param {string[]} names Job names the caller can run
+ * @param {number} lockMs How long the caller may run it
+ * @returns {Promise<Document<Job> | null>}
+ */
+schema.statics.claimNext = function claimNext(names, lockMs) {
+  const now = new Date();
+  return this.findOneAndUpdate(
+    {
+      name: { $in: names },
+      $or: [
+        { status: STATUS.PENDING, runAt: { $lte: now } },
+        { status: STATUS.RUNNING, lockedUntil: { $lte: now } },
+      ],
+    },
+    {
+      status: STATUS.RUNNING,
+      lockedUntil: new Date(now.getTime() + lockMs),
+      $inc: { attempts: 1 },
+    },
+    { new: true, sort: { runAt: 1 } },
+  );
+};
+
+/**
+ * Marks the job done
+ */
+schema.methods.complete = function complete() {
+  this.status = STATUS.DONE;
+  this.lockedUntil = undefined;
+  this.finishedAt = new Date();
+  this.markModified('data');
+  return this.save();
+};
+
+/**
+ * Retries the job later with exponential backoff, or marks it failed after `MAX_ATTEMPTS`
+ * @param {Error} error
+ */
+schema.methods.fail = function fail(error) {
+  this.lastError = error.message;
+  this.lockedUntil = undefined;
+  if (this.attempts >= MAX_ATTEMPTS) {
+    this.status = STATUS.FAILED;
+    this.finishedAt = new Date();
+  } else {
+    this.status = STATUS.PENDING;
+    this.runAt = new Date(Date.now() + 2 ** this.attempts * 60000);
+  }
+  // Handlers may record progress in `data`
+  this.markModified('data');
+  return this.save();
+};
+
+/**
+ * Job model
+ */
+module.exports = model('Job', schema);
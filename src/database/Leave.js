@@ -0,0 +1,145 @@
+const { Schema, model } = require('mongoose');
+const Appointment = require('./Appointment');
+const Notification = require('./Notification');
+const customValidators = require('../utils/validators');
+const scheduling = require('../utils/scheduling');
+const timezone = require('../utils/timezone');
+const constants = require('../utils/variables');
+const { UPCOMING } = require('../utils/appointment-status');
+const { NOTIFICATION_ACTION, NOTIFICATION_TYPE } = require('../utils/notification-helper');
+
+/**
+ * Leave schema.
+ * * Doctor leaves carry a `doctorId`, clinic closures don't and apply to every doctor
+ * * Partial-day leaves carry `start` `end` times
+ */
+const schema = new Schema({
+  doctorId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Doctor',
+  },
+  reason: {
+    type: String,
+    trim: true,
+  },
+  from: {
+    type: Date,
+    required: true,
+  },
+  to: {
+    type: Date,
+    required: true,
+  },
+  start: {
+    type: String,
+    validate: { validator: customValidators.isValidTime, message: 'Invalid time' },
+  },
+  end: {
+    type: String,
+    validate: { validator: customValidators.isValidTime, message: 'Invalid time' },
+  },
+  recurrence: {
+    type: String,
+    enum: ['none', 'weekly', 'yearly'],
+    default: 'none',
+  },
+  until: Date,
+  createdBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+});
+
+/**
+ * Pre validate hook to check the period is consistent
+ */
+schema.pre('validate', function preValidate() {
+  if (this.from > this.to) {
+    this.invalidate('to', 'Leave must end after it starts');
+  }
+  if (!this.start !== !this.end
+    || (this.start && scheduling.toMinutes(this.start) >= scheduling.toMinutes(this.end))) {
+    this.invalidate('end', 'Partial-day leave needs a start and a later end');
+  }
+  const span = (this.to - this.from) / (24 * 60 * 60 * 1000);
+  if ((this.recurrence === 'weekly' && span >= 7) || (this.recurrence === 'yearly' && span >= 365)) {
+    this.invalidate('recurrence', 'Leave is longer than its recurrence');
+  }
+});
+
+/**
+ * Finds the leaves and closures of a doctor overlapping a date range
+ * @param {string} doctorId
+ * @param {Date} from
+ * @param {Date} to
+ */
+schema.statics.findFor = function findFor(doctorId, from, to) {
+  return this.find({
+    doctorId: { $in: [doctorId, null] },
+    from: { $lte: to },
+    $or: [
+      { recurrence: 'none', to: { $gte: from } },
+      { recurrence: { $ne: 'none' }, until: null },
+      { recurrence: { $ne: 'none' }, until: { $gte: from } },
+    ],
+  });
+};
+
+/**
+ * Flags the upcoming appointments falling on the leave and notifies their patients
+ * @returns {Promise<Document<Appointment>[]>} flagged appointments
+ */
+schema.methods.flagAppointments = async function flagAppointments() {
+  const timeZone = constants.clinicTimezone();
+  const from = timezone.fromZoned(scheduling.toDateString(this.from), '00:00', timeZone);
+  const now = new Date();
+  const query = {
+    status: { $in: UPCOMING },
+    start: { $gte: from > now ? from : now },
+  };
+  if (this.doctorId) {
+    query.doctorId = this.doctorId;
+  }
+  const last = this.recurrence === 'none' ? this.to : this.until;
+  if (last) {
+    const dayAfter = new Date(last.getTime() + 24 * 60 * 60 * 1000);
+    query.start.$lt = timezone.fromZoned(scheduling.toDateString(dayAfter), '00:00', timeZone);
+  }
+
+  const appointments = await Appointment.find(query)
+    .populate({ path: 'userId', select: 'fcm_token' });
+
+  const flagged = appointments.filter((appointment) => {
+    const local = timezone.toZoned(appointment.start, timeZone);
+    return scheduling.isOnLeave([this], new Date(local.date), local.time,
+      (appointment.end - appointment.start) / 60000);
+  });
+
+  await Appointment.updateMany(
+    { _id: { $in: flagged.map((appointment) => appointment.id) } },
+    { conflictingLeave: this.id },
+  );
+
+  const time = new Date();
+  const { title, body } = NOTIFICATION_ACTION.leaveConflict.notification;
+  await Promise.all(flagged
+    .filter((appointment) => appointment.userId)
+    .map((appointment) => Notification.create({
+      user: appointment.userId.id,
+      type: NOTIFICATION_TYPE.LEAVE_CONFLICT,
+      fcm_token: appointment.userId.fcm_token,
+      title,
+      body,
+      data: NOTIFICATION_ACTION.leaveConflict.data.message,
+      date: `${time.toDateString()} ${time.toTimeString()}`,
+    })));
+
+  return flagged;
+};
+
+/**
+ * Leave model
+ */
+module.exports = model('Leave', schema);
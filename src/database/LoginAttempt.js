@@ -0,0 +1,162 @@
+const { Schema, model } = require('mongoose');
+const lockout = require('../utils/lockout');
+const notifier = require('../utils/notifier');
+const constants = require('../utils/variables');
+const { NOTIFICATION_TYPE } = require('../utils/notification-helper');
+
+const { KIND } = lockout;
+
+/**
+ * Failed sign-in schema. One document counts the recent failures of an account or of an
+ * IP address, see `utils/lockout` for the waits and lockouts they lead to.
+ * * Signing in clears the failures of the account, not those of the address
+ * * Failures are forgotten `loginLockoutMinutes` after the latest one or the lockout
+ */
+const schema = new Schema({
+  // `account:<user id>` or `address:<ip>`
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  kind: {
+    type: String,
+    enum: Object.values(KIND),
+    required: true,
+  },
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  ip: String,
+  failures: {
+    type: Number,
+    default: 0,
+  },
+  lastFailureAt: Date,
+  lockedUntil: Date,
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+}, {
+  timestamps: true,
+});
+
+// MongoDB removes documents once their failures are forgotten
+schema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * What a sign-in counts against
+ * @param {{user?: Document<User>, ip?: string}} attempt
+ * @returns {{key: string, kind: string, user?: string, ip?: string}[]}
+ */
+function targetsOf({ user, ip }) {
+  const targets = [];
+  if (user) {
+    targets.push({ key: `${KIND.ACCOUNT}:${user.id}`, kind: KIND.ACCOUNT, user: user.id });
+  }
+  if (ip) {
+    targets.push({ key: `${KIND.ADDRESS}:${ip}`, kind: KIND.ADDRESS, ip });
+  }
+  return targets;
+}
+
+/**
+ * Time a sign-in may be tried again
+ * @param {{user?: Document<User>, ip?: string}} attempt
+ * @returns {Promise<Date | null>} `null` if it may be tried now
+ */
+schema.statics.retryAt = async function retryAt(attempt) {
+  const targets = targetsOf(attempt);
+  if (!targets.length) {
+    return null;
+  }
+  const now = new Date();
+  const attempts = await this.find({ key: { $in: targets.map((target) => target.key) } });
+  return attempts.reduce((latest, counted) => {
+    const until = lockout.retryAt(counted, now);
+    return until && (!latest || until > latest) ? until : latest;
+  }, null);
+};
+
+/**
+ * Counts a failed sign-in. Reaching `loginMaxFailures` locks the account and tells its owner.
+ * @param {{user?: Document<User>, ip?: string}} attempt
+ * @returns {Promise<boolean>} whether the account got locked
+ */
+schema.statics.fail = async function fail(attempt) {
+  const now = new Date();
+  const window = constants.loginLockoutMinutes() * 60 * 1000;
+
+  const locked = await Promise.all(targetsOf(attempt).map(async ({ key, kind, ...target }) => {
+    const update = {
+      $inc: { failures: 1 },
+      $set: {
+        kind, ...target, lastFailureAt: now, expiresAt: new Date(now.getTime() + window),
+      },
+    };
+    // Concurrent first failures race to insert, the losers update
+    let counted;
+    for (let tries = 0; !counted; tries += 1) {
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        counted = await this.findOneAndUpdate({ key }, update, { upsert: true, new: true });
+      } catch (error) {
+        if (error.code !== 11000 || tries >= 2) {
+          throw error;
+        }
+      }
+    }
+
+    if (!lockout.locks(kind, counted.failures)) {
+      return false;
+    }
+    // Only one of concurrent failures locks, the count starts over after the lockout
+    const lockedUntil = new Date(now.getTime() + window);
+    const lockedNow = await this.findOneAndUpdate(
+      { key, failures: { $gte: counted.failures } },
+      { failures: 0, lockedUntil, expiresAt: new Date(lockedUntil.getTime() + window) },
+    );
+    return Boolean(lockedNow) && kind === KIND.ACCOUNT;
+  }));
+
+  if (locked.some(Boolean)) {
+    await notifier.deliver(attempt.user, {
+      type: NOTIFICATION_TYPE.ACCOUNT_LOCKED,
+      action: 'accountLocked',
+      subject: `${constants.serviceName()} account locked`,
+      message: `Your account was locked for ${constants.loginLockoutMinutes()} minutes after `
+        + `${constants.loginMaxFailures()} failed sign-ins. If it wasn't you, reset your password `
+        + 'once it unlocks.',
+      security: true,
+    });
+    return true;
+  }
+  return false;
+};
+
+/**
+ * Clears the failures of an account, on signing in
+ * @param {Document<User>} user
+ */
+schema.statics.succeed = async function succeed(user) {
+  await this.deleteOne({ key: targetsOf({ user })[0].key });
+};
+
+/**
+ * Lifts the waits and lockouts of an account, and of an address if given
+ * @param {{user?: Document<User>, ip?: string}} attempt
+ * @returns {Promise<number>} how many were lifted
+ */
+schema.statics.unlock = async function unlock(attempt) {
+  const { deletedCount } = await this.deleteMany({
+    key: { $in: targetsOf(attempt).map((target) => target.key) },
+  });
+  return deletedCount;
+};
+
+/**
+ * Failed sign-in model
+ */
+module.exports = model('LoginAttempt', schema);
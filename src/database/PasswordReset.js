@@ -0,0 +1,141 @@
+const { randomBytes } = require('crypto');
+const { Schema, model } = require('mongoose');
+const session = require('../utils/session');
+const constants = require('../utils/variables');
+
+/**
+ * Digits of the codes of SMS resets
+ */
+const CODE_LENGTH = 6;
+
+/**
+ * Password reset schema.
+ * * Only the hash of a token is stored
+ * * A token works once, and only the latest one of a user works
+ * * Email resets have a long token. SMS resets have a short code, hashed with the user id,
+ * guessed at most `otpMaxAttempts` times.
+ */
+const schema = new Schema({
+  hash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  user: {
+    type: Schema.Types.ObjectId,
+    required: true,
+    ref: 'User',
+  },
+  isCode: {
+    type: Boolean,
+    default: false,
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  usedAt: Date,
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+}, {
+  timestamps: true,
+});
+
+// MongoDB removes tokens once they expire
+schema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+schema.index({ user: 1 });
+
+/**
+ * Hash of the code of an SMS reset
+ * @param {string} userId
+ * @param {string} code
+ * @returns {string}
+ */
+function hashCode(userId, code) {
+  return session.hashToken(`${userId}:${code}`);
+}
+
+/**
+ * Issues a reset token of a user, earlier ones stop working
+ * @param {string} userId
+ * @returns {Promise<string>} the token
+ */
+schema.statics.issue = async function issue(userId) {
+  await this.deleteMany({ user: userId });
+  const token = session.generateRefreshToken();
+  await this.create({
+    hash: session.hashToken(token),
+    user: userId,
+    expiresAt: new Date(Date.now() + constants.passwordResetMinutes() * 60 * 1000),
+  });
+  return token;
+};
+
+/**
+ * Issues a reset code of a user to send by SMS, earlier tokens and codes stop working
+ * @param {string} userId
+ * @returns {Promise<string>} the code
+ */
+schema.statics.issueCode = async function issueCode(userId) {
+  await this.deleteMany({ user: userId });
+  const code = String(randomBytes(4).readUInt32BE(0) % (10 ** CODE_LENGTH))
+    .padStart(CODE_LENGTH, '0');
+  await this.create({
+    hash: hashCode(userId, code),
+    user: userId,
+    isCode: true,
+    expiresAt: new Date(Date.now() + constants.passwordResetMinutes() * 60 * 1000),
+  });
+  return code;
+};
+
+/**
+ * Uses up a reset token
+ * @param {string} token
+ * @returns {Promise<ObjectId | null>} the user the token is of, `null` for unknown, used or
+ * expired tokens
+ */
+schema.statics.redeem = async function redeem(token) {
+  const now = new Date();
+  // Only one of concurrent resets with a token uses it
+  const reset = await this.findOneAndUpdate({
+    hash: session.hashToken(token),
+    isCode: { $ne: true },
+    usedAt: { $exists: false },
+    expiresAt: { $gt: now },
+  }, { usedAt: now });
+  return reset ? reset.user : null;
+};
+
+/**
+ * Uses up the reset code of a user. Every guess counts, wrong ones included.
+ * @param {string} userId
+ * @param {string} code
+ * @returns {Promise<boolean>} whether the code was right, `false` once the user has no
+ * unused code left or has guessed `otpMaxAttempts` times
+ */
+schema.statics.redeemCode = async function redeemCode(userId, code) {
+  const now = new Date();
+  const reset = await this.findOneAndUpdate({
+    user: userId,
+    isCode: true,
+    usedAt: { $exists: false },
+    expiresAt: { $gt: now },
+    attempts: { $lt: constants.otpMaxAttempts() },
+  }, { $inc: { attempts: 1 } });
+  if (!reset || reset.hash !== hashCode(userId, code)) {
+    return false;
+  }
+  // Only one of concurrent resets with the code uses it
+  return Boolean(await this.findOneAndUpdate(
+    { _id: reset.id, usedAt: { $exists: false } },
+    { usedAt: now },
+  ));
+};
+
+/**
+ * Password reset model
+ */
+module.exports = model('PasswordReset', schema);
@@ -0,0 +1,157 @@
+const { Schema, model } = require('mongoose');
+const Counter = require('./Counter');
+const scheduling = require('../utils/scheduling');
+const timezone = require('../utils/timezone');
+const constants = require('../utils/variables');
+
+/**
+ * Queue token statuses
+ */
+const STATUS = {
+  WAITING: 'waiting',
+  CALLED: 'called',
+  SERVED: 'served',
+  CANCELLED: 'cancelled',
+};
+
+/**
+ * Walk-in queue token schema.
+ * * Tokens are numbered from 1 per doctor and clinic day, see `sequence`
+ * * The doctor calls waiting tokens in order of their numbers
+ */
+const schema = new Schema({
+  doctorId: {
+    type: Schema.Types.ObjectId,
+    required: true,
+    ref: 'Doctor',
+  },
+  // Clinic date at UTC midnight, as for reservations
+  date: {
+    type: Date,
+    required: true,
+  },
+  number: {
+    type: Number,
+    required: true,
+  },
+  name: {
+    type: String,
+    trim: true,
+    required: true,
+  },
+  phone: {
+    type: String,
+    trim: true,
+  },
+  // Account of the patient, if they have one
+  userId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  serviceId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Service',
+  },
+  status: {
+    type: String,
+    enum: Object.values(STATUS),
+    default: STATUS.WAITING,
+  },
+  issuedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  calledAt: Date,
+  servedAt: Date,
+}, {
+  timestamps: true,
+});
+
+schema.index({ doctorId: 1, date: 1, number: 1 }, { unique: true });
+// A doctor sees one token at a time, concurrent calls can't both call one
+schema.index({ doctorId: 1, date: 1 }, {
+  unique: true,
+  partialFilterExpression: { status: STATUS.CALLED },
+});
+
+schema.statics.STATUS = STATUS;
+
+/**
+ * Today's clinic date at UTC midnight
+ * @returns {Date}
+ */
+schema.statics.today = function today() {
+  return new Date(timezone.toZoned(new Date(), constants.clinicTimezone()).date);
+};
+
+/**
+ * Counter key of the token numbers of a doctor's queue on a day
+ * @param {string} doctorId
+ * @param {Date} date Clinic date at UTC midnight
+ * @returns {string}
+ */
+schema.statics.sequence = function sequence(doctorId, date) {
+  return `queue-${doctorId}-${scheduling.toDateString(date)}`;
+};
+
+/**
+ * Issues the next token of a doctor's queue today
+ * @param {object} fields `doctorId` `name` and optional `phone` `userId` `serviceId` `issuedBy`
+ * @returns {Promise<Document<QueueToken>>}
+ */
+schema.statics.issue = async function issue(fields) {
+  const date = this.today();
+  const number = await Counter.next(this.sequence(fields.doctorId, date));
+  return this.create({ ...fields, date, number });
+};
+
+/**
+ * Serves the token being seen and calls the next waiting one of a doctor's queue today
+ * @param {string} doctorId
+ * @returns {Promise<Document<QueueToken> | null>} the called token, the one a concurrent call
+ * called if it came first, `null` if none is waiting
+ */
+schema.statics.callNext = async function callNext(doctorId) {
+  const date = this.today();
+  const now = new Date();
+  await this.updateMany(
+    { doctorId, date, status: STATUS.CALLED },
+    { status: STATUS.SERVED, servedAt: now },
+  );
+  try {
+    return await this.findOneAndUpdate(
+      { doctorId, date, status: STATUS.WAITING },
+      { status: STATUS.CALLED, calledAt: now },
+      { new: true, sort: { number: 1 } },
+    );
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+    return this.findOne({ doctorId, date, status: STATUS.CALLED });
+  }
+};
+
+/**
+ * Lists the tokens of a doctor's queue on a day by number
+ * @param {string} doctorId
+ * @param {Date} date Clinic date at UTC midnight
+ * @returns {Promise<Document<QueueToken>[]>}
+ */
+schema.statics.findOn = function findOn(doctorId, date) {
+  return this.find({ doctorId, date }).sort({ number: 1 });
+};
+
+/**
+ * Lists the tokens of a doctor's queue today by number
+ * @param {string} doctorId
+ * @returns {Promise<Document<QueueToken>[]>}
+ */
+schema.statics.findToday = function findToday(doctorId) {
+  return this.findOn(doctorId, this.today());
+};
+
+/**
+ * Queue token model
+ */
+module.exports = model('QueueToken', schema);
@@ -0,0 +1,32 @@
+const { Schema, model } = require('mongoose');
+
+/**
+ * Rate limit counter schema, the requests of a key in a window. See `utils/rate-limit`.
+ */
+const schema = new Schema({
+  key: {
+    type: String,
+    required: true,
+  },
+  windowStart: {
+    type: Date,
+    required: true,
+  },
+  count: {
+    type: Number,
+    default: 0,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+schema.index({ key: 1, windowStart: 1 }, { unique: true });
+// MongoDB removes counters once sliding windows no longer look back at them
+schema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Rate limit counter model
+ */
+module.exports = model('RateLimit', schema);
@@ -0,0 +1,91 @@
+const { Schema, model } = require('mongoose');
+const session = require('../utils/session');
+const constants = require('../utils/variables');
+
+/**
+ * Refresh token schema.
+ * * Only the hash of a token is stored
+ * * Each refresh uses up the token and issues the next one of the session. Used tokens are
+ * kept until they expire to notice them being used again.
+ */
+const schema = new Schema({
+  hash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  // Session the token belongs to
+  client: {
+    type: Schema.Types.ObjectId,
+    required: true,
+    ref: 'Client',
+  },
+  user: {
+    type: Schema.Types.ObjectId,
+    required: true,
+    ref: 'User',
+  },
+  usedAt: Date,
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+}, {
+  timestamps: true,
+});
+
+// MongoDB removes tokens once they expire
+schema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+schema.index({ client: 1 });
+
+/**
+ * Issues a refresh token of a session
+ * @param {string} clientId
+ * @param {string} userId
+ * @returns {Promise<string>} the token
+ */
+schema.statics.issue = async function issue(clientId, userId) {
+  const token = session.generateRefreshToken();
+  await this.create({
+    hash: session.hashToken(token),
+    client: clientId,
+    user: userId,
+    expiresAt: new Date(Date.now() + constants.refreshTokenDays() * 24 * 60 * 60 * 1000),
+  });
+  return token;
+};
+
+/**
+ * Uses up a refresh token for the next one of its session. A token used before means it
+ * leaked, so the whole session is revoked.
+ * @param {string} token
+ * @returns {Promise<{client: ObjectId, user: ObjectId, refreshToken: string} | null>}
+ * the session and its next token, `null` for unknown or expired tokens
+ * @throws with `reused` when the token was used before
+ */
+schema.statics.rotate = async function rotate(token) {
+  const hash = session.hashToken(token);
+  const now = new Date();
+  // Only one of concurrent refreshes with a token uses it up
+  const current = await this.findOneAndUpdate(
+    { hash, usedAt: { $exists: false }, expiresAt: { $gt: now } },
+    { usedAt: now },
+  );
+  if (current) {
+    const refreshToken = await this.issue(current.client, current.user);
+    return { client: current.client, user: current.user, refreshToken };
+  }
+  const used = await this.findOne({ hash, usedAt: { $exists: true } });
+  if (used) {
+    await this.model('Client').revoke(used.client);
+    const error = new Error('Refresh token reused');
+    error.reused = true;
+    throw error;
+  }
+  return null;
+};
+
+/**
+ * Refresh token model
+ */
+module.exports = model('RefreshToken', schema);
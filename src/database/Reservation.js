@@ -0,0 +1,152 @@
+const { Schema, model } = require('mongoose');
+
+/**
+ * Slot reservation schema.
+ * * One document per booked slot; the unique index on `doctorId` `date` `slot`
+ * lets only one appointment hold a slot, however many requests race for it.
+ * * Waitlist offers hold slots until `expiresAt`. Expired holds no longer count
+ * and are dropped by the TTL index.
+ */
+const schema = new Schema({
+  doctorId: {
+    type: Schema.Types.ObjectId,
+    required: true,
+    ref: 'Doctor',
+  },
+  date: {
+    type: Date,
+    required: true,
+  },
+  slot: {
+    type: String,
+    required: true,
+  },
+  appointment: {
+    type: Schema.Types.ObjectId,
+    required() { return !this.waitlist; },
+    ref: 'Appointment',
+  },
+  waitlist: {
+    type: Schema.Types.ObjectId,
+    ref: 'Waitlist',
+  },
+  expiresAt: Date,
+}, {
+  timestamps: true,
+});
+
+schema.index({ doctorId: 1, date: 1, slot: 1 }, { unique: true });
+schema.index({ appointment: 1 });
+schema.index({ waitlist: 1 });
+schema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Finds the reservations of a doctor between two dates that still hold their slots
+ * @param {string} doctorId
+ * @param {Date} from
+ * @param {Date} to
+ */
+schema.statics.findTaken = function findTaken(doctorId, from, to) {
+  return this.find({
+    doctorId,
+    date: { $gte: from, $lte: to },
+    expiresAt: { $not: { $lte: new Date() } },
+  });
+};
+
+/**
+ * Inserts a reservation per slot for `owner`, or none of them
+ * @param {Model} Reservation
+ * @param {string} doctorId
+ * @param {Date} date
+ * @param {string[]} slots
+ * @param {{appointment: string} | {waitlist: string, expiresAt: Date}} owner
+ * @returns {Promise<boolean>} `false` if any slot is held by someone else
+ */
+async function take(Reservation, doctorId, date, slots, owner) {
+  // Expired holds the TTL monitor hasn't dropped yet give way
+  await Reservation.deleteMany({
+    doctorId, date, slot: { $in: slots }, expiresAt: { $lte: new Date() },
+  });
+  try {
+    await Reservation.insertMany(slots.map((slot) => ({
+      doctorId, date, slot, ...owner,
+    })));
+    return true;
+  } catch (error) {
+    // Roll back the slots reserved before hitting the taken one
+    const { expiresAt, ...key } = owner;
+    await Reservation.deleteMany({ ...key, date, slot: { $in: slots } });
+    if (error.code === 11000) {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Drops reservations of `slots` held by an appointment on `date`
+ * @param {string} appointment Appointment id
+ * @param {Date} date
+ * @param {string[]} slots
+ */
+schema.statics.unreserve = function unreserve(appointment, date, slots) {
+  return this.deleteMany({ appointment, date, slot: { $in: slots } });
+};
+
+/**
+ * Reserves every slot for an appointment, or none of them.
+ * @param {string} doctorId
+ * @param {Date} date
+ * @param {string[]} slots `HH:MM` slot start times
+ * @param {string} appointment Appointment id
+ * @returns {Promise<boolean>} `false` if any slot is held by another appointment
+ */
+schema.statics.reserve = function reserve(doctorId, date, slots, appointment) {
+  return take(this, doctorId, date, slots, { appointment });
+};
+
+/**
+ * Holds every slot for a waitlist offer until `expiresAt`, or none of them.
+ * @param {string} doctorId
+ * @param {Date} date
+ * @param {string[]} slots `HH:MM` slot start times
+ * @param {string} waitlist Waitlist entry id
+ * @param {Date} expiresAt
+ * @returns {Promise<boolean>} `false` if any slot is taken
+ */
+schema.statics.hold = function hold(doctorId, date, slots, waitlist, expiresAt) {
+  return take(this, doctorId, date, slots, { waitlist, expiresAt });
+};
+
+/**
+ * Hands the live slots held for a waitlist offer over to the appointment booked from it
+ * @param {string} waitlist Waitlist entry id
+ * @param {string} appointment Appointment id
+ * @returns {Promise<number>} number of slots handed over
+ */
+schema.statics.claim = async function claim(waitlist, appointment) {
+  const result = await this.updateMany(
+    { waitlist, expiresAt: { $gt: new Date() } },
+    { appointment, $unset: { waitlist: '', expiresAt: '' } },
+  );
+  return result.nModified;
+};
+
+/**
+ * Releases the slots held by an appointment
+ * @param {string} appointment Appointment id
+ * @param {{date: Date, slots: string[]}} [keep] Slots to keep holding
+ */
+schema.statics.release = function release(appointment, keep) {
+  const query = { appointment };
+  if (keep) {
+    query.$or = [{ date: { $ne: keep.date } }, { slot: { $nin: keep.slots } }];
+  }
+  return this.deleteMany(query);
+};
+
+/**
+ * Reservation model
+ */
+module.exports = model('Reservation', schema);
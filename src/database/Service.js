@@ -1,7 +1,12 @@
 const { Schema, model } = require('mongoose');
+const constants = require('../utils/variables');
 
 /**
- * Service model
+ * Service model.
+ * * `duration` is the appointment length in minutes, `buffer` the minutes the doctor
+ * needs after it, e.g. to clean up after a laser treatment
+ * * `prices` are the lines of the invoice of each appointment, amounts in the minor unit
+ * of `currency`
  */
 const serviceSchema = new Schema({
   name: {
@@ -10,6 +15,36 @@ const serviceSchema = new Schema({
     trim: true,
   },
   description: String,
+  duration: {
+    type: Number,
+    default: 10,
+    min: 5,
+  },
+  buffer: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  prices: [{
+    _id: false,
+    description: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+      validate: { validator: Number.isInteger, message: 'Amount must be in the minor unit' },
+    },
+    taxPercent: {
+      type: Number,
+      min: 0,
+      max: 100,
+      default: () => constants.taxPercent(),
+    },
+  }],
   staff: [{
     type: Schema.Types.ObjectId,
     ref: 'Doctor',
@@ -1,5 +1,7 @@
 const { Schema, model } = require('mongoose');
 const speakeasy = require('speakeasy');
+const otp = require('../utils/otp');
+const constants = require('../utils/variables');
 
 /**
  * Client schema
@@ -11,6 +13,11 @@ const schema = new Schema({
     required: true,
   },
   secret: String,
+  // Codes tried, see `check`
+  attempts: {
+    type: Number,
+    default: 0,
+  },
 }, {
   timestamps: true,
 });
@@ -32,6 +39,32 @@ schema.statics.findByToken = function findByToken(token) {
   return this.findOne({ token });
 };
 
+/**
+ * Checks a code. Each check uses up one of `otpMaxAttempts`, the OTP is removed once they
+ * run out so it can't be guessed at.
+ * @param {string} code
+ * @returns {Promise<boolean | null>} `null` if no attempts were left
+ */
+schema.methods.check = async function check(code) {
+  // Counted before checking, so concurrent guesses can't get past the limit
+  const counted = await this.model('TOTP').findOneAndUpdate(
+    { _id: this.id, attempts: { $lt: constants.otpMaxAttempts() } },
+    { $inc: { attempts: 1 } },
+    { new: true },
+  );
+  if (!counted) {
+    await this.model('TOTP').deleteOne({ _id: this.id });
+    return null;
+  }
+  if (otp.verifyOTP(this.secret, code)) {
+    return true;
+  }
+  if (counted.attempts >= constants.otpMaxAttempts()) {
+    await this.model('TOTP').deleteOne({ _id: this.id });
+  }
+  return false;
+};
+
 /**
  * Client model
  */
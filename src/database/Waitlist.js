@@ -0,0 +1,231 @@
+/* eslint-disable no-console */
+const { Schema, model } = require('mongoose');
+const Doctor = require('./Doctor');
+const Leave = require('./Leave');
+const Reservation = require('./Reservation');
+const scheduling = require('../utils/scheduling');
+const timezone = require('../utils/timezone');
+const constants = require('../utils/variables');
+const notifier = require('../utils/notifier');
+const { NOTIFICATION_TYPE } = require('../utils/notification-helper');
+
+/**
+ * Waitlist entry statuses
+ */
+const STATUS = {
+  WAITING: 'waiting',
+  OFFERED: 'offered',
+  BOOKED: 'booked',
+  EXPIRED: 'expired',
+  CANCELLED: 'cancelled',
+};
+
+/**
+ * Waitlist schema.
+ * * Patients wait for a doctor and service on clinic dates `from`..`to`
+ * * When slots free up the oldest matching entry is offered a `hold` on them
+ */
+const schema = new Schema({
+  userId: {
+    type: Schema.Types.ObjectId,
+    required: true,
+    ref: 'User',
+  },
+  doctorId: {
+    type: Schema.Types.ObjectId,
+    required: true,
+    ref: 'Doctor',
+  },
+  serviceId: {
+    type: Schema.Types.ObjectId,
+    required: true,
+    ref: 'Service',
+  },
+  appointmentFor: {
+    type: Schema.Types.ObjectId,
+    required: true,
+    refPath: 'patientModel',
+  },
+  patientModel: {
+    type: String,
+    required: true,
+    enum: ['User', 'Family'],
+    default: 'User',
+  },
+  from: {
+    type: Date,
+    required: true,
+  },
+  to: {
+    type: Date,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: Object.values(STATUS),
+    default: STATUS.WAITING,
+  },
+  hold: {
+    start: Date,
+    end: Date,
+    expiresAt: Date,
+  },
+  appointment: {
+    type: Schema.Types.ObjectId,
+    ref: 'Appointment',
+  },
+}, {
+  timestamps: true,
+});
+
+schema.index({ doctorId: 1, status: 1, createdAt: 1 });
+
+schema.statics.STATUS = STATUS;
+
+/**
+ * Serializes the range as clinic dates and the hold with the clinic offset
+ */
+schema.set('toJSON', {
+  transform: (_document, entry) => {
+    const timeZone = constants.clinicTimezone();
+    const hold = entry.hold && entry.hold.start && {
+      start: timezone.toISOString(entry.hold.start, timeZone),
+      end: timezone.toISOString(entry.hold.end, timeZone),
+      expiresAt: timezone.toISOString(entry.hold.expiresAt, timeZone),
+    };
+    return {
+      ...entry,
+      from: scheduling.toDateString(entry.from),
+      to: scheduling.toDateString(entry.to),
+      hold,
+    };
+  },
+});
+
+/**
+ * Pre validate hook to check the range is consistent
+ */
+schema.pre('validate', function preValidate() {
+  if (this.from > this.to) {
+    this.invalidate('to', 'Range must end after it starts');
+  }
+});
+
+/**
+ * Offers the oldest matching waiting entry a hold on free slots of a doctor's day
+ * @param {string} doctorId
+ * @param {Date} day Clinic date (UTC midnight)
+ * @returns {Promise<Document<Waitlist> | undefined>} the offered entry, if any
+ */
+schema.statics.offerFreedSlots = async function offerFreedSlots(doctorId, day) {
+  const entries = await this.find({
+    doctorId,
+    status: STATUS.WAITING,
+    from: { $lte: day },
+    to: { $gte: day },
+  })
+    .sort({ createdAt: 1 })
+    .populate({ path: 'serviceId', select: 'duration buffer' });
+  if (entries.length === 0) {
+    return undefined;
+  }
+
+  const doctor = await Doctor.findById(doctorId);
+  const hours = doctor && scheduling.workingHoursOn(doctor, day);
+  if (!hours) {
+    return undefined;
+  }
+
+  const timeZone = constants.clinicTimezone();
+  const date = scheduling.toDateString(day);
+  const reserved = (await Reservation.findTaken(doctorId, day, day))
+    .map((reservation) => reservation.slot);
+  const leaves = await Leave.findFor(doctorId, day, day);
+  const now = new Date();
+
+  // eslint-disable-next-line no-restricted-syntax
+  for (const entry of entries.filter((item) => item.serviceId)) {
+    const { duration, buffer } = entry.serviceId;
+    const count = Math.ceil((duration + buffer) / hours.slotLength);
+    const starts = scheduling.freeStarts(hours, day, reserved, leaves, count)
+      .filter((slot) => timezone.fromZoned(date, slot, timeZone) > now);
+
+    // eslint-disable-next-line no-restricted-syntax
+    for (const slot of starts) {
+      const start = timezone.fromZoned(date, slot, timeZone);
+      const booking = scheduling.slotsFor(doctor, start, duration + buffer, timeZone);
+      const expiresAt = new Date(now.getTime() + constants.waitlistHoldMinutes() * 60000);
+      // eslint-disable-next-line no-await-in-loop
+      if (booking && await Reservation.hold(doctorId, day, booking.slots, entry.id, expiresAt)) {
+        entry.status = STATUS.OFFERED;
+        entry.hold = { start, end: new Date(start.getTime() + duration * 60000), expiresAt };
+        // eslint-disable-next-line no-await-in-loop
+        await entry.save();
+        // eslint-disable-next-line no-await-in-loop
+        await entry.notifyOffer().catch(console.error);
+        return entry;
+      }
+    }
+  }
+  return undefined;
+};
+
+/**
+ * Offers the slots an appointment no longer holds to the waitlist of its day
+ * @param {Document<Appointment>} appointment Cancelled, missed or rescheduled appointment
+ * @param {Date} [start] Start the appointment left, its own start by default
+ */
+schema.statics.offerSlotsOf = function offerSlotsOf(appointment, start) {
+  const { date } = timezone.toZoned(start || appointment.start, constants.clinicTimezone());
+  return this.offerFreedSlots(appointment.doctorId, new Date(date));
+};
+
+/**
+ * Expires the offers nobody booked in time and offers their slots to the next in line
+ */
+schema.statics.expireHolds = async function expireHolds() {
+  const expired = await this.find({
+    status: STATUS.OFFERED,
+    'hold.expiresAt': { $lte: new Date() },
+  });
+  await Promise.all(expired.map(async (entry) => {
+    // Only one sweep gets to expire an offer
+    const { nModified } = await this.updateOne(
+      { _id: entry.id, status: STATUS.OFFERED },
+      { status: STATUS.EXPIRED },
+    );
+    if (nModified === 0) {
+      return;
+    }
+    await Reservation.deleteMany({ waitlist: entry.id });
+    const { date } = timezone.toZoned(entry.hold.start, constants.clinicTimezone());
+    await this.offerFreedSlots(entry.doctorId, new Date(date));
+  }));
+};
+
+/**
+ * Tells the patient of the offered hold over the channels they opted in to
+ */
+schema.methods.notifyOffer = async function notifyOffer() {
+  await this.populate({
+    path: 'userId',
+    select: 'email phone fcm_token notificationPreferences',
+  }).execPopulate();
+  if (!this.userId) {
+    return;
+  }
+
+  const timeZone = constants.clinicTimezone();
+  await notifier.deliver(this.userId, {
+    type: NOTIFICATION_TYPE.WAITLIST_OFFER,
+    action: 'waitlistOffer',
+    subject: 'A slot opened up',
+    message: `A slot at ${timezone.toISOString(this.hold.start, timeZone)} is held for you `
+      + `until ${timezone.toISOString(this.hold.expiresAt, timeZone)}. Book it from the app.`,
+  });
+};
+
+/**
+ * Waitlist model
+ */
+module.exports = model('Waitlist', schema);
@@ -1,12 +1,51 @@
 const Appointment = require('./Appointment');
+const AppointmentSeries = require('./AppointmentSeries');
+const CalendarFeed = require('./CalendarFeed');
 const Client = require('./Client');
+const RefreshToken = require('./RefreshToken');
+const LoginAttempt = require('./LoginAttempt');
+const RateLimit = require('./RateLimit');
+const PasswordReset = require('./PasswordReset');
 const Doctor = require('./Doctor');
 const User = require('./user');
 const Family = require('./Family');
 const TOTP = require('./TOTP');
 const Service = require('./Service');
-const Notification = require('./Notification')
+const Notification = require('./Notification');
+const Reservation = require('./Reservation');
+const Leave = require('./Leave');
+const Job = require('./Job');
+const Waitlist = require('./Waitlist');
+const QueueToken = require('./QueueToken');
+const Invoice = require('./Invoice');
+const InsurancePolicy = require('./InsurancePolicy');
+const Claim = require('./Claim');
+const Counter = require('./Counter');
+const { migrate } = require('./migrations');
 
 module.exports = {
-  Appointment, Client, Doctor, User, Family, TOTP, Service,Notification
+  Appointment,
+  AppointmentSeries,
+  CalendarFeed,
+  Client,
+  RefreshToken,
+  LoginAttempt,
+  RateLimit,
+  PasswordReset,
+  Doctor,
+  User,
+  Family,
+  TOTP,
+  Service,
+  Notification,
+  Reservation,
+  Leave,
+  Job,
+  Waitlist,
+  QueueToken,
+  Invoice,
+  InsurancePolicy,
+  Claim,
+  Counter,
+  migrate,
 };
@@ -0,0 +1,274 @@
+/* eslint-disable no-console */
+const { Types } = require('mongoose');
+const Appointment = require('./Appointment');
+const Claim = require('./Claim');
+const Client = require('./Client');
+const Counter = require('./Counter');
+const Doctor = require('./Doctor');
+const Family = require('./Family');
+const Invoice = require('./Invoice');
+const QueueToken = require('./QueueToken');
+const Reservation = require('./Reservation');
+const Service = require('./Service');
+const User = require('./user');
+const {
+  normalizeTime, toMinutes, toTime, toDateString, slotsBetween, workingHoursOn,
+} = require('../utils/scheduling');
+const { fromZoned, toZoned } = require('../utils/timezone');
+const { clinicTimezone } = require('../utils/variables');
+const { STATUS, ACTIVE, UPCOMING } = require('../utils/appointment-status');
+const { PAYMENT_TYPE } = require('../utils/billing');
+
+/**
+ * Legacy appointments booked 10 minute slots
+ */
+const LEGACY_SLOT_LENGTH = 10;
+
+/**
+ * Converts legacy 12-hour clock slot times to 24-hour.
+ * The clinic opened at 8 AM, so earlier hours were in the afternoon.
+ * @param {string} time `H:MM` without a meridiem
+ * @returns {string} `HH:MM`
+ */
+function toLegacy24Hour(time) {
+  const [hours, minutes] = normalizeTime(time).split(':').map(Number);
+  return toTime((hours < 8 ? hours + 12 : hours) * 60 + minutes);
+}
+
+/**
+ * Replaces the `date` `time` of appointments booked before the timezone-aware
+ * `start` `end` with the UTC instants they meant in the clinic time zone.
+ * Their reservations are dropped to be rebuilt from the new times.
+ */
+async function convertLegacyTimes() {
+  const timeZone = clinicTimezone();
+  const legacy = await Appointment.collection
+    .find({ start: { $exists: false }, date: { $exists: true } })
+    .toArray();
+  await Promise.all(legacy.map(async ({ _id: id, date: day, time }) => {
+    const times = (time || []).map(toLegacy24Hour).sort();
+    if (!times.length) {
+      console.error(`[!] appointment ${id} has no time, skipped`);
+      return;
+    }
+    const date = toDateString(day);
+    const start = fromZoned(date, times[0], timeZone);
+    const end = fromZoned(date,
+      toTime(toMinutes(times[times.length - 1]) + LEGACY_SLOT_LENGTH), timeZone);
+    await Appointment.collection.updateOne(
+      { _id: id },
+      { $set: { start, end }, $unset: { date: '', time: '' } },
+    );
+    await Reservation.release(id);
+  }));
+}
+
+/**
+ * Replaces `isDeleted` of appointments booked before statuses with
+ * `cancelled` or `booked`
+ */
+async function setAppointmentStatus() {
+  await Appointment.collection.updateMany(
+    { status: { $exists: false }, isDeleted: true },
+    { $set: { status: STATUS.CANCELLED } },
+  );
+  await Appointment.collection.updateMany(
+    { status: { $exists: false } },
+    { $set: { status: STATUS.BOOKED } },
+  );
+  await Appointment.collection.updateMany({}, { $unset: { isDeleted: '' } });
+}
+
+/**
+ * Reserves the slots of live appointments missing reservations
+ * and drops the superseded `Doctor.busySlots`.
+ */
+async function reserveBookedSlots() {
+  const timeZone = clinicTimezone();
+  const appointments = await Appointment.find({ status: { $in: ACTIVE } });
+  const doctors = await Doctor.find({
+    _id: { $in: appointments.map((appointment) => appointment.doctorId) },
+  });
+  await Promise.all(appointments.map((appointment) => {
+    const doctor = doctors.find((document) => document.id === String(appointment.doctorId));
+    const hours = doctor && workingHoursOn(doctor,
+      new Date(toZoned(appointment.start, timeZone).date));
+    const booking = slotsBetween(appointment.start, appointment.end,
+      hours ? hours.slotLength : LEGACY_SLOT_LENGTH, timeZone)
+      // Lengths off the slot grid still hold their first slot
+      || slotsBetween(appointment.start, new Date(appointment.start.getTime() + 60000), 1,
+        timeZone);
+    return Reservation.insertMany(
+      booking.slots.map((slot) => ({
+        doctorId: appointment.doctorId,
+        date: booking.date,
+        slot,
+        appointment: appointment.id,
+      })),
+      { ordered: false },
+    ).catch((error) => {
+      // Already reserved slots are expected on re-runs
+      if (error.code !== 11000) {
+        throw error;
+      }
+    });
+  }));
+  await Doctor.collection.updateMany({}, { $unset: { busySlots: '' } });
+}
+
+/**
+ * Replaces the free-form `appointmentFor` names with the account holder or the
+ * family member of that name
+ */
+async function linkAppointmentPatients() {
+  const legacy = await Appointment.collection
+    .find({ appointmentFor: { $type: 'string' } })
+    .toArray();
+  await Promise.all(legacy.map(async ({ _id: id, userId, appointmentFor }) => {
+    const user = await User.findById(userId);
+    const name = appointmentFor.trim().toLowerCase();
+    const member = user && await Family.findOne({
+      _id: { $in: user.family },
+      $expr: {
+        $in: [name, [
+          { $toLower: '$firstName' },
+          { $toLower: { $concat: ['$firstName', ' ', '$lastName'] } },
+        ]],
+      },
+    });
+    await Appointment.collection.updateOne(
+      { _id: id },
+      {
+        $set: member
+          ? { appointmentFor: Types.ObjectId(member.id), patientModel: 'Family' }
+          : { appointmentFor: userId, patientModel: 'User' },
+      },
+    );
+  }));
+}
+
+/**
+ * Links appointments booked before services were required to the service
+ * of their doctor, where the doctor offers only one
+ */
+async function linkAppointmentServices() {
+  const legacy = await Appointment.collection
+    .find({ serviceId: { $exists: false } })
+    .toArray();
+  await Promise.all(legacy.map(async ({ _id: id, doctorId }) => {
+    const services = await Service.find({ staff: doctorId });
+    if (services.length !== 1) {
+      console.error(`[!] appointment ${id} has no unambiguous service, skipped`);
+      return;
+    }
+    await Appointment.collection.updateOne(
+      { _id: id },
+      { $set: { serviceId: Types.ObjectId(services[0].id) } },
+    );
+  }));
+}
+
+/**
+ * Plans reminders for upcoming appointments booked before reminders were scheduled
+ */
+async function planUpcomingReminders() {
+  const upcoming = await Appointment.find({
+    status: { $in: UPCOMING },
+    start: { $gt: new Date() },
+  });
+  await Promise.all(upcoming.map((appointment) => appointment.planReminders()));
+}
+
+/**
+ * Archives the doctor, service and patient details of appointments booked before they
+ * were archived. Details of removed doctors and services are lost already.
+ */
+async function archiveAppointmentDetails() {
+  const appointments = await Appointment.find({ 'archive.doctorName': { $exists: false } });
+  await Promise.all(appointments.map(async (appointment) => {
+    await appointment.archiveDetails();
+    // Saving the document would notify the user of a reschedule
+    await Appointment.collection.updateOne(
+      { _id: appointment.get('_id') },
+      { $set: { archive: appointment.toObject().archive } },
+    );
+  }));
+}
+
+/**
+ * Maps the free-form payment types of appointments to `PAYMENT_TYPE`.
+ * Other types, e.g. `UPI`, count as online payments.
+ */
+async function normalizePaymentTypes() {
+  const types = Object.values(PAYMENT_TYPE);
+  const appointments = await Appointment.collection
+    .find({ paymentType: { $nin: types } })
+    .project({ paymentType: 1 })
+    .toArray();
+  await Promise.all(appointments.map(({ _id: id, paymentType }) => {
+    const type = String(paymentType || '').trim().toLowerCase();
+    return Appointment.collection.updateOne(
+      { _id: id },
+      { $set: { paymentType: types.includes(type) ? type : PAYMENT_TYPE.ONLINE } },
+    );
+  }));
+}
+
+/**
+ * Drops the unique index of the legacy `token` of clients. Clients signed in since access
+ * tokens expired have none, and the index would let only one of them in.
+ */
+async function dropClientTokenIndex() {
+  const indexes = await Client.collection.indexes().catch(() => []);
+  if (indexes.some((index) => index.name === 'token_1')) {
+    await Client.collection.dropIndex('token_1');
+  }
+}
+
+/**
+ * Moves the counters of numbered documents on to the numbers taken before they were counted
+ */
+async function seedCounters() {
+  const queues = await QueueToken.aggregate([
+    { $match: { date: QueueToken.today() } },
+    { $group: { _id: '$doctorId', number: { $max: '$number' } } },
+  ]);
+  const [invoice] = await Invoice.find().sort({ number: -1 }).limit(1);
+  const [claim] = await Claim.find().sort({ number: -1 }).limit(1);
+  await Promise.all([
+    invoice && Counter.seed(Invoice.SEQUENCE, invoice.number),
+    claim && Counter.seed(Claim.SEQUENCE, claim.number),
+    ...queues.map(({ _id: doctorId, number }) => Counter
+      .seed(QueueToken.sequence(doctorId, QueueToken.today()), number)),
+  ]);
+}
+
+/**
+ * Data migrations in the order they must run. Each must be safe to re-run.
+ */
+const migrations = [
+  convertLegacyTimes,
+  setAppointmentStatus,
+  reserveBookedSlots,
+  linkAppointmentPatients,
+  linkAppointmentServices,
+  planUpcomingReminders,
+  archiveAppointmentDetails,
+  normalizePaymentTypes,
+  dropClientTokenIndex,
+  seedCounters,
+];
+
+/**
+ * Runs every data migration
+ */
+async function migrate() {
+  // eslint-disable-next-line no-restricted-syntax
+  for (const migration of migrations) {
+    console.log(`[*] migration: ${migration.name}`);
+    // eslint-disable-next-line no-await-in-loop
+    await migration();
+  }
+}
+
+module.exports = { migrate };
@@ -89,6 +89,26 @@ const usersSchema = new Schema({
     ref: 'Client',
   }],
   avatar: String,
+  // Appointments cancelled with less notice than the cancellation policy asks for
+  lateCancellations: {
+    type: Number,
+    default: 0,
+  },
+  // Channels reminders and other notices go out on
+  notificationPreferences: {
+    push: {
+      type: Boolean,
+      default: true,
+    },
+    email: {
+      type: Boolean,
+      default: true,
+    },
+    sms: {
+      type: Boolean,
+      default: false,
+    },
+  },
 }, {
   timestamps: true,
 });
@@ -5,19 +5,36 @@ const yargs = require('yargs');
 const { connect } = require('mongoose');
 const swaggerUI = require('swagger-ui-express');
 const yaml = require('yamljs');
-const { constants, smsServer, emailServer } = require('./utils');
+const {
+  constants, middlewares, smsServer, emailServer, scheduler, reminders,
+} = require('./utils');
+const {
+  migrate, Waitlist, Appointment, Invoice,
+} = require('./database');
 const {
   UserRouter, DoctorRouter, ServiceRouter, AppointmentRouter, LocationRouter, NotificationRouter,
+  LeaveRouter, CalendarRouter, QueueRouter, InvoiceRouter, ClaimRouter,
 } = require('./routes');
 
 const App = express();
 App.use(express.json())
+// Routes sending OTPs or creating accounts have stricter budgets of their own
+App.use(middlewares.rateLimit({
+  name: 'api',
+  max: constants.rateLimitMax,
+  windowSeconds: constants.rateLimitWindowSeconds,
+}));
 App.use('/accounts', UserRouter);
 App.use(DoctorRouter);
 App.use(ServiceRouter);
 App.use(AppointmentRouter);
 App.use(LocationRouter);
 App.use(NotificationRouter);
+App.use(LeaveRouter);
+App.use(CalendarRouter);
+App.use(QueueRouter);
+App.use(InvoiceRouter);
+App.use(ClaimRouter);
 const swaggerDocs = yaml.load('assets/api-docs.yaml');
 App.use('/api-docs', swaggerUI.serve, swaggerUI.setup(swaggerDocs));
 
@@ -37,6 +54,13 @@ const argv = yargs(process.argv.slice(2))
       describe: 'Enable realtime analytics & services',
       boolean: true,
     },
+    /**
+     * --migrate runs data migrations before the server starts listening
+     */
+    migrate: {
+      describe: 'Run data migrations',
+      boolean: true,
+    },
     /**
      * --dashboard sets up a dashboard to be served
      */
@@ -50,16 +74,34 @@ const argv = yargs(process.argv.slice(2))
 // Inject test values into runtime environment
 if (argv.development) {
   config({ path: '.env' });
+  process.env.NODE_ENV = process.env.NODE_ENV || 'development';
 }
 
+// Addresses of sessions, see `geoip`
+App.set('trust proxy', constants.trustProxy());
+
 process.stdout.write('- Connecting to mongodb');
 connect(constants.mongoUri(), {
   useCreateIndex: true,
   useNewUrlParser: true,
   useUnifiedTopology: true,
-}).then((connection) => {
+}).then(async (connection) => {
   process.stdout.write(`: mongodb v.${connection.version} online\n`);
 
+  if (argv.migrate) {
+    process.stdout.write('- running migrations\n');
+    await migrate();
+  }
+
+  // Run persisted jobs such as appointment reminders and invoice settlements
+  scheduler.define(Appointment.REMINDER_JOB, reminders.sendReminder);
+  scheduler.define(Invoice.SETTLEMENT_JOB, (job) => Invoice.runSettlement(job));
+  scheduler.start();
+
+  // Hand lapsed waitlist offers to the next in line
+  // eslint-disable-next-line no-console
+  setInterval(() => Waitlist.expireHolds().catch(console.error), 60 * 1000);
+
   process.stdout.write('- setting up listener');
   const server = createServer(App);
   server.listen(constants.port(), () => {
@@ -1,407 +1,2003 @@
-const express = require('express')
-const router = new express.Router()
-const { User, Client, Appointment, Doctor, Family} = require('../database')
-const { middlewares, errors } = require('../utils')
-const { urlencoded, request } = require('express')
+/* eslint-disable no-console */
+const { randomBytes } = require('crypto');
+const { Router, urlencoded, json } = require('express');
+const {
+  User, Appointment, AppointmentSeries, Doctor, Family, InsurancePolicy, Invoice, Reservation,
+  Leave, Service, Waitlist,
+} = require('../database');
+const {
+  constants, middlewares, errors, scheduling, timezone, appointmentStatus, recurrence, policy,
+  video, customValidators,
+} = require('../utils');
 
+const router = Router();
 
+/**
+ * Appointments listed per page by default
+ */
+const PAGE_SIZE = 20;
 
-router.post(
-  '/appointments',
-  express.json(),
+/**
+ * Most appointments listed per page
+ */
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Reads the start of a booking or reschedule, which must be ahead
+ * @param {string} value ISO-8601 date-time with an offset
+ * @param {Response} response
+ * @returns {Date}
+ */
+function parseStart(value, response) {
+  const start = timezone.parseInstant(value);
+  if (!start) {
+    response.status(errors.INVALID_SLOTS.code);
+    throw errors.INVALID_SLOTS.error;
+  }
+
+  if (start <= new Date()) {
+    response.status(errors.SLOTS_IN_PAST.code);
+    throw errors.SLOTS_IN_PAST.error;
+  }
+
+  return start;
+}
+
+/**
+ * Gets the service being booked
+ * @param {string} serviceId
+ * @param {Response} response
+ */
+async function findService(serviceId, response) {
+  const service = await Service.findById(serviceId).catch((error) => {
+    console.error(error);
+    response.status(errors.FIND_SERVICE_FAILED.code);
+    throw errors.FIND_SERVICE_FAILED.error;
+  });
+
+  if (!service) {
+    response.status(errors.NULL_SERVICE.code);
+    throw errors.NULL_SERVICE.error;
+  }
+
+  return service;
+}
+
+/**
+ * Resolves who an appointment is for.
+ * * `self` or nothing books for the account holder, otherwise one of their family member ids
+ * @param {string} appointmentFor
+ * @param {string} userId
+ * @param {Response} response
+ * @returns {Promise<{appointmentFor: string, patientModel: 'User' | 'Family'}>}
+ */
+async function findPatient(appointmentFor, userId, response) {
+  if (!appointmentFor || appointmentFor === 'self' || appointmentFor === userId) {
+    return { appointmentFor: userId, patientModel: 'User' };
+  }
+
+  const member = await Family.findOne({
+    _id: appointmentFor,
+    isDeleted: { $ne: true },
+  }).catch((error) => {
+    console.error(error);
+    response.status(errors.FIND_FAMILY_FAILED.code);
+    throw errors.FIND_FAMILY_FAILED.error;
+  });
+
+  if (!member) {
+    response.status(errors.NULL_FAMILY.code);
+    throw errors.NULL_FAMILY.error;
+  }
+
+  // Check if the member belongs to the user
+  const belongsToMe = await User.exists({
+    _id: userId,
+    family: member.id,
+  }).catch((error) => {
+    console.error(error);
+    response.status(errors.FIND_USER_FAILED.code);
+    throw errors.FIND_USER_FAILED.error;
+  });
+
+  if (!belongsToMe) {
+    response.status(errors.UNOWNED_DOCUMENT.code);
+    throw errors.UNOWNED_DOCUMENT.error;
+  }
+
+  return { appointmentFor: member.id, patientModel: 'Family' };
+}
+
+/**
+ * Checks the insurance policy an appointment is billed to.
+ * * The policy must be the account holder's, cover the patient and be active on every start
+ * @param {string} [policyId] Nothing when the appointment isn't billed to a policy
+ * @param {string} patientId `appointmentFor` of the appointment
+ * @param {string} userId Account holder
+ * @param {Date[]} starts
+ * @param {Response} response
+ * @returns {Promise<string | undefined>} the policy id
+ */
+async function checkInsurance(policyId, patientId, userId, starts, response) {
+  if (!policyId) {
+    return undefined;
+  }
+
+  const insurance = await InsurancePolicy.findOne({
+    _id: policyId,
+    user: userId,
+    isDeleted: { $ne: true },
+  }).catch((error) => {
+    console.error(error);
+    response.status(errors.FIND_INSURANCE_POLICY_FAILED.code);
+    throw errors.FIND_INSURANCE_POLICY_FAILED.error;
+  });
+
+  if (!insurance) {
+    response.status(errors.NULL_INSURANCE_POLICY.code);
+    throw errors.NULL_INSURANCE_POLICY.error;
+  }
+
+  if (!insurance.covers(patientId)) {
+    response.status(errors.INSURANCE_NOT_COVERED.code);
+    throw errors.INSURANCE_NOT_COVERED.error;
+  }
+
+  if (!starts.every((start) => insurance.isActiveOn(start))) {
+    response.status(errors.INSURANCE_INACTIVE.code);
+    throw errors.INSURANCE_INACTIVE.error;
+  }
+
+  return insurance.id;
+}
+
+/**
+ * Moves an appointment to `status`
+ * @param {string} id Appointment id
+ * @param {string} status
+ * @param {string} userId Id of the user moving it
+ * @param {Response} response
+ * @param {object} [conditions] Extra conditions the appointment must meet
+ * @returns {Promise<Document<Appointment>>} the moved appointment
+ */
+async function moveTo(id, status, userId, response, conditions) {
+  const appointment = await Appointment.transition(id, status, userId, conditions)
+    .catch((error) => {
+      console.error(error);
+      response.status(errors.UPDATE_APPOINTMENT_FAILED.code);
+      throw errors.UPDATE_APPOINTMENT_FAILED.error;
+    });
+
+  if (!appointment) {
+    const exists = await Appointment.exists({ _id: id }).catch((error) => {
+      console.error(error);
+      response.status(errors.FIND_APPOINTMENT_FAILED.code);
+      throw errors.FIND_APPOINTMENT_FAILED.error;
+    });
+    const { code, error } = exists ? errors.INVALID_STATUS_TRANSITION : errors.NULL_APPOINTMENT;
+    response.status(code);
+    throw error;
+  }
+
+  // Slots freed by a cancellation or no-show go to the waitlist
+  if (!appointmentStatus.ACTIVE.includes(status)) {
+    await Waitlist.offerSlotsOf(appointment).catch(console.error);
+  }
+
+  return appointment;
+}
+
+/**
+ * Checks if the caller overrides the cancellation and reschedule policy, which only admins may
+ * @param {Request} request With optional `override` in the query or body
+ * @param {Response} response
+ * @returns {Promise<boolean>}
+ */
+async function isOverride(request, response) {
+  const override = request.query.override || (request.body && request.body.override);
+  if (String(override) !== 'true') {
+    return false;
+  }
+
+  const isAdmin = await User.exists({
+    _id: request.params.userId,
+    elevatedAccess: true,
+  }).catch((error) => {
+    console.error(error);
+    response.status(errors.FIND_USER_FAILED.code);
+    throw errors.FIND_USER_FAILED.error;
+  });
+
+  if (!isAdmin) {
+    response.status(errors.NO_ELEVATED_ACCESS.code);
+    throw errors.NO_ELEVATED_ACCESS.error;
+  }
+
+  return true;
+}
+
+/**
+ * Checks a change of an appointment against its ownership and the policy, see `utils/policy`
+ * @param {Document<Appointment>} appointment
+ * @param {'cancel' | 'reschedule'} change
+ * @param {string} userId
+ * @param {boolean} override Skips every check
+ * @param {Response} response
+ * @returns {boolean} whether the change is late
+ */
+function enforcePolicy(appointment, change, userId, override, response) {
+  if (override) {
+    return false;
+  }
+
+  if (String(appointment.userId) !== userId) {
+    response.status(errors.UNOWNED_DOCUMENT.code);
+    throw errors.UNOWNED_DOCUMENT.error;
+  }
+
+  const { error, isLate } = policy.evaluate(change, appointment);
+  if (error) {
+    response.status(errors[error].code);
+    throw errors[error].error;
+  }
+
+  return isLate;
+}
+
+/**
+ * Records late cancellations on the appointments and against their user
+ * @param {string[]} ids Appointment ids
+ * @param {string} userId
+ */
+async function recordLateCancellations(ids, userId) {
+  if (ids.length === 0) {
+    return;
+  }
+  await Appointment.updateMany({ _id: { $in: ids } }, { lateCancellation: true });
+  await User.updateOne({ _id: userId }, { $inc: { lateCancellations: ids.length } });
+}
+
+/**
+ * Checks if a leave or clinic closure blocks any of the slots
+ * @param {Document<Doctor>} doctor
+ * @param {Date} date
+ * @param {string[]} slots
+ * @param {Response} response
+ * @returns {Promise<boolean>}
+ */
+async function isOnLeave(doctor, date, slots, response) {
+  const leaves = await Leave.findFor(doctor.id, date, date).catch((error) => {
+    console.error(error);
+    response.status(errors.FIND_LEAVE_FAILED.code);
+    throw errors.FIND_LEAVE_FAILED.error;
+  });
+  const { slotLength } = scheduling.workingHoursOn(doctor, date);
+  return slots.some((slot) => scheduling.isOnLeave(leaves, date, slot, slotLength));
+}
+
+/**
+ * Checks each occurrence of a series against the doctor's working hours, leaves and bookings
+ * @param {Document<Doctor>} doctor
+ * @param {Date[]} starts
+ * @param {number | number[]} minutes Service duration and buffer, or per start
+ * @param {string[]} own Ids of appointments whose slots the series may take over
+ * @param {Response} response
+ * @returns {Promise<{start: Date, booking: object, conflict: string | null}[]>} `booking` as
+ * from `scheduling.slotsFor`, `conflict` is `past` `outside-working-hours` `on-leave`
+ * or `unavailable`
+ */
+async function planOccurrences(doctor, starts, minutes, own, response) {
+  const bookings = starts.map((start, index) => scheduling.slotsFor(doctor, start,
+    Array.isArray(minutes) ? minutes[index] : minutes, constants.clinicTimezone()));
+  const dates = bookings.filter(Boolean).map((booking) => booking.date.getTime());
+  const from = new Date(Math.min(...dates));
+  const to = new Date(Math.max(...dates));
+
+  const leaves = dates.length === 0 ? [] : await Leave.findFor(doctor.id, from, to)
+    .catch((error) => {
+      console.error(error);
+      response.status(errors.FIND_LEAVE_FAILED.code);
+      throw errors.FIND_LEAVE_FAILED.error;
+    });
+  const taken = dates.length === 0 ? [] : await Reservation.findTaken(doctor.id, from, to)
+    .catch((error) => {
+      console.error(error);
+      response.status(errors.FIND_APPOINTMENT_FAILED.code);
+      throw errors.FIND_APPOINTMENT_FAILED.error;
+    });
+
+  const now = new Date();
+  return starts.map((start, index) => {
+    const booking = bookings[index];
+    let conflict = null;
+    if (start <= now) {
+      conflict = 'past';
+    } else if (!booking) {
+      conflict = 'outside-working-hours';
+    } else if (booking.slots.some((slot) => scheduling.isOnLeave(leaves, booking.date, slot,
+      scheduling.workingHoursOn(doctor, booking.date).slotLength))) {
+      conflict = 'on-leave';
+    } else if (taken.some((reservation) => reservation.date.getTime() === booking.date.getTime()
+      && booking.slots.includes(reservation.slot)
+      && !own.includes(String(reservation.appointment)))) {
+      conflict = 'unavailable';
+    }
+    return { start, booking, conflict };
+  });
+}
+
+/**
+ * Marks planned occurrences whose insurance policy is gone or not active on their new start
+ * with the `insurance-inactive` conflict
+ * @param {Document<Appointment>[]} appointments
+ * @param {{start: Date, conflict: string | null}[]} plan Entry per appointment
+ * @param {Response} response
+ */
+async function checkPlanInsurance(appointments, plan, response) {
+  const ids = appointments.map((appointment) => appointment.insurancePolicy).filter(Boolean);
+  if (ids.length === 0) {
+    return;
+  }
+
+  const policies = await InsurancePolicy.find({ _id: { $in: ids }, isDeleted: { $ne: true } })
+    .catch((error) => {
+      console.error(error);
+      response.status(errors.FIND_INSURANCE_POLICY_FAILED.code);
+      throw errors.FIND_INSURANCE_POLICY_FAILED.error;
+    });
+
+  plan.forEach((occurrence, index) => {
+    const policyId = appointments[index].insurancePolicy;
+    if (!policyId || occurrence.conflict) {
+      return;
+    }
+    const insurance = policies.find(({ id }) => id === String(policyId));
+    if (!insurance || !insurance.isActiveOn(occurrence.start)) {
+      Object.assign(occurrence, { conflict: 'insurance-inactive' });
+    }
+  });
+}
+
+/**
+ * Serializes a series plan as the conflict report
+ * @param {{start: Date, conflict: string | null}[]} plan
+ */
+function toReport(plan) {
+  return plan.map(({ start, conflict }) => ({
+    start: timezone.toISOString(start, constants.clinicTimezone()),
+    conflict,
+  }));
+}
+
+/**
+ * Reserves the slots of every planned occurrence, or none of them
+ * @param {string} doctorId
+ * @param {{booking: {date: Date, slots: string[]}}[]} plan
+ * @param {Document<Appointment>[]} appointments Occurrence per plan entry
+ * @returns {Promise<number>} index of the occurrence whose slots were taken meanwhile, `-1` if none
+ */
+async function reserveOccurrences(doctorId, plan, appointments) {
+  const releaseAll = () => Promise.all(appointments
+    .map((appointment) => Reservation.release(appointment.id)));
+  try {
+    for (let index = 0; index < plan.length; index += 1) {
+      const { date, slots } = plan[index].booking;
+      // eslint-disable-next-line no-await-in-loop
+      if (!await Reservation.reserve(doctorId, date, slots, appointments[index].id)) {
+        // eslint-disable-next-line no-await-in-loop
+        await releaseAll();
+        return index;
+      }
+    }
+  } catch (error) {
+    await releaseAll().catch(console.error);
+    throw error;
+  }
+  return -1;
+}
+
+/**
+ * Moves appointments to their planned slots, with a reschedule record each, all or none.
+ * Their slots are freed before reserving, as they may move onto each other's.
+ * @param {Document<Doctor>} doctor Doctor the appointments move to
+ * @param {Document<Appointment>[]} appointments
+ * @param {{start: Date, booking: object}[]} plan Entry per appointment
+ * @param {number[]} durations Minutes per appointment
+ * @param {string} by Id of the user moving them
+ * @param {Response} response
+ * @returns {Promise<number>} index of the appointment whose slots were taken meanwhile,
+ * `-1` if all moved
+ */
+async function moveAll(doctor, appointments, plan, durations, by, response) {
+  const ids = appointments.map((appointment) => appointment.id);
+  const held = await Reservation.find({ appointment: { $in: ids } }).catch((error) => {
+    console.error(error);
+    response.status(errors.UPDATE_APPOINTMENT_FAILED.code);
+    throw errors.UPDATE_APPOINTMENT_FAILED.error;
+  });
+  await Reservation.deleteMany({ appointment: { $in: ids } }).catch((error) => {
+    console.error(error);
+    response.status(errors.UPDATE_APPOINTMENT_FAILED.code);
+    throw errors.UPDATE_APPOINTMENT_FAILED.error;
+  });
+
+  // Put the previous slots back if the new ones can't be had
+  const restore = () => Reservation.insertMany(
+    held.map((reservation) => reservation.toObject()),
+    { ordered: false },
+  ).catch(console.error);
+
+  const taken = await reserveOccurrences(doctor.id, plan, appointments).catch(async (error) => {
+    console.error(error);
+    await restore();
+    response.status(errors.UPDATE_APPOINTMENT_FAILED.code);
+    throw errors.UPDATE_APPOINTMENT_FAILED.error;
+  });
+
+  if (taken !== -1) {
+    await restore();
+    return taken;
+  }
+
+  // A concurrent change of an appointment fails its version check
+  const saved = await Promise.all(appointments.map((appointment, index) => {
+    const { start } = plan[index];
+    appointment.reschedules.push({ from: appointment.start, to: start, by });
+    Object.assign(appointment, {
+      doctorId: doctor.id,
+      start,
+      end: new Date(start.getTime() + durations[index] * 60000),
+      conflictingLeave: undefined,
+    });
+    return appointment.save().then(() => true).catch(async (error) => {
+      console.error(error);
+      await Reservation.release(appointment.id).catch(console.error);
+      return false;
+    });
+  }));
+
+  if (!saved.every(Boolean)) {
+    response.status(errors.UPDATE_APPOINTMENT_FAILED.code);
+    throw errors.UPDATE_APPOINTMENT_FAILED.error;
+  }
+
+  return -1;
+}
+
+/**
+ * Gets a series of the user
+ * @param {string} id Series id
+ * @param {string | false} userId Owner of the series, any owner if `false`
+ * @param {Response} response
+ */
+async function findSeries(id, userId, response) {
+  const query = userId ? { _id: id, userId } : { _id: id };
+  const series = await AppointmentSeries.findOne(query).catch((error) => {
+    console.error(error);
+    response.status(errors.FIND_SERIES_FAILED.code);
+    throw errors.FIND_SERIES_FAILED.error;
+  });
+
+  if (!series) {
+    response.status(errors.NULL_SERIES.code);
+    throw errors.NULL_SERIES.error;
+  }
+
+  return series;
+}
+
+/**
+ * Lists the upcoming occurrences of a series from an occurrence on
+ * @param {Document<AppointmentSeries>} series
+ * @param {string} [from] Appointment id of the first occurrence, the next upcoming by default
+ * @param {Response} response
+ * @returns {Promise<Document<Appointment>[]>} sorted by start
+ */
+async function findFollowing(series, from, response) {
+  const anchor = from && await Appointment.findOne({ _id: from, series: series.id })
+    .catch((error) => {
+      console.error(error);
+      response.status(errors.FIND_APPOINTMENT_FAILED.code);
+      throw errors.FIND_APPOINTMENT_FAILED.error;
+    });
+
+  if (from && !anchor) {
+    response.status(errors.NULL_APPOINTMENT.code);
+    throw errors.NULL_APPOINTMENT.error;
+  }
+
+  const following = await Appointment.find({
+    series: series.id,
+    status: { $in: appointmentStatus.UPCOMING },
+    start: { $gte: anchor ? anchor.start : new Date() },
+  }).sort({ start: 1 }).catch((error) => {
+    console.error(error);
+    response.status(errors.FIND_APPOINTMENT_FAILED.code);
+    throw errors.FIND_APPOINTMENT_FAILED.error;
+  });
+
+  if (following.length === 0) {
+    response.status(errors.NULL_APPOINTMENT.code);
+    throw errors.NULL_APPOINTMENT.error;
+  }
+
+  return following;
+}
+
+/**
+ * Books an appointment.
+ * * Reserves the slots covering the service duration and buffer
+ * * Slots are reserved before the appointment is saved, so only one of
+ * several concurrent bookings for a slot succeeds.
+ * @param {object} details `doctorid` `serviceId` ISO-8601 `start` with an offset `paymentType`,
+ * optional `insurancePolicy` `mode` and `appointmentFor` family member id
+ * @param {string} userId Account holder the appointment is booked for
+ * @param {string} by Id of the user booking it
+ * @param {Response} response
+ * @returns {Promise<Document<Appointment>>}
+ */
+async function book(details, userId, by, response) {
+  const start = parseStart(details.start, response);
+
+  const service = await findService(details.serviceId, response);
+
+  // Get the doctor document
+  const doctor = await Doctor.findById(details.doctorid).catch((error) => {
+    console.error(error);
+    response.status(errors.FIND_DOCTOR_FAILED.code);
+    throw errors.FIND_DOCTOR_FAILED.error;
+  });
+
+  if (!doctor) {
+    response.status(errors.NULL_DOCTOR.code);
+    throw errors.NULL_DOCTOR.error;
+  }
+
+  if (!service.staff.map(String).includes(doctor.id)) {
+    response.status(errors.SERVICE_NOT_OFFERED.code);
+    throw errors.SERVICE_NOT_OFFERED.error;
+  }
+
+  const patient = await findPatient(details.appointmentFor, userId, response);
+
+  const insurancePolicy = await checkInsurance(details.insurancePolicy, patient.appointmentFor,
+    userId, [start], response);
+
+  const booking = scheduling.slotsFor(doctor, start, service.duration + service.buffer,
+    constants.clinicTimezone());
+
+  if (!booking) {
+    response.status(errors.SLOTS_OUTSIDE_WORKING_HOURS.code);
+    throw errors.SLOTS_OUTSIDE_WORKING_HOURS.error;
+  }
+
+  const { date, slots } = booking;
+
+  if (await isOnLeave(doctor, date, slots, response)) {
+    response.status(errors.SLOTS_ON_LEAVE.code);
+    throw errors.SLOTS_ON_LEAVE.error;
+  }
+
+  const appointment = new Appointment({
+    doctorId: doctor.id,
+    userId,
+    serviceId: service.id,
+    start,
+    end: new Date(start.getTime() + service.duration * 60000),
+    paymentType: details.paymentType,
+    insuranceInfo: details.insuranceInfo,
+    insurancePolicy,
+    mode: details.mode,
+    ...patient,
+    statusHistory: [{
+      status: appointmentStatus.STATUS.BOOKED,
+      by,
+    }],
+  });
+
+  // Validate for custom error handling
+  await appointment.validate().catch((error) => {
+    console.error(error);
+    const validationError = errors.VALIDATION_ERROR(error);
+    response.status(validationError.code);
+    throw validationError.error;
+  });
+
+  // Hold the slots first, the unique index settles concurrent bookings
+  const isReserved = await Reservation.reserve(doctor.id, date, slots, appointment.id)
+    .catch((error) => {
+      console.error(error);
+      response.status(errors.SAVE_APPOINTMENT_FAILED.code);
+      throw errors.SAVE_APPOINTMENT_FAILED.error;
+    });
+
+  if (!isReserved) {
+    response.status(errors.SLOTS_UNAVAILABLE.code);
+    throw errors.SLOTS_UNAVAILABLE.error;
+  }
+
+  await appointment.save().catch(async (error) => {
+    console.error(error);
+    await Reservation.release(appointment.id).catch(console.error);
+    response.status(errors.SAVE_APPOINTMENT_FAILED.code);
+    throw errors.SAVE_APPOINTMENT_FAILED.error;
+  });
+
+  return appointment;
+}
+
+/**
+ * Turns optional `from` `to` clinic dates (inclusive) into a range of starts
+ * @param {{from: string, to: string}} query
+ * @param {Response} response
+ * @returns {{$gte: Date, $lt: Date}} bounds that were given
+ */
+function dayRange(query, response) {
+  const from = query.from && new Date(query.from);
+  const to = query.to && new Date(query.to);
+  if ((from && Number.isNaN(from.getTime())) || (to && Number.isNaN(to.getTime()))
+    || (from && to && from > to)) {
+    response.status(errors.INVALID_DATE_RANGE.code);
+    throw errors.INVALID_DATE_RANGE.error;
+  }
+
+  const timeZone = constants.clinicTimezone();
+  const range = {};
+  if (from) {
+    range.$gte = timezone.fromZoned(scheduling.toDateString(from), '00:00', timeZone);
+  }
+  if (to) {
+    const nextDay = new Date(to.getTime() + 24 * 60 * 60 * 1000);
+    range.$lt = timezone.fromZoned(scheduling.toDateString(nextDay), '00:00', timeZone);
+  }
+  return range;
+}
+
+/**
+ * Reads optional `page` (from 1) and `limit` of a list, at most `MAX_PAGE_SIZE`
+ * @param {{page: string, limit: string}} query
+ * @returns {{skip: number, limit: number}}
+ */
+function pageOf(query) {
+  const limit = Math.min(parseInt(query.limit, 10) || PAGE_SIZE, MAX_PAGE_SIZE);
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  return { skip: (page - 1) * limit, limit };
+}
+
+/**
+ * Populates what `toListItem` needs
+ * @param {Query} query
+ */
+function populateForList(query) {
+  return query
+    .populate({ path: 'doctorId', select: 'name qualification' })
+    .populate({ path: 'serviceId', select: 'name' })
+    .populate({ path: 'appointmentFor', select: 'firstName lastName relationship' })
+    .populate({ path: 'claims', select: 'appointment kind status' });
+}
+
+/**
+ * Serializes an appointment for lists. Doctor, service and patient details fall back to
+ * the ones archived at booking.
+ * @param {Document<Appointment>} appointment Populated by `populateForList`
+ */
+function toListItem(appointment) {
+  const { doctorId: doctor, serviceId: service } = appointment;
+  const archive = appointment.archive || {};
+  return {
+    start: timezone.toISOString(appointment.start, constants.clinicTimezone()),
+    end: timezone.toISOString(appointment.end, constants.clinicTimezone()),
+    ...appointment.patient(),
+    serviceName: service ? service.name : archive.serviceName,
+    doctorName: doctor ? doctor.name : archive.doctorName,
+    doctorEducation: doctor ? doctor.qualification : archive.doctorEducation,
+    status: appointment.status,
+    mode: appointment.mode,
+    appointmentid: appointment.id,
+    seriesid: appointment.series,
+    // Status of the insurance pre-authorization and claim, once reception opened them
+    claims: (appointment.claims || []).map((claim) => ({ kind: claim.kind, status: claim.status })),
+  };
+}
+
+/**
+ * `http POST` request handler to book an appointment.
+ * * Requires `access-token` `device-id`
+ * * Requires `doctorid` `serviceId` and ISO-8601 `start` with an offset in the body,
+ * which must be ahead
+ * * Optional `appointmentFor` family member id, the account holder by default
+ * * Optional `mode`, `in-clinic` by default or `video`
+ * * Optional `insurancePolicy` id, which must cover the patient and be active on the day
+ * * Reserves the slots covering the service duration and buffer, see `book`
+ */
+router.post('/appointments',
+  json(),
   middlewares.requireHeaders({ accessToken: true, deviceId: true }),
   middlewares.requireVerification({ phone: true, email: true }),
-  async (req,res)=>{
-      //User authentication
-      try{
-          const user = await User.findById(req.params.userId)
-          if (!user) {
-            return res.status(404).send("Account not found")
-          }
-
-      // Validating the Date and time of appointment
-      let time = req.body.time
-      for(let i=0;i<time.length;i++){
-        let index = time[i].indexOf(":")
-        if(index===-1){
-            return res.status(403).send("Invalid date and time")
-        }
-        let hour = time[i].slice(0,index)
-        if(hour > 12 || hour === ""){
-            return res.status(403).send("Invalid date and time")
-        }
-        let minute = time[i].slice(index+1,time[i].length)
-        if(minute >= 60 || minute === ""){
-            return res.status(403).send("Invalid date and time")
-        }
-        let date = new Date(req.body.date)
-        date.setHours(hour,minute)
-        if(date.getTime()!==date.getTime()){
-            return res.status(403).send("Invalid date and time")
-        }
+  async (request, response) => {
+    try {
+      const appointment = await book(request.body, request.params.userId,
+        request.params.userId, response);
+
+      response.status(201).json(appointment);
+    } catch (error) {
+      response.send(error.message);
+    }
+  });
+
+/**
+ * `http PATCH` request handler to reschedule an appointment.
+ * * Requires `access-token` `device-id`
+ * * Requires ISO-8601 `start` with an offset in the body, which must be ahead. The service
+ * sets the length.
+ * * Needs `rescheduleNoticeHours` notice and is capped at `maxReschedules` per appointment
+ * * The insurance policy billed must be active on the new day
+ * * Optional `override` in the body lets admins skip the policy and ownership checks
+ */
+router.patch('/appointments/:id',
+  json(),
+  middlewares.requireHeaders({ accessToken: true, deviceId: true }),
+  middlewares.requireVerification({ phone: true, email: true }),
+  async (request, response) => {
+    try {
+      // Only upcoming appointments can be rescheduled
+      const appointment = await Appointment.findOne({
+        _id: request.params.id,
+        status: { $in: appointmentStatus.UPCOMING },
+      }).catch((error) => {
+        console.error(error);
+        response.status(errors.FIND_APPOINTMENT_FAILED.code);
+        throw errors.FIND_APPOINTMENT_FAILED.error;
+      });
+
+      if (!appointment) {
+        response.status(errors.NULL_APPOINTMENT.code);
+        throw errors.NULL_APPOINTMENT.error;
       }
 
-      //Validating whether the Slots are continous
-      for(let i=0;i<time.length-1;i++){
-        time_prev = parseInt(time[i].replace(":",""))
-        time_next = parseInt(time[i+1].replace(":",""))
-        if(time_prev+10!==time_next){
-            return res.status(403).send("Selected slots are not continous or invalid")
-        }
+      const override = await isOverride(request, response);
+      enforcePolicy(appointment, policy.CHANGE.RESCHEDULE, request.params.userId, override,
+        response);
+
+      const start = parseStart(request.body.start, response);
+
+      // The policy billed must still be active on the new day
+      await checkInsurance(appointment.insurancePolicy, appointment.appointmentFor,
+        String(appointment.userId), [start], response);
+
+      // Appointments booked before services had durations keep their length
+      const duration = (appointment.end - appointment.start) / 60000;
+      const service = appointment.serviceId
+        && await findService(appointment.serviceId, response);
+      const minutes = service ? service.duration + service.buffer : duration;
+
+      // Get the doctor document
+      const doctor = await Doctor.findById(appointment.doctorId).catch((error) => {
+        console.error(error);
+        response.status(errors.FIND_DOCTOR_FAILED.code);
+        throw errors.FIND_DOCTOR_FAILED.error;
+      });
+
+      if (!doctor) {
+        response.status(errors.NULL_DOCTOR.code);
+        throw errors.NULL_DOCTOR.error;
       }
 
-      //Validating if the selected slots are available
-       const doctor =  await Doctor.findById({_id:req.body.doctorid})
-       if(!doctor){
-          return res.status(403).send("Could not find doctor")
-       }
-
-       const date = new Date(req.body.date)
-       const busySlots = doctor.busySlots
-       let bool1 = false
-       let index1
-       for(let j=0;j<busySlots.length;j++){
-           if(date.getTime()===busySlots[j].date.getTime()){
-               bool1 = true
-               index1 = j
-               break
-           }
-       }
-       
-
-       let bool2 = false
-       if(bool1===true & typeof index1 !== "undefined"){
-            for(let k = 0;k<req.body.time.length;k++){
-                bool2 = bool2 || busySlots[index1].time.includes(req.body.time[k])
-            }
-       }
-       
-       if(bool2===true){
-           return res.status(403).send("Selected slots are booked already")
-       }
-    
-      //Creating Apointment document
-      const appointment = new Appointment({
-          doctorId:req.body.doctorid,
-          userId:user._id,
-          date:req.body.date,
-          time:req.body.time,
-          paymentType:req.body.paymentType,
-          insuranceInfo:req.body.insuranceInfo,
-          appointmentFor:req.body.appointmentFor
-      })
-      await appointment.save()
-
-
-      //Updating the Busy Slots of the doctor
-      // If the new appointment date is already present in the Busy slots of doctor,then we just add the new time to that date
-      // Else we create new busy Slot with respect to new appointment and time
-      let bool = false
-      for(let i = 0;i<doctor.busySlots.length;i++){ 
-          if(doctor.busySlots[i].date.getTime()===date.getTime()){
-              doctor.busySlots[i].time = doctor.busySlots[i].time.concat(req.body.time)
-              bool = true
-          }
-      }
-      if(bool===false){
-              doctor.busySlots = doctor.busySlots.concat({
-              date:req.body.date,
-              time:req.body.time
-          })
-      }
-      await doctor.save()
-      res.status(201).send(appointment)
-}
-catch(e){
-  res.status(500).send(e)
-}
-})
+      const booking = scheduling.slotsFor(doctor, start, minutes, constants.clinicTimezone());
 
+      if (!booking) {
+        response.status(errors.SLOTS_OUTSIDE_WORKING_HOURS.code);
+        throw errors.SLOTS_OUTSIDE_WORKING_HOURS.error;
+      }
 
+      const { date, slots } = booking;
 
-router.patch(
-    '/appointments/:id',
-    express.json(),
-    middlewares.requireHeaders({ accessToken: true, deviceId: true }),
-    middlewares.requireVerification({ phone: true, email: true }),
-    async(req,res)=>{
-    try{ 
+      if (await isOnLeave(doctor, date, slots, response)) {
+        response.status(errors.SLOTS_ON_LEAVE.code);
+        throw errors.SLOTS_ON_LEAVE.error;
+      }
 
-        // User authentication
-        const user = await User.findById(req.params.userId)
-        if (!user) {
-          return res.status(404).send("Account not found")
-        }
-        
-        const appointment = await Appointment.findById(req.params.id)
-        if(!appointment){
-            return res.status(404).send("Appointment could not be found")
-        }
+      // Reserve only the slots this appointment doesn't hold already
+      const held = await Reservation.find({ appointment: appointment.id, date })
+        .catch((error) => {
+          console.error(error);
+          response.status(errors.UPDATE_APPOINTMENT_FAILED.code);
+          throw errors.UPDATE_APPOINTMENT_FAILED.error;
+        });
+      const wanted = slots.filter((slot) => !held.some((reservation) => reservation.slot === slot));
 
-        // Validating date and time
-        let time = req.body.time
-        for(let i=0;i<time.length;i++){
-            let index = time[i].indexOf(":")
-            let hour = time[i].slice(0,index)
-            if(hour>12 || hour === ""){
-                return res.status(403).send("Invalid date and time")
-            }
-            let minute = time[i].slice(index+1,time[i].length)
-            if(minute>=60 || minute === ""){
-                return res.status(403).send("Invalid date and time")
-            }
-            let date = new Date(req.body.date)
-            date.setHours(hour,minute)
-            if(date.getTime()!==date.getTime()){
-                return res.status(403).send("Invalid date and time")
-            }
-        }
+      const isReserved = await Reservation.reserve(doctor.id, date, wanted, appointment.id)
+        .catch((error) => {
+          console.error(error);
+          response.status(errors.UPDATE_APPOINTMENT_FAILED.code);
+          throw errors.UPDATE_APPOINTMENT_FAILED.error;
+        });
 
-        //Validating whether the Slots are continous
-        for(let i=0;i<time.length-1;i++){
-            time_prev = parseInt(time[i].replace(":",""))
-            time_next = parseInt(time[i+1].replace(":",""))
-            if(time_prev+10!==time_next){
-                return res.status(403).send("Selected slots are not continous or invalid")
-            }
-        }
-        
-
-        // Rescheduling the appointment
-        const dtime = appointment.time
-        const ddate = appointment.date
-        await appointment.updateOne({
-            date : req.body.date,
-            time : req.body.time
-        },{new: true})
-        await appointment.save()
-
-
-        //Updating the Busy Slot of the corresponding doctor
-        const doctor = await Doctor.findById(appointment.doctorId)
-        let index
-        for(let i=0;i<doctor.busySlots.length;i++){
-            if(doctor.busySlots[i].date.getTime() === ddate.getTime()){   
-                index = i
-                break
-            }   
-        } 
-        // 1) Removing the old appointment date and time from doctor's busy slot
-        const array = doctor.busySlots[index].time.filter(tim => !dtime.includes(tim)) 
-        doctor.busySlots[index].time = array
-        if (doctor.busySlots[index].time.length===0){
-            doctor.busySlots.splice(index,1)
-        }
+      if (!isReserved) {
+        response.status(errors.SLOTS_UNAVAILABLE.code);
+        throw errors.SLOTS_UNAVAILABLE.error;
+      }
 
-        // 2) Adding new appointment date and time to doctor's busy slot
-        let bool = false
-        const date = new Date(req.body.date)
-        for(let i = 0;i<doctor.busySlots.length;i++){
-            if(doctor.busySlots[i].date.getTime()===date.getTime()){
-                doctor.busySlots[i].time = doctor.busySlots[i].time.concat(req.body.time)
-                bool = true
-            }
-        }
-        if(bool===false){
-                doctor.busySlots = doctor.busySlots.concat({
-                date:req.body.date,
-                time:req.body.time
-            })
-        }
-        await doctor.save()
+      const previousStart = appointment.start;
+      appointment.start = start;
+      appointment.end = new Date(start.getTime() + (service ? service.duration : duration) * 60000);
+      appointment.conflictingLeave = undefined;
+      appointment.reschedules.push({ from: previousStart, to: start, by: request.params.userId });
+
+      // A concurrent reschedule of the same appointment fails the version check
+      await appointment.save().catch(async (error) => {
+        console.error(error);
+        await Reservation.unreserve(appointment.id, date, wanted).catch(console.error);
+        response.status(errors.UPDATE_APPOINTMENT_FAILED.code);
+        throw errors.UPDATE_APPOINTMENT_FAILED.error;
+      });
 
-        res.status(200).send({
-            doctorName:doctor.name,
-            doctorEducation:doctor.qualification,
-            appointmentDate:req.body.date,
-            appointmentTime:req.body.time[0]
-        })
+      // Free the slots left behind and offer them to the waitlist
+      await Reservation.release(appointment.id, { date, slots }).catch(console.error);
+      await Waitlist.offerSlotsOf(appointment, previousStart).catch(console.error);
 
+      response.json({
+        doctorName: doctor.name,
+        doctorEducation: doctor.qualification,
+        start: timezone.toISOString(appointment.start, constants.clinicTimezone()),
+        end: timezone.toISOString(appointment.end, constants.clinicTimezone()),
+      });
+    } catch (error) {
+      response.send(error.message);
     }
-    catch(e){
-        res.status(500).send(e)
+  });
+
+/**
+ * `http DELETE` request handler to cancel an appointment.
+ * * Requires `access-token` `device-id`
+ * * Cancellations with less than `cancellationNoticeHours` notice are recorded as late
+ * * What was paid is refunded, only `lateCancellationRefundPercent` of it for late cancellations
+ * * Optional `override=true` in the query lets admins skip the policy and ownership checks
+ */
+router.delete('/appointments/:id',
+  middlewares.requireHeaders({ accessToken: true, deviceId: true }),
+  middlewares.requireVerification({ phone: true, email: true }),
+  async (request, response) => {
+    try {
+      const current = await Appointment.findById(request.params.id).catch((error) => {
+        console.error(error);
+        response.status(errors.FIND_APPOINTMENT_FAILED.code);
+        throw errors.FIND_APPOINTMENT_FAILED.error;
+      });
+
+      if (!current) {
+        response.status(errors.NULL_APPOINTMENT.code);
+        throw errors.NULL_APPOINTMENT.error;
+      }
+
+      const override = await isOverride(request, response);
+      const isLate = enforcePolicy(current, policy.CHANGE.CANCEL, request.params.userId, override,
+        response);
+
+      // Cancel in a single update so that only one request releases the slots,
+      // the version bump fails any reschedule racing with it. The policy was checked
+      // against this start, so a reschedule in between fails the cancellation.
+      const appointment = await moveTo(request.params.id, appointmentStatus.STATUS.CANCELLED,
+        request.params.userId, response, { start: current.start });
+
+      if (isLate) {
+        await recordLateCancellations([appointment.id], request.params.userId)
+          .catch(console.error);
+      }
+
+      await Invoice.settleCancellation(appointment.id, isLate, request.params.userId)
+        .catch((error) => {
+          console.error(error);
+          response.status(errors.UPDATE_INVOICE_FAILED.code);
+          throw errors.UPDATE_INVOICE_FAILED.error;
+        });
+
+      // Get the doctor document
+      const doctor = await Doctor.findById(appointment.doctorId).catch((error) => {
+        console.error(error);
+        response.status(errors.FIND_DOCTOR_FAILED.code);
+        throw errors.FIND_DOCTOR_FAILED.error;
+      });
+
+      // The cancellation stands for removed doctors, their details were archived at booking
+      const archive = appointment.archive || {};
+      response.json({
+        doctorName: doctor ? doctor.name : archive.doctorName,
+        doctorEducation: doctor ? doctor.qualification : archive.doctorEducation,
+        start: timezone.toISOString(appointment.start, constants.clinicTimezone()),
+        end: timezone.toISOString(appointment.end, constants.clinicTimezone()),
+      });
+    } catch (error) {
+      response.send(error.message);
     }
-})
-
-
-router.delete(
-    '/appointments/:id',
-    express.json(),
-    middlewares.requireHeaders({ accessToken: true, deviceId: true }),
-    middlewares.requireVerification({ phone: true, email: true }),
-    async(req,res)=>{
-    try{
-        // User authentication
-        const user = await User.findById(req.params.userId)
-        if (!user) {
-          return res.status(404).send("Account not found")
-        }
+  });
 
-        const appointment = await Appointment.findOne({_id:req.params.id,isDeleted:false})
-        if(!appointment){
-           return res.status(404).send('Appointment could not be found')  
-        }
+/**
+ * `http PATCH` request handler to move an appointment through its statuses,
+ * e.g. to check a patient in.
+ * * Requires `access-token` `device-id`
+ * * Requires `status` in the body
+ */
+router.patch('/appointments/:id/status',
+  json(),
+  middlewares.requireHeaders({ accessToken: true, deviceId: true }),
+  middlewares.requireVerification({ admin: true }),
+  middlewares.requireBody(),
+  async (request, response) => {
+    try {
+      if (!appointmentStatus.isValidStatus(request.body.status)) {
+        response.status(errors.INVALID_STATUS.code);
+        throw errors.INVALID_STATUS.error;
+      }
 
-        //Removing the appointment
-        const doctor = await Doctor.findById(appointment.doctorId)
-        await appointment.updateOne({isDeleted:true})
-    
-        // Updating the doctor's busy slots
-        let index
-        for(let i=0;i<doctor.busySlots.length;i++){
-            if(doctor.busySlots[i].date.getTime() === appointment.date.getTime()){   
-                index = i
-                break
-            }   
-        }  
-        const array = doctor.busySlots[index].time.filter(tim => !appointment.time.includes(tim))
-        doctor.busySlots[index].time = array
-        if (doctor.busySlots[index].time.length===0){
-            doctor.busySlots.splice(index,1)
-        }
-        await doctor.save()
-        res.status(200).send({
-            doctorName:doctor.name,
-            doctorEducation:doctor.qualification,
-            appointmentDate:appointment.date,
-            appointmentTime:appointment.time[0]
-
-        })
-    }     
-    catch(e){
-        res.status(500).send(e)
+      const appointment = await moveTo(request.params.id, request.body.status,
+        request.params.userId, response);
+
+      // Staff cancelling refunds in full
+      if (appointment.status === appointmentStatus.STATUS.CANCELLED) {
+        await Invoice.settleCancellation(appointment.id, false, request.params.userId)
+          .catch((error) => {
+            console.error(error);
+            response.status(errors.UPDATE_INVOICE_FAILED.code);
+            throw errors.UPDATE_INVOICE_FAILED.error;
+          });
+      }
+
+      response.json({
+        appointmentid: appointment.id,
+        status: appointment.status,
+        statusHistory: appointment.statusHistory,
+      });
+    } catch (error) {
+      response.send(error.message);
     }
-})
+  });
 
+/**
+ * `http POST` request handler to join a video visit as its patient or doctor.
+ * * Requires `access-token` `device-id`
+ * * The room opens `videoJoinMinutes` before the start and closes at the end, the join token
+ * expires with it. Connect to the `/video` namespace of the socket server with `auth: { token }`.
+ */
+router.post('/appointments/:id/join',
+  middlewares.requireHeaders({ accessToken: true, deviceId: true }),
+  middlewares.requireVerification({}),
+  async (request, response) => {
+    try {
+      const appointment = await Appointment.findById(request.params.id).catch((error) => {
+        console.error(error);
+        response.status(errors.FIND_APPOINTMENT_FAILED.code);
+        throw errors.FIND_APPOINTMENT_FAILED.error;
+      });
 
+      if (!appointment) {
+        response.status(errors.NULL_APPOINTMENT.code);
+        throw errors.NULL_APPOINTMENT.error;
+      }
 
-router.get(
-    '/appointments',
-    express.json(),
-    middlewares.requireHeaders({ accessToken: true, deviceId: true }),
-    middlewares.requireVerification({ phone: true, email: true }),
-    async (req,res)=>{
-    try{
-        //User authentication
-        const user = await User.findById(req.params.userId)
-        if (!user) {
-            return res.status(404).send("Account not found")
-        }
+      const isPatient = String(appointment.userId) === request.params.userId;
+      const isDoctor = !isPatient && await Doctor.exists({
+        _id: appointment.doctorId,
+        user: request.params.userId,
+      }).catch((error) => {
+        console.error(error);
+        response.status(errors.FIND_DOCTOR_FAILED.code);
+        throw errors.FIND_DOCTOR_FAILED.error;
+      });
 
-        // Removing expired appointments
-        let appointments = await Appointment.find({userId:req.params.userId,isDeleted:false})
-//         for(let i=0;i<appointments.length;i++){
-//             // Since time is stored as String type, we need to convert that string to Valid datetime 
-//             let index = appointments[i].time[0].indexOf(":")
-//             let hour = appointments[i].time[0].slice(0,index)
-//             let minute = appointments[i].time[0].slice(index+1,appointments[i].time[0].length)
-//             let appointment_date = new Date(appointments[i].date)
-//             appointment_date.setHours(hour,minute) 
-//             if(appointment_date<new Date()){
-//                 const doctor = await Doctor.findById(appointments[i].doctorId)
-//                 await appointments[i].updateOne({isDeleted:true})
-                
-//                 //Updating busy slots of the doctor
-    
-//                 let index
-//                 for(let j=0;j<doctor.busySlots.length;j++){
-//                     if(doctor.busySlots[j].date.getTime() === appointments[i].date.getTime()){   
-//                         index = j
-//                         break
-//                     }   
-//                 }  
-//                 if(index){
-//                     const array = doctor.busySlots[index].time.filter(tim => !appointments[i].time.includes(tim))
-//                     doctor.busySlots[index].time = array
-//                     if(doctor.busySlots[index].time.length===0){
-//                         doctor.busySlots.splice(index,1)
-//                     }
-//                     await doctor.save() 
-//                 }
-//             }
-//         }
-        appointments = await Appointment.find({userId:req.params.userId,isDeleted:false})
-        if(appointments.length===0){
-            return res.status(200).send("No appointments to show")
-        }
-        var array = []
-        for(let i = 0;i<appointments.length;i++){
-            let doctor = await Doctor.findById({_id:appointments[i].doctorId})
-            if(!doctor){
-              return res.status(404).send("Could not find doctor")
-            }
-            let obj = {
-                date:appointments[i].date,
-                time:appointments[i].time[0],
-                doctorName:doctor.name,
-                doctorEducation:doctor.qualification,
-                appointmentid:appointments[i]._id
-            }
-            array = array.concat(obj)
-        }
-        res.status(200).send(array)
-        }
-    catch(e){
-        res.status(500).send(e)
+      if (!isPatient && !isDoctor) {
+        response.status(errors.UNOWNED_DOCUMENT.code);
+        throw errors.UNOWNED_DOCUMENT.error;
+      }
+
+      if (appointment.mode !== Appointment.MODE.VIDEO) {
+        response.status(errors.NOT_A_VIDEO_VISIT.code);
+        throw errors.NOT_A_VIDEO_VISIT.error;
+      }
+
+      if (!video.isJoinable(appointment)) {
+        response.status(errors.VIDEO_VISIT_CLOSED.code);
+        throw errors.VIDEO_VISIT_CLOSED.error;
+      }
+
+      const role = isDoctor ? video.ROLE.DOCTOR : video.ROLE.PATIENT;
+      const { token, room, expiresAt } = video.issueToken(appointment, role,
+        request.params.userId);
+
+      response.json({
+        token,
+        room,
+        role,
+        expiresAt: timezone.toISOString(expiresAt, constants.clinicTimezone()),
+      });
+    } catch (error) {
+      response.send(error.message);
     }
-})
+  });
+
+/**
+ * `http GET` request handler to list the appointments of the user.
+ * * Requires `access-token` `device-id`
+ * * Optional `view` in the query, `upcoming` from now on by start or `past` before now
+ * latest first. Every appointment by start by default.
+ * * Optional comma separated `status` in the query, by default upcoming statuses for the
+ * `upcoming` view, every status for the `past` view and all but cancelled otherwise
+ * * Optional `from` `to` clinic dates (inclusive) in the query
+ * * Optional `page` (from 1) and `limit` in the query, at most `MAX_PAGE_SIZE`.
+ * The total is in the `X-Total-Count` header.
+ * * Doctor, service and patient details fall back to the ones archived at booking
+ */
+router.get('/appointments',
+  middlewares.requireHeaders({ accessToken: true, deviceId: true }),
+  middlewares.requireVerification({ phone: true, email: true }),
+  async (request, response) => {
+    try {
+      const { view } = request.query;
+      if (view && view !== 'upcoming' && view !== 'past') {
+        response.status(errors.INVALID_VIEW.code);
+        throw errors.INVALID_VIEW.error;
+      }
 
+      const defaultStatuses = {
+        upcoming: appointmentStatus.UPCOMING,
+        past: Object.values(appointmentStatus.STATUS),
+      }[view] || Object.values(appointmentStatus.STATUS)
+        .filter((status) => status !== appointmentStatus.STATUS.CANCELLED);
+      const statuses = request.query.status
+        ? String(request.query.status).split(',')
+        : defaultStatuses;
+
+      if (!statuses.every(appointmentStatus.isValidStatus)) {
+        response.status(errors.INVALID_STATUS.code);
+        throw errors.INVALID_STATUS.error;
+      }
+
+      const start = dayRange(request.query, response);
+      // Of the view's bound and the date range, the narrower one applies
+      const now = new Date();
+      if (view === 'upcoming' && !(start.$gte > now)) {
+        start.$gte = now;
+      }
+      if (view === 'past' && !(start.$lt < now)) {
+        start.$lt = now;
+      }
 
+      const query = {
+        userId: request.params.userId,
+        status: { $in: statuses },
+        ...(Object.keys(start).length ? { start } : {}),
+      };
+      const { skip, limit } = pageOf(request.query);
+      const [total, appointments] = await Promise.all([
+        Appointment.countDocuments(query),
+        populateForList(Appointment.find(query)
+          .sort({ start: view === 'past' ? -1 : 1 })
+          .skip(skip)
+          .limit(limit)),
+      ]).catch((error) => {
+        console.error(error);
+        response.status(errors.FIND_APPOINTMENT_FAILED.code);
+        throw errors.FIND_APPOINTMENT_FAILED.error;
+      });
+
+      response.set('X-Total-Count', String(total));
+      response.json(appointments.map(toListItem));
+    } catch (error) {
+      response.send(error.message);
+    }
+  });
+
+/**
+ * `http GET` request handler to list family members and insurance policies for booking.
+ * * Requires `access-token` `device-id`
+ */
 router.get('/appointments/details',
-    express.json(),
-    middlewares.requireHeaders({ accessToken: true, deviceId: true }),
-    middlewares.requireVerification({ phone: true, email: true }),
-    async(req,res)=>{
-        try{
-          //User authentication
-        const user = await User.findById(req.params.userId)
-        if (!user) {
-           return res.status(404).send("Account not found")
-        }
+  middlewares.requireHeaders({ accessToken: true, deviceId: true }),
+  middlewares.requireVerification({ phone: true, email: true }),
+  async (request, response) => {
+    try {
+      // Get the user document
+      const user = await User.findById(request.params.userId).catch((error) => {
+        console.error(error);
+        response.status(errors.FIND_USER_FAILED.code);
+        throw errors.FIND_USER_FAILED.error;
+      });
 
-        var familymembers = await Family.find({user:user._id})
-        let family = []
-        for(let i=0;i<familymembers.length;i++){
-          family = family.concat(familymembers[i].firstName)
-        }
-        res.status(200).send({
-            family,
-            insuranceInfo:user.insurance
-        })
+      const members = await Family.find({
+        _id: { $in: user.family },
+        isDeleted: { $ne: true },
+      }).catch((error) => {
+        console.error(error);
+        response.status(errors.FIND_FAMILY_FAILED.code);
+        throw errors.FIND_FAMILY_FAILED.error;
+      });
+
+      const policies = await InsurancePolicy.find({
+        user: request.params.userId,
+        isDeleted: { $ne: true },
+      }).catch((error) => {
+        console.error(error);
+        response.status(errors.FIND_INSURANCE_POLICY_FAILED.code);
+        throw errors.FIND_INSURANCE_POLICY_FAILED.error;
+      });
+
+      // Ids are what `POST /appointments` takes as `appointmentFor` and `insurancePolicy`
+      response.json({
+        family: members.map((member) => ({
+          id: member.id,
+          firstName: member.firstName,
+          lastName: member.lastName,
+          relationship: member.relationship,
+        })),
+        insuranceInfo: user.insurance,
+        insurancePolicies: policies.map((insurance) => ({
+          id: insurance.id,
+          provider: insurance.provider,
+          policyNumber: insurance.policyNumber,
+          holder: insurance.holder,
+          coveredMembers: insurance.coveredMembers,
+          validFrom: scheduling.toDateString(insurance.validFrom),
+          validTo: scheduling.toDateString(insurance.validTo),
+        })),
+      });
+    } catch (error) {
+      response.send(error.message);
     }
-    catch(e){
-        res.status(500).send(e)
+  });
+
+/**
+ * `http POST` request handler to add insurance details to the user.
+ * * Requires `access-token` `device-id`
+ * @deprecated Free text can't be checked on bookings, add a policy with
+ * `POST /accounts/insurance` instead
+ */
+router.post('/appointments/insurance',
+  urlencoded({ extended: true }),
+  middlewares.requireHeaders({ accessToken: true, deviceId: true }),
+  middlewares.requireVerification({ phone: true, email: true }),
+  middlewares.requireBody(),
+  async (request, response) => {
+    try {
+      if (!request.body.insurance) {
+        response.status(errors.NULL_REQUEST_BODY.code);
+        throw errors.NULL_REQUEST_BODY.error;
+      }
+
+      await User.updateOne(
+        { _id: request.params.userId },
+        { $push: { insurance: request.body.insurance } },
+      ).catch((error) => {
+        console.error(error);
+        response.status(errors.UPDATE_USER_FAILED.code);
+        throw errors.UPDATE_USER_FAILED.error;
+      });
+
+      response.status(201).send('New insurance added successfully');
+    } catch (error) {
+      response.send(error.message);
     }
-})
+  });
 
+/**
+ * `http POST` request handler to join the waitlist of a doctor for a service.
+ * * Requires `access-token` `device-id`
+ * * Requires `doctorid` `serviceId` and `from` `to` dates in the body, at most 31 days apart
+ * * Optional `appointmentFor` family member id, the account holder by default
+ * * Freed slots on those dates are offered in order of joining as holds that expire
+ */
+router.post('/appointments/waitlist',
+  json(),
+  middlewares.requireHeaders({ accessToken: true, deviceId: true }),
+  middlewares.requireVerification({ phone: true, email: true }),
+  middlewares.requireBody(),
+  async (request, response) => {
+    try {
+      const from = new Date(request.body.from);
+      const to = new Date(request.body.to || request.body.from);
 
+      if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || from > to) {
+        response.status(errors.INVALID_DATE_RANGE.code);
+        throw errors.INVALID_DATE_RANGE.error;
+      }
 
-router.post('/appointments/insurance',
-    urlencoded({ extended: true }),  
-    middlewares.requireHeaders({ accessToken: true, deviceId: true }),
-    middlewares.requireVerification({ phone: true, email: true }),
-    async(req,res)=>{
-    try{
-          //User authentication
-        const user = await User.findById(req.params.userId)
-        if (!user) {
-            return res.status(404).send("Account not found")
-        }
+      const days = scheduling.eachDay(from, to);
 
-        if(req.body.insurance){
-            user.insurance = user.insurance.concat(req.body.insurance)
-            await user.save()
-            return res.status(201).send("New insurance added successfully")
-        }
-        else{
-            return res.status(403).send("New insurance cannot be added")
-        }
+      if (days.length > 31) {
+        response.status(errors.DATE_RANGE_TOO_LONG.code);
+        throw errors.DATE_RANGE_TOO_LONG.error;
+      }
+
+      // Days before today can't free up any more
+      const today = timezone.toZoned(new Date(), constants.clinicTimezone()).date;
+      if (scheduling.toDateString(days[days.length - 1]) < today) {
+        response.status(errors.SLOTS_IN_PAST.code);
+        throw errors.SLOTS_IN_PAST.error;
+      }
+
+      const service = await findService(request.body.serviceId, response);
+
+      // Get the doctor document
+      const doctor = await Doctor.findById(request.body.doctorid).catch((error) => {
+        console.error(error);
+        response.status(errors.FIND_DOCTOR_FAILED.code);
+        throw errors.FIND_DOCTOR_FAILED.error;
+      });
+
+      if (!doctor) {
+        response.status(errors.NULL_DOCTOR.code);
+        throw errors.NULL_DOCTOR.error;
+      }
+
+      if (!service.staff.map(String).includes(doctor.id)) {
+        response.status(errors.SERVICE_NOT_OFFERED.code);
+        throw errors.SERVICE_NOT_OFFERED.error;
+      }
+
+      const patient = await findPatient(request.body.appointmentFor, request.params.userId,
+        response);
+
+      const entry = new Waitlist({
+        userId: request.params.userId,
+        doctorId: doctor.id,
+        serviceId: service.id,
+        ...patient,
+        from: days[0],
+        to: days[days.length - 1],
+      });
+
+      // Validate for custom error handling
+      await entry.validate().catch((error) => {
+        console.error(error);
+        const validationError = errors.VALIDATION_ERROR(error);
+        response.status(validationError.code);
+        throw validationError.error;
+      });
+
+      await entry.save().catch((error) => {
+        console.error(error);
+        response.status(errors.SAVE_WAITLIST_FAILED.code);
+        throw errors.SAVE_WAITLIST_FAILED.error;
+      });
+
+      response.status(201).json(entry);
+    } catch (error) {
+      response.send(error.message);
+    }
+  });
+
+/**
+ * `http GET` request handler to list the waitlist entries of the user.
+ * * Requires `access-token` `device-id`
+ */
+router.get('/appointments/waitlist',
+  middlewares.requireHeaders({ accessToken: true, deviceId: true }),
+  middlewares.requireVerification({ phone: true, email: true }),
+  async (request, response) => {
+    try {
+      const entries = await Waitlist.find({ userId: request.params.userId })
+        .sort({ createdAt: -1 })
+        .catch((error) => {
+          console.error(error);
+          response.status(errors.FIND_WAITLIST_FAILED.code);
+          throw errors.FIND_WAITLIST_FAILED.error;
+        });
+
+      response.json(entries);
+    } catch (error) {
+      response.send(error.message);
+    }
+  });
+
+/**
+ * `http DELETE` request handler to leave the waitlist.
+ * * Requires `access-token` `device-id`
+ * * A pending offer is released to the next in line
+ */
+router.delete('/appointments/waitlist/:id',
+  middlewares.requireHeaders({ accessToken: true, deviceId: true }),
+  middlewares.requireVerification({ phone: true, email: true }),
+  async (request, response) => {
+    try {
+      const { STATUS } = Waitlist;
+      const entry = await Waitlist.findOneAndUpdate(
+        {
+          _id: request.params.id,
+          userId: request.params.userId,
+          status: { $in: [STATUS.WAITING, STATUS.OFFERED] },
+        },
+        { status: STATUS.CANCELLED },
+      ).catch((error) => {
+        console.error(error);
+        response.status(errors.UPDATE_WAITLIST_FAILED.code);
+        throw errors.UPDATE_WAITLIST_FAILED.error;
+      });
+
+      if (!entry) {
+        response.status(errors.NULL_WAITLIST.code);
+        throw errors.NULL_WAITLIST.error;
+      }
+
+      if (entry.status === STATUS.OFFERED) {
+        await Reservation.deleteMany({ waitlist: entry.id }).catch(console.error);
+        await Waitlist.offerSlotsOf(entry, entry.hold.start).catch(console.error);
+      }
+
+      response.send('Waitlist entry cancelled');
+    } catch (error) {
+      response.send(error.message);
+    }
+  });
+
+/**
+ * `http POST` request handler to book the slots held by a waitlist offer.
+ * * Requires `access-token` `device-id`
+ * * Optional `paymentType` `insurancePolicy` `mode` in the body
+ */
+router.post('/appointments/waitlist/:id/book',
+  json(),
+  middlewares.requireHeaders({ accessToken: true, deviceId: true }),
+  middlewares.requireVerification({ phone: true, email: true }),
+  async (request, response) => {
+    try {
+      const { STATUS } = Waitlist;
+      const entry = await Waitlist.findOne({
+        _id: request.params.id,
+        userId: request.params.userId,
+        status: STATUS.OFFERED,
+      }).catch((error) => {
+        console.error(error);
+        response.status(errors.FIND_WAITLIST_FAILED.code);
+        throw errors.FIND_WAITLIST_FAILED.error;
+      });
+
+      if (!entry) {
+        response.status(errors.NULL_WAITLIST.code);
+        throw errors.NULL_WAITLIST.error;
+      }
+
+      // The hold may outlast the start of its slots
+      if (entry.hold.start <= new Date()) {
+        response.status(errors.SLOTS_IN_PAST.code);
+        throw errors.SLOTS_IN_PAST.error;
+      }
+
+      const insurancePolicy = await checkInsurance(request.body.insurancePolicy,
+        String(entry.appointmentFor), request.params.userId, [entry.hold.start], response);
+
+      const appointment = new Appointment({
+        doctorId: entry.doctorId,
+        userId: request.params.userId,
+        serviceId: entry.serviceId,
+        start: entry.hold.start,
+        end: entry.hold.end,
+        paymentType: request.body.paymentType,
+        insuranceInfo: request.body.insuranceInfo,
+        insurancePolicy,
+        mode: request.body.mode,
+        appointmentFor: entry.appointmentFor,
+        patientModel: entry.patientModel,
+        statusHistory: [{
+          status: appointmentStatus.STATUS.BOOKED,
+          by: request.params.userId,
+        }],
+      });
+
+      // Validate for custom error handling
+      await appointment.validate().catch((error) => {
+        console.error(error);
+        const validationError = errors.VALIDATION_ERROR(error);
+        response.status(validationError.code);
+        throw validationError.error;
+      });
+
+      // Only one request books an offer, and only before it expires
+      const booked = await Waitlist.findOneAndUpdate(
+        { _id: entry.id, status: STATUS.OFFERED, 'hold.expiresAt': { $gt: new Date() } },
+        { status: STATUS.BOOKED, appointment: appointment.id },
+      ).catch((error) => {
+        console.error(error);
+        response.status(errors.UPDATE_WAITLIST_FAILED.code);
+        throw errors.UPDATE_WAITLIST_FAILED.error;
+      });
+
+      if (!booked) {
+        response.status(errors.WAITLIST_OFFER_EXPIRED.code);
+        throw errors.WAITLIST_OFFER_EXPIRED.error;
+      }
+
+      const claimed = await Reservation.claim(entry.id, appointment.id).catch((error) => {
+        console.error(error);
+        response.status(errors.SAVE_APPOINTMENT_FAILED.code);
+        throw errors.SAVE_APPOINTMENT_FAILED.error;
+      });
+
+      // The hold lapsed between the checks
+      if (claimed === 0) {
+        await Waitlist.updateOne({ _id: entry.id }, { status: STATUS.EXPIRED })
+          .catch(console.error);
+        response.status(errors.WAITLIST_OFFER_EXPIRED.code);
+        throw errors.WAITLIST_OFFER_EXPIRED.error;
+      }
+
+      await appointment.save().catch(async (error) => {
+        console.error(error);
+        await Reservation.release(appointment.id).catch(console.error);
+        response.status(errors.SAVE_APPOINTMENT_FAILED.code);
+        throw errors.SAVE_APPOINTMENT_FAILED.error;
+      });
+
+      response.status(201).json(appointment);
+    } catch (error) {
+      response.send(error.message);
     }
+  });
+
+/**
+ * `http POST` request handler to book a recurring series of appointments,
+ * e.g. a course of sessions.
+ * * Requires `access-token` `device-id`
+ * * Requires `doctorid` `serviceId` ISO-8601 `start` with an offset and `recurrence` in the body,
+ * an iCalendar `RRULE` such as `FREQ=WEEKLY;INTERVAL=2;COUNT=6`
+ * * Optional `appointmentFor` `paymentType` `insurancePolicy` `mode`,
+ * and `dryRun` to only check availability. The policy must be active on every occurrence.
+ * * Every occurrence is checked up front, the series is booked only if all of them are available.
+ * Otherwise responds `409` with the report of which occurrences conflict.
+ */
+router.post('/appointments/series',
+  json(),
+  middlewares.requireHeaders({ accessToken: true, deviceId: true }),
+  middlewares.requireVerification({ phone: true, email: true }),
+  middlewares.requireBody(),
+  async (request, response) => {
+    try {
+      const start = parseStart(request.body.start, response);
+
+      const rule = recurrence.parseRule(request.body.recurrence);
+      const starts = rule && recurrence.occurrences(start, rule, constants.clinicTimezone());
+      if (!starts || starts.length === 0) {
+        response.status(errors.INVALID_RECURRENCE.code);
+        throw errors.INVALID_RECURRENCE.error;
+      }
+
+      const service = await findService(request.body.serviceId, response);
+
+      // Get the doctor document
+      const doctor = await Doctor.findById(request.body.doctorid).catch((error) => {
+        console.error(error);
+        response.status(errors.FIND_DOCTOR_FAILED.code);
+        throw errors.FIND_DOCTOR_FAILED.error;
+      });
+
+      if (!doctor) {
+        response.status(errors.NULL_DOCTOR.code);
+        throw errors.NULL_DOCTOR.error;
+      }
+
+      if (!service.staff.map(String).includes(doctor.id)) {
+        response.status(errors.SERVICE_NOT_OFFERED.code);
+        throw errors.SERVICE_NOT_OFFERED.error;
+      }
+
+      const patient = await findPatient(request.body.appointmentFor, request.params.userId,
+        response);
+
+      const insurancePolicy = await checkInsurance(request.body.insurancePolicy,
+        patient.appointmentFor, request.params.userId, starts, response);
+
+      const plan = await planOccurrences(doctor, starts, service.duration + service.buffer, [],
+        response);
+
+      if (request.body.dryRun) {
+        response.json({ occurrences: toReport(plan) });
+        return;
+      }
+
+      if (plan.some((occurrence) => occurrence.conflict)) {
+        response.status(errors.SERIES_CONFLICTS.code).json({
+          message: errors.SERIES_CONFLICTS.error.message,
+          occurrences: toReport(plan),
+        });
+        return;
+      }
+
+      const series = new AppointmentSeries({
+        userId: request.params.userId,
+        doctorId: doctor.id,
+        serviceId: service.id,
+        ...patient,
+        start,
+        recurrence: recurrence.toRule(rule),
+      });
+
+      const appointments = plan.map((occurrence) => new Appointment({
+        doctorId: doctor.id,
+        userId: request.params.userId,
+        serviceId: service.id,
+        start: occurrence.start,
+        end: new Date(occurrence.start.getTime() + service.duration * 60000),
+        paymentType: request.body.paymentType,
+        insuranceInfo: request.body.insuranceInfo,
+        insurancePolicy,
+        mode: request.body.mode,
+        ...patient,
+        series: series.id,
+        statusHistory: [{
+          status: appointmentStatus.STATUS.BOOKED,
+          by: request.params.userId,
+        }],
+      }));
+
+      // Validate for custom error handling
+      await Promise.all([series, ...appointments].map((document) => document.validate()))
+        .catch((error) => {
+          console.error(error);
+          const validationError = errors.VALIDATION_ERROR(error);
+          response.status(validationError.code);
+          throw validationError.error;
+        });
+
+      // Another booking may have taken a slot since the check
+      const taken = await reserveOccurrences(doctor.id, plan, appointments).catch((error) => {
+        console.error(error);
+        response.status(errors.SAVE_SERIES_FAILED.code);
+        throw errors.SAVE_SERIES_FAILED.error;
+      });
+
+      if (taken !== -1) {
+        plan[taken].conflict = 'unavailable';
+        response.status(errors.SERIES_CONFLICTS.code).json({
+          message: errors.SERIES_CONFLICTS.error.message,
+          occurrences: toReport(plan),
+        });
+        return;
+      }
+
+      await series.save()
+        .then(() => Promise.all(appointments.map((appointment) => appointment.save())))
+        .catch(async (error) => {
+          console.error(error);
+          await Promise.all(appointments.map((appointment) => Reservation.release(appointment.id)
+            .then(() => Appointment.deleteOne({ _id: appointment.id }))))
+            .then(() => AppointmentSeries.deleteOne({ _id: series.id }))
+            .catch(console.error);
+          response.status(errors.SAVE_SERIES_FAILED.code);
+          throw errors.SAVE_SERIES_FAILED.error;
+        });
+
+      response.status(201).json({ series, appointments });
+    } catch (error) {
+      response.send(error.message);
+    }
+  });
+
+/**
+ * `http GET` request handler to get a series of the user with its occurrences.
+ * * Requires `access-token` `device-id`
+ */
+router.get('/appointments/series/:id',
+  middlewares.requireHeaders({ accessToken: true, deviceId: true }),
+  middlewares.requireVerification({ phone: true, email: true }),
+  async (request, response) => {
+    try {
+      const series = await findSeries(request.params.id, request.params.userId, response);
+
+      const appointments = await Appointment.find({ series: series.id })
+        .sort({ start: 1 })
+        .catch((error) => {
+          console.error(error);
+          response.status(errors.FIND_APPOINTMENT_FAILED.code);
+          throw errors.FIND_APPOINTMENT_FAILED.error;
+        });
+
+      response.json({ series, appointments });
+    } catch (error) {
+      response.send(error.message);
+    }
+  });
+
+/**
+ * `http PATCH` request handler to reschedule an occurrence and the rest of its series.
+ * * Requires `access-token` `device-id`
+ * * Requires ISO-8601 `start` with an offset in the body, the new start of the first occurrence
+ * * Optional `from` appointment id of the first occurrence to move, the next upcoming by default
+ * * Later occurrences move by as many days and to the same time. All of them are checked
+ * up front, responds `409` with the conflict report if any is unavailable or its insurance
+ * policy isn't active on the new day.
+ * * Single occurrences are rescheduled with `PATCH /appointments/:id`, whose policy applies
+ * to every occurrence
+ */
+router.patch('/appointments/series/:id',
+  json(),
+  middlewares.requireHeaders({ accessToken: true, deviceId: true }),
+  middlewares.requireVerification({ phone: true, email: true }),
+  middlewares.requireBody(),
+  async (request, response) => {
+    try {
+      const start = parseStart(request.body.start, response);
+
+      const override = await isOverride(request, response);
+      const series = await findSeries(request.params.id, !override && request.params.userId,
+        response);
+      const following = await findFollowing(series, request.body.from, response);
+      following.forEach((appointment) => enforcePolicy(appointment, policy.CHANGE.RESCHEDULE,
+        request.params.userId, override, response));
+      const service = await findService(series.serviceId, response);
+
+      // Get the doctor document
+      const doctor = await Doctor.findById(series.doctorId).catch((error) => {
+        console.error(error);
+        response.status(errors.FIND_DOCTOR_FAILED.code);
+        throw errors.FIND_DOCTOR_FAILED.error;
+      });
+
+      if (!doctor) {
+        response.status(errors.NULL_DOCTOR.code);
+        throw errors.NULL_DOCTOR.error;
+      }
+
+      const timeZone = constants.clinicTimezone();
+      const previous = following.map((appointment) => appointment.start);
+      const starts = previous.map((date) => recurrence.shift(date, previous[0], start, timeZone));
+      const plan = await planOccurrences(doctor, starts, service.duration + service.buffer,
+        following.map((appointment) => appointment.id), response);
+      await checkPlanInsurance(following, plan, response);
+
+      if (plan.some((occurrence) => occurrence.conflict)) {
+        response.status(errors.SERIES_CONFLICTS.code).json({
+          message: errors.SERIES_CONFLICTS.error.message,
+          occurrences: toReport(plan),
+        });
+        return;
+      }
+
+      const taken = await moveAll(doctor, following, plan,
+        following.map(() => service.duration), request.params.userId, response);
+
+      if (taken !== -1) {
+        plan[taken].conflict = 'unavailable';
+        response.status(errors.SERIES_CONFLICTS.code).json({
+          message: errors.SERIES_CONFLICTS.error.message,
+          occurrences: toReport(plan),
+        });
+        return;
+      }
+
+      // Offer the slots left behind to the waitlist
+      await Promise.all(following.map((appointment, index) => Waitlist
+        .offerSlotsOf(appointment, previous[index]).catch(console.error)));
+
+      response.json({ series, appointments: following });
+    } catch (error) {
+      response.send(error.message);
+    }
+  });
+
+/**
+ * `http DELETE` request handler to cancel an occurrence and the rest of its series.
+ * * Requires `access-token` `device-id`
+ * * Optional `from` appointment id in the query, every upcoming occurrence by default
+ * * Single occurrences are cancelled with `DELETE /appointments/:id`, whose policy applies
+ * to every occurrence
+ */
+router.delete('/appointments/series/:id',
+  middlewares.requireHeaders({ accessToken: true, deviceId: true }),
+  middlewares.requireVerification({ phone: true, email: true }),
+  async (request, response) => {
+    try {
+      const override = await isOverride(request, response);
+      const series = await findSeries(request.params.id, !override && request.params.userId,
+        response);
+      const following = await findFollowing(series, request.query.from, response);
+      const late = following.map((appointment) => enforcePolicy(appointment,
+        policy.CHANGE.CANCEL, request.params.userId, override, response));
+
+      const cancelled = await Promise.all(following.map((appointment) => Appointment
+        .transition(appointment.id, appointmentStatus.STATUS.CANCELLED, request.params.userId)))
+        .catch((error) => {
+          console.error(error);
+          response.status(errors.UPDATE_APPOINTMENT_FAILED.code);
+          throw errors.UPDATE_APPOINTMENT_FAILED.error;
+        });
+
+      await recordLateCancellations(cancelled
+        .filter((appointment, index) => appointment && late[index])
+        .map((appointment) => appointment.id), request.params.userId).catch(console.error);
+
+      await Promise.all(cancelled.map((appointment, index) => appointment && Invoice
+        .settleCancellation(appointment.id, late[index], request.params.userId)))
+        .catch((error) => {
+          console.error(error);
+          response.status(errors.UPDATE_INVOICE_FAILED.code);
+          throw errors.UPDATE_INVOICE_FAILED.error;
+        });
+
+      // Offer the freed slots to the waitlist
+      await Promise.all(cancelled.filter(Boolean).map((appointment) => Waitlist
+        .offerSlotsOf(appointment).catch(console.error)));
+
+      response.json({
+        cancelled: cancelled.filter(Boolean).map((appointment) => appointment.id),
+      });
+    } catch (error) {
+      response.send(error.message);
+    }
+  });
+
+/**
+ * `http GET` request handler for admins to search appointments of every patient and doctor.
+ * * Requires `access-token` `device-id`
+ * * Optional `from` `to` clinic dates (inclusive), `doctorId`, `serviceId`, comma separated
+ * `status`, `phone` or `email` of the patient's account in the query
+ * * Optional `page` (from 1) and `limit` in the query, at most `MAX_PAGE_SIZE`.
+ * The total is in the `X-Total-Count` header.
+ */
+router.get('/admin/appointments',
+  middlewares.requireHeaders({ accessToken: true, deviceId: true }),
+  middlewares.requireVerification({ admin: true }),
+  async (request, response) => {
+    try {
+      const statuses = request.query.status && String(request.query.status).split(',');
+      if (statuses && !statuses.every(appointmentStatus.isValidStatus)) {
+        response.status(errors.INVALID_STATUS.code);
+        throw errors.INVALID_STATUS.error;
+      }
+
+      const ids = [request.query.doctorId, request.query.serviceId].filter(Boolean);
+      if (!ids.every(customValidators.isValidId)) {
+        response.status(errors.INVALID_ID.code);
+        throw errors.INVALID_ID.error;
+      }
+
+      const start = dayRange(request.query, response);
+      const query = {
+        ...(Object.keys(start).length ? { start } : {}),
+        ...(statuses ? { status: { $in: statuses } } : {}),
+        ...(request.query.doctorId ? { doctorId: request.query.doctorId } : {}),
+        ...(request.query.serviceId ? { serviceId: request.query.serviceId } : {}),
+      };
+
+      if (request.query.phone || request.query.email) {
+        const users = await User.find({
+          $or: [
+            request.query.phone && { phone: String(request.query.phone).trim() },
+            request.query.email && { email: String(request.query.email).toLowerCase() },
+          ].filter(Boolean),
+        }).select('_id').catch((error) => {
+          console.error(error);
+          response.status(errors.FIND_USER_FAILED.code);
+          throw errors.FIND_USER_FAILED.error;
+        });
+        query.userId = { $in: users.map((user) => user.id) };
+      }
+
+      const { skip, limit } = pageOf(request.query);
+      const [total, appointments] = await Promise.all([
+        Appointment.countDocuments(query),
+        populateForList(Appointment.find(query)
+          .sort({ start: 1 })
+          .skip(skip)
+          .limit(limit))
+          .populate({ path: 'userId', select: 'firstName lastName phone email' }),
+      ]).catch((error) => {
+        console.error(error);
+        response.status(errors.FIND_APPOINTMENT_FAILED.code);
+        throw errors.FIND_APPOINTMENT_FAILED.error;
+      });
+
+      response.set('X-Total-Count', String(total));
+      response.json(appointments.map((appointment) => ({
+        ...toListItem(appointment),
+        doctorid: appointment.doctorId ? appointment.doctorId.id : undefined,
+        account: appointment.userId && {
+          id: appointment.userId.id,
+          firstName: appointment.userId.firstName,
+          lastName: appointment.userId.lastName,
+          phone: appointment.userId.phone,
+          email: appointment.userId.email,
+        },
+      })));
+    } catch (error) {
+      response.send(error.message);
+    }
+  });
+
+/**
+ * `http POST` request handler for admins to book on behalf of a walk-in or phone-in patient.
+ * * Requires `access-token` `device-id`
+ * * Requires the booking as for `POST /appointments` in the body
+ * * Requires the patient's account `userId`, or `phone` or `email` of it in the body.
+ * Without an account both `phone` and `email` register one, with optional `firstName`
+ * `lastName`. The patient signs in to it with an OTP.
+ */
+router.post('/admin/appointments',
+  json(),
+  middlewares.requireHeaders({ accessToken: true, deviceId: true }),
+  middlewares.requireVerification({ admin: true }),
+  middlewares.requireBody(),
+  async (request, response) => {
+    try {
+      const { phone, email } = request.body;
+      const contacts = [
+        phone && { phone: String(phone).trim() },
+        email && { email: String(email).toLowerCase() },
+      ].filter(Boolean);
+
+      if (!request.body.userId && contacts.length === 0) {
+        response.status(errors.NULL_USER.code);
+        throw errors.NULL_USER.error;
+      }
+
+      let user = await User.findOne({
+        ...(request.body.userId ? { _id: request.body.userId } : { $or: contacts }),
+        isDeleted: { $ne: true },
+      }).catch((error) => {
+        console.error(error);
+        response.status(errors.FIND_USER_FAILED.code);
+        throw errors.FIND_USER_FAILED.error;
+      });
+
+      if (!user && (request.body.userId || contacts.length < 2)) {
+        response.status(errors.NULL_USER.code);
+        throw errors.NULL_USER.error;
+      }
+
+      if (!user) {
+        // A password nobody knows, the patient signs in with an OTP
+        user = new User({
+          phone,
+          email,
+          firstName: request.body.firstName,
+          lastName: request.body.lastName,
+          password: `${randomBytes(24).toString('base64')}aA1!`,
+        });
+
+        await user.validate().catch((error) => {
+          console.error(error);
+          const validationError = errors.VALIDATION_ERROR(error);
+          response.status(validationError.code);
+          throw validationError.error;
+        });
+
+        await user.save().catch((error) => {
+          console.error(error);
+          response.status(errors.SAVE_USER_FAILED.code);
+          throw errors.SAVE_USER_FAILED.error;
+        });
+      }
+
+      const appointment = await book(request.body, user.id, request.params.userId, response);
+
+      response.status(201).json(appointment);
+    } catch (error) {
+      response.send(error.message);
+    }
+  });
+
+/**
+ * `http POST` request handler for admins to move a doctor's upcoming appointments of a day,
+ * e.g. when the doctor is unavailable.
+ * * Requires `access-token` `device-id`
+ * * Requires clinic `date` of the appointments and `to` clinic date in the body,
+ * they keep their times
+ * * Optional `doctorid` of a covering doctor in the body, who must offer each service
+ * * All appointments are checked up front, responds `409` with the conflict report if any
+ * can't be moved. `dryRun` in the body only reports.
+ * * The slots left aren't offered to the waitlist, the doctor is unavailable
+ */
+router.post('/admin/doctors/:id/reschedule-day',
+  json(),
+  middlewares.requireHeaders({ accessToken: true, deviceId: true }),
+  middlewares.requireVerification({ admin: true }),
+  middlewares.requireBody(),
+  async (request, response) => {
+    try {
+      const { date, to } = request.body;
+      if (![date, to].every((day) => /^\d{4}-\d{2}-\d{2}$/.test(day)
+        && !Number.isNaN(new Date(day).getTime()))) {
+        response.status(errors.INVALID_DATE.code);
+        throw errors.INVALID_DATE.error;
+      }
+
+      const [doctor, target] = await Promise.all([
+        Doctor.findById(request.params.id),
+        Doctor.findById(request.body.doctorid || request.params.id),
+      ]).catch((error) => {
+        console.error(error);
+        response.status(errors.FIND_DOCTOR_FAILED.code);
+        throw errors.FIND_DOCTOR_FAILED.error;
+      });
+
+      if (!doctor || !target) {
+        response.status(errors.NULL_DOCTOR.code);
+        throw errors.NULL_DOCTOR.error;
+      }
+
+      const timeZone = constants.clinicTimezone();
+      const { $gte, $lt } = dayRange({ from: date, to: date }, response);
+      const appointments = await Appointment.find({
+        doctorId: doctor.id,
+        status: { $in: appointmentStatus.UPCOMING },
+        start: { $gte, $lt },
+      }).sort({ start: 1 }).catch((error) => {
+        console.error(error);
+        response.status(errors.FIND_APPOINTMENT_FAILED.code);
+        throw errors.FIND_APPOINTMENT_FAILED.error;
+      });
+
+      if (appointments.length === 0) {
+        response.status(errors.NULL_APPOINTMENT.code);
+        throw errors.NULL_APPOINTMENT.error;
+      }
+
+      const services = await Service.find({
+        _id: { $in: appointments.map((appointment) => appointment.serviceId) },
+      }).catch((error) => {
+        console.error(error);
+        response.status(errors.FIND_SERVICE_FAILED.code);
+        throw errors.FIND_SERVICE_FAILED.error;
+      });
+      const serviceOf = (appointment) => services
+        .find((service) => service.id === String(appointment.serviceId));
+
+      // Appointments of removed services keep their length
+      const durations = appointments.map((appointment) => {
+        const service = serviceOf(appointment);
+        return service ? service.duration : (appointment.end - appointment.start) / 60000;
+      });
+      const minutes = appointments.map((appointment, index) => {
+        const service = serviceOf(appointment);
+        return service ? service.duration + service.buffer : durations[index];
+      });
+      const starts = appointments.map((appointment) => timezone.fromZoned(to,
+        timezone.toZoned(appointment.start, timeZone).time, timeZone));
+
+      const plan = await planOccurrences(target, starts, minutes,
+        appointments.map((appointment) => appointment.id), response);
+      plan.forEach((occurrence, index) => {
+        const service = serviceOf(appointments[index]);
+        if (service && !service.staff.map(String).includes(target.id)) {
+          Object.assign(occurrence, { conflict: 'service-not-offered' });
+        }
+      });
+      await checkPlanInsurance(appointments, plan, response);
+
+      const report = () => toReport(plan).map((occurrence, index) => ({
+        appointmentid: appointments[index].id,
+        ...occurrence,
+      }));
+
+      if (plan.some((occurrence) => occurrence.conflict)) {
+        response.status(errors.DAY_CONFLICTS.code).json({
+          message: errors.DAY_CONFLICTS.error.message,
+          appointments: report(),
+        });
+        return;
+      }
+
+      if (request.body.dryRun) {
+        response.json({ appointments: report() });
+        return;
+      }
+
+      const taken = await moveAll(target, appointments, plan, durations, request.params.userId,
+        response);
+
+      if (taken !== -1) {
+        plan[taken].conflict = 'unavailable';
+        response.status(errors.DAY_CONFLICTS.code).json({
+          message: errors.DAY_CONFLICTS.error.message,
+          appointments: report(),
+        });
+        return;
+      }
 
-    catch(e){
-            res.status(500).send(e)
+      response.json({ appointments });
+    } catch (error) {
+      response.send(error.message);
     }
-  })
+  });
 
- 
-module.exports = router
+/**
+ * Appointment router
+ */
+module.exports = router;
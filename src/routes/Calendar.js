@@ -0,0 +1,252 @@
+/* eslint-disable no-console */
+const { Router } = require('express');
+const { Appointment, CalendarFeed, Doctor } = require('../database');
+const {
+  middlewares, errors, appointmentStatus, ical,
+} = require('../utils');
+
+const router = Router();
+
+/**
+ * Appointments in a feed, cancelled ones stay so that calendars drop them
+ */
+const FEED_STATUS = [...appointmentStatus.UPCOMING, appointmentStatus.STATUS.CANCELLED];
+
+/**
+ * Turns an appointment into a calendar event.
+ * * The appointment id makes a stable UID, so a reschedule or cancellation updates the event
+ * * The version raised by every save makes the sequence
+ * @param {Document<Appointment>} appointment With `doctorId` `serviceId` `appointmentFor`
+ * populated
+ * @param {boolean} forDoctor Whether the event goes on the doctor's agenda
+ * @returns {CalendarEvent}
+ */
+function toEvent(appointment, forDoctor) {
+  const archive = appointment.archive || {};
+  const service = (appointment.serviceId ? appointment.serviceId.name : archive.serviceName)
+    || 'Appointment';
+  const { patientName } = appointment.patient();
+  const doctorName = appointment.doctorId ? appointment.doctorId.name : archive.doctorName;
+  return {
+    uid: `${appointment.id}@skinmate`,
+    start: appointment.start,
+    end: appointment.end,
+    stamp: appointment.updatedAt || appointment.createdAt,
+    sequence: appointment.get('__v'),
+    summary: forDoctor ? `${service}: ${patientName || 'Patient'}` : `${service} with ${doctorName}`,
+    description: forDoctor ? `Status: ${appointment.status}` : patientName && `For ${patientName}`,
+    status: appointment.status === appointmentStatus.STATUS.CANCELLED ? 'CANCELLED' : 'CONFIRMED',
+  };
+}
+
+/**
+ * Populates what `toEvent` needs
+ * @param {Query} query
+ */
+function populateForEvents(query) {
+  return query
+    .populate({ path: 'doctorId', select: 'name' })
+    .populate({ path: 'serviceId', select: 'name' })
+    .populate({ path: 'appointmentFor', select: 'firstName lastName relationship' });
+}
+
+/**
+ * Responds with the URL of a feed
+ * @param {Document<CalendarFeed>} feed
+ * @param {Request} request
+ * @param {Response} response
+ */
+function sendFeedUrl(feed, request, response) {
+  response.json({
+    url: `${request.protocol}://${request.get('host')}/calendar/feeds/${feed.token}.ics`,
+  });
+}
+
+/**
+ * `http GET` request handler to export an appointment of the user, or on the signed in
+ * doctor's agenda, as an iCalendar file
+ * * Requires `access-token` `device-id`
+ */
+router.get('/appointments/:id/ics',
+  middlewares.requireHeaders({ accessToken: true, deviceId: true }),
+  middlewares.requireVerification({}),
+  async (request, response) => {
+    try {
+      const appointment = await populateForEvents(Appointment.findById(request.params.id))
+        .catch((error) => {
+          console.error(error);
+          response.status(errors.FIND_APPOINTMENT_FAILED.code);
+          throw errors.FIND_APPOINTMENT_FAILED.error;
+        });
+
+      if (!appointment) {
+        response.status(errors.NULL_APPOINTMENT.code);
+        throw errors.NULL_APPOINTMENT.error;
+      }
+
+      const isPatient = String(appointment.userId) === request.params.userId;
+      const isDoctor = !isPatient && await Doctor.exists({
+        _id: appointment.doctorId && appointment.doctorId.id,
+        user: request.params.userId,
+      }).catch((error) => {
+        console.error(error);
+        response.status(errors.FIND_DOCTOR_FAILED.code);
+        throw errors.FIND_DOCTOR_FAILED.error;
+      });
+
+      if (!isPatient && !isDoctor) {
+        response.status(errors.UNOWNED_DOCUMENT.code);
+        throw errors.UNOWNED_DOCUMENT.error;
+      }
+
+      response
+        .type('text/calendar')
+        .attachment(`appointment-${appointment.id}.ics`)
+        .send(ical.toCalendar('SkinMate', [toEvent(appointment, isDoctor)]));
+    } catch (error) {
+      response.send(error.message);
+    }
+  });
+
+/**
+ * `http PUT` request handler to issue the user's appointment feed, revoking its previous URL
+ * * Requires `access-token` `device-id`
+ */
+router.put('/calendar/feed',
+  middlewares.requireHeaders({ accessToken: true, deviceId: true }),
+  middlewares.requireVerification({ phone: true, email: true }),
+  async (request, response) => {
+    try {
+      const feed = await CalendarFeed.issue(request.params.userId).catch((error) => {
+        console.error(error);
+        response.status(errors.SAVE_CALENDAR_FEED_FAILED.code);
+        throw errors.SAVE_CALENDAR_FEED_FAILED.error;
+      });
+
+      sendFeedUrl(feed, request, response);
+    } catch (error) {
+      response.send(error.message);
+    }
+  });
+
+/**
+ * `http DELETE` request handler to revoke the user's appointment feed
+ * * Requires `access-token` `device-id`
+ */
+router.delete('/calendar/feed',
+  middlewares.requireHeaders({ accessToken: true, deviceId: true }),
+  middlewares.requireVerification({ phone: true, email: true }),
+  async (request, response) => {
+    try {
+      const feed = await CalendarFeed.revoke(request.params.userId).catch((error) => {
+        console.error(error);
+        response.status(errors.DELETE_CALENDAR_FEED_FAILED.code);
+        throw errors.DELETE_CALENDAR_FEED_FAILED.error;
+      });
+
+      if (!feed) {
+        response.status(errors.NULL_CALENDAR_FEED.code);
+        throw errors.NULL_CALENDAR_FEED.error;
+      }
+
+      response.send('Calendar feed revoked');
+    } catch (error) {
+      response.send(error.message);
+    }
+  });
+
+/**
+ * `http PUT` request handler to issue the signed in doctor's agenda feed,
+ * revoking its previous URL
+ * * Requires `access-token` `device-id`
+ */
+router.put('/calendar/agenda-feed',
+  middlewares.requireHeaders({ accessToken: true, deviceId: true }),
+  middlewares.requireVerification({ doctor: true }),
+  async (request, response) => {
+    try {
+      const feed = await CalendarFeed.issue(request.params.userId, request.params.doctorId)
+        .catch((error) => {
+          console.error(error);
+          response.status(errors.SAVE_CALENDAR_FEED_FAILED.code);
+          throw errors.SAVE_CALENDAR_FEED_FAILED.error;
+        });
+
+      sendFeedUrl(feed, request, response);
+    } catch (error) {
+      response.send(error.message);
+    }
+  });
+
+/**
+ * `http DELETE` request handler to revoke the signed in doctor's agenda feed
+ * * Requires `access-token` `device-id`
+ */
+router.delete('/calendar/agenda-feed',
+  middlewares.requireHeaders({ accessToken: true, deviceId: true }),
+  middlewares.requireVerification({ doctor: true }),
+  async (request, response) => {
+    try {
+      const feed = await CalendarFeed.revoke(request.params.userId, request.params.doctorId)
+        .catch((error) => {
+          console.error(error);
+          response.status(errors.DELETE_CALENDAR_FEED_FAILED.code);
+          throw errors.DELETE_CALENDAR_FEED_FAILED.error;
+        });
+
+      if (!feed) {
+        response.status(errors.NULL_CALENDAR_FEED.code);
+        throw errors.NULL_CALENDAR_FEED.error;
+      }
+
+      response.send('Agenda feed revoked');
+    } catch (error) {
+      response.send(error.message);
+    }
+  });
+
+/**
+ * `http GET` request handler for calendar apps to fetch a feed.
+ * * Requires the feed token in the path, calendar apps can't send headers
+ * * Lists upcoming appointments of the user, or of the doctor for an agenda feed,
+ * and the upcoming ones that were cancelled
+ */
+router.get('/calendar/feeds/:token.ics',
+  async (request, response) => {
+    try {
+      const feed = await CalendarFeed.findOne({ token: request.params.token })
+        .catch((error) => {
+          console.error(error);
+          response.status(errors.FIND_CALENDAR_FEED_FAILED.code);
+          throw errors.FIND_CALENDAR_FEED_FAILED.error;
+        });
+
+      if (!feed) {
+        response.status(errors.NULL_CALENDAR_FEED.code);
+        throw errors.NULL_CALENDAR_FEED.error;
+      }
+
+      const forDoctor = !!feed.doctor;
+      const appointments = await populateForEvents(Appointment.find({
+        ...(forDoctor ? { doctorId: feed.doctor } : { userId: feed.user }),
+        status: { $in: FEED_STATUS },
+        start: { $gte: new Date() },
+      }).sort({ start: 1 })).catch((error) => {
+        console.error(error);
+        response.status(errors.FIND_APPOINTMENT_FAILED.code);
+        throw errors.FIND_APPOINTMENT_FAILED.error;
+      });
+
+      response
+        .type('text/calendar')
+        .send(ical.toCalendar(forDoctor ? 'SkinMate agenda' : 'SkinMate appointments',
+          appointments.map((appointment) => toEvent(appointment, forDoctor))));
+    } catch (error) {
+      response.send(error.message);
+    }
+  });
+
+/**
+ * Calendar router
+ */
+module.exports = router;
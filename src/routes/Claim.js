@@ -0,0 +1,568 @@
+/* eslint-disable no-console */
+const { Router, json } = require('express');
+const {
+  readFileSync, existsSync, unlink, unlinkSync,
+} = require('fs');
+const multer = require('multer');
+const { Appointment, Claim } = require('../database');
+const {
+  constants, middlewares, errors, scheduling, timezone, claims,
+} = require('../utils');
+
+const router = Router();
+
+/**
+ * Claims listed per page by default
+ */
+const PAGE_SIZE = 20;
+
+/**
+ * Most claims listed per page
+ */
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Most claims in one export
+ */
+const EXPORT_LIMIT = 1000;
+
+/**
+ * Where claim documents are kept
+ */
+const DOCUMENTS = 'assets/claim-documents';
+
+const upload = multer({
+  dest: DOCUMENTS,
+  limits: { fileSize: 5000000 },
+  fileFilter(_request, file, callback) {
+    if (/^(application\/pdf|image\/(jpeg|jpg|png))$/.test(file.mimetype)) {
+      return callback(null, true);
+    }
+    return callback(null, false);
+  },
+});
+
+/**
+ * Gets a claim
+ * @param {string} id
+ * @param {Response} response
+ */
+async function findClaim(id, response) {
+  const claim = await Claim.findById(id).catch((error) => {
+    console.error(error);
+    response.status(errors.FIND_CLAIM_FAILED.code);
+    throw errors.FIND_CLAIM_FAILED.error;
+  });
+
+  if (!claim) {
+    response.status(errors.NULL_CLAIM.code);
+    throw errors.NULL_CLAIM.error;
+  }
+
+  return claim;
+}
+
+/**
+ * Saves changes to a claim
+ * @param {Document<Claim>} claim
+ * @param {Response} response
+ */
+async function saveClaim(claim, response) {
+  return claim.save().catch((error) => {
+    console.error(error);
+    const { code, error: reason } = error.name === 'ValidationError'
+      ? errors.VALIDATION_ERROR(error) : errors.UPDATE_CLAIM_FAILED;
+    response.status(code);
+    throw reason;
+  });
+}
+
+/**
+ * Turns the filters of a claim list into a query.
+ * * Optional comma separated `status` and `kind`, `provider`, and `from` `to` clinic dates
+ * (inclusive) the claims were opened on
+ * @param {object} query
+ * @param {Response} response
+ */
+function claimQuery(query, response) {
+  const statuses = query.status ? String(query.status).split(',') : [];
+  const kinds = query.kind ? String(query.kind).split(',') : [];
+  if (!statuses.every(claims.isValidStatus)
+    || !kinds.every((kind) => Object.values(claims.KIND).includes(kind))) {
+    response.status(errors.INVALID_CLAIM_STATUS.code);
+    throw errors.INVALID_CLAIM_STATUS.error;
+  }
+
+  const from = query.from && new Date(query.from);
+  const to = query.to && new Date(query.to);
+  if ((from && Number.isNaN(from.getTime())) || (to && Number.isNaN(to.getTime()))
+    || (from && to && from > to)) {
+    response.status(errors.INVALID_DATE_RANGE.code);
+    throw errors.INVALID_DATE_RANGE.error;
+  }
+
+  const timeZone = constants.clinicTimezone();
+  const createdAt = {};
+  if (from) {
+    createdAt.$gte = timezone.fromZoned(scheduling.toDateString(from), '00:00', timeZone);
+  }
+  if (to) {
+    const nextDay = new Date(to.getTime() + 24 * 60 * 60 * 1000);
+    createdAt.$lt = timezone.fromZoned(scheduling.toDateString(nextDay), '00:00', timeZone);
+  }
+
+  return {
+    ...(statuses.length ? { status: { $in: statuses } } : {}),
+    ...(kinds.length ? { kind: { $in: kinds } } : {}),
+    ...(query.provider ? { 'insurer.provider': String(query.provider) } : {}),
+    ...(Object.keys(createdAt).length ? { createdAt } : {}),
+  };
+}
+
+/**
+ * Populates what `toExportRow` needs
+ * @param {Query} query
+ */
+function populateForExport(query) {
+  return query
+    .populate({
+      path: 'appointment',
+      select: 'start doctorId serviceId appointmentFor patientModel archive',
+      populate: [
+        { path: 'doctorId', select: 'name' },
+        { path: 'serviceId', select: 'name' },
+        { path: 'appointmentFor', select: 'firstName lastName relationship' },
+      ],
+    })
+    .populate({ path: 'invoice', select: 'number lines total currency' });
+}
+
+/**
+ * Serializes a claim for insurer portals, with the `claims.COLUMNS` of the CSV export
+ * @param {Document<Claim>} claim Populated by `populateForExport`
+ */
+function toExportRow(claim) {
+  const appointment = claim.appointment || {};
+  const { doctorId: doctor, serviceId: service } = appointment;
+  const archive = appointment.archive || {};
+  const insurer = claim.insurer || {};
+  return {
+    claimNumber: claim.number,
+    kind: claim.kind,
+    status: claim.status,
+    provider: insurer.provider,
+    policyNumber: insurer.policyNumber,
+    memberId: insurer.memberId,
+    ...(appointment.patient ? appointment.patient() : {}),
+    appointmentDate: appointment.start
+      && timezone.toISOString(appointment.start, constants.clinicTimezone()),
+    serviceName: service ? service.name : archive.serviceName,
+    doctorName: doctor ? doctor.name : archive.doctorName,
+    invoiceNumber: claim.invoice ? claim.invoice.number : undefined,
+    currency: claim.currency,
+    amountClaimed: claim.amountClaimed,
+    amountApproved: claim.amountApproved,
+    amountSettled: claim.amountSettled,
+    insurerReference: claim.insurerReference,
+    submittedAt: claim.submittedAt(),
+    documents: claim.documents.map((document) => document.name),
+  };
+}
+
+/**
+ * `http POST` request handler for admins to open a draft claim of an appointment billed to
+ * an insurance policy.
+ * * Requires `access-token` `device-id`
+ * * Optional `kind` in the body, `claim` by default or `pre-authorization`, `amountClaimed`
+ * in the minor unit of the currency, the invoice total by default, and `note`
+ */
+router.post('/admin/appointments/:id/claims',
+  json(),
+  middlewares.requireHeaders({ accessToken: true, deviceId: true }),
+  middlewares.requireVerification({ admin: true }),
+  async (request, response) => {
+    try {
+      const kind = request.body.kind || claims.KIND.CLAIM;
+      if (!Object.values(claims.KIND).includes(kind)) {
+        response.status(errors.INVALID_CLAIM_STATUS.code);
+        throw errors.INVALID_CLAIM_STATUS.error;
+      }
+
+      const appointment = await Appointment.findById(request.params.id).catch((error) => {
+        console.error(error);
+        response.status(errors.FIND_APPOINTMENT_FAILED.code);
+        throw errors.FIND_APPOINTMENT_FAILED.error;
+      });
+
+      if (!appointment) {
+        response.status(errors.NULL_APPOINTMENT.code);
+        throw errors.NULL_APPOINTMENT.error;
+      }
+
+      if (!appointment.insurancePolicy) {
+        response.status(errors.NOT_INSURED.code);
+        throw errors.NOT_INSURED.error;
+      }
+
+      const exists = await Claim.exists({ appointment: appointment.id, kind })
+        .catch((error) => {
+          console.error(error);
+          response.status(errors.FIND_CLAIM_FAILED.code);
+          throw errors.FIND_CLAIM_FAILED.error;
+        });
+
+      if (exists) {
+        response.status(errors.CLAIM_EXISTS.code);
+        throw errors.CLAIM_EXISTS.error;
+      }
+
+      const claim = await Claim.open(appointment, kind, request.params.userId)
+        .catch((error) => {
+          console.error(error);
+          response.status(errors.SAVE_CLAIM_FAILED.code);
+          throw errors.SAVE_CLAIM_FAILED.error;
+        });
+
+      if (request.body.amountClaimed !== undefined || request.body.note) {
+        if (request.body.amountClaimed !== undefined) {
+          claim.amountClaimed = request.body.amountClaimed;
+        }
+        if (request.body.note) {
+          claim.notes.push({ text: request.body.note, by: request.params.userId });
+        }
+        await saveClaim(claim, response);
+      }
+
+      response.status(201).json(claim);
+    } catch (error) {
+      response.send(error.message);
+    }
+  });
+
+/**
+ * `http GET` request handler for admins to list claims, latest first.
+ * * Requires `access-token` `device-id`
+ * * Optional `status` `kind` `provider` `from` `to` filters, see `claimQuery`,
+ * and `page` (from 1) and `limit`. `X-Total-Count` has the total.
+ */
+router.get('/admin/claims',
+  middlewares.requireHeaders({ accessToken: true, deviceId: true }),
+  middlewares.requireVerification({ admin: true }),
+  async (request, response) => {
+    try {
+      const query = claimQuery(request.query, response);
+      const limit = Math.min(parseInt(request.query.limit, 10) || PAGE_SIZE, MAX_PAGE_SIZE);
+      const page = Math.max(parseInt(request.query.page, 10) || 1, 1);
+
+      const [total, found] = await Promise.all([
+        Claim.countDocuments(query),
+        Claim.find(query)
+          .sort({ createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .select('-notes -statusHistory'),
+      ]).catch((error) => {
+        console.error(error);
+        response.status(errors.FIND_CLAIM_FAILED.code);
+        throw errors.FIND_CLAIM_FAILED.error;
+      });
+
+      response.set('X-Total-Count', String(total));
+      response.json(found);
+    } catch (error) {
+      response.send(error.message);
+    }
+  });
+
+/**
+ * `http GET` request handler for admins to export claims to upload to insurer portals.
+ * * Requires `access-token` `device-id`
+ * * Optional `format`, `csv` by default or `json`, and the filters of `GET /admin/claims`
+ * * CSV has a line per claim with the `claims.COLUMNS`. The JSON bundle adds the invoice
+ * lines and where to download each document.
+ */
+router.get('/admin/claims/export',
+  middlewares.requireHeaders({ accessToken: true, deviceId: true }),
+  middlewares.requireVerification({ admin: true }),
+  async (request, response) => {
+    try {
+      const format = request.query.format || 'csv';
+      if (format !== 'csv' && format !== 'json') {
+        response.status(errors.INVALID_EXPORT_FORMAT.code);
+        throw errors.INVALID_EXPORT_FORMAT.error;
+      }
+
+      const query = claimQuery(request.query, response);
+
+      const found = await populateForExport(Claim.find(query)
+        .sort({ number: 1 })
+        .limit(EXPORT_LIMIT))
+        .catch((error) => {
+          console.error(error);
+          response.status(errors.FIND_CLAIM_FAILED.code);
+          throw errors.FIND_CLAIM_FAILED.error;
+        });
+
+      const generatedAt = new Date();
+      const name = `claims-${timezone.toZoned(generatedAt, constants.clinicTimezone()).date}`;
+
+      if (format === 'csv') {
+        response.attachment(`${name}.csv`);
+        response.type('text/csv');
+        response.send(claims.toCSV(found.map(toExportRow)));
+        return;
+      }
+
+      response.attachment(`${name}.json`);
+      response.json({
+        generatedAt: timezone.toISOString(generatedAt, constants.clinicTimezone()),
+        count: found.length,
+        claims: found.map((claim) => ({
+          claimId: claim.id,
+          ...toExportRow(claim),
+          invoiceLines: claim.invoice ? claim.invoice.lines : [],
+          invoiceTotal: claim.invoice ? claim.invoice.total : undefined,
+          documents: claim.documents.map((document) => ({
+            name: document.name,
+            mimetype: document.mimetype,
+            size: document.size,
+            url: `/admin/claims/${claim.id}/documents/${document.id}`,
+          })),
+        })),
+      });
+    } catch (error) {
+      response.send(error.message);
+    }
+  });
+
+/**
+ * `http GET` request handler for admins to see a claim with its history, notes and documents.
+ * * Requires `access-token` `device-id`
+ */
+router.get('/admin/claims/:id',
+  middlewares.requireHeaders({ accessToken: true, deviceId: true }),
+  middlewares.requireVerification({ admin: true }),
+  async (request, response) => {
+    try {
+      const claim = await findClaim(request.params.id, response);
+
+      response.json(claim);
+    } catch (error) {
+      response.send(error.message);
+    }
+  });
+
+/**
+ * `http PATCH` request handler for admins to edit a claim.
+ * * Requires `access-token` `device-id`
+ * * Optional `amountClaimed` while the claim is a draft, and `insurerReference`
+ */
+router.patch('/admin/claims/:id',
+  json(),
+  middlewares.requireHeaders({ accessToken: true, deviceId: true }),
+  middlewares.requireVerification({ admin: true }),
+  middlewares.requireBody(),
+  async (request, response) => {
+    try {
+      const updates = Object.keys(request.body);
+      const allowedUpdates = ['amountClaimed', 'insurerReference'];
+      const isValidOperation = updates.every((update) => allowedUpdates.includes(update));
+
+      if (!isValidOperation) {
+        const { code, error } = errors.FORBIDDEN_FIELDS_ERROR(updates
+          .filter((key) => !allowedUpdates.includes(key)));
+        response.status(code);
+        throw error;
+      }
+
+      const claim = await findClaim(request.params.id, response);
+
+      if (updates.includes('amountClaimed') && claim.status !== claims.STATUS.DRAFT) {
+        response.status(errors.CLAIM_LOCKED.code);
+        throw errors.CLAIM_LOCKED.error;
+      }
+
+      updates.forEach((update) => {
+        claim[update] = request.body[update];
+      });
+
+      const updated = await saveClaim(claim, response);
+
+      response.json(updated);
+    } catch (error) {
+      response.send(error.message);
+    }
+  });
+
+/**
+ * `http POST` request handler for admins to move a claim along as the insurer decides it.
+ * * Requires `access-token` `device-id`
+ * * Requires `status` in the body, see `claims.TRANSITIONS`
+ * * Approvals require `amountApproved`, settlements `amountSettled`, rejections the
+ * insurer's reason as `note`. Optional `insurerReference`.
+ */
+router.post('/admin/claims/:id/status',
+  json(),
+  middlewares.requireHeaders({ accessToken: true, deviceId: true }),
+  middlewares.requireVerification({ admin: true }),
+  middlewares.requireBody(),
+  async (request, response) => {
+    try {
+      const { status } = request.body;
+      if (!claims.isValidStatus(status)) {
+        response.status(errors.INVALID_CLAIM_STATUS.code);
+        throw errors.INVALID_CLAIM_STATUS.error;
+      }
+
+      const claim = await findClaim(request.params.id, response);
+
+      if (!claims.canMove(claim.kind, claim.status, status)) {
+        response.status(errors.INVALID_CLAIM_TRANSITION.code);
+        throw errors.INVALID_CLAIM_TRANSITION.error;
+      }
+
+      const moved = await claim.moveTo(status, request.body, request.params.userId)
+        .catch((error) => {
+          console.error(error);
+          const { code, error: reason } = error.name === 'ValidationError'
+            ? errors.VALIDATION_ERROR(error) : errors.UPDATE_CLAIM_FAILED;
+          response.status(code);
+          throw reason;
+        });
+
+      response.json(moved);
+    } catch (error) {
+      response.send(error.message);
+    }
+  });
+
+/**
+ * `http POST` request handler for admins to add a note to a claim.
+ * * Requires `access-token` `device-id`
+ * * Requires `text` in the body
+ */
+router.post('/admin/claims/:id/notes',
+  json(),
+  middlewares.requireHeaders({ accessToken: true, deviceId: true }),
+  middlewares.requireVerification({ admin: true }),
+  middlewares.requireBody(),
+  async (request, response) => {
+    try {
+      const claim = await findClaim(request.params.id, response);
+
+      claim.notes.push({ text: request.body.text, by: request.params.userId });
+
+      const updated = await saveClaim(claim, response);
+
+      response.status(201).json(updated);
+    } catch (error) {
+      response.send(error.message);
+    }
+  });
+
+/**
+ * `http POST` request handler for admins to attach a document to a claim, e.g. a prescription
+ * or discharge summary.
+ * * Requires `access-token` `device-id`
+ * * Requires a PDF, JPEG or PNG `file` of at most 5 MB as `multipart/form-data`,
+ * optional `name`, the file name by default
+ */
+router.post('/admin/claims/:id/documents',
+  middlewares.requireHeaders({ accessToken: true, deviceId: true }),
+  middlewares.requireVerification({ admin: true }),
+  upload.single('file'),
+  async (request, response) => {
+    try {
+      // Check for file existence
+      if (!request.file) {
+        response.status(errors.NULL_REQUEST_BODY.code);
+        throw errors.NULL_REQUEST_BODY.error;
+      }
+
+      const claim = await findClaim(request.params.id, response);
+
+      claim.documents.push({
+        name: request.body.name || request.file.originalname,
+        file: request.file.filename,
+        mimetype: request.file.mimetype,
+        size: request.file.size,
+        by: request.params.userId,
+      });
+
+      const updated = await saveClaim(claim, response);
+
+      response.status(201).json(updated);
+    } catch (error) {
+      // Nothing refers to the upload of a failed request
+      if (request.file && existsSync(request.file.path)) {
+        unlinkSync(request.file.path);
+      }
+      response.send(error.message);
+    }
+  });
+
+/**
+ * `http GET` request handler for admins to download a document of a claim.
+ * * Requires `access-token` `device-id`
+ */
+router.get('/admin/claims/:id/documents/:documentId',
+  middlewares.requireHeaders({ accessToken: true, deviceId: true }),
+  middlewares.requireVerification({ admin: true }),
+  async (request, response) => {
+    try {
+      const claim = await findClaim(request.params.id, response);
+
+      const document = claim.documents.id(request.params.documentId);
+      const path = document && `${DOCUMENTS}/${document.file}`;
+
+      if (!document || !existsSync(path)) {
+        response.status(errors.NULL_CLAIM_DOCUMENT.code);
+        throw errors.NULL_CLAIM_DOCUMENT.error;
+      }
+
+      response.attachment(document.name);
+      response.type(document.mimetype);
+      response.send(readFileSync(path));
+    } catch (error) {
+      response.send(error.message);
+    }
+  });
+
+/**
+ * `http DELETE` request handler for admins to remove a document from a draft claim.
+ * * Requires `access-token` `device-id`
+ */
+router.delete('/admin/claims/:id/documents/:documentId',
+  middlewares.requireHeaders({ accessToken: true, deviceId: true }),
+  middlewares.requireVerification({ admin: true }),
+  async (request, response) => {
+    try {
+      const claim = await findClaim(request.params.id, response);
+
+      const document = claim.documents.id(request.params.documentId);
+
+      if (!document) {
+        response.status(errors.NULL_CLAIM_DOCUMENT.code);
+        throw errors.NULL_CLAIM_DOCUMENT.error;
+      }
+
+      if (claim.status !== claims.STATUS.DRAFT) {
+        response.status(errors.CLAIM_LOCKED.code);
+        throw errors.CLAIM_LOCKED.error;
+      }
+
+      document.remove();
+      await saveClaim(claim, response);
+
+      unlink(`${DOCUMENTS}/${document.file}`, (error) => error && console.error(error));
+
+      response.send('Claim document removed');
+    } catch (error) {
+      response.send(error.message);
+    }
+  });
+
+/**
+ * Claim router
+ */
+module.exports = router;
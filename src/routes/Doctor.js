@@ -1,9 +1,13 @@
 /* eslint-disable no-console */
-const { Router, urlencoded } = require('express');
+const { Router, urlencoded, json } = require('express');
 const { readFileSync, existsSync } = require('fs');
 const multer = require('multer');
-const { middlewares, errors } = require('../utils');
-const { Doctor } = require('../database');
+const {
+  constants, middlewares, errors, scheduling, timezone, appointmentStatus,
+} = require('../utils');
+const {
+  Doctor, Reservation, Leave, Service, User, Appointment,
+} = require('../database');
 
 const router = Router();
 
@@ -100,7 +104,7 @@ router.patch('/doctors/:id',
     try {
       // Checks for keys(updatable) in the database
       const updates = Object.keys(request.body);
-      const updatable = ['name', 'email', 'qualification', 'phone'];
+      const updatable = ['name', 'email', 'qualification', 'phone', 'user'];
       const isValidOperation = updates.every((update) => updatable.includes(update));
 
       // Checks for the valid-Operations
@@ -111,6 +115,20 @@ router.patch('/doctors/:id',
         throw error;
       }
 
+      // The account to link must exist
+      if (updates.includes('user')) {
+        const isUser = await User.exists({ _id: request.body.user }).catch((error) => {
+          console.error(error);
+          response.status(errors.FIND_USER_FAILED.code);
+          throw errors.FIND_USER_FAILED.error;
+        });
+
+        if (!isUser) {
+          response.status(errors.NULL_USER.code);
+          throw errors.NULL_USER.error;
+        }
+      }
+
       // Get the doctor document
       const doctor = await Doctor.findById(request.params.id).catch((error) => {
         console.error(error);
@@ -163,6 +181,256 @@ router.delete('/doctors/:id',
     }
   });
 
+/**
+ * `http PUT` request handler to replace the weekly working hours of a doctor
+ * * Requires `access-token` `device-id`
+ * * Requires `workingHours` array in the JSON body
+ */
+router.put('/doctors/:id/working-hours',
+  json(),
+  middlewares.requireHeaders({ accessToken: true, deviceId: true }),
+  middlewares.requireVerification({ admin: true }),
+  middlewares.requireDoctor(),
+  middlewares.requireBody(),
+  async (request, response) => {
+    try {
+      // Get the doctor document
+      const doctor = await Doctor.findById(request.params.id).catch((error) => {
+        console.error(error);
+        response.status(errors.FIND_DOCTOR_FAILED.code);
+        throw errors.FIND_DOCTOR_FAILED.error;
+      });
+
+      doctor.workingHours = request.body.workingHours;
+
+      // Validate for custom error handling
+      await doctor.validate().catch((error) => {
+        console.error(error);
+        const validationError = errors.VALIDATION_ERROR(error);
+        response.status(validationError.code);
+        throw validationError.error;
+      });
+
+      await doctor.save().catch((error) => {
+        console.error(error);
+        response.status(errors.UPDATE_DOCTOR_FAILED.code);
+        throw errors.UPDATE_DOCTOR_FAILED.error;
+      });
+
+      response.json(doctor.workingHours);
+    } catch (error) {
+      response.send(error.message);
+    }
+  });
+
+/**
+ * `http GET` request handler to list bookable slots of a doctor
+ * * Requires `from` `to` clinic dates (inclusive) in the query, at most 31 days apart
+ * * Optional `serviceId` in the query lists only start times the service fits
+ * * Slots carry ISO-8601 `start` `end` with the clinic offset, ones that have started are left out
+ */
+router.get('/doctors/:id/availability',
+  middlewares.requireDoctor(),
+  async (request, response) => {
+    try {
+      const from = new Date(request.query.from);
+      const to = new Date(request.query.to);
+
+      if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || from > to) {
+        response.status(errors.INVALID_DATE_RANGE.code);
+        throw errors.INVALID_DATE_RANGE.error;
+      }
+
+      const days = scheduling.eachDay(from, to);
+
+      if (days.length > 31) {
+        response.status(errors.DATE_RANGE_TOO_LONG.code);
+        throw errors.DATE_RANGE_TOO_LONG.error;
+      }
+
+      // Get the doctor document
+      const doctor = await Doctor.findById(request.params.id).catch((error) => {
+        console.error(error);
+        response.status(errors.FIND_DOCTOR_FAILED.code);
+        throw errors.FIND_DOCTOR_FAILED.error;
+      });
+
+      // Reserved slots within the range
+      const reservations = await Reservation.findTaken(doctor.id, days[0], days[days.length - 1])
+        .catch((error) => {
+          console.error(error);
+          response.status(errors.FIND_APPOINTMENT_FAILED.code);
+          throw errors.FIND_APPOINTMENT_FAILED.error;
+        });
+
+      // Leaves and clinic closures within the range
+      const leaves = await Leave.findFor(doctor.id, days[0], days[days.length - 1])
+        .catch((error) => {
+          console.error(error);
+          response.status(errors.FIND_LEAVE_FAILED.code);
+          throw errors.FIND_LEAVE_FAILED.error;
+        });
+
+      // Service whose duration and buffer the start times must fit
+      let service;
+      if (request.query.serviceId) {
+        service = await Service.findById(request.query.serviceId).catch((error) => {
+          console.error(error);
+          response.status(errors.FIND_SERVICE_FAILED.code);
+          throw errors.FIND_SERVICE_FAILED.error;
+        });
+
+        if (!service) {
+          response.status(errors.NULL_SERVICE.code);
+          throw errors.NULL_SERVICE.error;
+        }
+      }
+
+      // Subtract reserved and leave slots from the working slots of each day
+      const now = new Date();
+      const availability = days.map((day) => {
+        const date = scheduling.toDateString(day);
+        const hours = scheduling.workingHoursOn(doctor, day);
+        if (!hours) {
+          return { date, slots: [] };
+        }
+
+        const reserved = reservations
+          .filter((reservation) => reservation.date.getTime() === day.getTime())
+          .map((reservation) => reservation.slot);
+
+        // A start time needs as many consecutive free slots as the service takes
+        const length = service ? service.duration : hours.slotLength;
+        const count = service
+          ? Math.ceil((service.duration + service.buffer) / hours.slotLength)
+          : 1;
+        const starts = scheduling.freeStarts(hours, day, reserved, leaves, count);
+
+        return {
+          date,
+          slots: starts
+            .map((slot) => timezone.fromZoned(date, slot, constants.clinicTimezone()))
+            // Slots that have started can't be booked anymore
+            .filter((start) => start > now)
+            .map((start) => ({
+              start: timezone.toISOString(start, constants.clinicTimezone()),
+              end: timezone.toISOString(new Date(start.getTime() + length * 60000),
+                constants.clinicTimezone()),
+            })),
+        };
+      });
+
+      response.json(availability);
+    } catch (error) {
+      response.send(error.message);
+    }
+  });
+
+/**
+ * `http GET` request handler to list a day's appointments of the signed in doctor
+ * * Requires `access-token` `device-id`
+ * * Optional clinic `date` in the query, today by default
+ */
+router.get('/doctors/me/agenda',
+  middlewares.requireHeaders({ accessToken: true, deviceId: true }),
+  middlewares.requireVerification({ doctor: true }),
+  async (request, response) => {
+    try {
+      const timeZone = constants.clinicTimezone();
+      const date = request.query.date || timezone.toZoned(new Date(), timeZone).date;
+      const day = new Date(date);
+
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || Number.isNaN(day.getTime())) {
+        response.status(errors.INVALID_DATE.code);
+        throw errors.INVALID_DATE.error;
+      }
+
+      const nextDay = scheduling.toDateString(new Date(day.getTime() + 24 * 60 * 60 * 1000));
+      const appointments = await Appointment.find({
+        doctorId: request.params.doctorId,
+        start: {
+          $gte: timezone.fromZoned(date, '00:00', timeZone),
+          $lt: timezone.fromZoned(nextDay, '00:00', timeZone),
+        },
+        status: { $ne: appointmentStatus.STATUS.CANCELLED },
+      })
+        .sort({ start: 1 })
+        .populate({ path: 'appointmentFor', select: 'firstName lastName relationship' })
+        .populate({ path: 'serviceId', select: 'name' })
+        .catch((error) => {
+          console.error(error);
+          response.status(errors.FIND_APPOINTMENT_FAILED.code);
+          throw errors.FIND_APPOINTMENT_FAILED.error;
+        });
+
+      response.json(appointments.map((appointment) => ({
+        appointmentid: appointment.id,
+        start: timezone.toISOString(appointment.start, timeZone),
+        end: timezone.toISOString(appointment.end, timeZone),
+        ...appointment.patient(),
+        serviceName: appointment.serviceId && appointment.serviceId.name,
+        status: appointment.status,
+        conflictingLeave: appointment.conflictingLeave,
+      })));
+    } catch (error) {
+      response.send(error.message);
+    }
+  });
+
+/**
+ * `http PATCH` request handler for the signed in doctor to check a patient in,
+ * complete the appointment or mark a no-show
+ * * Requires `access-token` `device-id`
+ * * Requires `status` in the body
+ */
+router.patch('/doctors/me/appointments/:appointmentId/status',
+  json(),
+  middlewares.requireHeaders({ accessToken: true, deviceId: true }),
+  middlewares.requireVerification({ doctor: true }),
+  middlewares.requireBody(),
+  async (request, response) => {
+    try {
+      const { STATUS } = appointmentStatus;
+      if (![STATUS.CHECKED_IN, STATUS.COMPLETED, STATUS.NO_SHOW].includes(request.body.status)) {
+        response.status(errors.INVALID_STATUS.code);
+        throw errors.INVALID_STATUS.error;
+      }
+
+      // Doctors only move their own appointments
+      const appointment = await Appointment.transition(request.params.appointmentId,
+        request.body.status, request.params.userId, { doctorId: request.params.doctorId })
+        .catch((error) => {
+          console.error(error);
+          response.status(errors.UPDATE_APPOINTMENT_FAILED.code);
+          throw errors.UPDATE_APPOINTMENT_FAILED.error;
+        });
+
+      if (!appointment) {
+        const exists = await Appointment.exists({
+          _id: request.params.appointmentId,
+          doctorId: request.params.doctorId,
+        }).catch((error) => {
+          console.error(error);
+          response.status(errors.FIND_APPOINTMENT_FAILED.code);
+          throw errors.FIND_APPOINTMENT_FAILED.error;
+        });
+        const { code, error } = exists
+          ? errors.INVALID_STATUS_TRANSITION
+          : errors.NULL_APPOINTMENT;
+        response.status(code);
+        throw error;
+      }
+
+      response.json({
+        appointmentid: appointment.id,
+        status: appointment.status,
+        statusHistory: appointment.statusHistory,
+      });
+    } catch (error) {
+      response.send(error.message);
+    }
+  });
+
 const upload = multer({
   dest: 'assets/doctor-avatars',
   limits: { fileSize: 800000 },
@@ -0,0 +1,241 @@
+/* eslint-disable no-console */
+const { Router, json } = require('express');
+const {
+  Appointment, Doctor, Invoice, User,
+} = require('../database');
+const {
+  middlewares, errors, billing, paymentGateway, appointmentStatus,
+} = require('../utils');
+
+const router = Router();
+
+/**
+ * Gets an appointment and its invoice, issuing the invoice of appointments booked before
+ * invoicing
+ * @param {string} id Appointment id
+ * @param {Response} response
+ * @returns {Promise<{appointment: Document<Appointment>, invoice: Document<Invoice>}>}
+ */
+async function findInvoiceOf(id, response) {
+  const appointment = await Appointment.findById(id).catch((error) => {
+    console.error(error);
+    response.status(errors.FIND_APPOINTMENT_FAILED.code);
+    throw errors.FIND_APPOINTMENT_FAILED.error;
+  });
+
+  if (!appointment) {
+    response.status(errors.NULL_APPOINTMENT.code);
+    throw errors.NULL_APPOINTMENT.error;
+  }
+
+  const invoice = await Invoice.forAppointment(appointment).catch((error) => {
+    console.error(error);
+    response.status(errors.SAVE_INVOICE_FAILED.code);
+    throw errors.SAVE_INVOICE_FAILED.error;
+  });
+
+  return { appointment, invoice };
+}
+
+/**
+ * Gets an invoice
+ * @param {string} id
+ * @param {Response} response
+ */
+async function findInvoice(id, response) {
+  const invoice = await Invoice.findById(id).catch((error) => {
+    console.error(error);
+    response.status(errors.FIND_INVOICE_FAILED.code);
+    throw errors.FIND_INVOICE_FAILED.error;
+  });
+
+  if (!invoice) {
+    response.status(errors.NULL_INVOICE.code);
+    throw errors.NULL_INVOICE.error;
+  }
+
+  return invoice;
+}
+
+/**
+ * `http GET` request handler to see the invoice of an appointment.
+ * * Requires `access-token` `device-id`
+ * * For the patient, the doctor of the appointment and admins
+ */
+router.get('/appointments/:id/invoice',
+  middlewares.requireHeaders({ accessToken: true, deviceId: true }),
+  middlewares.requireVerification({}),
+  async (request, response) => {
+    try {
+      const { appointment, invoice } = await findInvoiceOf(request.params.id, response);
+
+      const isPatient = String(appointment.userId) === request.params.userId;
+      const isStaff = !isPatient && await Promise.all([
+        Doctor.exists({ _id: appointment.doctorId, user: request.params.userId }),
+        User.exists({ _id: request.params.userId, elevatedAccess: true }),
+      ]).then((checks) => checks.some(Boolean)).catch((error) => {
+        console.error(error);
+        response.status(errors.FIND_USER_FAILED.code);
+        throw errors.FIND_USER_FAILED.error;
+      });
+
+      if (!isPatient && !isStaff) {
+        response.status(errors.UNOWNED_DOCUMENT.code);
+        throw errors.UNOWNED_DOCUMENT.error;
+      }
+
+      response.json(invoice);
+    } catch (error) {
+      response.send(error.message);
+    }
+  });
+
+/**
+ * `http POST` request handler for the patient to pay what is left of the invoice of
+ * their appointment online, while the appointment is active.
+ * * Requires `access-token` `device-id`
+ * * Requires `source` in the body, the card or account as the payment gateway's client SDK
+ * handed it
+ */
+router.post('/appointments/:id/invoice/payments',
+  json(),
+  middlewares.requireHeaders({ accessToken: true, deviceId: true }),
+  middlewares.requireVerification({ phone: true, email: true }),
+  middlewares.requireBody(),
+  async (request, response) => {
+    try {
+      const { appointment, invoice } = await findInvoiceOf(request.params.id, response);
+
+      if (String(appointment.userId) !== request.params.userId) {
+        response.status(errors.UNOWNED_DOCUMENT.code);
+        throw errors.UNOWNED_DOCUMENT.error;
+      }
+
+      if (!appointmentStatus.ACTIVE.includes(appointment.status)) {
+        response.status(errors.APPOINTMENT_INACTIVE.code);
+        throw errors.APPOINTMENT_INACTIVE.error;
+      }
+
+      if (invoice.status === billing.PAYMENT_STATUS.VOID || invoice.balance() === 0) {
+        response.status(errors.INVOICE_SETTLED.code);
+        throw errors.INVOICE_SETTLED.error;
+      }
+
+      if (!paymentGateway.isAvailable()) {
+        response.status(errors.PAYMENTS_UNAVAILABLE.code);
+        throw errors.PAYMENTS_UNAVAILABLE.error;
+      }
+
+      const paid = await invoice.pay(request.body.source, request.params.userId)
+        .catch((error) => {
+          console.error(error);
+          let failure = errors.UPDATE_INVOICE_FAILED;
+          if (error.declined) {
+            failure = errors.PAYMENT_DECLINED;
+          } else if (error.busy) {
+            failure = errors.INVOICE_BUSY;
+          }
+          response.status(failure.code);
+          throw failure.error;
+        });
+
+      response.status(201).json(paid);
+    } catch (error) {
+      response.send(error.message);
+    }
+  });
+
+/**
+ * `http PATCH` request handler for admins to discount an invoice before it is paid.
+ * * Requires `access-token` `device-id`
+ * * Optional `discount` in the minor unit of the currency and `discountReason` in the body
+ */
+router.patch('/admin/invoices/:id',
+  json(),
+  middlewares.requireHeaders({ accessToken: true, deviceId: true }),
+  middlewares.requireVerification({ admin: true }),
+  middlewares.requireBody(),
+  async (request, response) => {
+    try {
+      const updates = Object.keys(request.body);
+      const allowedUpdates = ['discount', 'discountReason'];
+      const isValidOperation = updates.every((update) => allowedUpdates.includes(update));
+
+      if (!isValidOperation) {
+        const { code, error } = errors.FORBIDDEN_FIELDS_ERROR(updates
+          .filter((key) => !allowedUpdates.includes(key)));
+        response.status(code);
+        throw error;
+      }
+
+      const invoice = await findInvoice(request.params.id, response);
+
+      if (invoice.amountPaid > 0 || invoice.status === billing.PAYMENT_STATUS.VOID) {
+        response.status(errors.INVOICE_PAID.code);
+        throw errors.INVOICE_PAID.error;
+      }
+
+      updates.forEach((update) => {
+        invoice[update] = request.body[update];
+      });
+
+      const updated = await invoice.save().catch((error) => {
+        console.error(error);
+        const { code, error: reason } = error.name === 'ValidationError'
+          ? errors.VALIDATION_ERROR(error) : errors.UPDATE_INVOICE_FAILED;
+        response.status(code);
+        throw reason;
+      });
+
+      response.json(updated);
+    } catch (error) {
+      response.send(error.message);
+    }
+  });
+
+/**
+ * `http POST` request handler for admins to refund an invoice, e.g. for a complaint.
+ * Cancellations are refunded as the policy allows without it.
+ * * Requires `access-token` `device-id`
+ * * Optional `amount` in the body, everything paid and not refunded yet by default,
+ * and `reason`
+ */
+router.post('/admin/invoices/:id/refunds',
+  json(),
+  middlewares.requireHeaders({ accessToken: true, deviceId: true }),
+  middlewares.requireVerification({ admin: true }),
+  async (request, response) => {
+    try {
+      const invoice = await findInvoice(request.params.id, response);
+
+      const net = invoice.amountPaid - invoice.amountRefunded;
+      const amount = request.body.amount === undefined ? net : Number(request.body.amount);
+
+      if (!Number.isInteger(amount) || amount <= 0 || amount > net) {
+        response.status(errors.INVALID_REFUND.code);
+        throw errors.INVALID_REFUND.error;
+      }
+
+      const refunded = await invoice.refund(amount, request.body.reason, request.params.userId)
+        .catch((error) => {
+          console.error(error);
+          let failure = errors.UPDATE_INVOICE_FAILED;
+          if (error.declined) {
+            failure = errors.REFUND_DECLINED;
+          } else if (error.busy) {
+            failure = errors.INVOICE_BUSY;
+          }
+          response.status(failure.code);
+          throw failure.error;
+        });
+
+      response.status(201).json(refunded);
+    } catch (error) {
+      response.send(error.message);
+    }
+  });
+
+/**
+ * Invoice router
+ */
+module.exports = router;
@@ -0,0 +1,169 @@
+/* eslint-disable no-console */
+const { Router, urlencoded } = require('express');
+const { Leave, Appointment } = require('../database');
+const { middlewares, errors } = require('../utils');
+
+const router = Router();
+
+/**
+ * Creates a leave from the request body and flags the appointments it affects
+ * @param {Request} request
+ * @param {Response} response
+ * @param {string} [doctorId] Omit for a clinic closure
+ */
+async function addLeave(request, response, doctorId) {
+  try {
+    const leave = new Leave({
+      doctorId,
+      reason: request.body.reason,
+      from: request.body.from,
+      to: request.body.to || request.body.from,
+      start: request.body.start,
+      end: request.body.end,
+      recurrence: request.body.recurrence,
+      until: request.body.until,
+      createdBy: request.params.userId,
+    });
+
+    // Validate for custom error handling
+    await leave.validate().catch((error) => {
+      console.error(error);
+      const validationError = errors.VALIDATION_ERROR(error);
+      response.status(validationError.code);
+      throw validationError.error;
+    });
+
+    await leave.save().catch((error) => {
+      console.error(error);
+      response.status(errors.SAVE_LEAVE_FAILED.code);
+      throw errors.SAVE_LEAVE_FAILED.error;
+    });
+
+    // Existing bookings stay, their patients are asked to reschedule
+    const flagged = await leave.flagAppointments().catch((error) => {
+      console.error(error);
+      return [];
+    });
+
+    response.status(201).json({
+      ...leave.toJSON(),
+      flaggedAppointments: flagged.map((appointment) => appointment.id),
+    });
+  } catch (error) {
+    response.send(error.message);
+  }
+}
+
+/**
+ * Deletes a leave and clears the flags it raised
+ * @param {Request} request
+ * @param {Response} response
+ * @param {string} [doctorId] Omit for a clinic closure
+ */
+async function removeLeave(request, response, doctorId) {
+  try {
+    const leave = await Leave.findOneAndDelete({
+      _id: request.params.leaveId,
+      doctorId: doctorId || null,
+    }).catch((error) => {
+      console.error(error);
+      response.status(errors.DELETE_LEAVE_FAILED.code);
+      throw errors.DELETE_LEAVE_FAILED.error;
+    });
+
+    if (!leave) {
+      response.status(errors.NULL_LEAVE.code);
+      throw errors.NULL_LEAVE.error;
+    }
+
+    await Appointment.updateMany(
+      { conflictingLeave: leave.id },
+      { $unset: { conflictingLeave: 1 } },
+    ).catch(console.error);
+
+    response.send('Leave deleted');
+  } catch (error) {
+    response.send(error.message);
+  }
+}
+
+/**
+ * Lists leaves matching `query`
+ * @param {Response} response
+ * @param {object} query
+ */
+async function listLeaves(response, query) {
+  try {
+    const leaves = await Leave.find(query).sort({ from: 1 }).catch((error) => {
+      console.error(error);
+      response.status(errors.FIND_LEAVE_FAILED.code);
+      throw errors.FIND_LEAVE_FAILED.error;
+    });
+
+    response.json(leaves);
+  } catch (error) {
+    response.send(error.message);
+  }
+}
+
+/**
+ * `http POST` request handler to add a doctor leave.
+ * * Requires `access-token` `device-id`
+ * * Requires `from` in the body, optional `to` `start` `end` `recurrence` `until` `reason`
+ */
+router.post('/doctors/:id/leaves',
+  urlencoded({ extended: true }),
+  middlewares.requireHeaders({ accessToken: true, deviceId: true }),
+  middlewares.requireVerification({ admin: true }),
+  middlewares.requireDoctor(),
+  middlewares.requireBody(),
+  (request, response) => addLeave(request, response, request.params.id));
+
+/**
+ * `http GET` request handler to list the leaves of a doctor
+ */
+router.get('/doctors/:id/leaves',
+  middlewares.requireDoctor(),
+  (request, response) => listLeaves(response, { doctorId: request.params.id }));
+
+/**
+ * `http DELETE` request handler to delete a doctor leave.
+ * * Requires `access-token` `device-id`
+ */
+router.delete('/doctors/:id/leaves/:leaveId',
+  middlewares.requireHeaders({ accessToken: true, deviceId: true }),
+  middlewares.requireVerification({ admin: true }),
+  middlewares.requireDoctor(),
+  (request, response) => removeLeave(request, response, request.params.id));
+
+/**
+ * `http POST` request handler to add a clinic closure, e.g. a public holiday.
+ * * Requires `access-token` `device-id`
+ * * Requires `from` in the body, optional `to` `start` `end` `recurrence` `until` `reason`
+ */
+router.post('/closures',
+  urlencoded({ extended: true }),
+  middlewares.requireHeaders({ accessToken: true, deviceId: true }),
+  middlewares.requireVerification({ admin: true }),
+  middlewares.requireBody(),
+  (request, response) => addLeave(request, response));
+
+/**
+ * `http GET` request handler to list clinic closures
+ */
+router.get('/closures',
+  (_request, response) => listLeaves(response, { doctorId: null }));
+
+/**
+ * `http DELETE` request handler to delete a clinic closure.
+ * * Requires `access-token` `device-id`
+ */
+router.delete('/closures/:leaveId',
+  middlewares.requireHeaders({ accessToken: true, deviceId: true }),
+  middlewares.requireVerification({ admin: true }),
+  (request, response) => removeLeave(request, response));
+
+/**
+ * Leave router
+ */
+module.exports = router;
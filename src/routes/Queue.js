@@ -0,0 +1,224 @@
+/* eslint-disable no-console */
+const { Router, json } = require('express');
+const { QueueToken, User } = require('../database');
+const {
+  middlewares, errors, queue,
+} = require('../utils');
+
+const router = Router();
+
+/**
+ * Serializes a token with its position and estimated wait
+ * @param {Document<QueueToken>} token
+ * @param {Document<QueueToken>[]} tokens The tokens of its queue
+ */
+function toPlace(token, tokens) {
+  return {
+    id: token.id,
+    doctorId: token.doctorId,
+    number: token.number,
+    status: token.status,
+    ...queue.positionOf(token, tokens),
+  };
+}
+
+/**
+ * Gets a token of the queue
+ * @param {string} id
+ * @param {Response} response
+ */
+async function findToken(id, response) {
+  const token = await QueueToken.findById(id).catch((error) => {
+    console.error(error);
+    response.status(errors.FIND_QUEUE_TOKEN_FAILED.code);
+    throw errors.FIND_QUEUE_TOKEN_FAILED.error;
+  });
+
+  if (!token) {
+    response.status(errors.NULL_QUEUE_TOKEN.code);
+    throw errors.NULL_QUEUE_TOKEN.error;
+  }
+
+  return token;
+}
+
+/**
+ * Lists the tokens of a doctor's queue on a day
+ * @param {string} doctorId
+ * @param {Date} date Clinic date at UTC midnight
+ * @param {Response} response
+ */
+async function findQueue(doctorId, date, response) {
+  return QueueToken.findOn(doctorId, date).catch((error) => {
+    console.error(error);
+    response.status(errors.FIND_QUEUE_TOKEN_FAILED.code);
+    throw errors.FIND_QUEUE_TOKEN_FAILED.error;
+  });
+}
+
+/**
+ * `http GET` request handler for the signed in doctor to list today's queue
+ * with patient details
+ * * Requires `access-token` `device-id`
+ */
+router.get('/doctors/me/queue',
+  middlewares.requireHeaders({ accessToken: true, deviceId: true }),
+  middlewares.requireVerification({ doctor: true }),
+  async (request, response) => {
+    try {
+      const tokens = await findQueue(request.params.doctorId, QueueToken.today(), response);
+
+      response.json(tokens);
+    } catch (error) {
+      response.send(error.message);
+    }
+  });
+
+/**
+ * `http POST` request handler for the signed in doctor to call the next token.
+ * * Requires `access-token` `device-id`
+ * * The token being seen counts as served
+ */
+router.post('/doctors/me/queue/next',
+  middlewares.requireHeaders({ accessToken: true, deviceId: true }),
+  middlewares.requireVerification({ doctor: true }),
+  async (request, response) => {
+    try {
+      const token = await QueueToken.callNext(request.params.doctorId).catch((error) => {
+        console.error(error);
+        response.status(errors.UPDATE_QUEUE_TOKEN_FAILED.code);
+        throw errors.UPDATE_QUEUE_TOKEN_FAILED.error;
+      });
+
+      await queue.publish(request.params.doctorId).catch(console.error);
+
+      if (!token) {
+        response.status(errors.QUEUE_EMPTY.code);
+        throw errors.QUEUE_EMPTY.error;
+      }
+
+      response.json(token);
+    } catch (error) {
+      response.send(error.message);
+    }
+  });
+
+/**
+ * `http POST` request handler for reception to issue the next token of a doctor's queue today.
+ * * Requires `access-token` `device-id`
+ * * Requires `name` of the walk-in patient in the body, or `userId` of their account
+ * * Optional `phone` `serviceId` in the body
+ */
+router.post('/doctors/:id/queue',
+  json(),
+  middlewares.requireHeaders({ accessToken: true, deviceId: true }),
+  middlewares.requireVerification({ admin: true }),
+  middlewares.requireDoctor(),
+  middlewares.requireBody(),
+  async (request, response) => {
+    try {
+      const user = request.body.userId && await User.findById(request.body.userId)
+        .catch((error) => {
+          console.error(error);
+          response.status(errors.FIND_USER_FAILED.code);
+          throw errors.FIND_USER_FAILED.error;
+        });
+
+      if (request.body.userId && !user) {
+        response.status(errors.NULL_USER.code);
+        throw errors.NULL_USER.error;
+      }
+
+      const token = await QueueToken.issue({
+        doctorId: request.params.id,
+        name: request.body.name
+          || (user && [user.firstName, user.lastName].filter(Boolean).join(' ')),
+        phone: request.body.phone || (user && user.phone),
+        userId: user && user.id,
+        serviceId: request.body.serviceId,
+        issuedBy: request.params.userId,
+      }).catch((error) => {
+        console.error(error);
+        const { code, error: reason } = error.name === 'ValidationError'
+          ? errors.VALIDATION_ERROR(error) : errors.SAVE_QUEUE_TOKEN_FAILED;
+        response.status(code);
+        throw reason;
+      });
+
+      await queue.publish(request.params.id).catch(console.error);
+
+      const tokens = await findQueue(request.params.id, token.date, response);
+      response.status(201).json({ ...toPlace(token, tokens), name: token.name });
+    } catch (error) {
+      response.send(error.message);
+    }
+  });
+
+/**
+ * `http GET` request handler to see a doctor's queue today, without patient details
+ */
+router.get('/doctors/:id/queue',
+  middlewares.requireDoctor(),
+  async (request, response) => {
+    try {
+      const tokens = await findQueue(request.params.id, QueueToken.today(), response);
+
+      response.json(queue.summarize(request.params.id, tokens));
+    } catch (error) {
+      response.send(error.message);
+    }
+  });
+
+/**
+ * `http GET` request handler for a patient to see the position and estimated wait
+ * of their token. The token id is on the slip reception hands out.
+ */
+router.get('/queue/tokens/:id',
+  async (request, response) => {
+    try {
+      const token = await findToken(request.params.id, response);
+      const tokens = await findQueue(token.doctorId, token.date, response);
+
+      response.json(toPlace(token, tokens));
+    } catch (error) {
+      response.send(error.message);
+    }
+  });
+
+/**
+ * `http DELETE` request handler for reception to take a waiting token off the queue,
+ * e.g. when the patient left
+ * * Requires `access-token` `device-id`
+ */
+router.delete('/queue/tokens/:id',
+  middlewares.requireHeaders({ accessToken: true, deviceId: true }),
+  middlewares.requireVerification({ admin: true }),
+  async (request, response) => {
+    try {
+      const token = await QueueToken.findOneAndUpdate(
+        { _id: request.params.id, status: QueueToken.STATUS.WAITING },
+        { status: QueueToken.STATUS.CANCELLED },
+        { new: true },
+      ).catch((error) => {
+        console.error(error);
+        response.status(errors.UPDATE_QUEUE_TOKEN_FAILED.code);
+        throw errors.UPDATE_QUEUE_TOKEN_FAILED.error;
+      });
+
+      if (!token) {
+        response.status(errors.NULL_QUEUE_TOKEN.code);
+        throw errors.NULL_QUEUE_TOKEN.error;
+      }
+
+      await queue.publish(token.doctorId).catch(console.error);
+
+      response.send('Queue token cancelled');
+    } catch (error) {
+      response.send(error.message);
+    }
+  });
+
+/**
+ * Queue router
+ */
+module.exports = router;
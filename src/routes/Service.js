@@ -22,6 +22,16 @@ const router = new Router();
  *      description:
  *       type: String
  *       description: description of service
+ *      duration:
+ *       type: Number
+ *       description: appointment length in minutes
+ *      buffer:
+ *       type: Number
+ *       description: minutes kept free after each appointment
+ *      prices:
+ *       type: Array
+ *       description: invoice lines of each appointment, `description` `amount` in the
+ *        minor unit of the currency and optional `taxPercent`
  *      staff:
  *       type: Array
  *       description: collection of doctor id who is part of service
@@ -86,6 +96,9 @@ router.post(
       const service = await Service.create({
         name: request.body.name,
         description: request.body.description,
+        duration: request.body.duration,
+        buffer: request.body.buffer,
+        prices: request.body.prices,
         staff: request.body.staff,
         sub: request.body.sub,
       }).catch((error) => {
@@ -259,7 +272,8 @@ router.patch(
       }
 
       const updates = Object.keys(request.body);
-      const allowedUpdates = ['name', 'description', 'staff', 'sub'];
+      const allowedUpdates = ['name', 'description', 'duration', 'buffer', 'prices', 'staff',
+        'sub'];
       const isvalidoperation = updates.every((update) => allowedUpdates.includes(update));
 
       if (!isvalidoperation) {
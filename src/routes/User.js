@@ -3,20 +3,142 @@ const { compare } = require('bcryptjs');
 const { Router, urlencoded } = require('express');
 const { readFileSync, existsSync } = require('fs');
 const multer = require('multer');
+const validator = require('validator');
 const {
-  User, Client, TOTP, Family,
+  User, Client, RefreshToken, LoginAttempt, PasswordReset, TOTP, Family, InsurancePolicy,
 } = require('../database');
 const {
-  constants, middlewares, errors, otp, emailServer, smsServer,
+  constants, middlewares, errors, otp, emailServer, smsServer, session, geoip,
 } = require('../utils');
 
 const router = Router();
 
+/**
+ * Budgets of routes that send OTPs or create accounts, on top of the API rate limit
+ */
+const OTP_WINDOW_SECONDS = 15 * 60;
+
+/**
+ * Account a request asks for, by email or phone. Emails are normalized, so spelling one
+ * differently doesn't get another budget.
+ * @param {{email?: string, phone?: string}} fields Query or body
+ * @returns {string | undefined}
+ */
+function accountOf({ email, phone }) {
+  return email ? String(email).trim().toLowerCase() : phone;
+}
+
+const otpLimit = middlewares.rateLimit({
+  name: 'otp', max: constants.otpRateLimit, windowSeconds: OTP_WINDOW_SECONDS, keyBy: 'user',
+});
+const otpSigninLimits = [
+  middlewares.rateLimit({
+    name: 'otp-signin', max: constants.otpRateLimit, windowSeconds: OTP_WINDOW_SECONDS,
+  }),
+  // Also per account, so OTPs can't be sent to someone from many addresses
+  middlewares.rateLimit({
+    name: 'otp-signin-account',
+    max: constants.otpRateLimit,
+    windowSeconds: OTP_WINDOW_SECONDS,
+    keyBy: (request) => accountOf(request.query),
+  }),
+];
+// Body parsers go before these, they key on the account in the body
+const passwordResetLimits = [
+  middlewares.rateLimit({
+    name: 'password-reset', max: constants.otpRateLimit, windowSeconds: OTP_WINDOW_SECONDS,
+  }),
+  middlewares.rateLimit({
+    name: 'password-reset-account',
+    max: constants.otpRateLimit,
+    windowSeconds: OTP_WINDOW_SECONDS,
+    keyBy: (request) => accountOf(request.body),
+  }),
+];
+const signupLimit = middlewares.rateLimit({
+  name: 'signup', max: constants.signupRateLimit, windowSeconds: 60 * 60,
+});
+
+/**
+ * Uses up the password reset code sent to a phone
+ * @param {string} phone
+ * @param {string} code
+ * @returns {Promise<string | null>} id of the user, `null` if the code is wrong or used up
+ */
+async function redeemResetCode(phone, code) {
+  const user = await User.findOne({ phone, isDeleted: { $ne: true } });
+  return user && await PasswordReset.redeemCode(user.id, code) ? user.id : null;
+}
+
+/**
+ * Issues the tokens of a signed-in client
+ * @param {Document<Client>} client
+ * @param {string} userId
+ * @param {Request} request
+ * @param {Response} response
+ * @returns {Promise<object>} the response body, `_id` is the `device-id` and `token`
+ * the `access-token`
+ */
+async function startSession(client, userId, request, response) {
+  const tokens = await client.issueTokens(userId).catch((error) => {
+    console.error(error);
+    response.status(errors.SAVE_CLIENT_FAILED.code);
+    throw errors.SAVE_CLIENT_FAILED.error;
+  });
+
+  await Client.touch(client.id, geoip.addressOf(request)).catch(console.error);
+
+  const { isDeleted, token, ...rest } = client.toJSON();
+
+  return { ...rest, ...tokens };
+}
+
+/**
+ * Refuses a sign-in while its account or address has to wait or is locked out.
+ * Sets `Retry-After`.
+ * @param {Document<User>} [user] Account signing in, if it exists
+ * @param {Request} request
+ * @param {Response} response
+ */
+async function checkSignIn(user, request, response) {
+  const retryAt = await LoginAttempt.retryAt({ user, ip: geoip.addressOf(request) })
+    .catch((error) => {
+      console.error(error);
+      response.status(errors.FIND_LOGIN_ATTEMPTS_FAILED.code);
+      throw errors.FIND_LOGIN_ATTEMPTS_FAILED.error;
+    });
+
+  if (retryAt) {
+    response.set('Retry-After', String(Math.ceil((retryAt.getTime() - Date.now()) / 1000)));
+    response.status(errors.SIGN_IN_LOCKED.code);
+    throw errors.SIGN_IN_LOCKED.error;
+  }
+}
+
+/**
+ * Counts a failed sign-in against its account and address, then refuses it
+ * @param {Document<User>} [user] Account signing in, if it exists
+ * @param {Request} request
+ * @param {Response} response
+ * @param {{code: number, error: Error}} failure What went wrong
+ */
+async function failSignIn(user, request, response, failure) {
+  await LoginAttempt.fail({ user, ip: geoip.addressOf(request) }).catch((error) => {
+    console.error(error);
+    response.status(errors.SAVE_LOGIN_ATTEMPT_FAILED.code);
+    throw errors.SAVE_LOGIN_ATTEMPT_FAILED.error;
+  });
+
+  response.status(failure.code);
+  throw failure.error;
+}
+
 /**
  * `http POST` request handler for user creation.
  * * Requires `user-agent` to be present
  */
 router.post('/',
+  signupLimit,
   urlencoded({ extended: true }),
   middlewares.requireHeaders({ userAgent: true }),
   middlewares.requireBody(),
@@ -60,9 +182,7 @@ router.post('/',
         throw errors.SAVE_USER_FAILED.error;
       });
 
-      const { isDeleted, ...rest } = client.toJSON();
-
-      response.status(201).json(rest);
+      response.status(201).json(await startSession(client, user.id, request, response));
     } catch (error) {
       response.send(error.message);
     }
@@ -89,7 +209,7 @@ router.get('/',
 
       const populatedUser = await user.populate({
         path: 'clients',
-        select: 'userAgent createdAt',
+        select: 'userAgent createdAt lastUsedAt location',
         match: { isDeleted: { $ne: true } },
       }).execPopulate();
 
@@ -181,6 +301,7 @@ router.get('/avatar',
 /**
 * `http PATCH` request handler to edit user profile
 * * Requires `access-token` `device-id`
+* * `revokeOtherSessions` with a new `password` signs out every other session
 */
 router.patch('/',
   urlencoded({ extended: true }),
@@ -189,8 +310,9 @@ router.patch('/',
   middlewares.requireBody(),
   async (request, response) => {
     try {
-      const updates = Object.keys(request.body);
-      const updatable = ['firstName', 'lastName', 'password', 'gender', 'dateOfBirth', 'bloodGroup', 'address', 'insurance', 'emergencyName', 'emergencyNumber'];
+      const updates = Object.keys(request.body)
+        .filter((update) => update !== 'revokeOtherSessions');
+      const updatable = ['firstName', 'lastName', 'password', 'gender', 'dateOfBirth', 'bloodGroup', 'address', 'insurance', 'emergencyName', 'emergencyNumber', 'notificationPreferences'];
       const isValidOperation = updates.every((update) => updatable.includes(update));
 
       if (!isValidOperation) {
@@ -211,7 +333,14 @@ router.patch('/',
       });
 
       updates.forEach((update) => {
-        user[update] = request.body[update];
+        if (update === 'notificationPreferences') {
+          // Channels left out keep their setting
+          Object.keys(Object(request.body[update])).forEach((channel) => {
+            user.set(`${update}.${channel}`, request.body[update][channel]);
+          });
+        } else {
+          user[update] = request.body[update];
+        }
       });
 
       // Validate the document before updating
@@ -228,6 +357,19 @@ router.patch('/',
         throw errors.UPDATE_USER_FAILED.error;
       });
 
+      if (updates.includes('password') && String(request.body.revokeOtherSessions) === 'true') {
+        const others = user.clients.map(String)
+          .filter((id) => id !== request.headers['device-id']);
+
+        await Client.revoke(others).catch((error) => {
+          console.error(error);
+          response.status(errors.DELETE_CLIENT_FAILED.code);
+          throw errors.DELETE_CLIENT_FAILED.error;
+        });
+
+        user.clients.pull(...others);
+      }
+
       const {
         password, isDeleted, avatar, ...rest
       } = user.toJSON();
@@ -301,9 +443,10 @@ router.post('/auth',
         throw errors.FIND_USER_FAILED.error;
       });
 
+      await checkSignIn(user, request, response);
+
       if (!user) {
-        response.status(errors.NULL_USER.code);
-        throw errors.NULL_USER.error;
+        await failSignIn(null, request, response, errors.NULL_USER);
       }
 
       // Check password
@@ -315,19 +458,17 @@ router.post('/auth',
         });
 
       if (!isPasswordValid) {
-        response.status(errors.PASSWORD_INCORRECT.code);
-        throw errors.PASSWORD_INCORRECT.error;
+        await failSignIn(user, request, response, errors.PASSWORD_INCORRECT);
       }
 
-      // Soft delete existing client
+      await LoginAttempt.succeed(user).catch(console.error);
+
+      // Sign out the existing client
       if (await Client.exists({
         _id: request.headers['device-id'],
         isDeleted: { $ne: true },
       })) {
-        await Client.updateOne(
-          { _id: request.headers['device-id'] },
-          { isDeleted: true },
-        );
+        await Client.revoke(request.headers['device-id']);
       }
 
       const client = await Client.create({ userAgent: request.headers['user-agent'] })
@@ -345,9 +486,88 @@ router.post('/auth',
         throw errors.SAVE_USER_FAILED.error;
       });
 
-      const { isDeleted, ...rest } = client.toJSON();
+      response.json(await startSession(client, user.id, request, response));
+    } catch (error) {
+      response.send(error.message);
+    }
+  });
 
-      response.json(rest);
+/**
+ * `http POST` request handler to refresh the access token of a session.
+ * * Requires `refreshToken` in the body. It is used up, the response has the next one.
+ * A refresh token used again signs the session out.
+ * * Sessions signed in before access tokens expired send their `access-token` and `device-id`
+ * instead, once, to move to refresh tokens
+ */
+router.post('/auth/refresh',
+  urlencoded({ extended: true }),
+  async (request, response) => {
+    try {
+      if (request.body.refreshToken) {
+        const rotated = await RefreshToken.rotate(request.body.refreshToken).catch((error) => {
+          console.error(error);
+          const { code, error: reason } = error.reused
+            ? errors.REFRESH_TOKEN_REUSED : errors.SAVE_CLIENT_FAILED;
+          response.status(code);
+          throw reason;
+        });
+
+        if (!rotated) {
+          response.status(errors.INVALID_REFRESH_TOKEN.code);
+          throw errors.INVALID_REFRESH_TOKEN.error;
+        }
+
+        await Client.touch(rotated.client, geoip.addressOf(request)).catch(console.error);
+
+        response.json({
+          _id: rotated.client,
+          ...session.signAccessToken(rotated.client, rotated.user),
+          refreshToken: rotated.refreshToken,
+        });
+        return;
+      }
+
+      if (!request.headers['access-token'] || !request.headers['device-id']) {
+        response.status(errors.INVALID_REFRESH_TOKEN.code);
+        throw errors.INVALID_REFRESH_TOKEN.error;
+      }
+
+      // Only one exchange of a token gets the session, the token stops working
+      const client = await Client.findOneAndUpdate({
+        _id: request.headers['device-id'],
+        token: request.headers['access-token'],
+        isDeleted: { $ne: true },
+      }, { $unset: { token: 1 } }).catch((error) => {
+        console.error(error);
+        response.status(errors.FIND_CLIENT_FAILED.code);
+        throw errors.FIND_CLIENT_FAILED.error;
+      });
+
+      if (!client) {
+        response.status(errors.NULL_CLIENT.code);
+        throw errors.NULL_CLIENT.error;
+      }
+
+      if (!(await client.isValid())) {
+        response.status(errors.INVALID_ACCESS_TOKEN.code);
+        throw errors.INVALID_ACCESS_TOKEN.error;
+      }
+
+      const user = await User.findOne({
+        clients: client.id,
+        isDeleted: { $ne: true },
+      }).catch((error) => {
+        console.error(error);
+        response.status(errors.FIND_USER_FAILED.code);
+        throw errors.FIND_USER_FAILED.error;
+      });
+
+      if (!user) {
+        response.status(errors.NULL_USER.code);
+        throw errors.NULL_USER.error;
+      }
+
+      response.json(await startSession(client, user.id, request, response));
     } catch (error) {
       response.send(error.message);
     }
@@ -362,11 +582,8 @@ router.delete('/auth',
   middlewares.requireVerification({}),
   async (request, response) => {
     try {
-      await Client.updateOne({
-        _id: request.headers['device-id'],
-        token: request.headers['access-token'],
-        is: { $ne: true },
-      }, { isDeleted: true }).catch((error) => {
+      // Revoke the session, its refresh tokens too
+      await Client.revoke(request.headers['device-id']).catch((error) => {
         console.error(error);
         response.status(500);
         throw new Error('Couldn\'t sign you out');
@@ -378,6 +595,159 @@ router.delete('/auth',
     }
   });
 
+/**
+ * Gets the signed-in sessions of a user
+ * @param {string} userId
+ * @param {Response} response
+ * @returns {Promise<Document<Client>[]>} most recently used first
+ */
+async function findSessions(userId, response) {
+  const user = await User.findOne({
+    _id: userId,
+    isDeleted: { $ne: true },
+  }).catch((error) => {
+    console.error(error);
+    response.status(errors.FIND_USER_FAILED.code);
+    throw errors.FIND_USER_FAILED.error;
+  });
+
+  return Client.find({
+    _id: { $in: user.clients },
+    isDeleted: { $ne: true },
+  }).sort({ lastUsedAt: -1, createdAt: -1 }).catch((error) => {
+    console.error(error);
+    response.status(errors.FIND_CLIENT_FAILED.code);
+    throw errors.FIND_CLIENT_FAILED.error;
+  });
+}
+
+/**
+ * `http GET` request handler to list the signed-in sessions of the account.
+ * * Requires `access-token` `device-id` to be present
+ * * `current` marks the session of the request
+ * * `lastUsedAt` `location` are as recent as the last sign in or token refresh
+ */
+router.get('/sessions',
+  middlewares.requireHeaders({ accessToken: true, deviceId: true }),
+  middlewares.requireVerification({}),
+  async (request, response) => {
+    try {
+      const clients = await findSessions(request.params.userId, response);
+
+      response.json(clients.map((client) => ({
+        id: client.id,
+        userAgent: client.userAgent,
+        createdAt: client.createdAt,
+        lastUsedAt: client.lastUsedAt,
+        ip: client.ip,
+        location: client.toJSON().location,
+        current: client.id === request.headers['device-id'],
+      })));
+    } catch (error) {
+      response.send(error.message);
+    }
+  });
+
+/**
+ * `http DELETE` request handler to sign out every other session of the account.
+ * * Requires `access-token` `device-id` to be present
+ */
+router.delete('/sessions',
+  middlewares.requireHeaders({ accessToken: true, deviceId: true }),
+  middlewares.requireVerification({}),
+  async (request, response) => {
+    try {
+      const others = (await findSessions(request.params.userId, response))
+        .map((client) => client.id)
+        .filter((id) => id !== request.headers['device-id']);
+
+      await Client.revoke(others).catch((error) => {
+        console.error(error);
+        response.status(errors.DELETE_CLIENT_FAILED.code);
+        throw errors.DELETE_CLIENT_FAILED.error;
+      });
+
+      response.json({ revoked: others.length });
+    } catch (error) {
+      response.send(error.message);
+    }
+  });
+
+/**
+ * `http DELETE` request handler to sign out a session of the account.
+ * * Requires `access-token` `device-id` to be present
+ * * Revoking the current session signs out like `DELETE /accounts/auth`
+ */
+router.delete('/sessions/:id',
+  middlewares.requireHeaders({ accessToken: true, deviceId: true }),
+  middlewares.requireVerification({}),
+  async (request, response) => {
+    try {
+      // Sessions of other accounts are as good as missing
+      const owns = await User.exists({
+        _id: request.params.userId,
+        clients: request.params.id,
+      }).catch((error) => {
+        console.error(error);
+        response.status(errors.FIND_USER_FAILED.code);
+        throw errors.FIND_USER_FAILED.error;
+      });
+
+      if (!owns) {
+        response.status(errors.NULL_SESSION.code);
+        throw errors.NULL_SESSION.error;
+      }
+
+      await Client.revoke(request.params.id).catch((error) => {
+        console.error(error);
+        response.status(errors.DELETE_CLIENT_FAILED.code);
+        throw errors.DELETE_CLIENT_FAILED.error;
+      });
+
+      response.send('Session signed out');
+    } catch (error) {
+      response.send(error.message);
+    }
+  });
+
+/**
+ * `http POST` request handler for admins to lift the sign-in lockout of an account.
+ * * Requires `access-token` `device-id` of an account with elevated access
+ * * Optional `ip` in the body lifts the lockout of an address too
+ */
+router.post('/:id/unlock',
+  urlencoded({ extended: true }),
+  middlewares.requireHeaders({ accessToken: true, deviceId: true }),
+  middlewares.requireVerification({ admin: true }),
+  async (request, response) => {
+    try {
+      const user = await User.findOne({
+        _id: request.params.id,
+        isDeleted: { $ne: true },
+      }).catch((error) => {
+        console.error(error);
+        response.status(errors.FIND_USER_FAILED.code);
+        throw errors.FIND_USER_FAILED.error;
+      });
+
+      if (!user) {
+        response.status(errors.NULL_USER.code);
+        throw errors.NULL_USER.error;
+      }
+
+      const unlocked = await LoginAttempt.unlock({ user, ip: request.body.ip })
+        .catch((error) => {
+          console.error(error);
+          response.status(errors.SAVE_LOGIN_ATTEMPT_FAILED.code);
+          throw errors.SAVE_LOGIN_ATTEMPT_FAILED.error;
+        });
+
+      response.json({ unlocked });
+    } catch (error) {
+      response.send(error.message);
+    }
+  });
+
 /**
  * `http GET` request handler for user phone verification.
  * * Requires `access-token` `device-id` to be present
@@ -385,6 +755,7 @@ router.delete('/auth',
 router.get('/verify/phone',
   middlewares.requireHeaders({ accessToken: true, deviceId: true }),
   middlewares.requireVerification({}),
+  otpLimit,
   async (request, response) => {
     try {
       // Get the user
@@ -467,7 +838,18 @@ router.post('/verify/phone',
       }
 
       // Verify OTP
-      if (!otp.verifyOTP(totp.secret, request.body.code)) {
+      const isValid = await totp.check(request.body.code).catch((error) => {
+        console.error(error);
+        response.status(errors.UPDATE_TOTP_FAILED.code);
+        throw errors.UPDATE_TOTP_FAILED.error;
+      });
+
+      if (isValid === null) {
+        response.status(errors.OTP_ATTEMPTS_EXHAUSTED.code);
+        throw errors.OTP_ATTEMPTS_EXHAUSTED.error;
+      }
+
+      if (!isValid) {
         response.status(errors.INVALID_OTP.code);
         throw errors.INVALID_OTP.error;
       }
@@ -495,6 +877,7 @@ router.post('/verify/phone',
 router.get('/verify/email',
   middlewares.requireHeaders({ accessToken: true, deviceId: true }),
   middlewares.requireVerification({ phone: true }),
+  otpLimit,
   async (request, response) => {
     try {
       // Get the user
@@ -579,7 +962,18 @@ router.post('/verify/email',
       }
 
       // Verify OTP
-      if (!otp.verifyOTP(totp.secret, request.body.code)) {
+      const isValid = await totp.check(request.body.code).catch((error) => {
+        console.error(error);
+        response.status(errors.UPDATE_TOTP_FAILED.code);
+        throw errors.UPDATE_TOTP_FAILED.error;
+      });
+
+      if (isValid === null) {
+        response.status(errors.OTP_ATTEMPTS_EXHAUSTED.code);
+        throw errors.OTP_ATTEMPTS_EXHAUSTED.error;
+      }
+
+      if (!isValid) {
         response.status(errors.INVALID_OTP.code);
         throw errors.INVALID_OTP.error;
       }
@@ -606,6 +1000,7 @@ router.post('/verify/email',
  * * Requires `user.phone` to be verified
  */
 router.get('/auth/otp-signin',
+  otpSigninLimits,
   urlencoded({ extended: true }),
   middlewares.requireHeaders({ userAgent: true }),
   async (request, response) => {
@@ -637,14 +1032,14 @@ router.get('/auth/otp-signin',
         });
 
       // Send OTP if email
-      if (request.body.email) {
+      if (request.query.email) {
         // Send OTP to user.email
         await emailServer.sendMail(
           user.email,
-          'SkinMate Password Reset OTP',
+          'SkinMate Sign In OTP',
           constants.EMAIL_TEMPLATE_VERIFICATION,
           {
-            MESSAGE: 'Please use the OTP below to confirm and proceed with your password reset. This OTP allows you to login and update your password.',
+            MESSAGE: 'Please use the OTP below to sign in. To change a forgotten password, reset it from the app instead.',
             VERIFICATION_CODE: otp.generateOTP(totp.secret),
           },
         ).catch((error) => {
@@ -655,12 +1050,12 @@ router.get('/auth/otp-signin',
       }
 
       // Send OTP if phone
-      if (request.body.phone) {
+      if (request.query.phone) {
         await smsServer.sendSMS(
           user.phone,
           constants.SMS_TEMPLATE_VERIFICATION,
           {
-            MESSAGE: 'Use this OTP to login and change your password.',
+            MESSAGE: 'Use this OTP to sign in.',
             VERIFICATION_CODE: otp.generateOTP(totp.secret),
           },
         ).catch((error) => {
@@ -703,12 +1098,6 @@ router.post('/auth/otp-signin',
         throw errors.UNAVAILABLE_OTP.error;
       }
 
-      // Verify OTP
-      if (!otp.verifyOTP(totp.secret, request.body.code)) {
-        response.status(errors.INVALID_OTP.code);
-        throw errors.INVALID_OTP.error;
-      }
-
       // Get the requested user
       const user = await User.findOne({
         _id: totp.user,
@@ -719,6 +1108,30 @@ router.post('/auth/otp-signin',
         throw errors.FIND_USER_FAILED.error;
       });
 
+      if (!user) {
+        response.status(errors.NULL_USER.code);
+        throw errors.NULL_USER.error;
+      }
+
+      await checkSignIn(user, request, response);
+
+      // Verify OTP
+      const isValid = await totp.check(request.body.code).catch((error) => {
+        console.error(error);
+        response.status(errors.UPDATE_TOTP_FAILED.code);
+        throw errors.UPDATE_TOTP_FAILED.error;
+      });
+
+      if (isValid === null) {
+        await failSignIn(user, request, response, errors.OTP_ATTEMPTS_EXHAUSTED);
+      }
+
+      if (!isValid) {
+        await failSignIn(user, request, response, errors.INVALID_OTP);
+      }
+
+      await LoginAttempt.succeed(user).catch(console.error);
+
       const client = await Client.create({
         userAgent: request.headers['user-agent'],
       }).catch((error) => {
@@ -740,9 +1153,159 @@ router.post('/auth/otp-signin',
         console.error(error);
       });
 
-      const { isDeleted, ...rest } = client.toJSON();
+      response.json(await startSession(client, user.id, request, response));
+    } catch (error) {
+      response.send(error.message);
+    }
+  });
 
-      response.json(rest);
+/**
+ * `http POST` request handler to request a password reset.
+ * * Requires `user-agent` to be present in the headers.
+ * * Requires `email` or `phone` in the body. A single-use reset token is sent to the email,
+ * a short single-use code to the phone.
+ * * Answers alike whether the account exists, so it can't be used to find out accounts.
+ */
+router.post('/auth/password-reset',
+  urlencoded({ extended: true }),
+  passwordResetLimits,
+  middlewares.requireHeaders({ userAgent: true }),
+  middlewares.requireBody(),
+  async (request, response) => {
+    try {
+      const { email, phone } = request.body;
+
+      if (!email && !phone) {
+        const { code, error } = errors.VALIDATION_ERROR(new Error('email or phone is required'));
+        response.status(code);
+        throw error;
+      }
+
+      // Get the user document
+      const user = await User.findOne({
+        ...(email ? { email: String(email) } : { phone: String(phone) }),
+        isDeleted: { $ne: true },
+      }).catch((error) => {
+        console.error(error);
+        response.status(errors.FIND_USER_FAILED.code);
+        throw errors.FIND_USER_FAILED.error;
+      });
+
+      if (user) {
+        // Text messages get a short code instead of the token, guessed only a few times
+        const issued = email ? PasswordReset.issue(user.id) : PasswordReset.issueCode(user.id);
+        const secret = await issued.catch((error) => {
+          console.error(error);
+          response.status(errors.SAVE_PASSWORD_RESET_FAILED.code);
+          throw errors.SAVE_PASSWORD_RESET_FAILED.error;
+        });
+        const minutes = constants.passwordResetMinutes();
+
+        // Not told apart from unknown accounts either
+        const sent = email
+          ? emailServer.sendMail(
+            user.email,
+            'SkinMate Password Reset',
+            constants.EMAIL_TEMPLATE_VERIFICATION,
+            {
+              MESSAGE: `Please use the code below to reset your password within ${minutes} minutes. If you didn't ask for it, ignore this email.`,
+              VERIFICATION_CODE: secret,
+            },
+          )
+          : smsServer.sendSMS(
+            user.phone,
+            constants.SMS_TEMPLATE_NOTIFICATION,
+            { MESSAGE: `use ${secret} to reset your password within ${minutes} minutes.` },
+          );
+        await sent.catch((error) => {
+          console.error(error);
+        });
+      }
+
+      response.status(202).send('If the account exists, a reset code is on its way');
+    } catch (error) {
+      response.send(error.message);
+    }
+  });
+
+/**
+ * `http POST` request handler to set a new password with a reset token or code.
+ * * Requires `password` in the body, and `token` from the email or `phone` `code` from the SMS.
+ * * Signs out every session of the account and confirms the change by email.
+ */
+router.post('/auth/password-reset/confirm',
+  urlencoded({ extended: true }),
+  middlewares.requireBody(),
+  async (request, response) => {
+    try {
+      const {
+        token, phone, code, password,
+      } = request.body;
+
+      // Checked before the token is used up, so it can be tried again with a better password
+      if (!validator.isStrongPassword(String(password || ''))) {
+        response.status(errors.WEAK_PASSWORD.code);
+        throw errors.WEAK_PASSWORD.error;
+      }
+
+      const redeemed = token
+        ? PasswordReset.redeem(String(token))
+        : redeemResetCode(String(phone || ''), String(code || ''));
+      const userId = await redeemed.catch((error) => {
+        console.error(error);
+        response.status(errors.FIND_PASSWORD_RESET_FAILED.code);
+        throw errors.FIND_PASSWORD_RESET_FAILED.error;
+      });
+
+      if (!userId) {
+        response.status(errors.INVALID_RESET_TOKEN.code);
+        throw errors.INVALID_RESET_TOKEN.error;
+      }
+
+      // Get the user document
+      const user = await User.findOne({
+        _id: userId,
+        isDeleted: { $ne: true },
+      }).catch((error) => {
+        console.error(error);
+        response.status(errors.FIND_USER_FAILED.code);
+        throw errors.FIND_USER_FAILED.error;
+      });
+
+      if (!user) {
+        response.status(errors.NULL_USER.code);
+        throw errors.NULL_USER.error;
+      }
+
+      user.password = password;
+
+      await user.save().catch((error) => {
+        console.error(error);
+        response.status(errors.UPDATE_USER_FAILED.code);
+        throw errors.UPDATE_USER_FAILED.error;
+      });
+
+      // Whoever knew the old password is signed out
+      await Client.revoke(user.clients.map(String)).catch((error) => {
+        console.error(error);
+        response.status(errors.DELETE_CLIENT_FAILED.code);
+        throw errors.DELETE_CLIENT_FAILED.error;
+      });
+
+      await LoginAttempt.unlock({ user }).catch(console.error);
+
+      await emailServer.sendMail(
+        user.email,
+        'SkinMate Password Changed',
+        constants.EMAIL_TEMPLATE_NOTIFICATION,
+        {
+          MESSAGE: 'your password was reset and every device signed out. If it wasn\'t you, contact us right away.',
+        },
+      ).catch((error) => {
+        console.error(error);
+      });
+
+      response.send('Password reset, sign in again');
     } catch (error) {
       response.send(error.message);
     }
@@ -1026,6 +1589,249 @@ router.delete('/family/:id',
     }
   });
 
+/**
+ * Gets an insurance policy of the user
+ * @param {string} id
+ * @param {string} userId
+ * @param {Response} response
+ */
+async function findPolicy(id, userId, response) {
+  const policy = await InsurancePolicy.findOne({
+    _id: id,
+    isDeleted: { $ne: true },
+  }).catch((error) => {
+    console.error(error);
+    response.status(errors.FIND_INSURANCE_POLICY_FAILED.code);
+    throw errors.FIND_INSURANCE_POLICY_FAILED.error;
+  });
+
+  if (!policy) {
+    response.status(errors.NULL_INSURANCE_POLICY.code);
+    throw errors.NULL_INSURANCE_POLICY.error;
+  }
+
+  if (String(policy.user) !== userId) {
+    response.status(errors.UNOWNED_DOCUMENT.code);
+    throw errors.UNOWNED_DOCUMENT.error;
+  }
+
+  return policy;
+}
+
+/**
+ * Sets the holder of a policy and checks it and the covered members are family of the user
+ * @param {Document<InsurancePolicy>} policy
+ * @param {string} [holder] Family member id, or `self` for the account holder
+ * @param {string} userId
+ * @param {Response} response
+ */
+async function assignMembers(policy, holder, userId, response) {
+  if (holder !== undefined) {
+    const isSelf = !holder || holder === 'self' || holder === userId;
+    Object.assign(policy, {
+      holder: isSelf ? userId : holder,
+      holderModel: isSelf ? 'User' : 'Family',
+    });
+  }
+
+  const members = [...policy.coveredMembers.map(String),
+    ...(policy.holderModel === 'Family' ? [String(policy.holder)] : [])];
+
+  if (members.length === 0) {
+    return;
+  }
+
+  const user = await User.findById(userId).catch((error) => {
+    console.error(error);
+    response.status(errors.FIND_USER_FAILED.code);
+    throw errors.FIND_USER_FAILED.error;
+  });
+
+  const count = await Family.countDocuments({
+    _id: { $in: members.filter((member) => user.family.map(String).includes(member)) },
+    isDeleted: { $ne: true },
+  }).catch((error) => {
+    console.error(error);
+    response.status(errors.FIND_FAMILY_FAILED.code);
+    throw errors.FIND_FAMILY_FAILED.error;
+  });
+
+  if (count !== new Set(members).size) {
+    response.status(errors.NULL_FAMILY.code);
+    throw errors.NULL_FAMILY.error;
+  }
+}
+
+/**
+ * Validates and saves an insurance policy
+ * @param {Document<InsurancePolicy>} policy
+ * @param {{code: number, error: Error}} failure Error of a failed save
+ * @param {Response} response
+ */
+async function savePolicy(policy, failure, response) {
+  await policy.validate().catch((error) => {
+    console.error(error);
+    const validationError = errors.VALIDATION_ERROR(error);
+    response.status(validationError.code);
+    throw validationError.error;
+  });
+
+  await policy.save().catch((error) => {
+    console.error(error);
+    const { code, error: reason } = error.code === 11000
+      ? errors.INSURANCE_POLICY_EXISTS : failure;
+    response.status(code);
+    throw reason;
+  });
+
+  const { isDeleted, ...rest } = policy.toJSON();
+  return rest;
+}
+
+/**
+ * `http GET` request handler to fetch the insurance policies of the user
+ */
+router.get('/insurance',
+  middlewares.requireHeaders({ accessToken: true, deviceId: true }),
+  middlewares.requireVerification({ phone: true, email: true }),
+  async (request, response) => {
+    try {
+      const policies = await InsurancePolicy.find({
+        user: request.params.userId,
+        isDeleted: { $ne: true },
+      }).sort({ validTo: -1 })
+        .populate({ path: 'holder', select: 'firstName lastName relationship' })
+        .populate({ path: 'coveredMembers', select: 'firstName lastName relationship' })
+        .catch((error) => {
+          console.error(error);
+          response.status(errors.FIND_INSURANCE_POLICY_FAILED.code);
+          throw errors.FIND_INSURANCE_POLICY_FAILED.error;
+        });
+
+      response.json(policies.map((policy) => {
+        const { isDeleted, ...rest } = policy.toJSON();
+        return rest;
+      }));
+    } catch (error) {
+      response.send(error.message);
+    }
+  });
+
+/**
+ * `http POST` request handler to add an insurance policy.
+ * * Requires `provider` `policyNumber` `validFrom` `validTo` in the body
+ * * Optional `memberId`, `holder` family member id, the account holder by default,
+ * and `coveredMembers` family member ids
+ */
+router.post('/insurance',
+  urlencoded({ extended: true }),
+  middlewares.requireHeaders({ accessToken: true, deviceId: true }),
+  middlewares.requireVerification({ phone: true, email: true }),
+  middlewares.requireBody(),
+  async (request, response) => {
+    try {
+      const policy = new InsurancePolicy({
+        user: request.params.userId,
+        provider: request.body.provider,
+        policyNumber: request.body.policyNumber,
+        memberId: request.body.memberId,
+        coveredMembers: request.body.coveredMembers,
+        validFrom: request.body.validFrom,
+        validTo: request.body.validTo,
+      });
+
+      await assignMembers(policy, request.body.holder || 'self', request.params.userId, response);
+
+      const saved = await savePolicy(policy, errors.SAVE_INSURANCE_POLICY_FAILED, response);
+
+      response.status(201).json(saved);
+    } catch (error) {
+      response.send(error.message);
+    }
+  });
+
+/**
+ * `http GET` request handler to fetch an insurance policy
+ */
+router.get('/insurance/:id',
+  middlewares.requireHeaders({ accessToken: true, deviceId: true }),
+  middlewares.requireVerification({ phone: true, email: true }),
+  async (request, response) => {
+    try {
+      const policy = await findPolicy(request.params.id, request.params.userId, response);
+
+      const { isDeleted, ...rest } = policy.toJSON();
+
+      response.json(rest);
+    } catch (error) {
+      response.send(error.message);
+    }
+  });
+
+/**
+ * `http PATCH` request handler to update an insurance policy.
+ * * Appointments booked with it before are not checked again
+ */
+router.patch('/insurance/:id',
+  urlencoded({ extended: true }),
+  middlewares.requireHeaders({ accessToken: true, deviceId: true }),
+  middlewares.requireVerification({ phone: true, email: true }),
+  middlewares.requireBody(),
+  async (request, response) => {
+    try {
+      const policy = await findPolicy(request.params.id, request.params.userId, response);
+
+      const updates = Object.keys(request.body);
+      const updatable = ['provider', 'policyNumber', 'memberId', 'holder', 'coveredMembers', 'validFrom', 'validTo'];
+      const isValidOperation = updates.every((update) => updatable.includes(update));
+
+      if (!isValidOperation) {
+        const { code, error } = errors.FORBIDDEN_FIELDS_ERROR(updates
+          .filter((key) => !updatable.includes(key)));
+        response.status(code);
+        throw error;
+      }
+
+      updates.filter((update) => update !== 'holder').forEach((update) => {
+        policy[update] = request.body[update];
+      });
+
+      await assignMembers(policy, request.body.holder, request.params.userId, response);
+
+      const saved = await savePolicy(policy, errors.UPDATE_INSURANCE_POLICY_FAILED, response);
+
+      response.json(saved);
+    } catch (error) {
+      response.send(error.message);
+    }
+  });
+
+/**
+ * `http DELETE` request handler to remove an insurance policy.
+ * * Appointments booked with it keep referencing it
+ */
+router.delete('/insurance/:id',
+  middlewares.requireHeaders({ accessToken: true, deviceId: true }),
+  middlewares.requireVerification({ phone: true, email: true }),
+  async (request, response) => {
+    try {
+      const policy = await findPolicy(request.params.id, request.params.userId, response);
+
+      // Set soft delete
+      policy.isDeleted = true;
+
+      await policy.save().catch((error) => {
+        console.error(error);
+        response.status(errors.UPDATE_INSURANCE_POLICY_FAILED.code);
+        throw errors.UPDATE_INSURANCE_POLICY_FAILED.error;
+      });
+
+      response.send('Insurance policy has been removed');
+    } catch (error) {
+      response.send(error.message);
+    }
+  });
+
 /**
  * User router
  */
@@ -0,0 +1,723 @@
+/* eslint-disable no-undef */
+const express = require('express');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const supertest = require('supertest');
+const AppointmentRouter = require('../Appointment');
+const {
+  User, Doctor, Appointment, Reservation, Service,
+} = require('../../database');
+const { signIn, everyDay, createDoctor } = require('./helpers');
+
+// May require additional time for downloading MongoDB binaries
+jasmine.DEFAULT_TIMEOUT_INTERVAL = 600000;
+let mongoServer;
+let server;
+
+beforeAll(async () => {
+  mongoServer = new MongoMemoryServer();
+  const mongoUri = await mongoServer.getUri();
+  await mongoose.connect(
+    mongoUri,
+    { useCreateIndex: true, useNewUrlParser: true, useUnifiedTopology: true },
+  );
+  // Slot uniqueness relies on the index being in place
+  await Reservation.init();
+  server = express();
+  server.use(AppointmentRouter);
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+describe('Tests for concurrent /appointments booking', () => {
+  let doctor;
+  let service;
+  let clients;
+  let winner;
+  let booking;
+
+  beforeAll(async () => {
+    // 15 minutes and a 5 minute buffer take two 10 minute slots
+    ({ doctor, service } = await createDoctor({
+      name: 'pv bhat',
+      email: 'pvbhat@gmail.com',
+      phone: '+919999999999',
+    }, { buffer: 5 }));
+    clients = await Promise.all([1, 2, 3, 4, 5].map((index) => signIn(
+      `patient${index}@dummymail.com`,
+      `+91992233894${index}`,
+    )));
+  });
+
+  it('must let exactly one of parallel bookings for a slot win', async () => {
+    const responses = await Promise.all(clients.map((client) => supertest(server)
+      .post('/appointments')
+      .set('device-id', client.id)
+      .set('access-token', client.token)
+      .send({
+        doctorid: doctor.id,
+        serviceId: service.id,
+        start: '2031-01-06T10:00:00+05:30',
+        paymentType: 'cash',
+        appointmentFor: 'self',
+      })));
+
+    const statuses = responses.map((response) => response.status);
+    winner = clients[statuses.indexOf(201)];
+    booking = responses[statuses.indexOf(201)].body;
+    expect(statuses.filter((status) => status === 201)).toHaveLength(1);
+    expect(statuses.filter((status) => status === 409)).toHaveLength(clients.length - 1);
+    expect(await Reservation.countDocuments({ doctorId: doctor.id })).toBe(2);
+  });
+
+  it('must reject overlapping booking of a held slot', (done) => {
+    supertest(server)
+      .post('/appointments')
+      .set('device-id', clients[0].id)
+      .set('access-token', clients[0].token)
+      .send({
+        doctorid: doctor.id,
+        serviceId: service.id,
+        start: '2031-01-06T04:40:00Z',
+        paymentType: 'cash',
+        appointmentFor: 'self',
+      })
+      .expect(409, done);
+  });
+
+  it('must reject a doctor who doesn\'t offer the service', async () => {
+    const laser = await Service.create({ name: 'Laser', duration: 30 });
+    await supertest(server)
+      .post('/appointments')
+      .set('device-id', clients[0].id)
+      .set('access-token', clients[0].token)
+      .send({
+        doctorid: doctor.id,
+        serviceId: laser.id,
+        start: '2031-01-07T10:00:00+05:30',
+        paymentType: 'cash',
+      })
+      .expect(403);
+  });
+
+  it('must reject a booking that has started already', async () => {
+    const { text } = await supertest(server)
+      .post('/appointments')
+      .set('device-id', clients[0].id)
+      .set('access-token', clients[0].token)
+      .send({
+        doctorid: doctor.id,
+        serviceId: service.id,
+        start: '2021-01-06T10:00:00+05:30',
+        paymentType: 'cash',
+      })
+      .expect(403);
+    expect(text).toBe('Selected slots have passed already');
+  });
+
+  it('must free the slots of a cancelled appointment', async () => {
+    await supertest(server)
+      // eslint-disable-next-line no-underscore-dangle
+      .delete(`/appointments/${booking._id}`)
+      .set('device-id', winner.id)
+      .set('access-token', winner.token)
+      .expect(200);
+
+    const client = clients.find((item) => item !== winner);
+    await supertest(server)
+      .post('/appointments')
+      .set('device-id', client.id)
+      .set('access-token', client.token)
+      .send({
+        doctorid: doctor.id,
+        serviceId: service.id,
+        start: '2031-01-06T10:00:00+05:30',
+        paymentType: 'cash',
+      })
+      .expect(201);
+  });
+});
+
+describe('Tests for the /appointments/waitlist', () => {
+  let doctor;
+  let service;
+  let first;
+  let second;
+  let booking;
+  let entry;
+
+  beforeAll(async () => {
+    // A single 20 minute slot pair a day makes one booking fill the day
+    ({ doctor, service } = await createDoctor({
+      name: 'ak rao',
+      email: 'akrao@gmail.com',
+      phone: '+919999999998',
+      qualification: 'MD',
+      workingHours: everyDay('09:00', '09:20'),
+    }, { name: 'Follow up', buffer: 5 }));
+    first = await signIn('waiting1@dummymail.com', '+919922338951');
+    second = await signIn('waiting2@dummymail.com', '+919922338952');
+
+    const response = await supertest(server)
+      .post('/appointments')
+      .set('device-id', first.id)
+      .set('access-token', first.token)
+      .send({
+        doctorid: doctor.id,
+        serviceId: service.id,
+        start: '2031-01-08T09:00:00+05:30',
+        paymentType: 'cash',
+      })
+      .expect(201);
+    booking = response.body;
+  });
+
+  it('must add the user to the waitlist of a booked out day', async () => {
+    const response = await supertest(server)
+      .post('/appointments/waitlist')
+      .set('device-id', second.id)
+      .set('access-token', second.token)
+      .send({
+        doctorid: doctor.id,
+        serviceId: service.id,
+        from: '2031-01-08',
+        to: '2031-01-09',
+      })
+      .expect(201);
+    entry = response.body;
+    expect(entry.status).toBe('waiting');
+  });
+
+  it('must offer the slots of a cancelled appointment as a hold', async () => {
+    await supertest(server)
+      // eslint-disable-next-line no-underscore-dangle
+      .delete(`/appointments/${booking._id}`)
+      .set('device-id', first.id)
+      .set('access-token', first.token)
+      .expect(200);
+
+    const response = await supertest(server)
+      .get('/appointments/waitlist')
+      .set('device-id', second.id)
+      .set('access-token', second.token)
+      .expect(200);
+    expect(response.body[0].status).toBe('offered');
+    expect(response.body[0].hold.start).toBe('2031-01-08T09:00:00+05:30');
+
+    // The held slots aren't open to anyone else
+    await supertest(server)
+      .post('/appointments')
+      .set('device-id', first.id)
+      .set('access-token', first.token)
+      .send({
+        doctorid: doctor.id,
+        serviceId: service.id,
+        start: '2031-01-08T09:00:00+05:30',
+        paymentType: 'cash',
+      })
+      .expect(409);
+  });
+
+  it('must book the held slots once', async () => {
+    await supertest(server)
+      // eslint-disable-next-line no-underscore-dangle
+      .post(`/appointments/waitlist/${entry._id}/book`)
+      .set('device-id', second.id)
+      .set('access-token', second.token)
+      .send({ paymentType: 'cash' })
+      .expect(201);
+
+    await supertest(server)
+      // eslint-disable-next-line no-underscore-dangle
+      .post(`/appointments/waitlist/${entry._id}/book`)
+      .set('device-id', second.id)
+      .set('access-token', second.token)
+      .send({ paymentType: 'cash' })
+      .expect(404);
+  });
+});
+
+describe('Tests for recurring /appointments/series', () => {
+  let doctor;
+  let service;
+  let client;
+  let series;
+
+  beforeAll(async () => {
+    ({ doctor, service } = await createDoctor({
+      name: 'sk nair',
+      email: 'sknair@gmail.com',
+      phone: '+919999999997',
+      qualification: 'MD',
+    }, { name: 'Chemical peel', duration: 30 }));
+    client = await signIn('course@dummymail.com', '+919922338961');
+    const other = await signIn('course2@dummymail.com', '+919922338962');
+
+    // Takes the third occurrence of the first series tried
+    await supertest(server)
+      .post('/appointments')
+      .set('device-id', other.id)
+      .set('access-token', other.token)
+      .send({
+        doctorid: doctor.id,
+        serviceId: service.id,
+        start: '2031-02-17T10:00:00+05:30',
+        paymentType: 'cash',
+      })
+      .expect(201);
+  });
+
+  it('must report conflicting occurrences and book none', async () => {
+    const response = await supertest(server)
+      .post('/appointments/series')
+      .set('device-id', client.id)
+      .set('access-token', client.token)
+      .send({
+        doctorid: doctor.id,
+        serviceId: service.id,
+        start: '2031-02-03T10:00:00+05:30',
+        recurrence: 'FREQ=WEEKLY;COUNT=3',
+        paymentType: 'cash',
+      })
+      .expect(409);
+    expect(response.body.occurrences.map((occurrence) => occurrence.conflict))
+      .toEqual([null, null, 'unavailable']);
+    expect(await Appointment.countDocuments({ doctorId: doctor.id })).toBe(1);
+  });
+
+  it('must book every occurrence of an available series', async () => {
+    const response = await supertest(server)
+      .post('/appointments/series')
+      .set('device-id', client.id)
+      .set('access-token', client.token)
+      .send({
+        doctorid: doctor.id,
+        serviceId: service.id,
+        start: '2031-02-03T11:00:00+05:30',
+        recurrence: 'FREQ=WEEKLY;INTERVAL=2;COUNT=3',
+        paymentType: 'cash',
+      })
+      .expect(201);
+    series = response.body.series;
+    expect(response.body.appointments.map((appointment) => appointment.start)).toEqual([
+      '2031-02-03T11:00:00+05:30',
+      '2031-02-17T11:00:00+05:30',
+      '2031-03-03T11:00:00+05:30',
+    ]);
+  });
+
+  it('must reschedule the rest of the series', async () => {
+    // eslint-disable-next-line no-underscore-dangle
+    const [, second] = await Appointment.find({ series: series._id }).sort({ start: 1 });
+    const response = await supertest(server)
+      // eslint-disable-next-line no-underscore-dangle
+      .patch(`/appointments/series/${series._id}`)
+      .set('device-id', client.id)
+      .set('access-token', client.token)
+      .send({ from: second.id, start: '2031-02-18T09:00:00+05:30' })
+      .expect(200);
+    expect(response.body.appointments.map((appointment) => appointment.start)).toEqual([
+      '2031-02-18T09:00:00+05:30',
+      '2031-03-04T09:00:00+05:30',
+    ]);
+  });
+
+  it('must cancel the rest of the series', async () => {
+    const response = await supertest(server)
+      // eslint-disable-next-line no-underscore-dangle
+      .delete(`/appointments/series/${series._id}`)
+      .set('device-id', client.id)
+      .set('access-token', client.token)
+      .expect(200);
+    expect(response.body.cancelled).toHaveLength(3);
+  });
+});
+
+describe('Tests for the /appointments cancellation and reschedule policy', () => {
+  const HOUR = 60 * 60 * 1000;
+  let doctor;
+  let service;
+  let owner;
+  let stranger;
+  let admin;
+  let orphan;
+
+  /**
+   * Books an appointment of the owner directly, `hours` from now
+   */
+  async function bookIn(hours) {
+    const user = await User.findOne({ clients: owner.id });
+    const start = new Date(Date.now() + hours * HOUR);
+    return Appointment.create({
+      doctorId: doctor.id,
+      serviceId: service.id,
+      userId: user.id,
+      appointmentFor: user.id,
+      start,
+      end: new Date(start.getTime() + 15 * 60000),
+      paymentType: 'cash',
+    });
+  }
+
+  beforeAll(async () => {
+    ({ doctor, service } = await createDoctor({
+      name: 'policy doctor',
+      email: 'policydoctor@gmail.com',
+      phone: '+919999999995',
+      workingHours: everyDay('00:00', '23:50'),
+    }, { name: 'Follow-up' }));
+    owner = await signIn('policyowner@dummymail.com', '+919922338961');
+    stranger = await signIn('policystranger@dummymail.com', '+919922338962');
+    admin = await signIn('policyadmin@dummymail.com', '+919922338963');
+    await User.updateOne({ clients: admin.id }, { elevatedAccess: true });
+  });
+
+  it('must not let others cancel an appointment', async () => {
+    const appointment = await bookIn(48);
+    await supertest(server)
+      .delete(`/appointments/${appointment.id}`)
+      .set('device-id', stranger.id)
+      .set('access-token', stranger.token)
+      .expect(401);
+  });
+
+  it('must reject a reschedule within the notice window', async () => {
+    const appointment = await bookIn(2);
+    await supertest(server)
+      .patch(`/appointments/${appointment.id}`)
+      .set('device-id', owner.id)
+      .set('access-token', owner.token)
+      .send({ start: new Date(Date.now() + 72 * HOUR).toISOString() })
+      .expect(403);
+  });
+
+  it('must record a late cancellation against the user', async () => {
+    const appointment = await bookIn(2);
+    await supertest(server)
+      .delete(`/appointments/${appointment.id}`)
+      .set('device-id', owner.id)
+      .set('access-token', owner.token)
+      .expect(200);
+    expect((await Appointment.findById(appointment.id)).lateCancellation).toBe(true);
+    expect((await User.findOne({ clients: owner.id })).lateCancellations).toBe(1);
+  });
+
+  it('must let only admins override the policy', async () => {
+    const appointment = await bookIn(-1);
+    await supertest(server)
+      .delete(`/appointments/${appointment.id}`)
+      .set('device-id', owner.id)
+      .set('access-token', owner.token)
+      .expect(409);
+    await supertest(server)
+      .delete(`/appointments/${appointment.id}?override=true`)
+      .set('device-id', owner.id)
+      .set('access-token', owner.token)
+      .expect(401);
+    await supertest(server)
+      .delete(`/appointments/${appointment.id}?override=true`)
+      .set('device-id', admin.id)
+      .set('access-token', admin.token)
+      .expect(200);
+    expect((await Appointment.findById(appointment.id)).lateCancellation).toBe(false);
+  });
+
+  it('must not reschedule an appointment of a removed doctor', async () => {
+    const { doctor: removed, service: offered } = await createDoctor({
+      name: 'removed doctor',
+      email: 'removeddoctor@gmail.com',
+      phone: '+919999999990',
+      workingHours: everyDay('00:00', '23:50'),
+    });
+    const user = await User.findOne({ clients: owner.id });
+    const start = new Date(Date.now() + 72 * HOUR);
+    orphan = await Appointment.create({
+      doctorId: removed.id,
+      serviceId: offered.id,
+      userId: user.id,
+      appointmentFor: user.id,
+      start,
+      end: new Date(start.getTime() + 15 * 60000),
+      paymentType: 'cash',
+    });
+    await Doctor.deleteOne({ _id: removed.id });
+
+    const { text } = await supertest(server)
+      .patch(`/appointments/${orphan.id}`)
+      .set('device-id', owner.id)
+      .set('access-token', owner.token)
+      .send({ start: new Date(Date.now() + 96 * HOUR).toISOString() })
+      .expect(404);
+    expect(text).toBe('Doctor doesn\'t exist');
+  });
+
+  it('must cancel an appointment of a removed doctor with the archived details', async () => {
+    const { body } = await supertest(server)
+      .delete(`/appointments/${orphan.id}`)
+      .set('device-id', owner.id)
+      .set('access-token', owner.token)
+      .expect(200);
+    expect(body.doctorName).toBe('removed doctor');
+  });
+});
+
+describe('Tests for the /appointments upcoming and past views', () => {
+  const DAY = 24 * 60 * 60 * 1000;
+  let client;
+
+  beforeAll(async () => {
+    client = await signIn('history@dummymail.com', '+919922338971');
+    const user = await User.findOne({ clients: client.id });
+    const { doctor, service } = await createDoctor({
+      name: 'retired doctor',
+      email: 'retireddoctor@gmail.com',
+      phone: '+919999999994',
+      qualification: 'MD',
+    }, { name: 'Peel', duration: 30 });
+    await Promise.all([-30, -2, 3, 10].map((days) => Appointment.create({
+      doctorId: doctor.id,
+      serviceId: service.id,
+      userId: user.id,
+      appointmentFor: user.id,
+      start: new Date(Date.now() + days * DAY),
+      end: new Date(Date.now() + days * DAY + 30 * 60000),
+      paymentType: 'cash',
+      status: days < 0 ? 'completed' : 'booked',
+    })));
+    await Doctor.deleteOne({ _id: doctor.id });
+    await Service.deleteOne({ _id: service.id });
+  });
+
+  it('must list upcoming appointments by start', async () => {
+    const response = await supertest(server)
+      .get('/appointments?view=upcoming')
+      .set('device-id', client.id)
+      .set('access-token', client.token)
+      .expect(200);
+    expect(response.body).toHaveLength(2);
+    expect(response.body[0].start < response.body[1].start).toBe(true);
+  });
+
+  it('must page past visits latest first, with archived details', async () => {
+    const response = await supertest(server)
+      .get('/appointments?view=past&limit=1&page=2')
+      .set('device-id', client.id)
+      .set('access-token', client.token)
+      .expect(200);
+    expect(response.headers['x-total-count']).toBe('2');
+    expect(response.body).toHaveLength(1);
+    expect(response.body[0]).toMatchObject({
+      doctorName: 'retired doctor',
+      doctorEducation: 'MD',
+      serviceName: 'Peel',
+      relationship: 'self',
+      status: 'completed',
+    });
+  });
+
+  it('must respond with an empty array when nothing matches', async () => {
+    const response = await supertest(server)
+      .get('/appointments?from=2001-01-01&to=2001-01-31')
+      .set('device-id', client.id)
+      .set('access-token', client.token)
+      .expect(200);
+    expect(response.body).toEqual([]);
+  });
+
+  it('must reject an unknown view', (done) => {
+    supertest(server)
+      .get('/appointments?view=later')
+      .set('device-id', client.id)
+      .set('access-token', client.token)
+      .expect(400, done);
+  });
+});
+
+describe('Tests for the /admin appointment console', () => {
+  let doctor;
+  let cover;
+  let service;
+  let admin;
+  let patient;
+
+  beforeAll(async () => {
+    doctor = await Doctor.create({
+      name: 'console doctor',
+      email: 'consoledoctor@gmail.com',
+      phone: '+919999999993',
+      qualification: 'MBBS',
+      workingHours: everyDay(),
+    });
+    cover = await Doctor.create({
+      name: 'cover doctor',
+      email: 'coverdoctor@gmail.com',
+      phone: '+919999999992',
+      qualification: 'MBBS',
+      workingHours: everyDay(),
+    });
+    service = await Service.create({
+      name: 'Check-up',
+      duration: 15,
+      staff: [doctor.id, cover.id],
+    });
+    admin = await signIn('consoleadmin@dummymail.com', '+919922338981');
+    await User.updateOne({ clients: admin.id }, { elevatedAccess: true });
+    patient = await signIn('consolepatient@dummymail.com', '+919922338982');
+  });
+
+  it('must keep the console to admins', (done) => {
+    supertest(server)
+      .get('/admin/appointments')
+      .set('device-id', patient.id)
+      .set('access-token', patient.token)
+      .expect(401, done);
+  });
+
+  it('must book for a walk-in patient without an account', async () => {
+    await supertest(server)
+      .post('/admin/appointments')
+      .set('device-id', admin.id)
+      .set('access-token', admin.token)
+      .send({
+        phone: '+919922338983',
+        email: 'walkin@dummymail.com',
+        firstName: 'Walk',
+        doctorid: doctor.id,
+        serviceId: service.id,
+        start: '2031-04-07T09:00:00+05:30',
+        paymentType: 'cash',
+      })
+      .expect(201);
+    expect(await User.exists({ email: 'walkin@dummymail.com' })).toBe(true);
+  });
+
+  it('must book for a phone-in patient with an account', (done) => {
+    supertest(server)
+      .post('/admin/appointments')
+      .set('device-id', admin.id)
+      .set('access-token', admin.token)
+      .send({
+        phone: '+919922338982',
+        doctorid: doctor.id,
+        serviceId: service.id,
+        start: '2031-04-07T10:00:00+05:30',
+        paymentType: 'cash',
+      })
+      .expect(201, done);
+  });
+
+  it('must search appointments by patient phone', async () => {
+    const response = await supertest(server)
+      .get('/admin/appointments?phone=%2B919922338982')
+      .set('device-id', admin.id)
+      .set('access-token', admin.token)
+      .expect(200);
+    expect(response.headers['x-total-count']).toBe('1');
+    expect(response.body[0].account.email).toBe('consolepatient@dummymail.com');
+  });
+
+  it('must reject a malformed doctor id in a search', (done) => {
+    supertest(server)
+      .get('/admin/appointments?doctorId=pvbhat')
+      .set('device-id', admin.id)
+      .set('access-token', admin.token)
+      .expect(400, done);
+  });
+
+  it('must move a doctor\'s day to a covering doctor', async () => {
+    const response = await supertest(server)
+      .post(`/admin/doctors/${doctor.id}/reschedule-day`)
+      .set('device-id', admin.id)
+      .set('access-token', admin.token)
+      .send({ date: '2031-04-07', to: '2031-04-08', doctorid: cover.id })
+      .expect(200);
+    expect(response.body.appointments.map((appointment) => appointment.start)).toEqual([
+      '2031-04-08T09:00:00+05:30',
+      '2031-04-08T10:00:00+05:30',
+    ]);
+    expect(await Reservation.countDocuments({ doctorId: doctor.id })).toBe(0);
+    expect(await Reservation.countDocuments({ doctorId: cover.id })).toBe(4);
+  });
+});
+
+describe('Tests for video visits', () => {
+  let doctor;
+  let service;
+  let patient;
+  let doctorClient;
+  let stranger;
+
+  /**
+   * Creates an appointment of the patient starting in `minutes`
+   */
+  async function visitIn(minutes, mode) {
+    const user = await User.findOne({ clients: patient.id });
+    const start = new Date(Date.now() + minutes * 60000);
+    return Appointment.create({
+      doctorId: doctor.id,
+      serviceId: service.id,
+      userId: user.id,
+      appointmentFor: user.id,
+      start,
+      end: new Date(start.getTime() + 15 * 60000),
+      paymentType: 'cash',
+      mode,
+    });
+  }
+
+  beforeAll(async () => {
+    doctorClient = await signIn('videodoctor@dummymail.com', '+919922338991');
+    ({ doctor, service } = await createDoctor({
+      name: 'video doctor',
+      email: 'videodoctor@gmail.com',
+      phone: '+919999999991',
+      user: (await User.findOne({ clients: doctorClient.id })).id,
+    }, { name: 'Teleconsult' }));
+    patient = await signIn('videopatient@dummymail.com', '+919922338992');
+    stranger = await signIn('videostranger@dummymail.com', '+919922338993');
+  });
+
+  it('must give the patient and the doctor the same room', async () => {
+    const appointment = await visitIn(5, 'video');
+    const [asPatient, asDoctor] = await Promise.all([patient, doctorClient]
+      .map((client) => supertest(server)
+        .post(`/appointments/${appointment.id}/join`)
+        .set('device-id', client.id)
+        .set('access-token', client.token)
+        .expect(200)));
+    expect(asPatient.body).toMatchObject({ room: appointment.room, role: 'patient' });
+    expect(asDoctor.body).toMatchObject({ room: appointment.room, role: 'doctor' });
+    expect(asPatient.body.token).not.toBe(asDoctor.body.token);
+  });
+
+  it('must keep others out', async () => {
+    const appointment = await visitIn(5, 'video');
+    await supertest(server)
+      .post(`/appointments/${appointment.id}/join`)
+      .set('device-id', stranger.id)
+      .set('access-token', stranger.token)
+      .expect(401);
+  });
+
+  it('must not open the room before the slot', async () => {
+    const appointment = await visitIn(120, 'video');
+    await supertest(server)
+      .post(`/appointments/${appointment.id}/join`)
+      .set('device-id', patient.id)
+      .set('access-token', patient.token)
+      .expect(403);
+  });
+
+  it('must not open a room for clinic visits', async () => {
+    const appointment = await visitIn(5);
+    expect(appointment.room).toBeUndefined();
+    await supertest(server)
+      .post(`/appointments/${appointment.id}/join`)
+      .set('device-id', patient.id)
+      .set('access-token', patient.token)
+      .expect(409);
+  });
+});
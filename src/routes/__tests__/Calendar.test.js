@@ -0,0 +1,189 @@
+/* eslint-disable no-undef */
+const express = require('express');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const supertest = require('supertest');
+const AppointmentRouter = require('../Appointment');
+const CalendarRouter = require('../Calendar');
+const { User, Appointment, Reservation } = require('../../database');
+const { signIn, createDoctor } = require('./helpers');
+
+// May require additional time for downloading MongoDB binaries
+jasmine.DEFAULT_TIMEOUT_INTERVAL = 600000;
+let mongoServer;
+let server;
+
+/**
+ * Gets the lines of the event of an appointment in an iCalendar document
+ * @param {string} text
+ * @param {string} appointmentId
+ * @returns {string[] | undefined}
+ */
+function eventOf(text, appointmentId) {
+  const event = text.split('BEGIN:VEVENT').slice(1)
+    .find((block) => block.includes(`UID:${appointmentId}@skinmate`));
+  return event && event.split('\r\n');
+}
+
+beforeAll(async () => {
+  mongoServer = new MongoMemoryServer();
+  const mongoUri = await mongoServer.getUri();
+  await mongoose.connect(
+    mongoUri,
+    { useCreateIndex: true, useNewUrlParser: true, useUnifiedTopology: true },
+  );
+  await Reservation.init();
+  server = express();
+  server.use(AppointmentRouter);
+  server.use(CalendarRouter);
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+describe('Tests for calendar feeds', () => {
+  let owner;
+  let stranger;
+  let doctor;
+  let service;
+  let appointment;
+  let feedPath;
+
+  /**
+   * Books an appointment through the API
+   * @returns {Promise<{id: string}>}
+   */
+  async function book(client, start) {
+    const { body: { _id: id } } = await supertest(server)
+      .post('/appointments')
+      .set('device-id', client.id)
+      .set('access-token', client.token)
+      .send({
+        doctorid: doctor.id,
+        serviceId: service.id,
+        start,
+        paymentType: 'cash',
+      })
+      .expect(201);
+    return { id };
+  }
+
+  /**
+   * Fetches the owner's feed
+   */
+  function fetchFeed(expected = 200) {
+    return supertest(server)
+      .get(feedPath)
+      .expect(expected);
+  }
+
+  beforeAll(async () => {
+    ({ doctor, service } = await createDoctor({
+      name: 'calendar doctor',
+      email: 'calendardoctor@gmail.com',
+      phone: '+919999999949',
+    }));
+    owner = await signIn('calendarowner@dummymail.com', '+919922338931');
+    stranger = await signIn('calendarstranger@dummymail.com', '+919922338932');
+    appointment = await book(owner, '2031-01-06T10:00:00+05:30');
+  });
+
+  it('must issue a feed and revoke its old URL on a re-issue', async () => {
+    const first = await supertest(server)
+      .put('/calendar/feed')
+      .set('device-id', owner.id)
+      .set('access-token', owner.token)
+      .expect(200);
+    const second = await supertest(server)
+      .put('/calendar/feed')
+      .set('device-id', owner.id)
+      .set('access-token', owner.token)
+      .expect(200);
+
+    feedPath = new URL(second.body.url).pathname;
+    expect(feedPath).toMatch(/^\/calendar\/feeds\/[0-9a-f]+\.ics$/);
+    expect(new URL(first.body.url).pathname).not.toBe(feedPath);
+    await supertest(server)
+      .get(new URL(first.body.url).pathname)
+      .expect(404);
+  });
+
+  it('must list only the owner\'s upcoming appointments', async () => {
+    const others = await book(stranger, '2031-01-06T11:00:00+05:30');
+    const user = await User.findOne({ clients: owner.id });
+    const past = await Appointment.create({
+      doctorId: doctor.id,
+      serviceId: service.id,
+      userId: user.id,
+      appointmentFor: user.id,
+      start: new Date(Date.now() - 24 * 60 * 60 * 1000),
+      end: new Date(Date.now() - 24 * 60 * 60 * 1000 + 15 * 60000),
+      paymentType: 'cash',
+    });
+
+    const { text } = await fetchFeed();
+    expect(eventOf(text, appointment.id)).toContain('STATUS:CONFIRMED');
+    expect(eventOf(text, others.id)).toBeUndefined();
+    expect(eventOf(text, past.id)).toBeUndefined();
+  });
+
+  it('must keep the UID and raise the SEQUENCE on a reschedule', async () => {
+    const before = eventOf((await fetchFeed()).text, appointment.id);
+    await supertest(server)
+      .patch(`/appointments/${appointment.id}`)
+      .set('device-id', owner.id)
+      .set('access-token', owner.token)
+      .send({ start: '2031-01-07T10:00:00+05:30' })
+      .expect(200);
+    const after = eventOf((await fetchFeed()).text, appointment.id);
+
+    const sequenceOf = (lines) => Number(lines.find((line) => line.startsWith('SEQUENCE:'))
+      .slice('SEQUENCE:'.length));
+    expect(after).toBeDefined();
+    expect(after).toContain('DTSTART:20310107T043000Z');
+    expect(sequenceOf(after)).toBeGreaterThan(sequenceOf(before));
+  });
+
+  it('must mark a cancelled appointment as cancelled', async () => {
+    await supertest(server)
+      .delete(`/appointments/${appointment.id}`)
+      .set('device-id', owner.id)
+      .set('access-token', owner.token)
+      .expect(200);
+
+    expect(eventOf((await fetchFeed()).text, appointment.id)).toContain('STATUS:CANCELLED');
+  });
+
+  it('must export an appointment to its patient only', async () => {
+    const response = await supertest(server)
+      .get(`/appointments/${appointment.id}/ics`)
+      .set('device-id', owner.id)
+      .set('access-token', owner.token)
+      .expect(200);
+    expect(response.headers['content-type']).toMatch(/^text\/calendar/);
+    expect(eventOf(response.text, appointment.id)).toBeDefined();
+
+    await supertest(server)
+      .get(`/appointments/${appointment.id}/ics`)
+      .set('device-id', stranger.id)
+      .set('access-token', stranger.token)
+      .expect(401);
+  });
+
+  it('must revoke the feed', async () => {
+    await supertest(server)
+      .delete('/calendar/feed')
+      .set('device-id', owner.id)
+      .set('access-token', owner.token)
+      .expect(200);
+    await fetchFeed(404);
+
+    await supertest(server)
+      .delete('/calendar/feed')
+      .set('device-id', owner.id)
+      .set('access-token', owner.token)
+      .expect(404);
+  });
+});
@@ -0,0 +1,207 @@
+/* eslint-disable no-undef */
+const { readdirSync } = require('fs');
+const express = require('express');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const supertest = require('supertest');
+const AppointmentRouter = require('../Appointment');
+const ClaimRouter = require('../Claim');
+const { User, Appointment, InsurancePolicy } = require('../../database');
+const { signIn, createDoctor } = require('./helpers');
+
+// May require additional time for downloading MongoDB binaries
+jasmine.DEFAULT_TIMEOUT_INTERVAL = 600000;
+let mongoServer;
+let server;
+
+beforeAll(async () => {
+  mongoServer = new MongoMemoryServer();
+  const mongoUri = await mongoServer.getUri();
+  await mongoose.connect(
+    mongoUri,
+    { useCreateIndex: true, useNewUrlParser: true, useUnifiedTopology: true },
+  );
+  server = express();
+  server.use(AppointmentRouter);
+  server.use(ClaimRouter);
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+describe('Tests for insurance claims', () => {
+  let patient;
+  let admin;
+  let appointment;
+  let claimId;
+
+  /**
+   * Moves the claim as admin
+   */
+  function move(body) {
+    return supertest(server)
+      .post(`/admin/claims/${claimId}/status`)
+      .set('device-id', admin.id)
+      .set('access-token', admin.token)
+      .send(body);
+  }
+
+  beforeAll(async () => {
+    const { doctor, service } = await createDoctor({
+      name: 'claims doctor',
+      email: 'claimsdoctor@gmail.com',
+      phone: '+919999999959',
+    }, {
+      name: 'Biopsy',
+      duration: 30,
+      prices: [{ description: 'Biopsy, with lab', amount: 100000, taxPercent: 0 }],
+    });
+    patient = await signIn('claimspatient@dummymail.com', '+919922338951');
+    admin = await signIn('claimsadmin@dummymail.com', '+919922338952');
+    await User.updateOne({ clients: admin.id }, { elevatedAccess: true });
+
+    const user = await User.findOne({ clients: patient.id });
+    const policy = await InsurancePolicy.create({
+      user: user.id,
+      provider: 'Star Health',
+      policyNumber: 'SH-3003',
+      memberId: 'M-9',
+      holder: user.id,
+      validFrom: '2030-01-01',
+      validTo: '2032-12-31',
+    });
+    const start = new Date(Date.now() + 72 * 60 * 60 * 1000);
+    appointment = await Appointment.create({
+      doctorId: doctor.id,
+      serviceId: service.id,
+      userId: user.id,
+      appointmentFor: user.id,
+      start,
+      end: new Date(start.getTime() + 30 * 60000),
+      paymentType: 'insurance',
+      insurancePolicy: policy.id,
+    });
+  });
+
+  it('must open a draft claim for the invoice total', async () => {
+    const { body } = await supertest(server)
+      .post(`/admin/appointments/${appointment.id}/claims`)
+      .set('device-id', admin.id)
+      .set('access-token', admin.token)
+      .send({ note: 'Lab report to follow' })
+      .expect(201);
+
+    // eslint-disable-next-line no-underscore-dangle
+    claimId = body._id;
+    expect(body).toMatchObject({
+      kind: 'claim',
+      status: 'draft',
+      amountClaimed: 100000,
+      insurer: { provider: 'Star Health', policyNumber: 'SH-3003' },
+    });
+  });
+
+  it('must open one claim of a kind per appointment', (done) => {
+    supertest(server)
+      .post(`/admin/appointments/${appointment.id}/claims`)
+      .set('device-id', admin.id)
+      .set('access-token', admin.token)
+      .send({})
+      .expect(409, done);
+  });
+
+  it('must keep claims to admins', (done) => {
+    supertest(server)
+      .get(`/admin/claims/${claimId}`)
+      .set('device-id', patient.id)
+      .set('access-token', patient.token)
+      .expect(401, done);
+  });
+
+  it('must not skip the insurer\'s decision', async () => {
+    await move({ status: 'approved', amountApproved: 100000 }).expect(409);
+  });
+
+  it('must need the insurer\'s reason to reject', async () => {
+    await move({ status: 'submitted' }).expect(200);
+    await move({ status: 'rejected' }).expect(406);
+    const { body } = await move({ status: 'rejected', note: 'Missing lab report' }).expect(200);
+    expect(body.status).toBe('rejected');
+  });
+
+  it('must approve at most the amount claimed and settle at most the amount approved', async () => {
+    await move({ status: 'draft' }).expect(200);
+    await move({ status: 'submitted', insurerReference: 'STAR-77' }).expect(200);
+    await move({ status: 'approved', amountApproved: 150000 }).expect(406);
+    await move({ status: 'approved', amountApproved: 80000 }).expect(200);
+    await move({ status: 'settled', amountSettled: 90000 }).expect(406);
+    const { body } = await move({ status: 'settled', amountSettled: 80000 }).expect(200);
+    expect(body).toMatchObject({ status: 'settled', amountSettled: 80000 });
+  });
+
+  it('must lock the amount claimed once submitted', (done) => {
+    supertest(server)
+      .patch(`/admin/claims/${claimId}`)
+      .set('device-id', admin.id)
+      .set('access-token', admin.token)
+      .send({ amountClaimed: 1 })
+      .expect(409, done);
+  });
+
+  it('must export claims as CSV', async () => {
+    const { text, headers } = await supertest(server)
+      .get('/admin/claims/export?status=settled')
+      .set('device-id', admin.id)
+      .set('access-token', admin.token)
+      .expect(200);
+
+    expect(headers['content-type']).toMatch(/text\/csv/);
+    const lines = text.split('\r\n');
+    expect(lines).toHaveLength(3);
+    expect(lines[1]).toMatch(/^1,claim,settled,Star Health,SH-3003,M-9,/);
+    expect(lines[1]).toMatch(/,STAR-77,/);
+  });
+
+  it('must export claims as a JSON bundle', async () => {
+    const { body } = await supertest(server)
+      .get('/admin/claims/export?format=json')
+      .set('device-id', admin.id)
+      .set('access-token', admin.token)
+      .expect(200);
+
+    expect(body.count).toBe(1);
+    expect(body.claims[0]).toMatchObject({
+      claimId,
+      amountSettled: 80000,
+      invoiceTotal: 100000,
+    });
+    expect(body.claims[0].invoiceLines[0].description).toBe('Biopsy, with lab');
+  });
+
+  it('must show the claim status next to the appointment', async () => {
+    const { body } = await supertest(server)
+      .get('/appointments?view=upcoming')
+      .set('device-id', patient.id)
+      .set('access-token', patient.token)
+      .expect(200);
+
+    expect(body[0].claims).toEqual([{ kind: 'claim', status: 'settled' }]);
+  });
+
+  it('must not keep the upload of a missing claim', async () => {
+    const kept = readdirSync('assets/claim-documents');
+    await supertest(server)
+      .post(`/admin/claims/${mongoose.Types.ObjectId()}/documents`)
+      .set('device-id', admin.id)
+      .set('access-token', admin.token)
+      .attach('file', Buffer.from('%PDF-1.4'), {
+        filename: 'summary.pdf',
+        contentType: 'application/pdf',
+      })
+      .expect(404);
+
+    expect(readdirSync('assets/claim-documents')).toEqual(kept);
+  });
+});
@@ -4,6 +4,11 @@ const mongoose = require('mongoose');
 const { MongoMemoryServer } = require('mongodb-memory-server');
 const supertest = require('supertest');
 const DoctorsRouter = require('../Doctor');
+const {
+  User, Client, Doctor, Service, Appointment,
+} = require('../../database');
+const { constants, timezone } = require('../../utils');
+const { everyDay, createDoctor } = require('./helpers');
 
 // May require additional time for downloading MongoDB binaries
 jasmine.DEFAULT_TIMEOUT_INTERVAL = 600000;
@@ -39,3 +44,100 @@ describe('Tests for /doctor', () => {
       .expect(401, done);
   });
 });
+
+describe('Tests for /doctors/me/agenda', () => {
+  let client;
+  let appointment;
+
+  beforeAll(async () => {
+    client = await Client.create({ userAgent: 'jest' });
+    const user = await User.create({
+      email: 'doctor@dummymail.com',
+      phone: '+919922338000',
+      password: '@33AbracaDabra',
+      firstName: 'Anu',
+      verifiedPhone: true,
+      verifiedEmail: true,
+      clients: [client.id],
+    });
+    client.token = (await client.issueTokens(user.id)).token;
+    const doctor = await Doctor.create({
+      name: 'anu k',
+      email: 'anuk@gmail.com',
+      phone: '+919999999998',
+      qualification: 'MD',
+      user: user.id,
+    });
+    const service = await Service.create({ name: 'Consultation', staff: [doctor.id] });
+    appointment = await Appointment.create({
+      doctorId: doctor.id,
+      userId: user.id,
+      serviceId: service.id,
+      start: new Date('2031-01-06T04:30:00Z'),
+      end: new Date('2031-01-06T04:40:00Z'),
+      paymentType: 'cash',
+      appointmentFor: user.id,
+    });
+  });
+
+  it('must list the day\'s appointments', (done) => {
+    supertest(server)
+      .get('/doctors/me/agenda?date=2031-01-06')
+      .set('device-id', client.id)
+      .set('access-token', client.token)
+      .expect(200)
+      .then((response) => {
+        expect(response.body).toHaveLength(1);
+        expect(response.body[0]).toMatchObject({
+          start: '2031-01-06T10:00:00+05:30',
+          patientName: 'Anu',
+          relationship: 'self',
+          serviceName: 'Consultation',
+          status: 'booked',
+        });
+        done();
+      });
+  });
+
+  it('must not complete an appointment before check-in', (done) => {
+    supertest(server)
+      .patch(`/doctors/me/appointments/${appointment.id}/status`)
+      .set('device-id', client.id)
+      .set('access-token', client.token)
+      .send({ status: 'completed' })
+      .expect(409, done);
+  });
+
+  it('must check a patient in', (done) => {
+    supertest(server)
+      .patch(`/doctors/me/appointments/${appointment.id}/status`)
+      .set('device-id', client.id)
+      .set('access-token', client.token)
+      .send({ status: 'checked-in' })
+      .expect(200, done);
+  });
+});
+
+describe('Tests for /doctors/:id/availability', () => {
+  it('must leave out the slots that have started', async () => {
+    const { doctor } = await createDoctor({
+      name: 'open doctor',
+      email: 'opendoctor@gmail.com',
+      phone: '+919999999997',
+      workingHours: everyDay('00:00', '23:30'),
+    });
+    const dateIn = (days) => timezone.toZoned(new Date(Date.now() + days * 24 * 60 * 60 * 1000),
+      constants.clinicTimezone()).date;
+
+    const now = Date.now();
+    const { body } = await supertest(server)
+      .get(`/doctors/${doctor.id}/availability?from=${dateIn(-1)}&to=${dateIn(1)}`)
+      .expect(200);
+    expect(body).toHaveLength(3);
+    expect(body[0].slots).toEqual([]);
+    expect(body[2].slots.length).toBeGreaterThan(0);
+    body.forEach(({ slots }) => slots.forEach(({ start }) => {
+      expect(new Date(start).getTime()).toBeGreaterThan(now);
+    }));
+  });
+});
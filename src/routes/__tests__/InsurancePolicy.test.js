@@ -0,0 +1,262 @@
+/* eslint-disable no-undef */
+const express = require('express');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const supertest = require('supertest');
+const AccountsRouter = require('../User');
+const AppointmentRouter = require('../Appointment');
+const { User, Family, InsurancePolicy } = require('../../database');
+const { signIn, createDoctor } = require('./helpers');
+
+// May require additional time for downloading MongoDB binaries
+jasmine.DEFAULT_TIMEOUT_INTERVAL = 600000;
+let mongoServer;
+let server;
+
+/**
+ * Adds a family member to the user signed in on `client`
+ */
+async function addMember(client, firstName) {
+  const member = await Family.create({
+    firstName,
+    lastName: 'Rao',
+    relationship: 'child',
+    gender: 'female',
+    dateOfBirth: '2015-04-01',
+    bloodGroup: 'O+',
+    address: 'Mysuru',
+  });
+  await User.updateOne({ clients: client.id }, { $push: { family: member.id } });
+  return member;
+}
+
+beforeAll(async () => {
+  mongoServer = new MongoMemoryServer();
+  const mongoUri = await mongoServer.getUri();
+  await mongoose.connect(
+    mongoUri,
+    { useCreateIndex: true, useNewUrlParser: true, useUnifiedTopology: true },
+  );
+  server = express();
+  server.use('/accounts', AccountsRouter);
+  server.use(AppointmentRouter);
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+describe('Tests for insurance policies', () => {
+  let client;
+  let stranger;
+  let covered;
+  let uncovered;
+  let policyId;
+
+  beforeAll(async () => {
+    client = await signIn('insured@dummymail.com', '+919922338961');
+    stranger = await signIn('uninsured@dummymail.com', '+919922338962');
+    covered = await addMember(client, 'Asha');
+    uncovered = await addMember(client, 'Meera');
+  });
+
+  it('must add a policy of the account holder', async () => {
+    const { body } = await supertest(server)
+      .post('/accounts/insurance')
+      .type('form')
+      .set('device-id', client.id)
+      .set('access-token', client.token)
+      .send({
+        provider: 'Star Health',
+        policyNumber: 'SH-1001',
+        memberId: 'M-77',
+        coveredMembers: [covered.id],
+        validFrom: '2031-01-01',
+        validTo: '2031-06-30',
+      })
+      .expect(201);
+
+    policyId = (await InsurancePolicy.findOne({ policyNumber: 'SH-1001' })).id;
+    expect(body).toMatchObject({ provider: 'Star Health', holderModel: 'User' });
+    expect(body.coveredMembers).toEqual([covered.id]);
+    expect(body.isDeleted).toBeUndefined();
+  });
+
+  it('must reject the same policy twice', (done) => {
+    supertest(server)
+      .post('/accounts/insurance')
+      .type('form')
+      .set('device-id', client.id)
+      .set('access-token', client.token)
+      .send({
+        provider: 'Star Health',
+        policyNumber: 'SH-1001',
+        validFrom: '2031-01-01',
+        validTo: '2031-06-30',
+      })
+      .expect(409, done);
+  });
+
+  it('must reject covering someone else\'s family', (done) => {
+    supertest(server)
+      .post('/accounts/insurance')
+      .type('form')
+      .set('device-id', stranger.id)
+      .set('access-token', stranger.token)
+      .send({
+        provider: 'Star Health',
+        policyNumber: 'SH-2002',
+        coveredMembers: [covered.id],
+        validFrom: '2031-01-01',
+        validTo: '2031-06-30',
+      })
+      .expect(404, done);
+  });
+
+  it('must reject a policy ending before it starts', (done) => {
+    supertest(server)
+      .post('/accounts/insurance')
+      .type('form')
+      .set('device-id', client.id)
+      .set('access-token', client.token)
+      .send({
+        provider: 'Care',
+        policyNumber: 'C-1',
+        validFrom: '2031-06-30',
+        validTo: '2031-01-01',
+      })
+      .expect(406, done);
+  });
+
+  it('must keep policies to their account', (done) => {
+    supertest(server)
+      .get(`/accounts/insurance/${policyId}`)
+      .set('device-id', stranger.id)
+      .set('access-token', stranger.token)
+      .expect(401, done);
+  });
+
+  it('must list and update the policies', async () => {
+    const { body } = await supertest(server)
+      .get('/accounts/insurance')
+      .set('device-id', client.id)
+      .set('access-token', client.token)
+      .expect(200);
+    expect(body).toHaveLength(1);
+    expect(body[0].coveredMembers[0].firstName).toBe('Asha');
+
+    await supertest(server)
+      .patch(`/accounts/insurance/${policyId}`)
+      .type('form')
+      .set('device-id', client.id)
+      .set('access-token', client.token)
+      .send({ isDeleted: true })
+      .expect(406);
+
+    const updated = await supertest(server)
+      .patch(`/accounts/insurance/${policyId}`)
+      .type('form')
+      .set('device-id', client.id)
+      .set('access-token', client.token)
+      .send({ memberId: 'M-78' })
+      .expect(200);
+    expect(updated.body.memberId).toBe('M-78');
+  });
+
+  describe('bookings with a policy', () => {
+    let doctor;
+    let service;
+
+    /**
+     * Books an appointment billed to the policy
+     */
+    function book(start, appointmentFor, insurancePolicy = policyId) {
+      return supertest(server)
+        .post('/appointments')
+        .set('device-id', client.id)
+        .set('access-token', client.token)
+        .send({
+          doctorid: doctor.id,
+          serviceId: service.id,
+          start,
+          paymentType: 'insurance',
+          insurancePolicy,
+          appointmentFor,
+        });
+    }
+
+    beforeAll(async () => {
+      ({ doctor, service } = await createDoctor({
+        name: 'insurance doctor',
+        email: 'insurancedoctor@gmail.com',
+        phone: '+919999999969',
+      }));
+    });
+
+    it('must book a covered member while the policy is active', async () => {
+      const { body } = await book('2031-03-03T10:00:00+05:30', covered.id).expect(201);
+      expect(body.insurancePolicy).toBe(policyId);
+    });
+
+    it('must reject a member the policy doesn\'t cover', (done) => {
+      book('2031-03-03T10:30:00+05:30', uncovered.id).expect(403, done);
+    });
+
+    it('must reject a day outside the policy, by the clinic date', (done) => {
+      // 1 July in the clinic, still 30 June in UTC
+      book('2031-07-01T01:00:00+05:30', 'self').expect(403, done);
+    });
+
+    it('must reject another account\'s policy', (done) => {
+      supertest(server)
+        .post('/appointments')
+        .set('device-id', stranger.id)
+        .set('access-token', stranger.token)
+        .send({
+          doctorid: doctor.id,
+          serviceId: service.id,
+          start: '2031-03-04T10:00:00+05:30',
+          paymentType: 'insurance',
+          insurancePolicy: policyId,
+        })
+        .expect(404, done);
+    });
+
+    it('must keep a rescheduled series within the policy', async () => {
+      const { body } = await supertest(server)
+        .post('/appointments/series')
+        .set('device-id', client.id)
+        .set('access-token', client.token)
+        .send({
+          doctorid: doctor.id,
+          serviceId: service.id,
+          start: '2031-06-02T11:00:00+05:30',
+          recurrence: 'FREQ=WEEKLY;COUNT=2',
+          paymentType: 'insurance',
+          insurancePolicy: policyId,
+          appointmentFor: covered.id,
+        })
+        .expect(201);
+
+      const { body: report } = await supertest(server)
+        .patch(`/appointments/series/${body.appointments[0].series}`)
+        .set('device-id', client.id)
+        .set('access-token', client.token)
+        .send({ start: '2031-06-30T11:00:00+05:30' })
+        .expect(409);
+      expect(report.occurrences.map((occurrence) => occurrence.conflict))
+        .toEqual([null, 'insurance-inactive']);
+    });
+
+    it('must stop booking with a removed policy', async () => {
+      await supertest(server)
+        .delete(`/accounts/insurance/${policyId}`)
+        .set('device-id', client.id)
+        .set('access-token', client.token)
+        .expect(200);
+
+      await book('2031-03-05T10:00:00+05:30', 'self').expect(404);
+    });
+  });
+});
@@ -0,0 +1,240 @@
+/* eslint-disable no-undef */
+const express = require('express');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const supertest = require('supertest');
+const AppointmentRouter = require('../Appointment');
+const InvoiceRouter = require('../Invoice');
+const {
+  User, Appointment, Invoice, Job,
+} = require('../../database');
+const { paymentGateway, scheduler } = require('../../utils');
+const { signIn, createDoctor } = require('./helpers');
+
+// May require additional time for downloading MongoDB binaries
+jasmine.DEFAULT_TIMEOUT_INTERVAL = 600000;
+let mongoServer;
+let server;
+
+const HOUR = 60 * 60 * 1000;
+
+beforeAll(async () => {
+  mongoServer = new MongoMemoryServer();
+  const mongoUri = await mongoServer.getUri();
+  await mongoose.connect(
+    mongoUri,
+    { useCreateIndex: true, useNewUrlParser: true, useUnifiedTopology: true },
+  );
+  server = express();
+  server.use(AppointmentRouter);
+  server.use(InvoiceRouter);
+  scheduler.define(Invoice.SETTLEMENT_JOB, (job) => Invoice.runSettlement(job));
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+describe('Tests for appointment invoices', () => {
+  let doctor;
+  let service;
+  let patient;
+  let admin;
+
+  /**
+   * Books an appointment of the patient starting in `hours`
+   */
+  async function bookIn(hours) {
+    const user = await User.findOne({ clients: patient.id });
+    const start = new Date(Date.now() + hours * HOUR);
+    return Appointment.create({
+      doctorId: doctor.id,
+      serviceId: service.id,
+      userId: user.id,
+      appointmentFor: user.id,
+      start,
+      end: new Date(start.getTime() + 15 * 60000),
+      paymentType: 'online',
+    });
+  }
+
+  /**
+   * Pays the invoice of an appointment with the fake gateway
+   */
+  function pay(appointment, source = 'fake_card') {
+    return supertest(server)
+      .post(`/appointments/${appointment.id}/invoice/payments`)
+      .set('device-id', patient.id)
+      .set('access-token', patient.token)
+      .send({ source });
+  }
+
+  /**
+   * Cancels an appointment as its patient and runs the settlement it queued
+   */
+  async function cancel(appointment) {
+    await supertest(server)
+      .delete(`/appointments/${appointment.id}`)
+      .set('device-id', patient.id)
+      .set('access-token', patient.token)
+      .expect(200);
+    await scheduler.runDue();
+  }
+
+  /**
+   * Gets the invoice of an appointment
+   */
+  function invoiceOf(appointment) {
+    return supertest(server)
+      .get(`/appointments/${appointment.id}/invoice`)
+      .set('device-id', patient.id)
+      .set('access-token', patient.token)
+      .expect(200);
+  }
+
+  beforeAll(async () => {
+    ({ doctor, service } = await createDoctor({
+      name: 'billing doctor',
+      email: 'billingdoctor@gmail.com',
+      phone: '+919999999979',
+    }, {
+      name: 'Peel',
+      prices: [
+        { description: 'Consultation', amount: 50000, taxPercent: 18 },
+        { description: 'Peel kit', amount: 25000, taxPercent: 0 },
+      ],
+    }));
+    patient = await signIn('billingpatient@dummymail.com', '+919922338974');
+    admin = await signIn('billingadmin@dummymail.com', '+919922338975');
+    await User.updateOne({ clients: admin.id }, { elevatedAccess: true });
+  });
+
+  it('must invoice the service price list', async () => {
+    const appointment = await bookIn(72);
+    const { body } = await invoiceOf(appointment);
+    expect(body).toMatchObject({
+      subtotal: 75000,
+      tax: 9000,
+      total: 84000,
+      currency: 'INR',
+      status: 'pending',
+    });
+    expect(body.lines).toHaveLength(2);
+  });
+
+  it('must let admins discount an invoice', async () => {
+    const appointment = await bookIn(72);
+    await invoiceOf(appointment);
+    const invoice = await Invoice.findOne({ appointment: appointment.id });
+    const { body } = await supertest(server)
+      .patch(`/admin/invoices/${invoice.id}`)
+      .set('device-id', admin.id)
+      .set('access-token', admin.token)
+      .send({ discount: 15000, discountReason: 'Loyalty' })
+      .expect(200);
+    expect(body).toMatchObject({ discount: 15000, tax: 7200, total: 67200 });
+  });
+
+  it('must keep a declined payment pending', async () => {
+    const appointment = await bookIn(72);
+    await pay(appointment, paymentGateway.DECLINED_SOURCE).expect(402);
+    expect((await invoiceOf(appointment)).body.status).toBe('pending');
+    // The declined payment let go of the invoice
+    await pay(appointment).expect(201);
+  });
+
+  it('must charge concurrent payments once', async () => {
+    const appointment = await bookIn(72);
+    const statuses = (await Promise.all([pay(appointment), pay(appointment)]))
+      .map(({ status }) => status);
+    expect(statuses.sort()).toEqual([201, 409]);
+    const { body } = await invoiceOf(appointment);
+    expect(body).toMatchObject({ status: 'paid', amountPaid: 84000 });
+    expect(body.payments).toHaveLength(1);
+  });
+
+  it('must refund concurrent admin refunds once', async () => {
+    const appointment = await bookIn(72);
+    await pay(appointment).expect(201);
+    const invoice = await Invoice.findOne({ appointment: appointment.id });
+    const refund = () => supertest(server)
+      .post(`/admin/invoices/${invoice.id}/refunds`)
+      .set('device-id', admin.id)
+      .set('access-token', admin.token)
+      .send({ amount: 20000, reason: 'Goodwill' });
+
+    const statuses = (await Promise.all([refund(), refund()])).map(({ status }) => status);
+    expect(statuses.sort()).toEqual([201, 409]);
+    const { body } = await invoiceOf(appointment);
+    expect(body).toMatchObject({ status: 'partially-refunded', amountRefunded: 20000 });
+    expect(body.refunds).toHaveLength(1);
+  });
+
+  it('must refund a cancellation in full', async () => {
+    const appointment = await bookIn(72);
+    const { body: paid } = await pay(appointment).expect(201);
+    expect(paid).toMatchObject({ status: 'paid', amountPaid: 84000 });
+    await pay(appointment).expect(409);
+
+    await cancel(appointment);
+    expect((await invoiceOf(appointment)).body)
+      .toMatchObject({ status: 'refunded', amountRefunded: 84000 });
+  });
+
+  it('must refund a late cancellation in part', async () => {
+    const appointment = await bookIn(2);
+    await pay(appointment).expect(201);
+
+    await cancel(appointment);
+    expect((await invoiceOf(appointment)).body)
+      .toMatchObject({ status: 'partially-refunded', amountRefunded: 42000 });
+  });
+
+  it('must retry a settlement that could not refund', async () => {
+    const appointment = await bookIn(72);
+    await pay(appointment).expect(201);
+    // A payment under way holds the invoice
+    await Invoice.updateOne({ appointment: appointment.id }, { chargingAt: new Date() });
+
+    await cancel(appointment);
+    expect((await invoiceOf(appointment)).body.status).toBe('paid');
+    const key = `${Invoice.SETTLEMENT_JOB}:${appointment.id}`;
+    expect(await Job.findOne({ key })).toMatchObject({ status: 'pending', attempts: 1 });
+
+    await Invoice.updateOne({ appointment: appointment.id }, { $unset: { chargingAt: 1 } });
+    await Job.updateOne({ key }, { runAt: new Date() });
+    await scheduler.runDue();
+    expect((await invoiceOf(appointment)).body)
+      .toMatchObject({ status: 'refunded', amountRefunded: 84000 });
+    expect(await Job.findOne({ key })).toMatchObject({ status: 'done' });
+  });
+
+  it('must void the invoice of an unpaid cancellation', async () => {
+    const appointment = await bookIn(72);
+    await cancel(appointment);
+    expect((await invoiceOf(appointment)).body.status).toBe('void');
+    const { text } = await pay(appointment).expect(409);
+    expect(text).toBe('Appointment is cancelled or over');
+  });
+
+  it('must refund a payment landing during the cancellation instead of voiding', async () => {
+    const appointment = await bookIn(72);
+    await invoiceOf(appointment);
+    // A payment under way holds the invoice
+    await Invoice.updateOne({ appointment: appointment.id }, { chargingAt: new Date() });
+
+    await cancel(appointment);
+    expect((await invoiceOf(appointment)).body.status).toBe('pending');
+
+    // The payment goes through after all
+    await Invoice.updateOne({ appointment: appointment.id }, { $unset: { chargingAt: 1 } });
+    const user = await User.findOne({ clients: patient.id });
+    await (await Invoice.findOne({ appointment: appointment.id })).pay('fake_card', user.id);
+    await Job.updateOne({ key: `${Invoice.SETTLEMENT_JOB}:${appointment.id}` },
+      { runAt: new Date() });
+    await scheduler.runDue();
+    expect((await invoiceOf(appointment)).body)
+      .toMatchObject({ status: 'refunded', amountRefunded: 84000 });
+  });
+});
@@ -0,0 +1,160 @@
+/* eslint-disable no-undef */
+const express = require('express');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const supertest = require('supertest');
+const QueueRouter = require('../Queue');
+const {
+  User, Client, Doctor, QueueToken,
+} = require('../../database');
+
+// May require additional time for downloading MongoDB binaries
+jasmine.DEFAULT_TIMEOUT_INTERVAL = 600000;
+let mongoServer;
+let server;
+
+beforeAll(async () => {
+  mongoServer = new MongoMemoryServer();
+  const mongoUri = await mongoServer.getUri();
+  await mongoose.connect(
+    mongoUri,
+    { useCreateIndex: true, useNewUrlParser: true, useUnifiedTopology: true },
+  );
+  server = express();
+  server.use(express.json());
+  server.use(QueueRouter);
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+describe('Tests for the walk-in queue', () => {
+  let reception;
+  let doctorClient;
+  let doctor;
+  let first;
+  let second;
+
+  beforeAll(async () => {
+    reception = await Client.create({ userAgent: 'jest' });
+    const receptionist = await User.create({
+      email: 'reception@dummymail.com',
+      phone: '+919922338100',
+      password: '@33AbracaDabra',
+      verifiedPhone: true,
+      verifiedEmail: true,
+      elevatedAccess: true,
+      clients: [reception.id],
+    });
+    reception.token = (await reception.issueTokens(receptionist.id)).token;
+    doctorClient = await Client.create({ userAgent: 'jest' });
+    const user = await User.create({
+      email: 'queuedoctor@dummymail.com',
+      phone: '+919922338101',
+      password: '@33AbracaDabra',
+      verifiedPhone: true,
+      verifiedEmail: true,
+      clients: [doctorClient.id],
+    });
+    doctorClient.token = (await doctorClient.issueTokens(user.id)).token;
+    doctor = await Doctor.create({
+      name: 'queue doctor',
+      email: 'queuedoctor@gmail.com',
+      phone: '+919999999980',
+      qualification: 'MBBS',
+      user: user.id,
+    });
+  });
+
+  it('must keep issuing tokens to reception', (done) => {
+    supertest(server)
+      .post(`/doctors/${doctor.id}/queue`)
+      .set('device-id', doctorClient.id)
+      .set('access-token', doctorClient.token)
+      .send({ name: 'Ravi' })
+      .expect(401, done);
+  });
+
+  it('must issue sequential tokens', async () => {
+    first = (await supertest(server)
+      .post(`/doctors/${doctor.id}/queue`)
+      .set('device-id', reception.id)
+      .set('access-token', reception.token)
+      .send({ name: 'Ravi' })
+      .expect(201)).body;
+    second = (await supertest(server)
+      .post(`/doctors/${doctor.id}/queue`)
+      .set('device-id', reception.id)
+      .set('access-token', reception.token)
+      .send({ name: 'Meera', phone: '+919922338102' })
+      .expect(201)).body;
+
+    expect(first).toMatchObject({ number: 1, status: 'waiting', position: 0 });
+    expect(second).toMatchObject({ number: 2, position: 1 });
+  });
+
+  it('must call the next token', async () => {
+    const called = await supertest(server)
+      .post('/doctors/me/queue/next')
+      .set('device-id', doctorClient.id)
+      .set('access-token', doctorClient.token)
+      .expect(200);
+    expect(called.body).toMatchObject({ number: 1, status: 'called', name: 'Ravi' });
+
+    const place = await supertest(server)
+      .get(`/queue/tokens/${second.id}`)
+      .expect(200);
+    expect(place.body).toMatchObject({ number: 2, position: 0 });
+    expect(place.body.estimatedWait).toBeGreaterThan(0);
+    expect(place.body.name).toBeUndefined();
+
+    const summary = await supertest(server)
+      .get(`/doctors/${doctor.id}/queue`)
+      .expect(200);
+    expect(summary.body).toMatchObject({ nowServing: 1, waiting: [2] });
+  });
+
+  it('must take a cancelled token off the queue', async () => {
+    await supertest(server)
+      .delete(`/queue/tokens/${second.id}`)
+      .set('device-id', reception.id)
+      .set('access-token', reception.token)
+      .expect(200);
+
+    await supertest(server)
+      .post('/doctors/me/queue/next')
+      .set('device-id', doctorClient.id)
+      .set('access-token', doctorClient.token)
+      .expect(404);
+  });
+
+  it('must call one token at a time', async () => {
+    await Promise.all(['Asha', 'Kiran'].map((name) => supertest(server)
+      .post(`/doctors/${doctor.id}/queue`)
+      .set('device-id', reception.id)
+      .set('access-token', reception.token)
+      .send({ name })
+      .expect(201)));
+
+    await Promise.all([0, 1].map(() => supertest(server)
+      .post('/doctors/me/queue/next')
+      .set('device-id', doctorClient.id)
+      .set('access-token', doctorClient.token)
+      .expect(200)));
+    expect(await QueueToken.countDocuments({ doctorId: doctor.id, status: 'called' })).toBe(1);
+  });
+
+  it('must place a token in the queue of its day', async () => {
+    const yesterday = new Date(QueueToken.today().getTime() - 24 * 60 * 60 * 1000);
+    const token = await QueueToken.create({
+      doctorId: doctor.id, date: yesterday, number: 9, name: 'Latecomer',
+    });
+
+    const place = await supertest(server)
+      .get(`/queue/tokens/${token.id}`)
+      .expect(200);
+    expect(place.body).toMatchObject({ number: 9, status: 'waiting', position: 0 });
+  });
+});
@@ -3,6 +3,11 @@ const express = require('express');
 const mongoose = require('mongoose');
 const { MongoMemoryServer } = require('mongodb-memory-server');
 const supertest = require('supertest');
+const { sign } = require('jsonwebtoken');
+const {
+  Client, User, RefreshToken, LoginAttempt, PasswordReset, TOTP, Notification,
+} = require('../../database');
+const { constants, otp } = require('../../utils');
 const AccountsRouter = require('../User');
 
 // May require additional time for downloading MongoDB binaries
@@ -33,6 +38,7 @@ describe('Tests for user auth workflow', () => {
 
   let accessToken;
   let deviceId;
+  let refreshToken;
 
   it('must create a user', (done) => {
     supertest(server)
@@ -45,6 +51,9 @@ describe('Tests for user auth workflow', () => {
         // eslint-disable-next-line no-underscore-dangle
         deviceId = response.body._id;
         accessToken = response.body.token;
+        refreshToken = response.body.refreshToken;
+        expect(response.body.expiresIn).toBe(constants.accessTokenMinutes() * 60);
+        expect(response.body.isDeleted).toBeUndefined();
         done();
       });
   });
@@ -57,4 +66,406 @@ describe('Tests for user auth workflow', () => {
       .send(`email=${email}&password=${password}&phone=${phone}`)
       .expect(409, done);
   });
+
+  it('must rotate the refresh token', async () => {
+    const response = await supertest(server)
+      .post('/accounts/auth/refresh')
+      .type('form')
+      .send({ refreshToken })
+      .expect(200);
+    const { _id: id } = response.body;
+    expect(id).toBe(deviceId);
+    expect(response.body.token).toBeTruthy();
+    expect(response.body.refreshToken).not.toBe(refreshToken);
+
+    await supertest(server)
+      .post('/accounts/auth/refresh')
+      .type('form')
+      .send({ refreshToken: response.body.refreshToken })
+      .expect(200);
+  });
+
+  it('must sign the session out when a refresh token is reused', async () => {
+    await supertest(server)
+      .post('/accounts/auth/refresh')
+      .type('form')
+      .send({ refreshToken })
+      .expect(401);
+
+    expect(await RefreshToken.countDocuments({ client: deviceId })).toBe(0);
+    expect(await User.exists({ clients: deviceId })).toBe(false);
+    await supertest(server)
+      .get('/accounts')
+      .set('device-id', deviceId)
+      .set('access-token', accessToken)
+      .expect(401);
+  });
+
+  it('must reject unknown refresh tokens', (done) => {
+    supertest(server)
+      .post('/accounts/auth/refresh')
+      .type('form')
+      .send({ refreshToken: 'unknown' })
+      .expect(401, done);
+  });
+});
+
+describe('Tests for sessions signed in before access tokens expired', () => {
+  let client;
+
+  beforeAll(async () => {
+    client = await Client.create({ userAgent: 'jest' });
+    await Client.updateOne(
+      { _id: client.id },
+      { token: sign({ _id: client.id, userAgent: 'jest' }, constants.token()) },
+    );
+    client = await Client.findById(client.id);
+    await User.create({
+      email: 'legacy@dummymail.com',
+      phone: '+919922338948',
+      password: '@33AbracaDabra',
+      verifiedPhone: true,
+      verifiedEmail: true,
+      clients: [client.id],
+    });
+  });
+
+  it('must keep accepting their access token', (done) => {
+    supertest(server)
+      .get('/accounts')
+      .set('device-id', client.id)
+      .set('access-token', client.token)
+      .expect(200, done);
+  });
+
+  it('must exchange their access token once', async () => {
+    const response = await supertest(server)
+      .post('/accounts/auth/refresh')
+      .set('device-id', client.id)
+      .set('access-token', client.token)
+      .expect(200);
+    expect(response.body.refreshToken).toBeTruthy();
+
+    await supertest(server)
+      .get('/accounts')
+      .set('device-id', client.id)
+      .set('access-token', response.body.token)
+      .expect(200);
+    await supertest(server)
+      .post('/accounts/auth/refresh')
+      .set('device-id', client.id)
+      .set('access-token', client.token)
+      .expect(401);
+  });
+});
+
+describe('Tests for session management', () => {
+  const email = 'sessions@dummymail.com';
+  const password = '@33AbracaDabra';
+  const phone = '+919922338949';
+
+  let sessions;
+
+  /**
+   * Signs in from another device
+   * @returns {Promise<{id: string, token: string, refreshToken: string}>}
+   */
+  async function signIn() {
+    const response = await supertest(server)
+      .post('/accounts/auth')
+      .type('form')
+      .set('user-agent', 'jest')
+      .send({ email, password })
+      .expect(200);
+    const { _id: id, token, refreshToken } = response.body;
+    return { id, token, refreshToken };
+  }
+
+  beforeAll(async () => {
+    await supertest(server)
+      .post('/accounts')
+      .type('form')
+      .set('user-agent', 'jest')
+      .send({ email, password, phone })
+      .expect(201);
+    sessions = [await signIn(), await signIn(), await signIn()];
+  });
+
+  it('must list the sessions of the account', async () => {
+    const response = await supertest(server)
+      .get('/accounts/sessions')
+      .set('device-id', sessions[0].id)
+      .set('access-token', sessions[0].token)
+      .expect(200);
+    expect(response.body.length).toBe(4);
+    expect(response.body.filter((session) => session.current).length).toBe(1);
+    response.body.forEach((session) => {
+      expect(session.userAgent).toBe('jest');
+      expect(session.lastUsedAt).toBeTruthy();
+      expect(session.token).toBeUndefined();
+    });
+  });
+
+  it('must sign out a single session', async () => {
+    await supertest(server)
+      .delete(`/accounts/sessions/${sessions[2].id}`)
+      .set('device-id', sessions[0].id)
+      .set('access-token', sessions[0].token)
+      .expect(200);
+    await supertest(server)
+      .get('/accounts/sessions')
+      .set('device-id', sessions[2].id)
+      .set('access-token', sessions[2].token)
+      .expect(401);
+    await supertest(server)
+      .post('/accounts/auth/refresh')
+      .type('form')
+      .send({ refreshToken: sessions[2].refreshToken })
+      .expect(401);
+  });
+
+  it('must not sign out sessions of other accounts', async () => {
+    const stranger = await Client.create({ userAgent: 'jest' });
+    await supertest(server)
+      .delete(`/accounts/sessions/${stranger.id}`)
+      .set('device-id', sessions[0].id)
+      .set('access-token', sessions[0].token)
+      .expect(404);
+  });
+
+  it('must sign out every other session', async () => {
+    const response = await supertest(server)
+      .delete('/accounts/sessions')
+      .set('device-id', sessions[1].id)
+      .set('access-token', sessions[1].token)
+      .expect(200);
+    expect(response.body.revoked).toBe(2);
+    const remaining = await supertest(server)
+      .get('/accounts/sessions')
+      .set('device-id', sessions[1].id)
+      .set('access-token', sessions[1].token)
+      .expect(200);
+    expect(remaining.body.map((session) => session.id)).toEqual([sessions[1].id]);
+  });
+
+  it('must sign out other sessions on a password change', async () => {
+    const other = await signIn();
+    await User.updateOne({ email }, { verifiedPhone: true });
+    await supertest(server)
+      .patch('/accounts')
+      .type('form')
+      .set('device-id', sessions[1].id)
+      .set('access-token', sessions[1].token)
+      .send({ password: '@44AbracaDabra', revokeOtherSessions: true })
+      .expect(200);
+    await supertest(server)
+      .get('/accounts/sessions')
+      .set('device-id', other.id)
+      .set('access-token', other.token)
+      .expect(401);
+    await supertest(server)
+      .get('/accounts/sessions')
+      .set('device-id', sessions[1].id)
+      .set('access-token', sessions[1].token)
+      .expect(200);
+  });
+});
+
+describe('Tests for sign-in lockout', () => {
+  const email = 'lockout@dummymail.com';
+  const password = '@33AbracaDabra';
+
+  let user;
+  let admin;
+
+  /**
+   * Signs in with a password
+   * @param {string} secret
+   */
+  function signIn(secret) {
+    return supertest(server)
+      .post('/accounts/auth')
+      .type('form')
+      .set('user-agent', 'jest')
+      .send({ email, password: secret });
+  }
+
+  beforeAll(async () => {
+    user = await User.create({ email, phone: '+919922338950', password });
+    const client = await Client.create({ userAgent: 'jest' });
+    const adminUser = await User.create({
+      email: 'lockout-admin@dummymail.com',
+      phone: '+919922338951',
+      password,
+      verifiedPhone: true,
+      verifiedEmail: true,
+      elevatedAccess: true,
+      clients: [client.id],
+    });
+    admin = { id: client.id, token: (await client.issueTokens(adminUser.id)).token };
+  });
+
+  it('must make failed sign-ins wait', async () => {
+    for (let tries = 0; tries <= constants.loginFreeAttempts(); tries += 1) {
+      // eslint-disable-next-line no-await-in-loop
+      await signIn('wrong').expect(401);
+    }
+    const response = await signIn(password).expect(429);
+    expect(parseInt(response.headers['retry-after'], 10)).toBeGreaterThan(0);
+  });
+
+  it('must let admins unlock accounts', async () => {
+    const response = await supertest(server)
+      .post(`/accounts/${user.id}/unlock`)
+      .set('device-id', admin.id)
+      .set('access-token', admin.token)
+      .expect(200);
+    expect(response.body.unlocked).toBe(1);
+    await signIn(password).expect(200);
+    expect(await LoginAttempt.exists({ user: user.id })).toBe(false);
+  });
+
+  it('must lock the account and tell its owner', async () => {
+    let locked = false;
+    for (let tries = 0; tries < constants.loginMaxFailures(); tries += 1) {
+      // eslint-disable-next-line no-await-in-loop
+      locked = await LoginAttempt.fail({ user });
+    }
+    expect(locked).toBe(true);
+    expect(await LoginAttempt.retryAt({ user })).toBeTruthy();
+    expect(await Notification.exists({ user: user.id, type: 'account-locked' })).toBe(true);
+    await signIn(password).expect(429);
+    await LoginAttempt.unlock({ user });
+  });
+
+  it('must remove OTPs after too many wrong codes', async () => {
+    const totp = await TOTP.create({ user: user.id });
+    for (let tries = 0; tries < constants.otpMaxAttempts(); tries += 1) {
+      // eslint-disable-next-line no-await-in-loop
+      expect(await totp.check('abcdef')).toBe(false);
+    }
+    expect(await TOTP.exists({ _id: totp.id })).toBe(false);
+    expect(await totp.check(otp.generateOTP(totp.secret))).toBeNull();
+  });
+
+  it('must sign in with an OTP after a wrong code', async () => {
+    const totp = await TOTP.create({ user: user.id });
+    await supertest(server)
+      .post('/accounts/auth/otp-signin')
+      .type('form')
+      .set('user-agent', 'jest')
+      .send({ requestId: totp.id, code: 'abcdef' })
+      .expect(401);
+    await supertest(server)
+      .post('/accounts/auth/otp-signin')
+      .type('form')
+      .set('user-agent', 'jest')
+      .send({ requestId: totp.id, code: otp.generateOTP(totp.secret) })
+      .expect(200);
+  });
+});
+
+describe('Tests for password reset', () => {
+  const email = 'reset@dummymail.com';
+  const password = '@44NewAbracaDabra';
+
+  let user;
+  let session;
+
+  beforeAll(async () => {
+    const client = await Client.create({ userAgent: 'jest' });
+    user = await User.create({
+      email,
+      phone: '+919922338952',
+      password: '@33AbracaDabra',
+      verifiedPhone: true,
+      verifiedEmail: true,
+      clients: [client.id],
+    });
+    session = { id: client.id, token: (await client.issueTokens(user.id)).token };
+  });
+
+  it('must answer alike whether the account exists', async () => {
+    await supertest(server)
+      .post('/accounts/auth/password-reset')
+      .type('form')
+      .set('user-agent', 'jest')
+      .send({ email })
+      .expect(202);
+    expect(await PasswordReset.exists({ user: user.id })).toBe(true);
+    await supertest(server)
+      .post('/accounts/auth/password-reset')
+      .type('form')
+      .set('user-agent', 'jest')
+      .send({ email: 'nobody@dummymail.com' })
+      .expect(202);
+  });
+
+  it('must keep the token on a weak password', async () => {
+    const token = await PasswordReset.issue(user.id);
+    await supertest(server)
+      .post('/accounts/auth/password-reset/confirm')
+      .type('form')
+      .send({ token, password: 'password' })
+      .expect(406);
+    expect(await PasswordReset.exists({ user: user.id, usedAt: { $exists: false } })).toBe(true);
+  });
+
+  it('must reset the password once and sign every session out', async () => {
+    const token = await PasswordReset.issue(user.id);
+    await supertest(server)
+      .post('/accounts/auth/password-reset/confirm')
+      .type('form')
+      .send({ token, password })
+      .expect(200);
+    await supertest(server)
+      .get('/accounts/sessions')
+      .set('device-id', session.id)
+      .set('access-token', session.token)
+      .expect(401);
+    await supertest(server)
+      .post('/accounts/auth')
+      .type('form')
+      .set('user-agent', 'jest')
+      .send({ email, password })
+      .expect(200);
+    await supertest(server)
+      .post('/accounts/auth/password-reset/confirm')
+      .type('form')
+      .send({ token, password: '@55OtherAbracaDabra' })
+      .expect(401);
+  });
+
+  it('must reset the password with the code sent by SMS', async () => {
+    const code = await PasswordReset.issueCode(user.id);
+    expect(code).toMatch(/^\d{6}$/);
+    await supertest(server)
+      .post('/accounts/auth/password-reset/confirm')
+      .type('form')
+      .send({ token: code, password: '@66OtherAbracaDabra' })
+      .expect(401);
+    await supertest(server)
+      .post('/accounts/auth/password-reset/confirm')
+      .type('form')
+      .send({ phone: user.phone, code, password: '@66OtherAbracaDabra' })
+      .expect(200);
+  });
+
+  it('must stop taking guesses of a code', async () => {
+    const code = await PasswordReset.issueCode(user.id);
+    const wrong = code === '000000' ? '000001' : '000000';
+    for (let guess = 0; guess < constants.otpMaxAttempts(); guess += 1) {
+      // eslint-disable-next-line no-await-in-loop
+      await supertest(server)
+        .post('/accounts/auth/password-reset/confirm')
+        .type('form')
+        .send({ phone: user.phone, code: wrong, password: '@77OtherAbracaDabra' })
+        .expect(401);
+    }
+    await supertest(server)
+      .post('/accounts/auth/password-reset/confirm')
+      .type('form')
+      .send({ phone: user.phone, code, password: '@77OtherAbracaDabra' })
+      .expect(401);
+  });
 });
@@ -0,0 +1,58 @@
+const {
+  User, Client, Doctor, Service,
+} = require('../../database');
+
+/**
+ * Creates a verified user signed in on a single client
+ * @param {string} email
+ * @param {string} phone
+ * @returns {Promise<Document<Client>>} the client, its access token as `token`
+ */
+async function signIn(email, phone) {
+  const client = await Client.create({ userAgent: 'jest' });
+  const user = await User.create({
+    email,
+    phone,
+    password: '@33AbracaDabra',
+    verifiedPhone: true,
+    verifiedEmail: true,
+    clients: [client.id],
+  });
+  client.token = (await client.issueTokens(user.id)).token;
+  return client;
+}
+
+/**
+ * Working hours alike every day of the week
+ * @param {string} [start] `HH:MM`
+ * @param {string} [end] `HH:MM`
+ */
+function everyDay(start = '09:00', end = '12:00') {
+  return [0, 1, 2, 3, 4, 5, 6].map((day) => ({ day, start, end }));
+}
+
+/**
+ * Creates a doctor and a service they offer
+ * @param {object} doctor Fields of the doctor, `name` `email` `phone` at least. Works 09:00
+ * to 12:00 every day by default.
+ * @param {object} [service] Fields of the service, a 15 minute consultation by default
+ * @returns {Promise<{doctor: Document<Doctor>, service: Document<Service>}>}
+ */
+async function createDoctor(doctor, service) {
+  const created = await Doctor.create({
+    qualification: 'MBBS',
+    workingHours: everyDay(),
+    ...doctor,
+  });
+  return {
+    doctor: created,
+    service: await Service.create({
+      name: 'Consultation',
+      duration: 15,
+      staff: [created.id],
+      ...service,
+    }),
+  };
+}
+
+module.exports = { signIn, everyDay, createDoctor };
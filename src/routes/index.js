@@ -4,6 +4,11 @@ const ServiceRouter = require('./Service');
 const AppointmentRouter = require('./Appointment');
 const LocationRouter = require('./Location');
 const NotificationRouter = require('./Notifications')
+const LeaveRouter = require('./Leave');
+const CalendarRouter = require('./Calendar');
+const QueueRouter = require('./Queue');
+const InvoiceRouter = require('./Invoice');
+const ClaimRouter = require('./Claim');
 module.exports = {
   UserRouter,
   DoctorRouter,
@@ -11,4 +16,9 @@ module.exports = {
   AppointmentRouter,
   LocationRouter,
   NotificationRouter,
+  LeaveRouter,
+  CalendarRouter,
+  QueueRouter,
+  InvoiceRouter,
+  ClaimRouter,
 };
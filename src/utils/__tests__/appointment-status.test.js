@@ -0,0 +1,30 @@
+/* eslint-disable no-undef */
+const { STATUS, previousOf, isValidStatus } = require('../appointment-status');
+
+describe('Appointment status tests', () => {
+  it('must only check in booked or confirmed appointments', (done) => {
+    expect(previousOf(STATUS.CHECKED_IN).sort())
+      .toEqual([STATUS.BOOKED, STATUS.CONFIRMED].sort());
+    done();
+  });
+
+  it('must only complete checked in appointments', (done) => {
+    expect(previousOf(STATUS.COMPLETED))
+      .toEqual([STATUS.CHECKED_IN]);
+    done();
+  });
+
+  it('must never leave a final status', (done) => {
+    [STATUS.COMPLETED, STATUS.NO_SHOW, STATUS.CANCELLED].forEach((status) => {
+      expect(previousOf(STATUS.BOOKED)).not.toContain(status);
+      expect(previousOf(STATUS.CANCELLED)).not.toContain(status);
+    });
+    done();
+  });
+
+  it('must reject unknown statuses', (done) => {
+    expect(isValidStatus('deleted')).toBe(false);
+    expect(isValidStatus(STATUS.NO_SHOW)).toBe(true);
+    done();
+  });
+});
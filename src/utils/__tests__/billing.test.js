@@ -0,0 +1,65 @@
+/* eslint-disable no-undef */
+const billing = require('../billing');
+const constants = require('../variables');
+
+const { PAYMENT_STATUS } = billing;
+
+describe('Billing tests', () => {
+  it('must total lines with their taxes', (done) => {
+    expect(billing.totals([
+      { quantity: 1, unitAmount: 50000, taxPercent: 18 },
+      { quantity: 2, unitAmount: 12500, taxPercent: 0 },
+    ])).toEqual({
+      lines: [{ amount: 50000, tax: 9000 }, { amount: 25000, tax: 0 }],
+      subtotal: 75000,
+      discount: 0,
+      tax: 9000,
+      total: 84000,
+    });
+    done();
+  });
+
+  it('must tax the discounted amounts', (done) => {
+    const { tax, total, discount } = billing.totals([
+      { quantity: 1, unitAmount: 50000, taxPercent: 18 },
+      { quantity: 1, unitAmount: 50000, taxPercent: 0 },
+    ], 20000);
+    expect(discount).toBe(20000);
+    expect(tax).toBe(7200);
+    expect(total).toBe(87200);
+    done();
+  });
+
+  it('must not discount more than the subtotal', (done) => {
+    const { discount, total } = billing.totals([
+      { quantity: 1, unitAmount: 1000, taxPercent: 18 },
+    ], 5000);
+    expect(discount).toBe(1000);
+    expect(total).toBe(0);
+    done();
+  });
+
+  it('must follow payments and refunds', (done) => {
+    const invoice = {
+      total: 1000, amountPaid: 0, amountRefunded: 0, status: PAYMENT_STATUS.PENDING,
+    };
+    expect(billing.statusOf(invoice)).toBe(PAYMENT_STATUS.PENDING);
+    expect(billing.statusOf({ ...invoice, amountPaid: 1000 })).toBe(PAYMENT_STATUS.PAID);
+    expect(billing.statusOf({ ...invoice, amountPaid: 1000, amountRefunded: 400 }))
+      .toBe(PAYMENT_STATUS.PARTIALLY_REFUNDED);
+    expect(billing.statusOf({ ...invoice, amountPaid: 1000, amountRefunded: 1000 }))
+      .toBe(PAYMENT_STATUS.REFUNDED);
+    expect(billing.statusOf({ ...invoice, status: PAYMENT_STATUS.VOID }))
+      .toBe(PAYMENT_STATUS.VOID);
+    done();
+  });
+
+  it('must refund late cancellations in part', (done) => {
+    const invoice = { amountPaid: 1000, amountRefunded: 0 };
+    expect(billing.refundFor(invoice, false)).toBe(1000);
+    expect(billing.refundFor(invoice, true))
+      .toBe(Math.round(1000 * (constants.lateCancellationRefundPercent() / 100)));
+    expect(billing.refundFor({ amountPaid: 0, amountRefunded: 0 }, false)).toBe(0);
+    done();
+  });
+});
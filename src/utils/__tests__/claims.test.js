@@ -0,0 +1,65 @@
+/* eslint-disable no-undef */
+const claims = require('../claims');
+
+const { KIND, STATUS } = claims;
+
+describe('Claims tests', () => {
+  it('must follow the claim workflow', (done) => {
+    expect(claims.canMove(KIND.CLAIM, STATUS.DRAFT, STATUS.SUBMITTED)).toBe(true);
+    expect(claims.canMove(KIND.CLAIM, STATUS.SUBMITTED, STATUS.APPROVED)).toBe(true);
+    expect(claims.canMove(KIND.CLAIM, STATUS.APPROVED, STATUS.SETTLED)).toBe(true);
+    expect(claims.canMove(KIND.CLAIM, STATUS.REJECTED, STATUS.DRAFT)).toBe(true);
+    expect(claims.canMove(KIND.CLAIM, STATUS.DRAFT, STATUS.APPROVED)).toBe(false);
+    expect(claims.canMove(KIND.CLAIM, STATUS.SETTLED, STATUS.DRAFT)).toBe(false);
+    done();
+  });
+
+  it('must end pre-authorizations at approval', (done) => {
+    expect(claims.canMove(KIND.PRE_AUTHORIZATION, STATUS.SUBMITTED, STATUS.APPROVED)).toBe(true);
+    expect(claims.canMove(KIND.PRE_AUTHORIZATION, STATUS.APPROVED, STATUS.SETTLED)).toBe(false);
+    done();
+  });
+
+  it('must reject unknown statuses', (done) => {
+    expect(claims.isValidStatus('paid')).toBe(false);
+    expect(claims.canMove(KIND.CLAIM, 'paid', STATUS.SETTLED)).toBe(false);
+    done();
+  });
+
+  it('must quote fields with delimiters and quotes', (done) => {
+    expect(claims.escapeField('Rao, Asha')).toBe('"Rao, Asha"');
+    expect(claims.escapeField('Dr "PV" Bhat')).toBe('"Dr ""PV"" Bhat"');
+    expect(claims.escapeField('line\nbreak')).toBe('"line\nbreak"');
+    expect(claims.escapeField(undefined)).toBe('');
+    expect(claims.escapeField(0)).toBe('0');
+    expect(claims.escapeField(new Date('2031-03-03T04:30:00Z'))).toBe('2031-03-03T04:30:00.000Z');
+    done();
+  });
+
+  it('must keep formulas out of spreadsheets', (done) => {
+    expect(claims.escapeField('=HYPERLINK("x")')).toBe('"\'=HYPERLINK(""x"")"');
+    expect(claims.escapeField('@SUM(A1)')).toBe('\'@SUM(A1)');
+    expect(claims.escapeField('-500')).toBe('-500');
+    done();
+  });
+
+  it('must write a header and a CRLF line per row', (done) => {
+    const csv = claims.toCSV([{
+      claimNumber: 7,
+      kind: KIND.CLAIM,
+      status: STATUS.SUBMITTED,
+      provider: 'Star Health',
+      patientName: 'Asha Rao',
+      amountClaimed: 84000,
+      documents: ['prescription.pdf', 'bill.pdf'],
+    }]);
+    const lines = csv.split('\r\n');
+    expect(lines).toHaveLength(3);
+    expect(lines[0]).toBe(claims.COLUMNS.join(','));
+    expect(lines[1].split(',')).toHaveLength(claims.COLUMNS.length);
+    expect(lines[1]).toMatch(/^7,claim,submitted,Star Health,,,Asha Rao,/);
+    expect(lines[1]).toMatch(/,prescription\.pdf; bill\.pdf$/);
+    expect(lines[2]).toBe('');
+    done();
+  });
+});
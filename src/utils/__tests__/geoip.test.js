@@ -0,0 +1,34 @@
+/* eslint-disable no-undef */
+const geoip = require('../geoip');
+
+describe('Geo IP tests', () => {
+  it('must not locate local addresses', (done) => {
+    ['127.0.0.1', '10.1.2.3', '192.168.0.4', '172.20.0.1', '169.254.1.1', '::1', 'fd12:3456::1', 'fe80::1', undefined]
+      .forEach((ip) => expect(geoip.isPublic(ip)).toBe(false));
+    ['49.205.10.1', '172.32.0.1', '2405:201::1'].forEach((ip) => expect(geoip.isPublic(ip)).toBe(true));
+    done();
+  });
+
+  it('must unwrap IPv4-mapped addresses', (done) => {
+    expect(geoip.addressOf({ ip: '::ffff:49.205.10.1' })).toBe('49.205.10.1');
+    expect(geoip.addressOf({ ip: '2405:201::1' })).toBe('2405:201::1');
+    expect(geoip.addressOf({ connection: { remoteAddress: '10.0.0.1' } })).toBe('10.0.0.1');
+    done();
+  });
+
+  it('must understand both lookup services', (done) => {
+    expect(geoip.toLocation({ city: 'Kochi', region: 'Kerala', country_name: 'India' }))
+      .toEqual({ city: 'Kochi', region: 'Kerala', country: 'India' });
+    expect(geoip.toLocation({
+      status: 'success', city: 'Kochi', regionName: 'Kerala', country: 'India',
+    })).toEqual({ city: 'Kochi', region: 'Kerala', country: 'India' });
+    expect(geoip.toLocation({ status: 'fail', message: 'reserved range' })).toBeNull();
+    expect(geoip.toLocation({ error: true, reason: 'RateLimited' })).toBeNull();
+    expect(geoip.toLocation({})).toBeNull();
+    done();
+  });
+
+  it('must not look up without a service', async () => {
+    expect(await geoip.locate('49.205.10.1')).toBeNull();
+  });
+});
@@ -0,0 +1,47 @@
+/* eslint-disable no-undef */
+const ical = require('../ical');
+
+describe('iCalendar tests', () => {
+  it('must escape text values', (done) => {
+    expect(ical.escapeText('Skin; care, and\nmore\\'))
+      .toBe('Skin\\; care\\, and\\nmore\\\\');
+    done();
+  });
+
+  it('must fold long lines without splitting characters', (done) => {
+    const line = `SUMMARY:${'é'.repeat(60)}`;
+    const lines = ical.fold(line).split('\r\n');
+    expect(lines.every((part) => Buffer.byteLength(part) <= 75)).toBe(true);
+    expect(lines.slice(1).every((part) => part.startsWith(' '))).toBe(true);
+    expect(lines.map((part, index) => (index ? part.slice(1) : part)).join('')).toBe(line);
+    done();
+  });
+
+  it('must format UTC date-times', (done) => {
+    expect(ical.toDateTime(new Date('2031-01-06T10:00:00+05:30'))).toBe('20310106T043000Z');
+    done();
+  });
+
+  it('must build a calendar of events', (done) => {
+    const calendar = ical.toCalendar('SkinMate', [{
+      uid: 'abc@skinmate',
+      start: new Date('2031-01-06T04:30:00Z'),
+      end: new Date('2031-01-06T04:45:00Z'),
+      stamp: new Date('2031-01-01T00:00:00Z'),
+      sequence: 2,
+      summary: 'Consultation with pv bhat',
+      status: 'CANCELLED',
+    }]);
+    expect(calendar.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    expect(calendar.split('\r\n')).toEqual(expect.arrayContaining([
+      'BEGIN:VEVENT',
+      'UID:abc@skinmate',
+      'DTSTART:20310106T043000Z',
+      'DTEND:20310106T044500Z',
+      'SEQUENCE:2',
+      'STATUS:CANCELLED',
+    ]));
+    expect(calendar).not.toContain('DESCRIPTION');
+    done();
+  });
+});
@@ -0,0 +1,44 @@
+/* eslint-disable no-undef */
+const lockout = require('../lockout');
+const constants = require('../variables');
+
+const { KIND } = lockout;
+
+describe('Lockout tests', () => {
+  it('must back off exponentially past the free attempts', (done) => {
+    const free = constants.loginFreeAttempts();
+    const base = constants.loginBackoffSeconds();
+    expect(lockout.backoffSeconds(KIND.ACCOUNT, free)).toBe(0);
+    expect(lockout.backoffSeconds(KIND.ACCOUNT, free + 1)).toBe(base);
+    expect(lockout.backoffSeconds(KIND.ACCOUNT, free + 3)).toBe(base * 4);
+    expect(lockout.backoffSeconds(KIND.ACCOUNT, free + 40))
+      .toBe(constants.loginLockoutMinutes() * 60);
+    done();
+  });
+
+  it('must only lock out addresses', (done) => {
+    const max = constants.loginMaxAddressFailures();
+    expect(lockout.backoffSeconds(KIND.ADDRESS, max - 1)).toBe(0);
+    expect(lockout.locks(KIND.ADDRESS, max - 1)).toBe(false);
+    expect(lockout.locks(KIND.ADDRESS, max)).toBe(true);
+    expect(lockout.locks(KIND.ACCOUNT, constants.loginMaxFailures())).toBe(true);
+    done();
+  });
+
+  it('must tell when to retry', (done) => {
+    const now = new Date('2031-01-06T04:30:00Z');
+    const failures = constants.loginFreeAttempts() + 1;
+    const lastFailureAt = new Date(now.getTime() - 1000);
+    expect(lockout.retryAt(null, now)).toBeNull();
+    expect(lockout.retryAt({ kind: KIND.ACCOUNT, failures: 1, lastFailureAt }, now)).toBeNull();
+    expect(lockout.retryAt({ kind: KIND.ACCOUNT, failures, lastFailureAt }, now))
+      .toEqual(new Date(lastFailureAt.getTime() + constants.loginBackoffSeconds() * 1000));
+
+    const lockedUntil = new Date('2031-01-06T05:00:00Z');
+    expect(lockout.retryAt({ kind: KIND.ACCOUNT, failures: 0, lockedUntil }, now))
+      .toEqual(lockedUntil);
+    expect(lockout.retryAt({ kind: KIND.ACCOUNT, failures: 0, lockedUntil }, lockedUntil))
+      .toBeNull();
+    done();
+  });
+});
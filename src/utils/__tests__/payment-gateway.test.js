@@ -0,0 +1,54 @@
+/* eslint-disable no-undef */
+const paymentGateway = require('../payment-gateway');
+
+describe('Payment gateway tests', () => {
+  it('must use the fake gateway by default', (done) => {
+    expect(paymentGateway.use().name).toBe('fake');
+    expect(() => paymentGateway.use('missing')).toThrow();
+    done();
+  });
+
+  it('must only have the fake gateway in test and development runs', (done) => {
+    const environment = process.env.NODE_ENV;
+    process.env.NODE_ENV = 'production';
+    jest.resetModules();
+    const reloaded = require('../payment-gateway'); // eslint-disable-line global-require
+    expect(reloaded.isAvailable()).toBe(false);
+    expect(() => reloaded.use()).toThrow();
+    process.env.NODE_ENV = environment;
+    done();
+  });
+
+  it('must charge and refund up to the payment', async () => {
+    const gateway = paymentGateway.createFakeGateway();
+    const { reference } = await gateway.charge({ amount: 1000, currency: 'INR', source: 'tok' });
+    await expect(gateway.refund({ payment: reference, amount: 600 })).resolves
+      .toHaveProperty('reference');
+    await expect(gateway.refund({ payment: reference, amount: 600 })).rejects
+      .toHaveProperty('declined', true);
+  });
+
+  it('must charge once per idempotency key', async () => {
+    const gateway = paymentGateway.createFakeGateway();
+    const charge = {
+      amount: 1000, currency: 'INR', source: 'tok', idempotencyKey: 'invoice-1-1',
+    };
+    const { reference } = await gateway.charge(charge);
+    await expect(gateway.charge(charge)).resolves.toEqual({ reference });
+    await expect(gateway.charge({ ...charge, idempotencyKey: 'invoice-1-2' })).resolves
+      .not.toEqual({ reference });
+  });
+
+  it('must decline the declined source', async () => {
+    const gateway = paymentGateway.createFakeGateway();
+    await expect(gateway.charge({ amount: 1000, source: paymentGateway.DECLINED_SOURCE }))
+      .rejects.toHaveProperty('declined', true);
+  });
+
+  it('must register gateways', (done) => {
+    const gateway = paymentGateway.createFakeGateway();
+    paymentGateway.register('other', gateway);
+    expect(paymentGateway.use('other').gateway).toBe(gateway);
+    done();
+  });
+});
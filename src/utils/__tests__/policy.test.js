@@ -0,0 +1,51 @@
+/* eslint-disable no-undef */
+const policy = require('../policy');
+
+const HOUR = 60 * 60 * 1000;
+const now = new Date('2021-06-01T10:00:00Z');
+const inHours = (hours, reschedules = []) => ({
+  start: new Date(now.getTime() + hours * HOUR),
+  reschedules,
+});
+
+describe('Cancellation policy tests', () => {
+  it('must allow an early cancellation', (done) => {
+    expect(policy.evaluate(policy.CHANGE.CANCEL, inHours(48), now))
+      .toEqual({ error: undefined, isLate: false });
+    done();
+  });
+
+  it('must allow a late cancellation but mark it late', (done) => {
+    expect(policy.evaluate(policy.CHANGE.CANCEL, inHours(2), now))
+      .toEqual({ error: undefined, isLate: true });
+    done();
+  });
+
+  it('must reject cancelling a started appointment', (done) => {
+    expect(policy.evaluate(policy.CHANGE.CANCEL, inHours(0), now).error)
+      .toBe('APPOINTMENT_STARTED');
+    done();
+  });
+});
+
+describe('Reschedule policy tests', () => {
+  it('must allow an early reschedule', (done) => {
+    expect(policy.evaluate(policy.CHANGE.RESCHEDULE, inHours(48), now))
+      .toEqual({ error: undefined, isLate: false });
+    done();
+  });
+
+  it('must reject a reschedule within the notice window', (done) => {
+    expect(policy.evaluate(policy.CHANGE.RESCHEDULE, inHours(23), now).error)
+      .toBe('RESCHEDULE_TOO_LATE');
+    done();
+  });
+
+  it('must reject a reschedule over the limit', (done) => {
+    expect(policy.evaluate(policy.CHANGE.RESCHEDULE, inHours(48, [{}]), now).error)
+      .toBeUndefined();
+    expect(policy.evaluate(policy.CHANGE.RESCHEDULE, inHours(48, [{}, {}]), now).error)
+      .toBe('RESCHEDULE_LIMIT_REACHED');
+    done();
+  });
+});
@@ -0,0 +1,79 @@
+/* eslint-disable no-undef */
+const { createServer } = require('http');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const { io } = require('socket.io-client');
+const smsServer = require('../sms-server');
+const queue = require('../queue');
+
+// May require additional time for downloading MongoDB binaries
+jasmine.DEFAULT_TIMEOUT_INTERVAL = 600000;
+let mongoServer;
+let url;
+
+beforeAll(async () => {
+  mongoServer = new MongoMemoryServer();
+  const mongoUri = await mongoServer.getUri();
+  await mongoose.connect(
+    mongoUri,
+    { useCreateIndex: true, useNewUrlParser: true, useUnifiedTopology: true },
+  );
+  const httpServer = createServer();
+  smsServer.setSocketServer(httpServer);
+  await new Promise((resolve) => httpServer.listen(0, resolve));
+  url = `http://localhost:${httpServer.address().port}/queue`;
+});
+
+afterAll(async () => {
+  // Closes the http server too
+  smsServer.server.close();
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+/**
+ * Connects to the queue namespace and watches a doctor's queue
+ * @param {string} doctorId
+ * @returns {Promise<{socket: Socket, updates: object[]}>} once the first update came,
+ * `updates` collects the ones after it
+ */
+function watch(doctorId) {
+  return new Promise((resolve) => {
+    const socket = io(url, { path: '/otp-service', transports: ['websocket'], reconnection: false });
+    const updates = [];
+    socket.once('queue', () => {
+      socket.on('queue', (update) => updates.push(update));
+      resolve({ socket, updates });
+    });
+    socket.emit('watch', doctorId);
+  });
+}
+
+describe('Walk-in queue namespace tests', () => {
+  it('must publish updates to the watchers of the doctor only', async () => {
+    const doctorId = String(mongoose.Types.ObjectId());
+    const otherId = String(mongoose.Types.ObjectId());
+    const watcher = await watch(doctorId);
+    const other = await watch(otherId);
+
+    /**
+     * Publishes a doctor's queue and waits for its update to reach a watcher
+     */
+    const publish = async (id, { socket }) => {
+      const update = new Promise((resolve) => socket.once('queue', resolve));
+      await queue.publish(id);
+      return update;
+    };
+
+    expect(await publish(doctorId, watcher))
+      .toMatchObject({ doctorId, nowServing: null, waiting: [] });
+    await publish(otherId, other);
+    await publish(doctorId, watcher);
+    // Updates reach a socket in order, a stray one would have come before the awaited one
+    expect(watcher.updates.map((update) => update.doctorId)).toEqual([doctorId, doctorId]);
+    expect(other.updates.map((update) => update.doctorId)).toEqual([otherId]);
+
+    watcher.socket.close();
+    other.socket.close();
+  });
+});
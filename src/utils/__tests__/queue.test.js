@@ -0,0 +1,45 @@
+/* eslint-disable no-undef */
+const queue = require('../queue');
+const constants = require('../variables');
+
+const at = (minutes) => new Date(Date.UTC(2031, 0, 6, 4, minutes));
+
+const tokens = [
+  {
+    number: 1, status: 'served', calledAt: at(0), servedAt: at(10),
+  },
+  {
+    number: 2, status: 'served', calledAt: at(10), servedAt: at(30),
+  },
+  { number: 3, status: 'called', calledAt: at(30) },
+  { number: 4, status: 'cancelled' },
+  { number: 5, status: 'waiting' },
+  { number: 6, status: 'waiting' },
+];
+
+describe('Walk-in queue tests', () => {
+  it('must average the minutes of served tokens', (done) => {
+    expect(queue.averageMinutes(tokens)).toBe(15);
+    expect(queue.averageMinutes(tokens.slice(2)))
+      .toBe(constants.queueMinutesPerPatient());
+    done();
+  });
+
+  it('must place waiting tokens behind the one being seen', (done) => {
+    expect(queue.positionOf(tokens[4], tokens)).toEqual({ position: 0, estimatedWait: 15 });
+    expect(queue.positionOf(tokens[5], tokens)).toEqual({ position: 1, estimatedWait: 30 });
+    expect(queue.positionOf(tokens[2], tokens)).toEqual({ position: 0, estimatedWait: 0 });
+    expect(queue.positionOf(tokens[3], tokens)).toEqual({ position: null, estimatedWait: null });
+    done();
+  });
+
+  it('must summarize a queue without patient details', (done) => {
+    expect(queue.summarize('60c72b2f9b1d8e3a4c8b4567', tokens)).toEqual({
+      doctorId: '60c72b2f9b1d8e3a4c8b4567',
+      nowServing: 3,
+      waiting: [5, 6],
+      averageMinutes: 15,
+    });
+    done();
+  });
+});
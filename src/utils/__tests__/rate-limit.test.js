@@ -0,0 +1,65 @@
+/* eslint-disable no-undef */
+const rateLimits = require('../rate-limit');
+
+const { ALGORITHM } = rateLimits;
+
+const windowMs = 60000;
+const start = Date.UTC(2031, 0, 6, 4, 30);
+
+/**
+ * Counts a number of requests
+ * @param {Store} store
+ * @param {number} times
+ * @param {object} limit
+ * @returns {Promise<object>} the last result
+ */
+async function hit(store, times, limit) {
+  let result;
+  for (let count = 0; count < times; count += 1) {
+    // eslint-disable-next-line no-await-in-loop
+    result = await rateLimits.consume(store, limit);
+  }
+  return result;
+}
+
+describe('Rate limit tests', () => {
+  it('must count requests in fixed windows', async () => {
+    const store = rateLimits.memoryStore();
+    const limit = {
+      key: 'fixed', max: 3, windowMs, algorithm: ALGORITHM.FIXED, now: start + 1000,
+    };
+    expect(await hit(store, 3, limit)).toEqual({
+      allowed: true, limit: 3, remaining: 0, resetAt: start + windowMs,
+    });
+    expect((await hit(store, 1, limit)).allowed).toBe(false);
+    // A new window starts over
+    expect((await hit(store, 1, { ...limit, now: start + windowMs })).remaining).toBe(2);
+  });
+
+  it('must weigh in the previous window when sliding', async () => {
+    const store = rateLimits.memoryStore();
+    const limit = { key: 'sliding', max: 4, windowMs };
+    await hit(store, 4, { ...limit, now: start + windowMs - 1 });
+
+    // Just past the edge the previous window still counts almost fully
+    expect((await hit(store, 1, { ...limit, now: start + windowMs + 1000 })).allowed).toBe(false);
+    // Halfway through, half of it does
+    expect(await hit(store, 1, { ...limit, now: start + windowMs * 1.5 })).toEqual({
+      allowed: true, limit: 4, remaining: 0, resetAt: start + 2 * windowMs,
+    });
+  });
+
+  it('must keep keys apart', async () => {
+    const store = rateLimits.memoryStore();
+    const limit = { max: 1, windowMs, now: start };
+    expect((await hit(store, 1, { ...limit, key: 'a' })).allowed).toBe(true);
+    expect((await hit(store, 1, { ...limit, key: 'b' })).allowed).toBe(true);
+    expect((await hit(store, 1, { ...limit, key: 'a' })).allowed).toBe(false);
+  });
+
+  it('must only open known stores', (done) => {
+    expect(rateLimits.storeOf('memory')).toBe(rateLimits.storeOf('memory'));
+    expect(() => rateLimits.storeOf('redis')).toThrow();
+    done();
+  });
+});
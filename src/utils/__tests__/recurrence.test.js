@@ -0,0 +1,66 @@
+/* eslint-disable no-undef */
+const recurrence = require('../recurrence');
+
+describe('Recurrence rule tests', () => {
+  it('must parse a rule with a count', (done) => {
+    expect(recurrence.parseRule('RRULE:FREQ=WEEKLY;INTERVAL=2;COUNT=6'))
+      .toEqual({ frequency: 'WEEKLY', interval: 2, count: 6 });
+    done();
+  });
+
+  it('must parse a rule ending on a date', (done) => {
+    expect(recurrence.parseRule('freq=monthly;until=20211231'))
+      .toEqual({ frequency: 'MONTHLY', interval: 1, until: '2021-12-31' });
+    done();
+  });
+
+  it('must reject endless, unsupported or oversized rules', (done) => {
+    expect(recurrence.parseRule('FREQ=WEEKLY')).toBeUndefined();
+    expect(recurrence.parseRule('FREQ=HOURLY;COUNT=3')).toBeUndefined();
+    expect(recurrence.parseRule('FREQ=WEEKLY;BYDAY=MO;COUNT=3')).toBeUndefined();
+    expect(recurrence.parseRule('FREQ=WEEKLY;COUNT=53')).toBeUndefined();
+    expect(recurrence.parseRule('FREQ=WEEKLY;INTERVAL=0;COUNT=3')).toBeUndefined();
+    done();
+  });
+
+  it('must format a rule', (done) => {
+    expect(recurrence.toRule({ frequency: 'WEEKLY', interval: 2, until: '2021-12-31' }))
+      .toBe('FREQ=WEEKLY;INTERVAL=2;UNTIL=20211231');
+    done();
+  });
+});
+
+describe('Occurrence tests', () => {
+  it('must keep the clinic time across daylight saving time', (done) => {
+    const starts = recurrence.occurrences(new Date('2021-10-25T13:00:00Z'),
+      { frequency: 'WEEKLY', interval: 2, count: 3 }, 'America/New_York');
+    expect(starts.map((start) => start.toISOString())).toEqual([
+      '2021-10-25T13:00:00.000Z',
+      '2021-11-08T14:00:00.000Z',
+      '2021-11-22T14:00:00.000Z',
+    ]);
+    done();
+  });
+
+  it('must skip months lacking the day', (done) => {
+    const starts = recurrence.occurrences(new Date('2021-01-31T04:30:00Z'),
+      { frequency: 'MONTHLY', interval: 1, until: '2021-05-31' }, 'Asia/Kolkata');
+    expect(starts.map((start) => start.toISOString().slice(0, 10)))
+      .toEqual(['2021-01-31', '2021-03-31', '2021-05-31']);
+    done();
+  });
+
+  it('must refuse series longer than the limit', (done) => {
+    expect(recurrence.occurrences(new Date('2021-01-01T04:30:00Z'),
+      { frequency: 'DAILY', interval: 1, until: '2021-12-31' }, 'Asia/Kolkata'))
+      .toBeUndefined();
+    done();
+  });
+
+  it('must move an occurrence like its anchor', (done) => {
+    expect(recurrence.shift(new Date('2021-05-31T04:30:00Z'), new Date('2021-05-17T04:30:00Z'),
+      new Date('2021-05-18T09:30:00Z'), 'Asia/Kolkata').toISOString())
+      .toBe('2021-06-01T09:30:00.000Z');
+    done();
+  });
+});
@@ -0,0 +1,90 @@
+/* eslint-disable no-undef */
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const scheduler = require('../scheduler');
+const { Appointment, Job } = require('../../database');
+
+// May require additional time for downloading MongoDB binaries
+jasmine.DEFAULT_TIMEOUT_INTERVAL = 600000;
+let mongoServer;
+
+beforeAll(async () => {
+  mongoServer = new MongoMemoryServer();
+  const mongoUri = await mongoServer.getUri();
+  await mongoose.connect(
+    mongoUri,
+    { useCreateIndex: true, useNewUrlParser: true, useUnifiedTopology: true },
+  );
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+describe('Job scheduler tests', () => {
+  it('must run due jobs once', async () => {
+    const runs = [];
+    scheduler.define('test-run', async (job) => {
+      runs.push(job.data.value);
+    });
+    const due = await scheduler.schedule('test-run', new Date(Date.now() - 1000), { value: 1 });
+    await scheduler.schedule('test-run', new Date(Date.now() + 60 * 60 * 1000), { value: 2 });
+
+    expect(await scheduler.runDue()).toBe(1);
+    expect(await scheduler.runDue()).toBe(0);
+    expect(runs).toEqual([1]);
+    expect((await Job.findById(due.id)).status).toBe('done');
+  });
+
+  it('must retry a failed job later', async () => {
+    scheduler.define('test-fail', async () => {
+      throw new Error('Unreachable');
+    });
+    const job = await scheduler.schedule('test-fail', new Date(Date.now() - 1000), {});
+
+    await scheduler.runDue();
+    const retried = await Job.findById(job.id);
+    expect(retried.status).toBe('pending');
+    expect(retried.attempts).toBe(1);
+    expect(retried.lastError).toBe('Unreachable');
+    expect(retried.runAt.getTime()).toBeGreaterThan(Date.now());
+  });
+});
+
+describe('Appointment reminder planning tests', () => {
+  const DAY = 24 * 60 * 60 * 1000;
+  let appointment;
+
+  beforeAll(async () => {
+    appointment = await Appointment.create({
+      doctorId: mongoose.Types.ObjectId(),
+      userId: mongoose.Types.ObjectId(),
+      serviceId: mongoose.Types.ObjectId(),
+      appointmentFor: mongoose.Types.ObjectId(),
+      start: new Date(Date.now() + 3 * DAY),
+      end: new Date(Date.now() + 3 * DAY + 15 * 60000),
+      paymentType: 'cash',
+    });
+  });
+
+  it('must plan reminders for a new appointment', async () => {
+    const jobs = await Job.find({ key: appointment.reminderKey() }).sort({ runAt: 1 });
+    expect(jobs.map((job) => job.data.offset)).toEqual([1440, 120]);
+  });
+
+  it('must re-plan reminders on reschedule, skipping past ones', async () => {
+    appointment.start = new Date(Date.now() + 3 * 60 * 60 * 1000);
+    appointment.end = new Date(appointment.start.getTime() + 15 * 60000);
+    await appointment.save();
+
+    const jobs = await Job.find({ key: appointment.reminderKey() });
+    expect(jobs).toHaveLength(1);
+    expect(jobs[0].runAt.getTime()).toBe(appointment.start.getTime() - 120 * 60000);
+  });
+
+  it('must drop reminders on cancel', async () => {
+    await Appointment.transition(appointment.id, 'cancelled');
+    expect(await Job.countDocuments({ key: appointment.reminderKey() })).toBe(0);
+  });
+});
@@ -0,0 +1,141 @@
+/* eslint-disable no-undef */
+const scheduling = require('../scheduling');
+
+const monday = {
+  day: 1,
+  start: '09:00',
+  end: '10:00',
+  slotLength: 15,
+  breaks: [{ start: '09:15', end: '09:30' }],
+};
+
+describe('Working day tests', () => {
+  it('must list slots skipping breaks', (done) => {
+    expect(scheduling.daySlots(monday))
+      .toEqual(['09:00', '09:30', '09:45']);
+    done();
+  });
+
+  it('must drop a trailing slot that overruns the working hours', (done) => {
+    expect(scheduling.daySlots({
+      start: '09:00', end: '09:50', slotLength: 20, breaks: [],
+    }))
+      .toEqual(['09:00', '09:20']);
+    done();
+  });
+
+  it('must reject breaks outside the working hours', (done) => {
+    expect(scheduling.isValidWorkingDay({ ...monday, breaks: [{ start: '08:00', end: '09:10' }] }))
+      .toBe(false);
+    done();
+  });
+
+  it('must reject working hours ending before they start', (done) => {
+    expect(scheduling.isValidWorkingDay({ ...monday, start: '11:00' }))
+      .toBe(false);
+    done();
+  });
+});
+
+describe('Working hours lookup tests', () => {
+  const doctor = { workingHours: [monday] };
+
+  it('must accept slots within the working hours', (done) => {
+    expect(scheduling.isWithinWorkingHours(doctor, new Date('2021-05-17'), ['9:30', '09:45']))
+      .toBe(true);
+    done();
+  });
+
+  it('must reject slots during a break', (done) => {
+    expect(scheduling.isWithinWorkingHours(doctor, new Date('2021-05-17'), ['09:15']))
+      .toBe(false);
+    done();
+  });
+
+  it('must reject slots on a day off', (done) => {
+    expect(scheduling.isWithinWorkingHours(doctor, new Date('2021-05-18'), ['09:00']))
+      .toBe(false);
+    done();
+  });
+
+  it('must list starts with enough free slots after them', (done) => {
+    const hours = { ...monday, breaks: [] };
+    const day = new Date('2021-05-17');
+    const morningOff = {
+      from: day, to: day, start: '09:00', end: '09:30',
+    };
+    expect(scheduling.freeStarts(hours, day, ['09:30'], [], 2))
+      .toEqual(['09:00']);
+    expect(scheduling.freeStarts(hours, day, [], [morningOff], 1))
+      .toEqual(['09:30', '09:45']);
+    done();
+  });
+
+  it('must list each day of a range', (done) => {
+    expect(scheduling.eachDay(new Date('2021-05-30'), new Date('2021-06-02')).map(scheduling.toDateString))
+      .toEqual(['2021-05-30', '2021-05-31', '2021-06-01', '2021-06-02']);
+    done();
+  });
+});
+
+describe('Leave tests', () => {
+  const holiday = {
+    from: new Date('2020-12-31'), to: new Date('2021-01-01'), recurrence: 'yearly',
+  };
+  const afternoonsOff = {
+    from: new Date('2021-05-19'), to: new Date('2021-05-19'), start: '13:00', end: '15:00', recurrence: 'weekly',
+  };
+
+  it('must cover a yearly leave across the year end', (done) => {
+    expect(scheduling.coversDay(holiday, new Date('2023-01-01')))
+      .toBe(true);
+    expect(scheduling.coversDay(holiday, new Date('2023-01-02')))
+      .toBe(false);
+    done();
+  });
+
+  it('must not cover days before the leave starts', (done) => {
+    expect(scheduling.coversDay(holiday, new Date('2020-01-01')))
+      .toBe(false);
+    done();
+  });
+
+  it('must block only slots overlapping a partial-day leave', (done) => {
+    const day = new Date('2021-06-02');
+    expect(scheduling.isOnLeave([afternoonsOff], day, '12:50', 15))
+      .toBe(true);
+    expect(scheduling.isOnLeave([afternoonsOff], day, '15:00', 15))
+      .toBe(false);
+    expect(scheduling.isOnLeave([afternoonsOff], new Date('2021-06-03'), '13:00', 15))
+      .toBe(false);
+    done();
+  });
+});
+
+describe('Appointment slot tests', () => {
+  const doctor = { workingHours: [{ ...monday, breaks: [] }] };
+
+  it('must split an appointment into the slots of the day it falls on', (done) => {
+    const booking = scheduling.toSlots(doctor, new Date('2021-05-17T03:45:00Z'),
+      new Date('2021-05-17T04:15:00Z'), 'Asia/Kolkata');
+    expect(scheduling.toDateString(booking.date)).toBe('2021-05-17');
+    expect(booking.slots).toEqual(['09:15', '09:30']);
+    done();
+  });
+
+  it('must reject appointments off the slot grid or outside working hours', (done) => {
+    expect(scheduling.toSlots(doctor, new Date('2021-05-17T03:40:00Z'),
+      new Date('2021-05-17T04:10:00Z'), 'Asia/Kolkata')).toBeUndefined();
+    expect(scheduling.toSlots(doctor, new Date('2021-05-17T04:15:00Z'),
+      new Date('2021-05-17T04:45:00Z'), 'Asia/Kolkata')).toBeUndefined();
+    done();
+  });
+
+  it('must round a service up to whole slots', (done) => {
+    const booking = scheduling.slotsFor(doctor, new Date('2021-05-17T03:30:00Z'), 20, 'Asia/Kolkata');
+    expect(booking.slots).toEqual(['09:00', '09:15']);
+    expect(scheduling.slotsFor(doctor, new Date('2021-05-17T04:15:00Z'), 20, 'Asia/Kolkata'))
+      .toBeUndefined();
+    done();
+  });
+});
@@ -0,0 +1,43 @@
+/* eslint-disable no-undef */
+const { sign } = require('jsonwebtoken');
+const constants = require('../variables');
+const session = require('../session');
+
+describe('Session tests', () => {
+  it('must read back the session of an access token', (done) => {
+    const { token, expiresIn } = session.signAccessToken('client-1', 'user-1');
+    expect(expiresIn).toBe(constants.accessTokenMinutes() * 60);
+    expect(session.verifyAccessToken(token)).toEqual({ clientId: 'client-1', userId: 'user-1' });
+    done();
+  });
+
+  it('must tell expired access tokens apart', (done) => {
+    const token = sign({ sid: 'client-1' }, constants.token(), {
+      audience: session.AUDIENCE,
+      subject: 'user-1',
+      expiresIn: -1,
+    });
+    expect(session.verifyAccessToken(token)).toEqual({ expired: true });
+    done();
+  });
+
+  it('must not accept other tokens', (done) => {
+    const video = sign({ appointment: 'a' }, constants.token(), { audience: 'video-visit' });
+    const legacy = sign({ _id: 'client-1' }, constants.token());
+    const forged = sign({ sid: 'client-1' }, 'another_key', { audience: session.AUDIENCE });
+    expect(session.verifyAccessToken(video)).toBeNull();
+    expect(session.verifyAccessToken(legacy)).toBeNull();
+    expect(session.verifyAccessToken(forged)).toBeNull();
+    expect(session.verifyAccessToken(undefined)).toBeNull();
+    done();
+  });
+
+  it('must generate distinct url safe refresh tokens', (done) => {
+    const first = session.generateRefreshToken();
+    expect(first).toMatch(/^[A-Za-z0-9_-]{43}$/);
+    expect(session.generateRefreshToken()).not.toBe(first);
+    expect(session.hashToken(first)).toBe(session.hashToken(first));
+    expect(session.hashToken(first)).not.toBe(first);
+    done();
+  });
+});
@@ -0,0 +1,39 @@
+/* eslint-disable no-undef */
+const timezone = require('../timezone');
+
+describe('Time zone conversion tests', () => {
+  it('must read local date and time in the clinic time zone', (done) => {
+    expect(timezone.toZoned(new Date('2021-05-20T20:00:00Z'), 'Asia/Kolkata'))
+      .toEqual({ date: '2021-05-21', time: '01:30' });
+    done();
+  });
+
+  it('must convert local date and time to UTC', (done) => {
+    expect(timezone.fromZoned('2021-05-21', '01:30', 'Asia/Kolkata').toISOString())
+      .toBe('2021-05-20T20:00:00.000Z');
+    done();
+  });
+
+  it('must follow daylight saving time', (done) => {
+    expect(timezone.fromZoned('2021-07-01', '09:00', 'America/New_York').toISOString())
+      .toBe('2021-07-01T13:00:00.000Z');
+    expect(timezone.fromZoned('2021-12-01', '09:00', 'America/New_York').toISOString())
+      .toBe('2021-12-01T14:00:00.000Z');
+    done();
+  });
+
+  it('must format instants with the zone offset', (done) => {
+    expect(timezone.toISOString(new Date('2021-05-20T09:00:00Z'), 'Asia/Kolkata'))
+      .toBe('2021-05-20T14:30:00+05:30');
+    expect(timezone.toISOString(new Date('2021-12-01T14:00:00Z'), 'America/New_York'))
+      .toBe('2021-12-01T09:00:00-05:00');
+    done();
+  });
+
+  it('must reject date-times without an offset', (done) => {
+    expect(timezone.parseInstant('2021-05-20T14:30')).toBeUndefined();
+    expect(timezone.parseInstant('2021-05-20T14:30:00+05:30').toISOString())
+      .toBe('2021-05-20T09:00:00.000Z');
+    done();
+  });
+});
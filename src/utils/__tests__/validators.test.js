@@ -52,3 +52,49 @@ describe('Gender validator tests', () => {
     done();
   });
 });
+
+describe('Time validator tests', () => {
+  it('must validate \'09:30\' as valid time', (done) => {
+    expect(validators.isValidTime('09:30'))
+      .toBe(true);
+    done();
+  });
+
+  it('must validate \'17:05\' as valid time', (done) => {
+    expect(validators.isValidTime('17:05'))
+      .toBe(true);
+    done();
+  });
+
+  it('must validate \'9:30\' as invalid time', (done) => {
+    expect(validators.isValidTime('9:30'))
+      .toBe(false);
+    done();
+  });
+
+  it('must validate \'24:00\' as invalid time', (done) => {
+    expect(validators.isValidTime('24:00'))
+      .toBe(false);
+    done();
+  });
+});
+
+describe('Id validator tests', () => {
+  it('must validate \'60a7c9e2f1b2c3d4e5f6a7b8\' as valid id', (done) => {
+    expect(validators.isValidId('60a7c9e2f1b2c3d4e5f6a7b8'))
+      .toBe(true);
+    done();
+  });
+
+  it('must validate \'pvbhat\' as invalid id', (done) => {
+    expect(validators.isValidId('pvbhat'))
+      .toBe(false);
+    done();
+  });
+
+  it('must validate an array of ids as invalid id', (done) => {
+    expect(validators.isValidId(['60a7c9e2f1b2c3d4e5f6a7b8']))
+      .toBe(false);
+    done();
+  });
+});
@@ -0,0 +1,118 @@
+/* eslint-disable no-undef */
+const { createServer } = require('http');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const { sign } = require('jsonwebtoken');
+const { io } = require('socket.io-client');
+const smsServer = require('../sms-server');
+const video = require('../video');
+const constants = require('../variables');
+const { Appointment } = require('../../database');
+
+// May require additional time for downloading MongoDB binaries
+jasmine.DEFAULT_TIMEOUT_INTERVAL = 600000;
+let mongoServer;
+let url;
+
+const MINUTE = 60 * 1000;
+
+beforeAll(async () => {
+  mongoServer = new MongoMemoryServer();
+  const mongoUri = await mongoServer.getUri();
+  await mongoose.connect(
+    mongoUri,
+    { useCreateIndex: true, useNewUrlParser: true, useUnifiedTopology: true },
+  );
+  const httpServer = createServer();
+  smsServer.setSocketServer(httpServer);
+  await new Promise((resolve) => httpServer.listen(0, resolve));
+  url = `http://localhost:${httpServer.address().port}/video`;
+});
+
+afterAll(async () => {
+  // Closes the http server too
+  smsServer.server.close();
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+/**
+ * Connects to the video namespace with a join token
+ * @param {string} token
+ * @returns {Promise<Socket>} rejected if the socket was refused
+ */
+function connect(token) {
+  return new Promise((resolve, reject) => {
+    const socket = io(url, {
+      path: '/otp-service', auth: { token }, transports: ['websocket'], reconnection: false,
+    });
+    socket.on('connect', () => resolve(socket));
+    socket.on('connect_error', (error) => {
+      socket.close();
+      reject(error);
+    });
+  });
+}
+
+/**
+ * Waits for the next event of a name on a socket
+ * @param {Socket} socket
+ * @param {string} event
+ */
+function nextEvent(socket, event) {
+  return new Promise((resolve) => socket.once(event, resolve));
+}
+
+/**
+ * Creates a video visit starting in `minutes`
+ */
+function videoVisitIn(minutes) {
+  const start = new Date(Date.now() + minutes * MINUTE);
+  return Appointment.create({
+    doctorId: mongoose.Types.ObjectId(),
+    userId: mongoose.Types.ObjectId(),
+    serviceId: mongoose.Types.ObjectId(),
+    appointmentFor: mongoose.Types.ObjectId(),
+    start,
+    end: new Date(start.getTime() + 15 * MINUTE),
+    paymentType: 'cash',
+    mode: 'video',
+  });
+}
+
+describe('Video visit namespace tests', () => {
+  it('must relay signals between the patient and the doctor', async () => {
+    const appointment = await videoVisitIn(5);
+    const patient = await connect(video.issueToken(appointment, video.ROLE.PATIENT,
+      appointment.userId).token);
+
+    const joined = nextEvent(patient, 'peer-joined');
+    const doctor = await connect(video.issueToken(appointment, video.ROLE.DOCTOR,
+      appointment.doctorId).token);
+    expect(await joined).toEqual({ role: 'doctor' });
+
+    const signal = nextEvent(patient, 'signal');
+    doctor.emit('signal', { type: 'offer', sdp: 'v=0' });
+    expect(await signal).toEqual({ from: 'doctor', data: { type: 'offer', sdp: 'v=0' } });
+
+    const left = nextEvent(patient, 'peer-left');
+    doctor.close();
+    expect(await left).toEqual({ role: 'doctor' });
+    patient.close();
+  });
+
+  it('must refuse sockets without a join token of the appointment', async () => {
+    const appointment = await videoVisitIn(5);
+    await expect(connect(undefined)).rejects.toThrow('Video visit can\'t be joined now');
+    // An access token, signed without the join audience
+    const forged = sign({ appointment: appointment.id, room: appointment.room, role: 'doctor' },
+      constants.token(), { subject: String(appointment.doctorId) });
+    await expect(connect(forged)).rejects.toThrow('Video visit can\'t be joined now');
+  });
+
+  it('must refuse sockets outside the join window', async () => {
+    const appointment = await videoVisitIn(3 * 24 * 60);
+    const { token } = video.issueToken(appointment, video.ROLE.PATIENT, appointment.userId);
+    await expect(connect(token)).rejects.toThrow('Video visit can\'t be joined now');
+  });
+});
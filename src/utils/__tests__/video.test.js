@@ -0,0 +1,51 @@
+/* eslint-disable no-undef */
+const { verify } = require('jsonwebtoken');
+const video = require('../video');
+const constants = require('../variables');
+
+const appointment = {
+  id: '60c72b2f9b1d8e3a4c8b4567',
+  room: 'abc123',
+  mode: 'video',
+  status: 'booked',
+  start: new Date('2031-01-06T04:30:00Z'),
+  end: new Date('2031-01-06T04:45:00Z'),
+};
+
+describe('Video visit tests', () => {
+  it('must open the room shortly before the start', (done) => {
+    const { opens, closes } = video.joinWindow(appointment);
+    expect(appointment.start - opens).toBe(constants.videoJoinMinutes() * 60000);
+    expect(closes).toEqual(appointment.end);
+    done();
+  });
+
+  it('must only be joinable during the slot', (done) => {
+    expect(video.isJoinable(appointment, new Date('2031-01-06T04:25:00Z'))).toBe(true);
+    expect(video.isJoinable(appointment, new Date('2031-01-06T04:00:00Z'))).toBe(false);
+    expect(video.isJoinable(appointment, new Date('2031-01-06T04:45:00Z'))).toBe(false);
+    done();
+  });
+
+  it('must not be joinable in the clinic or once cancelled', (done) => {
+    const during = new Date('2031-01-06T04:35:00Z');
+    expect(video.isJoinable({ ...appointment, mode: 'in-clinic' }, during)).toBe(false);
+    expect(video.isJoinable({ ...appointment, status: 'cancelled' }, during)).toBe(false);
+    done();
+  });
+
+  it('must sign join tokens expiring with the room', (done) => {
+    const { token, room, expiresAt } = video.issueToken(appointment, video.ROLE.DOCTOR, 'u1');
+    const claims = verify(token, constants.token(), { audience: 'video-visit' });
+    expect(room).toBe('abc123');
+    expect(expiresAt).toEqual(appointment.end);
+    expect(claims).toMatchObject({
+      appointment: appointment.id,
+      room: 'abc123',
+      role: 'doctor',
+      sub: 'u1',
+      exp: appointment.end.getTime() / 1000,
+    });
+    done();
+  });
+});
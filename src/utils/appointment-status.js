@@ -0,0 +1,55 @@
+/**
+ * Appointment statuses
+ */
+const STATUS = {
+  BOOKED: 'booked',
+  CONFIRMED: 'confirmed',
+  CHECKED_IN: 'checked-in',
+  COMPLETED: 'completed',
+  NO_SHOW: 'no-show',
+  CANCELLED: 'cancelled',
+};
+
+/**
+ * Statuses each status may move to. `completed` `no-show` `cancelled` are final.
+ */
+const TRANSITIONS = {
+  [STATUS.BOOKED]: [STATUS.CONFIRMED, STATUS.CHECKED_IN, STATUS.NO_SHOW, STATUS.CANCELLED],
+  [STATUS.CONFIRMED]: [STATUS.CHECKED_IN, STATUS.NO_SHOW, STATUS.CANCELLED],
+  [STATUS.CHECKED_IN]: [STATUS.COMPLETED],
+  [STATUS.COMPLETED]: [],
+  [STATUS.NO_SHOW]: [],
+  [STATUS.CANCELLED]: [],
+};
+
+/**
+ * Statuses of appointments that hold their slots
+ */
+const ACTIVE = [STATUS.BOOKED, STATUS.CONFIRMED, STATUS.CHECKED_IN];
+
+/**
+ * Statuses of appointments the patient can still reschedule or cancel
+ */
+const UPCOMING = [STATUS.BOOKED, STATUS.CONFIRMED];
+
+/**
+ * Checks if `status` is an appointment status
+ * @param {string} status
+ * @returns {boolean}
+ */
+function isValidStatus(status) {
+  return Object.values(STATUS).includes(status);
+}
+
+/**
+ * Lists the statuses that may move to `status`
+ * @param {string} status
+ * @returns {string[]}
+ */
+function previousOf(status) {
+  return Object.keys(TRANSITIONS).filter((from) => TRANSITIONS[from].includes(status));
+}
+
+module.exports = {
+  STATUS, TRANSITIONS, ACTIVE, UPCOMING, isValidStatus, previousOf,
+};
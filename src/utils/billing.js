@@ -0,0 +1,94 @@
+const constants = require('./variables');
+
+/**
+ * Invoice payment statuses
+ */
+const PAYMENT_STATUS = {
+  PENDING: 'pending',
+  PAID: 'paid',
+  PARTIALLY_REFUNDED: 'partially-refunded',
+  REFUNDED: 'refunded',
+  // Appointment cancelled before anything was paid
+  VOID: 'void',
+};
+
+/**
+ * Ways an appointment bill is paid
+ */
+const PAYMENT_TYPE = {
+  CASH: 'cash',
+  CARD: 'card',
+  ONLINE: 'online',
+  INSURANCE: 'insurance',
+};
+
+/**
+ * Invoice line
+ * @typedef {object} Line
+ * @property {string} description
+ * @property {number} quantity
+ * @property {number} unitAmount In the minor unit of the currency, e.g. paise
+ * @property {number} taxPercent
+ */
+
+/**
+ * Totals an invoice. The discount comes off the subtotal before tax, each line is taxed
+ * on its share of the discounted subtotal. Amounts are in the minor unit of the currency.
+ * @param {Line[]} lines
+ * @param {number} [discount]
+ * @returns {{lines: {amount: number, tax: number}[], subtotal: number, discount: number,
+ * tax: number, total: number}} `lines` in the order given
+ */
+function totals(lines, discount = 0) {
+  const amounts = lines.map((line) => line.quantity * line.unitAmount);
+  const subtotal = amounts.reduce((sum, amount) => sum + amount, 0);
+  const applied = Math.min(Math.max(discount, 0), subtotal);
+  const share = subtotal ? (subtotal - applied) / subtotal : 0;
+  const taxed = lines.map((line, index) => ({
+    amount: amounts[index],
+    tax: Math.round(amounts[index] * share * (line.taxPercent / 100)),
+  }));
+  const tax = taxed.reduce((sum, line) => sum + line.tax, 0);
+  return {
+    lines: taxed,
+    subtotal,
+    discount: applied,
+    tax,
+    total: subtotal - applied + tax,
+  };
+}
+
+/**
+ * Payment status of an invoice from what was paid and refunded
+ * @param {{total: number, amountPaid: number, amountRefunded: number, status: string}} invoice
+ * @returns {string} one of `PAYMENT_STATUS`
+ */
+function statusOf(invoice) {
+  if (invoice.amountRefunded > 0) {
+    return invoice.amountRefunded >= invoice.amountPaid
+      ? PAYMENT_STATUS.REFUNDED : PAYMENT_STATUS.PARTIALLY_REFUNDED;
+  }
+  if (invoice.amountPaid > 0 && invoice.amountPaid >= invoice.total) {
+    return PAYMENT_STATUS.PAID;
+  }
+  return invoice.status === PAYMENT_STATUS.VOID ? PAYMENT_STATUS.VOID : PAYMENT_STATUS.PENDING;
+}
+
+/**
+ * Refund a cancellation is due. Late cancellations get `lateCancellationRefundPercent`
+ * of what was paid back, others all of it.
+ * @param {{amountPaid: number, amountRefunded: number}} invoice
+ * @param {boolean} isLate
+ * @returns {number}
+ */
+function refundFor(invoice, isLate) {
+  const net = invoice.amountPaid - invoice.amountRefunded;
+  if (net <= 0) {
+    return 0;
+  }
+  return isLate ? Math.round(net * (constants.lateCancellationRefundPercent() / 100)) : net;
+}
+
+module.exports = {
+  PAYMENT_STATUS, PAYMENT_TYPE, totals, statusOf, refundFor,
+};
@@ -0,0 +1,97 @@
+/**
+ * Kinds of insurance claims. A pre-authorization asks the insurer to approve a visit before it,
+ * a claim asks it to pay for one.
+ */
+const KIND = {
+  PRE_AUTHORIZATION: 'pre-authorization',
+  CLAIM: 'claim',
+};
+
+/**
+ * Claim statuses
+ */
+const STATUS = {
+  DRAFT: 'draft',
+  SUBMITTED: 'submitted',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+  SETTLED: 'settled',
+};
+
+/**
+ * Statuses each status may move to. A rejected claim can be corrected as a draft and
+ * submitted again, `settled` is final.
+ */
+const TRANSITIONS = {
+  [STATUS.DRAFT]: [STATUS.SUBMITTED],
+  [STATUS.SUBMITTED]: [STATUS.APPROVED, STATUS.REJECTED],
+  [STATUS.APPROVED]: [STATUS.SETTLED],
+  [STATUS.REJECTED]: [STATUS.DRAFT],
+  [STATUS.SETTLED]: [],
+};
+
+/**
+ * Checks if `status` is a claim status
+ * @param {string} status
+ * @returns {boolean}
+ */
+function isValidStatus(status) {
+  return Object.values(STATUS).includes(status);
+}
+
+/**
+ * Checks if a claim may move from `from` to `to`. Pre-authorizations end at approval,
+ * insurers settle claims only.
+ * @param {string} kind
+ * @param {string} from
+ * @param {string} to
+ * @returns {boolean}
+ */
+function canMove(kind, from, to) {
+  if (kind === KIND.PRE_AUTHORIZATION && to === STATUS.SETTLED) {
+    return false;
+  }
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Columns of the CSV export, in order
+ */
+const COLUMNS = [
+  'claimNumber', 'kind', 'status', 'provider', 'policyNumber', 'memberId', 'patientName',
+  'appointmentDate', 'serviceName', 'doctorName', 'invoiceNumber', 'currency', 'amountClaimed',
+  'amountApproved', 'amountSettled', 'insurerReference', 'submittedAt', 'documents',
+];
+
+/**
+ * Quotes a CSV field when it holds a delimiter, quote or line break (RFC 4180).
+ * Fields starting like a formula are prefixed with `'` so spreadsheets show them as text.
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeField(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  let field = value instanceof Date ? value.toISOString() : String(value);
+  if (/^[=+\-@\t\r]/.test(field) && Number.isNaN(Number(field))) {
+    field = `'${field}`;
+  }
+  return /[",\r\n]/.test(field) ? `"${field.replace(/"/g, '""')}"` : field;
+}
+
+/**
+ * Writes rows of the export as CSV, a header line first and lines ending in CRLF
+ * @param {object[]} rows Objects with the `COLUMNS`, document names as an array
+ * @returns {string}
+ */
+function toCSV(rows) {
+  const lines = [COLUMNS.join(',')].concat(rows.map((row) => COLUMNS
+    .map((column) => escapeField(Array.isArray(row[column]) ? row[column].join('; ') : row[column]))
+    .join(',')));
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+module.exports = {
+  KIND, STATUS, TRANSITIONS, COLUMNS, isValidStatus, canMove, escapeField, toCSV,
+};
@@ -31,6 +31,11 @@ module.exports = {
     error: new Error('Operation requires elevated privileges'),
   },
 
+  NOT_A_DOCTOR: {
+    code: 401,
+    error: new Error('Operation requires a doctor account'),
+  },
+
   INCOMPLETE_PROFILE: (fields) => ({
     code: 403,
     error: new Error(`Incomplete profile: ${fields.join(', ')}`),
@@ -57,6 +62,11 @@ module.exports = {
     error: new Error('OTP isn\'t available'),
   },
 
+  OTP_ATTEMPTS_EXHAUSTED: {
+    code: 401,
+    error: new Error('Too many wrong codes, request a new OTP'),
+  },
+
   /* Document fetch fail errors */
   FIND_TOTP_FAILED: {
     code: 500,
@@ -73,6 +83,16 @@ module.exports = {
     error: new Error('Couldn\'t find user'),
   },
 
+  FIND_PASSWORD_RESET_FAILED: {
+    code: 500,
+    error: new Error('Couldn\'t find password reset'),
+  },
+
+  FIND_LOGIN_ATTEMPTS_FAILED: {
+    code: 500,
+    error: new Error('Couldn\'t check sign-in attempts'),
+  },
+
   FIND_DOCTOR_FAILED: {
     code: 500,
     error: new Error('Couldn\'t find doctor'),
@@ -93,6 +113,46 @@ module.exports = {
     error: new Error('Couldn\'t find member'),
   },
 
+  FIND_LEAVE_FAILED: {
+    code: 500,
+    error: new Error('Couldn\'t find leave'),
+  },
+
+  FIND_WAITLIST_FAILED: {
+    code: 500,
+    error: new Error('Couldn\'t find waitlist entry'),
+  },
+
+  FIND_SERIES_FAILED: {
+    code: 500,
+    error: new Error('Couldn\'t find appointment series'),
+  },
+
+  FIND_CALENDAR_FEED_FAILED: {
+    code: 500,
+    error: new Error('Couldn\'t find calendar feed'),
+  },
+
+  FIND_QUEUE_TOKEN_FAILED: {
+    code: 500,
+    error: new Error('Couldn\'t find queue token'),
+  },
+
+  FIND_INVOICE_FAILED: {
+    code: 500,
+    error: new Error('Couldn\'t find invoice'),
+  },
+
+  FIND_INSURANCE_POLICY_FAILED: {
+    code: 500,
+    error: new Error('Couldn\'t find insurance policy'),
+  },
+
+  FIND_CLAIM_FAILED: {
+    code: 500,
+    error: new Error('Couldn\'t find claim'),
+  },
+
   SAVE_CLIENT_FAILED: {
     code: 500,
     error: new Error('Couldn\'t register client'),
@@ -108,6 +168,16 @@ module.exports = {
     error: new Error('Couldn\'t register OTP in registry'),
   },
 
+  SAVE_PASSWORD_RESET_FAILED: {
+    code: 500,
+    error: new Error('Couldn\'t start password reset'),
+  },
+
+  SAVE_LOGIN_ATTEMPT_FAILED: {
+    code: 500,
+    error: new Error('Couldn\'t record sign-in attempt'),
+  },
+
   SAVE_DOCTOR_FAILED: {
     code: 500,
     error: new Error('Couldn\'t add doctor'),
@@ -128,6 +198,46 @@ module.exports = {
     error: new Error('Couldn\'t add member'),
   },
 
+  SAVE_LEAVE_FAILED: {
+    code: 500,
+    error: new Error('Couldn\'t add leave'),
+  },
+
+  SAVE_WAITLIST_FAILED: {
+    code: 500,
+    error: new Error('Couldn\'t join waitlist'),
+  },
+
+  SAVE_SERIES_FAILED: {
+    code: 500,
+    error: new Error('Couldn\'t book appointment series'),
+  },
+
+  SAVE_CALENDAR_FEED_FAILED: {
+    code: 500,
+    error: new Error('Couldn\'t issue calendar feed'),
+  },
+
+  SAVE_QUEUE_TOKEN_FAILED: {
+    code: 500,
+    error: new Error('Couldn\'t issue queue token'),
+  },
+
+  SAVE_INVOICE_FAILED: {
+    code: 500,
+    error: new Error('Couldn\'t issue invoice'),
+  },
+
+  SAVE_INSURANCE_POLICY_FAILED: {
+    code: 500,
+    error: new Error('Couldn\'t add insurance policy'),
+  },
+
+  SAVE_CLAIM_FAILED: {
+    code: 500,
+    error: new Error('Couldn\'t save claim'),
+  },
+
   UPDATE_CLIENT_FAILED: {
     code: 500,
     error: new Error('Couldn\'t update client'),
@@ -163,6 +273,31 @@ module.exports = {
     error: new Error('Couldn\'t update member'),
   },
 
+  UPDATE_WAITLIST_FAILED: {
+    code: 500,
+    error: new Error('Couldn\'t update waitlist entry'),
+  },
+
+  UPDATE_QUEUE_TOKEN_FAILED: {
+    code: 500,
+    error: new Error('Couldn\'t update queue token'),
+  },
+
+  UPDATE_INVOICE_FAILED: {
+    code: 500,
+    error: new Error('Couldn\'t update invoice'),
+  },
+
+  UPDATE_INSURANCE_POLICY_FAILED: {
+    code: 500,
+    error: new Error('Couldn\'t update insurance policy'),
+  },
+
+  UPDATE_CLAIM_FAILED: {
+    code: 500,
+    error: new Error('Couldn\'t update claim'),
+  },
+
   /* Document remove errors */
   DELETE_CLIENT_FAILED: {
     code: 500,
@@ -199,11 +334,26 @@ module.exports = {
     error: new Error('Couldn\'t delete member'),
   },
 
+  DELETE_LEAVE_FAILED: {
+    code: 500,
+    error: new Error('Couldn\'t delete leave'),
+  },
+
+  DELETE_CALENDAR_FEED_FAILED: {
+    code: 500,
+    error: new Error('Couldn\'t revoke calendar feed'),
+  },
+
   NULL_CLIENT: {
     code: 401,
     error: new Error('Unauthorized client'),
   },
 
+  NULL_SESSION: {
+    code: 404,
+    error: new Error('Session not found'),
+  },
+
   NULL_USER: {
     code: 404,
     error: new Error('User doesn\'t exist'),
@@ -234,6 +384,56 @@ module.exports = {
     error: new Error('Member isn\'t available'),
   },
 
+  NULL_LEAVE: {
+    code: 404,
+    error: new Error('Leave doesn\'t exist'),
+  },
+
+  NULL_WAITLIST: {
+    code: 404,
+    error: new Error('Waitlist entry isn\'t available'),
+  },
+
+  NULL_SERIES: {
+    code: 404,
+    error: new Error('Appointment series isn\'t available'),
+  },
+
+  NULL_CALENDAR_FEED: {
+    code: 404,
+    error: new Error('Calendar feed isn\'t available'),
+  },
+
+  NULL_QUEUE_TOKEN: {
+    code: 404,
+    error: new Error('Queue token isn\'t available'),
+  },
+
+  NULL_INVOICE: {
+    code: 404,
+    error: new Error('Invoice isn\'t available'),
+  },
+
+  NULL_INSURANCE_POLICY: {
+    code: 404,
+    error: new Error('Insurance policy isn\'t available'),
+  },
+
+  NULL_CLAIM: {
+    code: 404,
+    error: new Error('Claim not found'),
+  },
+
+  NULL_CLAIM_DOCUMENT: {
+    code: 404,
+    error: new Error('Claim document not found'),
+  },
+
+  QUEUE_EMPTY: {
+    code: 404,
+    error: new Error('Nobody is waiting in the queue'),
+  },
+
   NULL_ACCESS_TOKEN: {
     code: 401,
     error: new Error('Operation requires \'access-token\''),
@@ -270,6 +470,11 @@ module.exports = {
     error: new Error('User already exists'),
   },
 
+  INSURANCE_POLICY_EXISTS: {
+    code: 409,
+    error: new Error('Insurance policy already exists'),
+  },
+
   UNOWNED_DOCUMENT: {
     code: 401,
     error: new Error('This document is not owned'),
@@ -280,6 +485,233 @@ module.exports = {
     error: new Error('Invalid access-token'),
   },
 
+  ACCESS_TOKEN_EXPIRED: {
+    code: 401,
+    error: new Error('access-token expired, refresh it'),
+  },
+
+  INVALID_REFRESH_TOKEN: {
+    code: 401,
+    error: new Error('Invalid or expired refresh token, sign in again'),
+  },
+
+  REFRESH_TOKEN_REUSED: {
+    code: 401,
+    error: new Error('Refresh token was used already, the session is signed out'),
+  },
+
+  SIGN_IN_LOCKED: {
+    code: 429,
+    error: new Error('Too many failed sign-ins, try again later'),
+  },
+
+  RATE_LIMITED: {
+    code: 429,
+    error: new Error('Too many requests, try again later'),
+  },
+
+  INVALID_RESET_TOKEN: {
+    code: 401,
+    error: new Error('Invalid or expired reset token or code, request a new one'),
+  },
+
+  WEAK_PASSWORD: {
+    code: 406,
+    error: new Error('Weak password'),
+  },
+
+  /* Scheduling errors */
+  INVALID_DATE: {
+    code: 400,
+    error: new Error('Invalid date'),
+  },
+
+  INVALID_DATE_RANGE: {
+    code: 400,
+    error: new Error('Invalid date range'),
+  },
+
+  DATE_RANGE_TOO_LONG: {
+    code: 400,
+    error: new Error('Date range can\'t exceed 31 days'),
+  },
+
+  INVALID_SLOTS: {
+    code: 403,
+    error: new Error('Start must be an ISO-8601 date-time with an offset'),
+  },
+
+  INVALID_RECURRENCE: {
+    code: 400,
+    error: new Error('Recurrence must be an RRULE with FREQ DAILY, WEEKLY or MONTHLY and COUNT or UNTIL, at most 52 occurrences'),
+  },
+
+  INVALID_STATUS: {
+    code: 400,
+    error: new Error('Unknown appointment status'),
+  },
+
+  INVALID_ID: {
+    code: 400,
+    error: new Error('Invalid id'),
+  },
+
+  INVALID_VIEW: {
+    code: 400,
+    error: new Error('View must be upcoming or past'),
+  },
+
+  INVALID_STATUS_TRANSITION: {
+    code: 409,
+    error: new Error('Appointment can\'t move to this status'),
+  },
+
+  SERVICE_NOT_OFFERED: {
+    code: 403,
+    error: new Error('Doctor doesn\'t offer this service'),
+  },
+
+  SLOTS_OUTSIDE_WORKING_HOURS: {
+    code: 403,
+    error: new Error('Selected slots are outside working hours'),
+  },
+
+  SLOTS_ON_LEAVE: {
+    code: 403,
+    error: new Error('Doctor is unavailable on the selected slots'),
+  },
+
+  SLOTS_IN_PAST: {
+    code: 403,
+    error: new Error('Selected slots have passed already'),
+  },
+
+  SLOTS_UNAVAILABLE: {
+    code: 409,
+    error: new Error('Selected slots are booked already'),
+  },
+
+  APPOINTMENT_STARTED: {
+    code: 409,
+    error: new Error('Appointment has started already'),
+  },
+
+  RESCHEDULE_TOO_LATE: {
+    code: 403,
+    error: new Error('Appointment is too close to its start to reschedule'),
+  },
+
+  RESCHEDULE_LIMIT_REACHED: {
+    code: 403,
+    error: new Error('Appointment can\'t be rescheduled any more times'),
+  },
+
+  WAITLIST_OFFER_EXPIRED: {
+    code: 409,
+    error: new Error('Waitlist offer has expired'),
+  },
+
+  SERIES_CONFLICTS: {
+    code: 409,
+    error: new Error('Some occurrences of the series are unavailable'),
+  },
+
+  DAY_CONFLICTS: {
+    code: 409,
+    error: new Error('Some appointments of the day can\'t be moved'),
+  },
+
+  NOT_A_VIDEO_VISIT: {
+    code: 409,
+    error: new Error('Appointment isn\'t a video visit'),
+  },
+
+  VIDEO_VISIT_CLOSED: {
+    code: 403,
+    error: new Error('Video visit can only be joined during its slot'),
+  },
+
+  INSURANCE_NOT_COVERED: {
+    code: 403,
+    error: new Error('Insurance policy doesn\'t cover the patient'),
+  },
+
+  INSURANCE_INACTIVE: {
+    code: 403,
+    error: new Error('Insurance policy isn\'t valid on the appointment date'),
+  },
+
+  NOT_INSURED: {
+    code: 409,
+    error: new Error('Appointment isn\'t billed to an insurance policy'),
+  },
+
+  CLAIM_EXISTS: {
+    code: 409,
+    error: new Error('Appointment has a claim of this kind already'),
+  },
+
+  CLAIM_LOCKED: {
+    code: 409,
+    error: new Error('Only draft claims can be edited'),
+  },
+
+  INVALID_CLAIM_STATUS: {
+    code: 400,
+    error: new Error('Unknown claim status or kind'),
+  },
+
+  INVALID_CLAIM_TRANSITION: {
+    code: 409,
+    error: new Error('Claim can\'t move to this status'),
+  },
+
+  INVALID_EXPORT_FORMAT: {
+    code: 400,
+    error: new Error('Export format must be csv or json'),
+  },
+
+  /* Payment errors */
+  PAYMENT_DECLINED: {
+    code: 402,
+    error: new Error('Payment was declined'),
+  },
+
+  PAYMENTS_UNAVAILABLE: {
+    code: 503,
+    error: new Error('Online payments aren\'t available'),
+  },
+
+  REFUND_DECLINED: {
+    code: 502,
+    error: new Error('Refund was declined'),
+  },
+
+  INVOICE_SETTLED: {
+    code: 409,
+    error: new Error('Invoice has nothing left to pay'),
+  },
+
+  APPOINTMENT_INACTIVE: {
+    code: 409,
+    error: new Error('Appointment is cancelled or over'),
+  },
+
+  INVOICE_BUSY: {
+    code: 409,
+    error: new Error('Invoice changed or is being paid, try again'),
+  },
+
+  INVOICE_PAID: {
+    code: 409,
+    error: new Error('Invoice can\'t change once paid'),
+  },
+
+  INVALID_REFUND: {
+    code: 400,
+    error: new Error('Refund must be positive and at most what was paid and not refunded yet'),
+  },
+
   /**
    * Forbidden fields error generator
    * @param {string[]} fields Error instance
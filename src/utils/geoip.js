@@ -0,0 +1,84 @@
+/* eslint-disable no-console */
+const axios = require('axios');
+const constants = require('./variables');
+
+/**
+ * Approximate location of an IP address
+ * @typedef {object} Location
+ * @property {string} [city]
+ * @property {string} [region]
+ * @property {string} [country]
+ */
+
+/**
+ * Address ranges that don't locate anywhere: loopback, private, link-local and unique local
+ */
+const LOCAL_ADDRESSES = [
+  /^127\./, /^10\./, /^192\.168\./, /^172\.(1[6-9]|2\d|3[01])\./, /^169\.254\./, /^0\./,
+  /^::1?$/, /^f[cd][0-9a-f]{2}:/i, /^fe[89ab][0-9a-f]:/i,
+];
+
+/**
+ * Gets the address a request came from, `trustProxy` decides whether proxies are believed
+ * @param {Request} request
+ * @returns {string | undefined}
+ */
+function addressOf(request) {
+  const ip = request.ip || (request.connection && request.connection.remoteAddress);
+  // IPv4 clients of dual-stack servers show up IPv4-mapped
+  return ip ? ip.replace(/^::ffff:(?=\d+\.)/i, '') : undefined;
+}
+
+/**
+ * Whether an address can be located
+ * @param {string} ip
+ * @returns {boolean}
+ */
+function isPublic(ip) {
+  return Boolean(ip) && !LOCAL_ADDRESSES.some((range) => range.test(ip));
+}
+
+/**
+ * Builds a location out of what the lookup service answered. Both the ipapi.co and
+ * ip-api.com field names are understood.
+ * @param {object} data
+ * @returns {Location | null}
+ */
+function toLocation(data) {
+  if (!data || data.error || data.status === 'fail') {
+    return null;
+  }
+  const location = {
+    city: data.city || undefined,
+    region: data.region || data.regionName || undefined,
+    country: data.country_name || data.country || undefined,
+  };
+  return location.city || location.region || location.country ? location : null;
+}
+
+/**
+ * Looks up the approximate location of an address with the `geoipUrl` service.
+ * Never rejects, a location is nice to have.
+ * @param {string} ip
+ * @returns {Promise<Location | null>} `null` for local addresses, without a service or on
+ * failure
+ */
+async function locate(ip) {
+  const url = constants.geoipUrl();
+  if (!url || !isPublic(ip)) {
+    return null;
+  }
+  try {
+    const { data } = await axios.get(url.replace('{ip}', encodeURIComponent(ip)), {
+      timeout: 3000,
+    });
+    return toLocation(data);
+  } catch (error) {
+    console.error(error.message);
+    return null;
+  }
+}
+
+module.exports = {
+  addressOf, isPublic, toLocation, locate,
+};
@@ -0,0 +1,115 @@
+/**
+ * Product identifier of the calendars
+ */
+const PRODID = '-//SkinMate//Appointments//EN';
+
+/**
+ * Content lines are folded after this many octets
+ */
+const LINE_LENGTH = 75;
+
+/**
+ * Calendar event
+ * @typedef {object} CalendarEvent
+ * @property {string} uid Stays the same across updates of the event
+ * @property {Date} start
+ * @property {Date} end
+ * @property {Date} stamp When the event last changed
+ * @property {number} [sequence] Revision, raised on each change
+ * @property {string} summary
+ * @property {string} [description]
+ * @property {'CONFIRMED' | 'TENTATIVE' | 'CANCELLED'} [status]
+ */
+
+/**
+ * Escapes a TEXT value
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Folds a content line into lines of `LINE_LENGTH` octets, without splitting characters
+ * @param {string} line
+ * @returns {string}
+ */
+function fold(line) {
+  const lines = [];
+  let current = '';
+  let octets = 0;
+  Array.from(line).forEach((character) => {
+    const size = Buffer.byteLength(character);
+    // Continuation lines start with a space, which counts towards their length
+    if (octets + size > LINE_LENGTH) {
+      lines.push(current);
+      current = ' ';
+      octets = 1;
+    }
+    current += character;
+    octets += size;
+  });
+  lines.push(current);
+  return lines.join('\r\n');
+}
+
+/**
+ * Formats a date as a UTC DATE-TIME, e.g. `20210601T043000Z`
+ * @param {Date} date
+ * @returns {string}
+ */
+function toDateTime(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Builds the content lines of an event
+ * @param {CalendarEvent} event
+ * @returns {string[]}
+ */
+function toEventLines(event) {
+  return [
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `DTSTAMP:${toDateTime(event.stamp)}`,
+    `DTSTART:${toDateTime(event.start)}`,
+    `DTEND:${toDateTime(event.end)}`,
+    `SEQUENCE:${event.sequence || 0}`,
+    `SUMMARY:${escapeText(event.summary)}`,
+    event.description && `DESCRIPTION:${escapeText(event.description)}`,
+    `STATUS:${event.status || 'CONFIRMED'}`,
+    'END:VEVENT',
+  ].filter(Boolean);
+}
+
+/**
+ * Builds an iCalendar (RFC 5545) document
+ * @param {string} name Calendar name shown by clients
+ * @param {CalendarEvent[]} events
+ * @returns {string}
+ */
+function toCalendar(name, events) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...events.reduce((all, event) => all.concat(toEventLines(event)), []),
+    'END:VCALENDAR',
+  ];
+  return `${lines.map(fold).join('\r\n')}\r\n`;
+}
+
+module.exports = {
+  escapeText,
+  fold,
+  toDateTime,
+  toCalendar,
+};
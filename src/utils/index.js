@@ -5,7 +5,49 @@ const smsServer = require('./sms-server');
 const errors = require('./errors');
 const emailServer = require('./email-server');
 const customValidators = require('./validators');
+const scheduling = require('./scheduling');
+const timezone = require('./timezone');
+const appointmentStatus = require('./appointment-status');
+const recurrence = require('./recurrence');
+const notifier = require('./notifier');
+const scheduler = require('./scheduler');
+const reminders = require('./reminders');
+const policy = require('./policy');
+const ical = require('./ical');
+const queue = require('./queue');
+const video = require('./video');
+const billing = require('./billing');
+const paymentGateway = require('./payment-gateway');
+const claims = require('./claims');
+const session = require('./session');
+const geoip = require('./geoip');
+const lockout = require('./lockout');
+const rateLimits = require('./rate-limit');
 
 module.exports = {
-  constants, middlewares, otp, smsServer, emailServer, errors, customValidators,
+  constants,
+  middlewares,
+  otp,
+  smsServer,
+  emailServer,
+  errors,
+  customValidators,
+  scheduling,
+  timezone,
+  appointmentStatus,
+  recurrence,
+  notifier,
+  scheduler,
+  reminders,
+  policy,
+  ical,
+  queue,
+  video,
+  billing,
+  paymentGateway,
+  claims,
+  session,
+  geoip,
+  lockout,
+  rateLimits,
 };
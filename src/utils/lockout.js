@@ -0,0 +1,77 @@
+const constants = require('./variables');
+
+/**
+ * What failed sign-ins are counted against
+ * * `account` waits longer after each failure past `loginFreeAttempts`
+ * * `address` is only locked out, many people may sign in from behind one address
+ */
+const KIND = {
+  ACCOUNT: 'account',
+  ADDRESS: 'address',
+};
+
+/**
+ * Failures after which a kind waits and is locked
+ * @param {string} kind `KIND` value
+ * @returns {{freeAttempts: number, maxFailures: number}}
+ */
+function limitsOf(kind) {
+  if (kind === KIND.ACCOUNT) {
+    return {
+      freeAttempts: constants.loginFreeAttempts(),
+      maxFailures: constants.loginMaxFailures(),
+    };
+  }
+  const maxFailures = constants.loginMaxAddressFailures();
+  return { freeAttempts: maxFailures, maxFailures };
+}
+
+/**
+ * Seconds to wait after the latest of a number of failures
+ * @param {string} kind `KIND` value
+ * @param {number} failures
+ * @returns {number} doubles with each failure past the free ones, at most a lockout
+ */
+function backoffSeconds(kind, failures) {
+  const over = failures - limitsOf(kind).freeAttempts;
+  if (over <= 0) {
+    return 0;
+  }
+  return Math.min(
+    constants.loginBackoffSeconds() * 2 ** (over - 1),
+    constants.loginLockoutMinutes() * 60,
+  );
+}
+
+/**
+ * Whether a number of failures locks
+ * @param {string} kind `KIND` value
+ * @param {number} failures
+ * @returns {boolean}
+ */
+function locks(kind, failures) {
+  return failures >= limitsOf(kind).maxFailures;
+}
+
+/**
+ * Time sign-ins may be tried again
+ * @param {{kind: string, failures: number, lastFailureAt: Date, lockedUntil: Date}} attempt
+ * @param {Date} [now]
+ * @returns {Date | null} `null` if they may be tried now
+ */
+function retryAt(attempt, now = new Date()) {
+  if (!attempt) {
+    return null;
+  }
+  const lockedUntil = attempt.lockedUntil ? new Date(attempt.lockedUntil).getTime() : 0;
+  const waitedUntil = attempt.lastFailureAt
+    ? new Date(attempt.lastFailureAt).getTime()
+      + backoffSeconds(attempt.kind, attempt.failures) * 1000
+    : 0;
+  const until = Math.max(lockedUntil, waitedUntil);
+  return until > now.getTime() ? new Date(until) : null;
+}
+
+module.exports = {
+  KIND, limitsOf, backoffSeconds, locks, retryAt,
+};
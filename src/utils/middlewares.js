@@ -4,6 +4,10 @@ const {
   Client, User, Doctor, Service,
 } = require('../database');
 const errors = require('./errors');
+const constants = require('./variables');
+const session = require('./session');
+const geoip = require('./geoip');
+const rateLimits = require('./rate-limit');
 
 /**
  * Allows next operations only if specified headers exists in the request.
@@ -71,53 +75,79 @@ function requireBody() {
  * Allows next operations only on communication medium verification.
  * ***
  * * Use `requireHeaders` middleware to ensure `device-id` and `access-token` presence
- * * Automatically verifies device registration.
+ * * Verifies the access token of the session without looking it up, tokens issued before
+ * access tokens expired are looked up while `acceptLegacyTokens` allows them
+ * * `doctor` hydrates `request.params.doctorId` with the doctor linked to the user
  * ***
  * ### Possible errors
  * | Code | Message |
  * | ---: | :------ |
  * | `500`  | Couldn\'t verify your identity |
  * | `500`  | Couldn\'t find user |
+ * | `500`  | Couldn\'t find doctor |
  * | `401`  | Unauthorized client |
+ * | `401`  | access-token expired |
  * | `401`  | Operation requires elevated privileges |
+ * | `401`  | Operation requires a doctor account |
  * | `401`  | Phone and email not verified |
  * | `401`  | Phone number not verified |
  * | `401`  | Email not verified |
  * | `403`  | Incomplete profile (incomplete fields) |
  * ***
- * @param {{phone: boolean, email: boolean, admin: boolean}} params Comms to verify
+ * @param {{phone: boolean, email: boolean, admin: boolean, doctor: boolean}} params Comms to verify
  * @returns {RequestHandler} express middleware
  */
 function requireVerification({
-  phone, email, profile, admin,
+  phone, email, profile, admin, doctor,
 }) {
   return async (request, response, next) => {
     try {
-      // Get the client document
-      const client = await Client.findOne({
-        _id: request.headers['device-id'],
-        token: request.headers['access-token'],
-        isDeleted: { $ne: true },
-      }).catch((error) => {
-        console.error(error);
-        response.status(errors.FIND_CLIENT_FAILED.code);
-        throw errors.FIND_CLIENT_FAILED.error;
-      });
+      const claims = session.verifyAccessToken(request.headers['access-token']);
+
+      if (claims && claims.expired) {
+        response.status(errors.ACCESS_TOKEN_EXPIRED.code);
+        throw errors.ACCESS_TOKEN_EXPIRED.error;
+      }
 
-      // Check if client exist
-      if (!client) {
+      // Access tokens are bound to their session
+      if (claims && claims.clientId !== request.headers['device-id']) {
         response.status(errors.NULL_CLIENT.code);
         throw errors.NULL_CLIENT.error;
       }
 
-      if (!(await client.isValid())) {
+      if (!claims && !constants.acceptLegacyTokens()) {
         response.status(errors.INVALID_ACCESS_TOKEN.code);
         throw errors.INVALID_ACCESS_TOKEN.error;
       }
 
-      // Check user verification status
+      if (!claims) {
+        // Get the client document
+        const client = await Client.findOne({
+          _id: request.headers['device-id'],
+          token: request.headers['access-token'],
+          isDeleted: { $ne: true },
+        }).catch((error) => {
+          console.error(error);
+          response.status(errors.FIND_CLIENT_FAILED.code);
+          throw errors.FIND_CLIENT_FAILED.error;
+        });
+
+        // Check if client exist
+        if (!client) {
+          response.status(errors.NULL_CLIENT.code);
+          throw errors.NULL_CLIENT.error;
+        }
+
+        if (!(await client.isValid())) {
+          response.status(errors.INVALID_ACCESS_TOKEN.code);
+          throw errors.INVALID_ACCESS_TOKEN.error;
+        }
+      }
+
+      // Check user verification status, revoked sessions are no longer among its clients
       const user = await User.findOne({
-        clients: client.id,
+        ...(claims ? { _id: claims.userId } : {}),
+        clients: request.headers['device-id'],
         isDeleted: { $ne: true },
       })
         .catch((error) => {
@@ -126,6 +156,11 @@ function requireVerification({
           throw errors.FIND_USER_FAILED.error;
         });
 
+      if (!user && claims) {
+        response.status(errors.NULL_CLIENT.code);
+        throw errors.NULL_CLIENT.error;
+      }
+
       if (!user) {
         response.status(errors.NULL_USER.code);
         throw errors.NULL_USER.error;
@@ -139,6 +174,22 @@ function requireVerification({
         throw errors.NO_ELEVATED_ACCESS.error;
       }
 
+      if (doctor) {
+        const doctorDoc = await Doctor.findOne({ user: user.id }).catch((error) => {
+          console.error(error);
+          response.status(errors.FIND_DOCTOR_FAILED.code);
+          throw errors.FIND_DOCTOR_FAILED.error;
+        });
+
+        if (!doctorDoc) {
+          response.status(errors.NOT_A_DOCTOR.code);
+          throw errors.NOT_A_DOCTOR.error;
+        }
+
+        // Hydrate `request.params` with doctorId
+        request.params.doctorId = doctorDoc.id;
+      }
+
       if (phone && email && !user.verifiedPhone && !user.verifiedEmail) {
         response.status(errors.PHONE_EMAIL_UNVERIFIED.code);
         throw errors.PHONE_EMAIL_UNVERIFIED.error;
@@ -247,6 +298,77 @@ function requireDoctor() {
   };
 }
 
+/**
+ * Limits how often a client may make requests.
+ * ***
+ * * `keyBy` counts requests of an `ip` address, a `device` or a `user`, or of what a function
+ * returns. `user` needs `requireVerification` before it, `device` is only as good as the
+ * `device-id` clients send. Requests without one are counted by address.
+ * * Limiters of the same `name` share their counts
+ * * `max` `windowSeconds` may be functions to read `constants` on each request
+ * * Sends `RateLimit-Limit` `RateLimit-Remaining` `RateLimit-Reset`, and `Retry-After` when limited
+ * * Lets requests through if the `rateLimitStore` fails
+ * ***
+ * ### Possible errors
+ * | Code | Message |
+ * | ---: | :------ |
+ * | `429`  | Too many requests, try again later |
+ * ***
+ * @param {{name: string, max: number | (() => number), windowSeconds: number | (() => number),
+ * keyBy?: 'ip' | 'device' | 'user' | ((request: Request) => string), algorithm?: string}} params
+ * `algorithm` is a `rateLimits.ALGORITHM` value, `sliding` by default
+ * @returns {RequestHandler} express middleware
+ */
+function rateLimit({
+  name, max, windowSeconds, keyBy = 'ip', algorithm = rateLimits.ALGORITHM.SLIDING,
+}) {
+  const valueOf = (setting) => (typeof setting === 'function' ? setting() : setting);
+
+  return async (request, response, next) => {
+    try {
+      let key;
+      if (typeof keyBy === 'function') {
+        const subject = keyBy(request);
+        key = subject && `custom:${subject}`;
+      } else if (keyBy === 'user' && request.params.userId) {
+        key = `user:${request.params.userId}`;
+      } else if (keyBy === 'device' && request.headers['device-id']) {
+        key = `device:${request.headers['device-id']}`;
+      }
+
+      // A failing store, or a misconfigured one, mustn't take the API down
+      const limit = await Promise.resolve()
+        .then(() => rateLimits.consume(rateLimits.storeOf(constants.rateLimitStore()), {
+          key: `${name}:${key || `ip:${geoip.addressOf(request)}`}`,
+          max: valueOf(max),
+          windowMs: valueOf(windowSeconds) * 1000,
+          algorithm,
+        }))
+        .catch((error) => {
+          console.error(error);
+        });
+
+      if (limit) {
+        const reset = Math.max(0, Math.ceil((limit.resetAt - Date.now()) / 1000));
+        response.set({
+          'RateLimit-Limit': String(limit.limit),
+          'RateLimit-Remaining': String(limit.remaining),
+          'RateLimit-Reset': String(reset),
+        });
+
+        if (!limit.allowed) {
+          response.set('Retry-After', String(reset));
+          response.status(errors.RATE_LIMITED.code);
+          throw errors.RATE_LIMITED.error;
+        }
+      }
+      next();
+    } catch (error) {
+      response.send(error.message);
+    }
+  };
+}
+
 module.exports = {
-  requireHeaders, requireBody, requireVerification, requireService, requireDoctor,
+  requireHeaders, requireBody, requireVerification, requireService, requireDoctor, rateLimit,
 };
@@ -4,7 +4,11 @@ module.exports={
   {
     CREATE_APPOINMEMT : 'create',
     UPDATE_APPOINMENT : 're-schedule',
-    CANCEL_APPOINMENT :  'cancel'
+    CANCEL_APPOINMENT :  'cancel',
+    LEAVE_CONFLICT: 'leave-conflict',
+    WAITLIST_OFFER: 'waitlist-offer',
+    APPOINTMENT_REMINDER: 'reminder',
+    ACCOUNT_LOCKED: 'account-locked',
   },
   NOTIFICATION_ACTION : 
   {
@@ -35,5 +39,41 @@ module.exports={
           message:""
         },
     },
+    leaveConflict: {
+      notification: {
+        body: 'your doctor is unavailable for your appoinment, please reschedule.',
+        title: 'Skin-Mate',
+      },
+      data: {
+        message: '',
+      },
+    },
+    waitlistOffer: {
+      notification: {
+        body: 'a slot opened up for you, book it before the hold expires.',
+        title: 'Skin-Mate',
+      },
+      data: {
+        message: '',
+      },
+    },
+    reminder: {
+      notification: {
+        body: 'you have an upcoming appoinment.',
+        title: 'Skin-Mate',
+      },
+      data: {
+        message: '',
+      },
+    },
+    accountLocked: {
+      notification: {
+        body: 'your account was locked after failed sign-ins.',
+        title: 'Skin-Mate',
+      },
+      data: {
+        message: '',
+      },
+    },
   }
 }
\ No newline at end of file
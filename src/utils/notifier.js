@@ -0,0 +1,66 @@
+/* eslint-disable no-console */
+const Notification = require('../database/Notification');
+const emailServer = require('./email-server');
+const smsServer = require('./sms-server');
+const constants = require('./variables');
+const { NOTIFICATION_ACTION } = require('./notification-helper');
+
+/**
+ * Notice to deliver
+ * @typedef {object} Notice
+ * @property {string} type `NOTIFICATION_TYPE` value
+ * @property {string} action `NOTIFICATION_ACTION` key
+ * @property {string} subject Email subject
+ * @property {string} message Email and SMS text
+ * @property {boolean} [security] Goes out by push and email whatever the preferences
+ */
+
+/**
+ * Delivers a notice over the channels the user opted in to.
+ * * `push` saves a `Notification`, which sends it through `push-notification.js`
+ * * `email` and `sms` use the notification templates
+ * @param {Document<User>} user With `email` `phone` `fcm_token` `notificationPreferences`
+ * @param {Notice} notice
+ * @param {string[]} [skip] Channels delivered already, e.g. by an earlier attempt
+ * @returns {Promise<{delivered: string[], failed: string[]}>} channels
+ */
+async function deliver(user, notice, skip = []) {
+  const preferences = user.notificationPreferences || {};
+  const time = new Date();
+  const channels = {
+    push: () => {
+      const { title, body } = NOTIFICATION_ACTION[notice.action].notification;
+      return Notification.create({
+        user: user.id,
+        type: notice.type,
+        fcm_token: user.fcm_token,
+        title,
+        body,
+        data: notice.message,
+        date: `${time.toDateString()} ${time.toTimeString()}`,
+      });
+    },
+    email: () => emailServer.sendMail(user.email, notice.subject,
+      constants.EMAIL_TEMPLATE_NOTIFICATION, { MESSAGE: notice.message }),
+    sms: () => smsServer.sendSMS(user.phone, constants.SMS_TEMPLATE_NOTIFICATION,
+      { MESSAGE: notice.message }),
+  };
+  // Unset preferences fall back to the schema defaults
+  const wanted = Object.keys(channels).filter((channel) => !skip.includes(channel)
+    && ((notice.security && channel !== 'sms')
+      || (preferences[channel] === undefined ? channel !== 'sms' : preferences[channel])));
+
+  const results = await Promise.all(wanted.map((channel) => channels[channel]()
+    .then(() => true)
+    .catch((error) => {
+      console.error(error);
+      return false;
+    })));
+
+  return {
+    delivered: wanted.filter((_channel, index) => results[index]),
+    failed: wanted.filter((_channel, index) => !results[index]),
+  };
+}
+
+module.exports = { deliver };
@@ -0,0 +1,126 @@
+const { randomBytes } = require('crypto');
+const constants = require('./variables');
+
+/**
+ * Payment provider adapter. Amounts are in the minor unit of the currency.
+ * * `charge` takes `source`, what the provider's client SDK handed the app for the card
+ * or account, and resolves with the provider's reference of the payment. Charges with the
+ * `idempotencyKey` of an earlier one resolve with its reference without charging again.
+ * * `refund` gives back part or all of a payment by its reference, refunds with the
+ * `idempotencyKey` of an earlier one resolve with its reference without refunding again
+ * * Both reject with an `Error` whose `declined` is `true` when the provider refused
+ * @typedef {object} Gateway
+ * @property {(charge: {amount: number, currency: string, source: string, description: string,
+ * idempotencyKey: string}) => Promise<{reference: string}>} charge
+ * @property {(refund: {payment: string, amount: number, currency: string,
+ * idempotencyKey: string}) => Promise<{reference: string}>} refund
+ */
+
+/**
+ * Gateways by name
+ * @type {{[name: string]: Gateway}}
+ */
+const gateways = {};
+
+/**
+ * Source the fake gateway declines
+ */
+const DECLINED_SOURCE = 'fake_declined';
+
+/**
+ * Creates an error the provider refused with
+ * @param {string} message
+ */
+function declined(message) {
+  const error = new Error(message);
+  error.declined = true;
+  return error;
+}
+
+/**
+ * Local gateway for development and tests. Charges any source but `DECLINED_SOURCE` and
+ * refunds up to what is left of a payment, keeping its payments in memory.
+ * @returns {Gateway}
+ */
+function createFakeGateway() {
+  const payments = new Map();
+  const charges = new Map();
+  const refunds = new Map();
+  const reference = (prefix) => `${prefix}_${randomBytes(8).toString('hex')}`;
+  return {
+    async charge({ amount, source, idempotencyKey }) {
+      if (charges.has(idempotencyKey)) {
+        return { reference: charges.get(idempotencyKey) };
+      }
+      if (source === DECLINED_SOURCE) {
+        throw declined('Card declined');
+      }
+      const payment = reference('fake_pay');
+      payments.set(payment, amount);
+      if (idempotencyKey) {
+        charges.set(idempotencyKey, payment);
+      }
+      return { reference: payment };
+    },
+    async refund({ payment, amount, idempotencyKey }) {
+      if (refunds.has(idempotencyKey)) {
+        return { reference: refunds.get(idempotencyKey) };
+      }
+      // Payments of an earlier run are gone, their refunds go through
+      const left = payments.has(payment) ? payments.get(payment) : amount;
+      if (amount > left) {
+        throw declined('Refund exceeds the payment');
+      }
+      payments.set(payment, left - amount);
+      const made = reference('fake_ref');
+      if (idempotencyKey) {
+        refunds.set(idempotencyKey, made);
+      }
+      return { reference: made };
+    },
+  };
+}
+
+/**
+ * Registers a gateway, replacing one of the same name
+ * @param {string} name
+ * @param {Gateway} gateway
+ */
+function register(name, gateway) {
+  gateways[name] = gateway;
+}
+
+/**
+ * Name of the fake gateway
+ */
+const FAKE_GATEWAY = 'fake';
+
+/**
+ * Whether a gateway is registered. The fake gateway takes no money, it is only registered
+ * in test and development runs.
+ * @param {string} [name] `paymentGateway` by default
+ * @returns {boolean}
+ */
+function isAvailable(name = constants.paymentGateway()) {
+  if (!gateways[name] && name === FAKE_GATEWAY && constants.isDevelopment()) {
+    register(name, createFakeGateway());
+  }
+  return Boolean(gateways[name]);
+}
+
+/**
+ * Gets a gateway
+ * @param {string} [name] `paymentGateway` by default
+ * @returns {{name: string, gateway: Gateway}}
+ * @throws if no gateway of the name is registered
+ */
+function use(name = constants.paymentGateway()) {
+  if (!isAvailable(name)) {
+    throw new Error(`Payment gateway ${name} isn't registered`);
+  }
+  return { name, gateway: gateways[name] };
+}
+
+module.exports = {
+  DECLINED_SOURCE, FAKE_GATEWAY, register, isAvailable, use, createFakeGateway,
+};
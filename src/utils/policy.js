@@ -0,0 +1,46 @@
+const constants = require('./variables');
+
+/**
+ * An hour in milliseconds
+ */
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Changes the policy covers
+ */
+const CHANGE = {
+  CANCEL: 'cancel',
+  RESCHEDULE: 'reschedule',
+};
+
+/**
+ * Checks a change of an appointment against the cancellation and reschedule policy.
+ * * Nothing changes once the appointment has started
+ * * Reschedules need `rescheduleNoticeHours` notice and are capped at `maxReschedules`
+ * * Cancellations with less than `cancellationNoticeHours` notice go through but are late
+ * @param {'cancel' | 'reschedule'} change
+ * @param {{start: Date, reschedules: object[]}} appointment
+ * @param {Date} [now]
+ * @returns {{error: string | undefined, isLate: boolean}} `error` names the `errors` entry
+ * of the broken rule, `isLate` tells if the change comes within the notice window
+ */
+function evaluate(change, appointment, now = new Date()) {
+  const notice = appointment.start.getTime() - now.getTime();
+  if (notice <= 0) {
+    return { error: 'APPOINTMENT_STARTED', isLate: true };
+  }
+
+  if (change === CHANGE.CANCEL) {
+    return { error: undefined, isLate: notice < constants.cancellationNoticeHours() * HOUR };
+  }
+
+  if (notice < constants.rescheduleNoticeHours() * HOUR) {
+    return { error: 'RESCHEDULE_TOO_LATE', isLate: true };
+  }
+  if ((appointment.reschedules || []).length >= constants.maxReschedules()) {
+    return { error: 'RESCHEDULE_LIMIT_REACHED', isLate: false };
+  }
+  return { error: undefined, isLate: false };
+}
+
+module.exports = { CHANGE, evaluate };
@@ -48,6 +48,18 @@ const push_notification = {
       case NOTIFICATION_TYPE.CANCEL_APPOINMENT :
         push_notification.request({...NOTIFICATION_ACTION.cancel,"to":fcm_token})   
         break 
+      case NOTIFICATION_TYPE.LEAVE_CONFLICT:
+        push_notification.request({ ...NOTIFICATION_ACTION.leaveConflict, to: fcm_token });
+        break;
+      case NOTIFICATION_TYPE.WAITLIST_OFFER:
+        push_notification.request({ ...NOTIFICATION_ACTION.waitlistOffer, to: fcm_token });
+        break;
+      case NOTIFICATION_TYPE.APPOINTMENT_REMINDER:
+        push_notification.request({ ...NOTIFICATION_ACTION.reminder, to: fcm_token });
+        break;
+      case NOTIFICATION_TYPE.ACCOUNT_LOCKED:
+        push_notification.request({ ...NOTIFICATION_ACTION.accountLocked, to: fcm_token });
+        break;
     }
   }
 }
@@ -0,0 +1,93 @@
+/* eslint-disable no-console */
+const { isValidObjectId } = require('mongoose');
+const QueueToken = require('../database/QueueToken');
+const { server } = require('./sms-server');
+const constants = require('./variables');
+
+const { STATUS } = QueueToken;
+
+/**
+ * Walk-in queue namespace of the socket server.
+ * * Clients emit `watch` with a doctor id to get that doctor's `queue` updates
+ */
+const namespace = server.of('/queue');
+
+/**
+ * Average minutes the doctor spent per patient, from the tokens served so far
+ * @param {{calledAt: Date, servedAt: Date, status: string}[]} tokens
+ * @returns {number} `queueMinutesPerPatient` until some were served
+ */
+function averageMinutes(tokens) {
+  const served = tokens.filter((token) => token.status === STATUS.SERVED
+    && token.calledAt && token.servedAt);
+  if (served.length === 0) {
+    return constants.queueMinutesPerPatient();
+  }
+  const total = served.reduce((sum, token) => sum + (token.servedAt - token.calledAt), 0);
+  return Math.round(total / served.length / 60000);
+}
+
+/**
+ * Position of a token in its queue and its estimated wait
+ * @param {{number: number, status: string}} token
+ * @param {{number: number, status: string, calledAt: Date, servedAt: Date}[]} tokens
+ * The tokens of its queue
+ * @returns {{position: number | null, estimatedWait: number | null}} `position` counts the
+ * waiting tokens ahead, `estimatedWait` is in minutes. Both `null` once the token left the queue.
+ */
+function positionOf(token, tokens) {
+  if (token.status === STATUS.CALLED) {
+    return { position: 0, estimatedWait: 0 };
+  }
+  if (token.status !== STATUS.WAITING) {
+    return { position: null, estimatedWait: null };
+  }
+  const ahead = tokens.filter((other) => other.status === STATUS.WAITING
+    && other.number < token.number).length;
+  const inRoom = tokens.some((other) => other.status === STATUS.CALLED) ? 1 : 0;
+  return { position: ahead, estimatedWait: (ahead + inRoom) * averageMinutes(tokens) };
+}
+
+/**
+ * Public state of a queue, without patient details
+ * @param {string} doctorId
+ * @param {{number: number, status: string, calledAt: Date, servedAt: Date}[]} tokens
+ * The tokens of the queue
+ */
+function summarize(doctorId, tokens) {
+  const called = tokens.find((token) => token.status === STATUS.CALLED);
+  return {
+    doctorId: String(doctorId),
+    nowServing: called ? called.number : null,
+    waiting: tokens.filter((token) => token.status === STATUS.WAITING)
+      .map((token) => token.number),
+    averageMinutes: averageMinutes(tokens),
+  };
+}
+
+/**
+ * Pushes the state of a doctor's queue today to its watchers
+ * @param {string} doctorId
+ */
+async function publish(doctorId) {
+  const tokens = await QueueToken.findToday(doctorId);
+  namespace.to(String(doctorId)).emit('queue', summarize(doctorId, tokens));
+}
+
+namespace.on('connection', (socket) => {
+  socket.on('watch', async (doctorId) => {
+    if (!isValidObjectId(doctorId)) {
+      return;
+    }
+    socket.join(String(doctorId));
+    const tokens = await QueueToken.findToday(doctorId).catch(console.error);
+    socket.emit('queue', summarize(doctorId, tokens || []));
+  });
+});
+
+module.exports = {
+  averageMinutes,
+  positionOf,
+  summarize,
+  publish,
+};
@@ -0,0 +1,152 @@
+const RateLimit = require('../database/RateLimit');
+
+/**
+ * How requests are counted
+ * * `fixed` counts requests since the start of the current window
+ * * `sliding` adds the previous window's count weighted by how much of it is still within a
+ * window of now, so bursts at window edges count
+ */
+const ALGORITHM = {
+  FIXED: 'fixed',
+  SLIDING: 'sliding',
+};
+
+/**
+ * Counter store. Windows are identified by their start in ms.
+ * @typedef {object} Store
+ * @property {(key: string, windowStart: number, windowMs: number) => Promise<number>} increment
+ * counts a request, resolves with the count of the window
+ * @property {(key: string, windowStart: number) => Promise<number>} count
+ */
+
+/**
+ * Store in the process memory, for a single instance
+ * @returns {Store}
+ */
+function memoryStore() {
+  const counters = new Map();
+  let sweptAt = 0;
+
+  /**
+   * Drops counters no window looks back at, at most once a minute
+   * @param {number} now
+   */
+  function sweep(now) {
+    if (now - sweptAt < 60000) {
+      return;
+    }
+    sweptAt = now;
+    counters.forEach((counter, id) => {
+      if (counter.expiresAt <= now) {
+        counters.delete(id);
+      }
+    });
+  }
+
+  return {
+    async increment(key, windowStart, windowMs) {
+      sweep(Date.now());
+      const id = `${key}@${windowStart}`;
+      const counter = counters.get(id) || { count: 0, expiresAt: windowStart + 2 * windowMs };
+      counter.count += 1;
+      counters.set(id, counter);
+      return counter.count;
+    },
+    async count(key, windowStart) {
+      const counter = counters.get(`${key}@${windowStart}`);
+      return counter ? counter.count : 0;
+    },
+  };
+}
+
+/**
+ * Store in MongoDB, shared by every instance
+ * @returns {Store}
+ */
+function mongoStore() {
+  return {
+    async increment(key, windowStart, windowMs) {
+      const update = {
+        $inc: { count: 1 },
+        $setOnInsert: { expiresAt: new Date(windowStart + 2 * windowMs) },
+      };
+      // Concurrent first requests race to insert, the losers update
+      for (let tries = 0; ; tries += 1) {
+        try {
+          // eslint-disable-next-line no-await-in-loop
+          const counter = await RateLimit.findOneAndUpdate(
+            { key, windowStart: new Date(windowStart) },
+            update,
+            { upsert: true, new: true },
+          );
+          return counter.count;
+        } catch (error) {
+          if (error.code !== 11000 || tries >= 2) {
+            throw error;
+          }
+        }
+      }
+    },
+    async count(key, windowStart) {
+      const counter = await RateLimit.findOne({ key, windowStart: new Date(windowStart) });
+      return counter ? counter.count : 0;
+    },
+  };
+}
+
+/**
+ * Stores by name
+ */
+const stores = {
+  memory: memoryStore,
+  mongo: mongoStore,
+};
+
+/**
+ * Stores in use, one of each kind per process
+ */
+const opened = {};
+
+/**
+ * Gets a store
+ * @param {string} name `memory` or `mongo`
+ * @returns {Store}
+ * @throws if there is no store of the name
+ */
+function storeOf(name) {
+  if (!stores[name]) {
+    throw new Error(`Rate limit store ${name} doesn't exist`);
+  }
+  if (!opened[name]) {
+    opened[name] = stores[name]();
+  }
+  return opened[name];
+}
+
+/**
+ * Counts a request against a limit
+ * @param {Store} store
+ * @param {{key: string, max: number, windowMs: number, algorithm?: string, now?: number}} limit
+ * @returns {Promise<{allowed: boolean, limit: number, remaining: number, resetAt: number}>}
+ * `resetAt` in ms, when the current window ends
+ */
+async function consume(store, {
+  key, max, windowMs, algorithm = ALGORITHM.SLIDING, now = Date.now(),
+}) {
+  const windowStart = Math.floor(now / windowMs) * windowMs;
+  let used = await store.increment(key, windowStart, windowMs);
+  if (algorithm === ALGORITHM.SLIDING) {
+    const previous = await store.count(key, windowStart - windowMs);
+    used += previous * (1 - (now - windowStart) / windowMs);
+  }
+  return {
+    allowed: used <= max,
+    limit: max,
+    remaining: Math.max(0, Math.floor(max - used)),
+    resetAt: windowStart + windowMs,
+  };
+}
+
+module.exports = {
+  ALGORITHM, memoryStore, mongoStore, storeOf, consume,
+};
@@ -0,0 +1,149 @@
+/**
+ * Recurrence of an appointment series, a subset of the iCalendar `RRULE`
+ * @typedef {object} Recurrence
+ * @property {'DAILY' | 'WEEKLY' | 'MONTHLY'} frequency
+ * @property {number} interval Periods between occurrences
+ * @property {number} [count] Number of occurrences
+ * @property {string} [until] Last clinic date `YYYY-MM-DD`, inclusive
+ */
+
+const timezone = require('./timezone');
+
+/**
+ * Most occurrences a series may have
+ */
+const MAX_OCCURRENCES = 52;
+
+/**
+ * Days a period of each frequency steps by, monthly steps by calendar month
+ */
+const STEP_DAYS = { DAILY: 1, WEEKLY: 7 };
+
+/**
+ * Parses a recurrence rule, e.g. `FREQ=WEEKLY;INTERVAL=2;COUNT=6`.
+ * * Supports `FREQ` (`DAILY` `WEEKLY` `MONTHLY`), `INTERVAL`, `COUNT` and `UNTIL`
+ * * Needs `COUNT` or `UNTIL` so that the series ends
+ * @param {string} value Rule, optionally prefixed by `RRULE:`
+ * @returns {Recurrence | undefined} `undefined` if the rule is invalid or unsupported
+ */
+function parseRule(value) {
+  if (typeof value !== 'string') {
+    return undefined;
+  }
+  const parts = {};
+  const isWellFormed = value.trim().replace(/^RRULE:/i, '').split(';').every((part) => {
+    const [key, field, ...rest] = part.split('=');
+    if (!key || !field || rest.length > 0 || parts[key.toUpperCase()]) {
+      return false;
+    }
+    parts[key.toUpperCase()] = field.toUpperCase();
+    return true;
+  });
+  const keys = Object.keys(parts);
+  if (!isWellFormed || !keys.every((key) => ['FREQ', 'INTERVAL', 'COUNT', 'UNTIL'].includes(key))) {
+    return undefined;
+  }
+
+  const rule = { frequency: parts.FREQ, interval: 1 };
+  if (!['DAILY', 'WEEKLY', 'MONTHLY'].includes(rule.frequency)) {
+    return undefined;
+  }
+  if (parts.INTERVAL) {
+    rule.interval = /^\d+$/.test(parts.INTERVAL) ? parseInt(parts.INTERVAL, 10) : 0;
+    if (rule.interval < 1) {
+      return undefined;
+    }
+  }
+  if (parts.COUNT) {
+    rule.count = /^\d+$/.test(parts.COUNT) ? parseInt(parts.COUNT, 10) : 0;
+    if (rule.count < 1 || rule.count > MAX_OCCURRENCES) {
+      return undefined;
+    }
+  }
+  if (parts.UNTIL) {
+    const match = /^(\d{4})-?(\d{2})-?(\d{2})$/.exec(parts.UNTIL);
+    const until = match && new Date(`${match[1]}-${match[2]}-${match[3]}`);
+    if (!until || Number.isNaN(until.getTime())) {
+      return undefined;
+    }
+    rule.until = until.toISOString().slice(0, 10);
+  }
+  return rule.count || rule.until ? rule : undefined;
+}
+
+/**
+ * Formats a recurrence as an iCalendar `RRULE` value
+ * @param {Recurrence} rule
+ * @returns {string} e.g. `FREQ=WEEKLY;INTERVAL=2;COUNT=6`
+ */
+function toRule(rule) {
+  return [
+    `FREQ=${rule.frequency}`,
+    `INTERVAL=${rule.interval}`,
+    rule.count && `COUNT=${rule.count}`,
+    rule.until && `UNTIL=${rule.until.replace(/-/g, '')}`,
+  ].filter(Boolean).join(';');
+}
+
+/**
+ * Steps a clinic date by `periods` of a frequency
+ * @param {string} date `YYYY-MM-DD`
+ * @param {Recurrence['frequency']} frequency
+ * @param {number} periods
+ * @returns {string | undefined} `undefined` for months lacking the day, e.g. 31 Feb
+ */
+function step(date, frequency, periods) {
+  const day = new Date(date);
+  if (frequency === 'MONTHLY') {
+    const next = new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth() + periods,
+      day.getUTCDate()));
+    return next.getUTCDate() === day.getUTCDate() ? next.toISOString().slice(0, 10) : undefined;
+  }
+  day.setUTCDate(day.getUTCDate() + periods * STEP_DAYS[frequency]);
+  return day.toISOString().slice(0, 10);
+}
+
+/**
+ * Lists the starts of a series. Occurrences keep the clinic time of `start`.
+ * @param {Date} start First occurrence
+ * @param {Recurrence} rule
+ * @param {string} timeZone Clinic time zone
+ * @returns {Date[] | undefined} `undefined` if the series has more than `MAX_OCCURRENCES`
+ */
+function occurrences(start, rule, timeZone) {
+  const local = timezone.toZoned(start, timeZone);
+  const starts = [];
+  for (let period = 0; ; period += rule.interval) {
+    const date = step(local.date, rule.frequency, period);
+    if ((rule.count && starts.length === rule.count) || (rule.until && date > rule.until)) {
+      return starts;
+    }
+    // Invalid dates only come up monthly, a later month may have the day again
+    if (date) {
+      if (starts.length === MAX_OCCURRENCES) {
+        return undefined;
+      }
+      starts.push(timezone.fromZoned(date, local.time, timeZone));
+    }
+  }
+}
+
+/**
+ * Moves an occurrence the way its anchor occurrence moved, keeping the days between them
+ * @param {Date} occurrence
+ * @param {Date} from Previous start of the anchor
+ * @param {Date} to New start of the anchor
+ * @param {string} timeZone Clinic time zone
+ * @returns {Date}
+ */
+function shift(occurrence, from, to, timeZone) {
+  const before = timezone.toZoned(from, timeZone);
+  const after = timezone.toZoned(to, timeZone);
+  const days = Math.round((new Date(after.date) - new Date(before.date)) / (24 * 60 * 60 * 1000));
+  return timezone.fromZoned(step(timezone.toZoned(occurrence, timeZone).date, 'DAILY', days),
+    after.time, timeZone);
+}
+
+module.exports = {
+  MAX_OCCURRENCES, parseRule, toRule, occurrences, shift,
+};
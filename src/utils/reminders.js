@@ -0,0 +1,41 @@
+const { Appointment } = require('../database');
+const notifier = require('./notifier');
+const constants = require('./variables');
+const timezone = require('./timezone');
+const { UPCOMING } = require('./appointment-status');
+const { NOTIFICATION_TYPE } = require('./notification-helper');
+
+/**
+ * Runs an appointment reminder job.
+ * * Skips appointments that were cancelled or moved since the job was planned
+ * * Records the channels delivered on the job, so that a retry only tries the failed ones
+ * @param {Document<Job>} job
+ */
+async function sendReminder(job) {
+  const appointment = await Appointment.findById(job.data.appointment)
+    .populate({ path: 'userId', select: 'email phone fcm_token notificationPreferences' })
+    .populate({ path: 'doctorId', select: 'name' })
+    .populate({ path: 'serviceId', select: 'name' });
+
+  if (!appointment || !appointment.userId || !UPCOMING.includes(appointment.status)
+    || appointment.start.getTime() !== new Date(job.data.start).getTime()) {
+    return;
+  }
+
+  const local = timezone.toZoned(appointment.start, constants.clinicTimezone());
+  const service = appointment.serviceId ? `${appointment.serviceId.name} ` : '';
+  const doctor = appointment.doctorId ? ` with ${appointment.doctorId.name}` : '';
+  const { delivered, failed } = await notifier.deliver(appointment.userId, {
+    type: NOTIFICATION_TYPE.APPOINTMENT_REMINDER,
+    action: 'reminder',
+    subject: 'Appointment reminder',
+    message: `your ${service}appointment${doctor} is on ${local.date} at ${local.time}.`,
+  }, job.data.delivered);
+
+  job.set('data', { ...job.data, delivered: (job.data.delivered || []).concat(delivered) });
+  if (failed.length > 0) {
+    throw new Error(`Couldn't deliver reminder by ${failed.join(', ')}`);
+  }
+}
+
+module.exports = { sendReminder };
@@ -0,0 +1,112 @@
+/* eslint-disable no-console */
+const Job = require('../database/Job');
+const constants = require('./variables');
+
+/**
+ * How long a run may take before another poll takes the job over
+ */
+const LOCK_MS = 5 * 60 * 1000;
+
+/**
+ * Job handlers by job name
+ * @type {{[name: string]: (job: Document<Job>) => Promise<void>}}
+ */
+const handlers = {};
+
+/**
+ * Poll timer and whether a poll is in progress
+ */
+let timer;
+let isPolling = false;
+
+/**
+ * Registers the handler running jobs of a name. Throwing retries the job later.
+ * @param {string} name
+ * @param {(job: Document<Job>) => Promise<void>} handler
+ */
+function define(name, handler) {
+  handlers[name] = handler;
+}
+
+/**
+ * Persists a job to run at `runAt`
+ * @param {string} name
+ * @param {Date} runAt
+ * @param {object} data
+ * @param {string} [key] Groups jobs to cancel them together
+ * @returns {Promise<Document<Job>>}
+ */
+function schedule(name, runAt, data, key) {
+  return Job.create({
+    name, runAt, data, key,
+  });
+}
+
+/**
+ * Drops the pending jobs of a key
+ * @param {string} key
+ */
+function cancel(key) {
+  return Job.cancel(key);
+}
+
+/**
+ * Runs due jobs one at a time until none is left
+ * @returns {Promise<number>} jobs run
+ */
+async function runDue() {
+  const names = Object.keys(handlers);
+  let count = 0;
+  let job = await Job.claimNext(names, LOCK_MS);
+  while (job) {
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      await handlers[job.name](job);
+      // eslint-disable-next-line no-await-in-loop
+      await job.complete();
+    } catch (error) {
+      console.error(error);
+      // eslint-disable-next-line no-await-in-loop
+      await job.fail(error).catch(console.error);
+    }
+    count += 1;
+    // eslint-disable-next-line no-await-in-loop
+    job = await Job.claimNext(names, LOCK_MS);
+  }
+  return count;
+}
+
+/**
+ * Polls for due jobs, skipping the poll if the last one is still running
+ */
+function poll() {
+  if (isPolling) {
+    return;
+  }
+  isPolling = true;
+  runDue().catch(console.error).then(() => {
+    isPolling = false;
+  });
+}
+
+/**
+ * Starts polling every `schedulerInterval` seconds
+ */
+function start() {
+  if (!timer) {
+    timer = setInterval(poll, constants.schedulerInterval() * 1000);
+    poll();
+  }
+}
+
+/**
+ * Stops polling
+ */
+function stop() {
+  clearInterval(timer);
+  timer = undefined;
+}
+
+module.exports = {
+  define, schedule, cancel, runDue, start, stop,
+};
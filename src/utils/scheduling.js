@@ -0,0 +1,286 @@
+/**
+ * Working hours of a weekday, as stored in `Doctor.workingHours`
+ * @typedef {object} WorkingDay
+ * @property {number} day Weekday, 0 is Sunday
+ * @property {string} start `HH:MM`
+ * @property {string} end `HH:MM`
+ * @property {number} slotLength Minutes
+ * @property {{start: string, end: string}[]} breaks
+ */
+
+const timezone = require('./timezone');
+
+/**
+ * Leave or closure period, as stored in `Leave`
+ * @typedef {object} LeavePeriod
+ * @property {Date} from First day (UTC midnight)
+ * @property {Date} to Last day (UTC midnight)
+ * @property {string} [start] `HH:MM`, partial-day leaves only
+ * @property {string} [end] `HH:MM`, partial-day leaves only
+ * @property {'none' | 'weekly' | 'yearly'} recurrence
+ * @property {Date} [until] Last day of the recurrence
+ */
+
+/**
+ * A day in milliseconds
+ */
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Converts a `H:MM` / `HH:MM` time to minutes past midnight
+ * @param {string} time
+ * @returns {number} `NaN` when unparsable
+ */
+function toMinutes(time) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(time).trim());
+  if (!match) {
+    return NaN;
+  }
+  return parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+}
+
+/**
+ * Converts minutes past midnight to a `HH:MM` time
+ * @param {number} minutes
+ * @returns {string}
+ */
+function toTime(minutes) {
+  const hours = String(Math.floor(minutes / 60)).padStart(2, '0');
+  return `${hours}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Zero pads a `H:MM` time to `HH:MM`
+ * @param {string} time
+ * @returns {string}
+ */
+function normalizeTime(time) {
+  return toTime(toMinutes(time));
+}
+
+/**
+ * Formats a date as `YYYY-MM-DD`
+ * @param {Date} date
+ * @returns {string}
+ */
+function toDateString(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Working day validator. Breaks must fall within the working hours.
+ * @param {WorkingDay} hours
+ * @returns {boolean}
+ */
+function isValidWorkingDay(hours) {
+  const start = toMinutes(hours.start);
+  const end = toMinutes(hours.end);
+  if (!(start < end)) {
+    return false;
+  }
+  return (hours.breaks || []).every((pause) => {
+    const pauseStart = toMinutes(pause.start);
+    const pauseEnd = toMinutes(pause.end);
+    return start <= pauseStart && pauseStart < pauseEnd && pauseEnd <= end;
+  });
+}
+
+/**
+ * Lists slot start times offered by a working day.
+ * * A slot must end by `hours.end` and must not overlap a break
+ * @param {WorkingDay} hours
+ * @returns {string[]} `HH:MM` slot start times
+ */
+function daySlots(hours) {
+  const slots = [];
+  const end = toMinutes(hours.end);
+  const breaks = (hours.breaks || [])
+    .map((pause) => [toMinutes(pause.start), toMinutes(pause.end)]);
+  for (let slot = toMinutes(hours.start); slot + hours.slotLength <= end;
+    slot += hours.slotLength) {
+    const slotEnd = slot + hours.slotLength;
+    if (breaks.every(([pauseStart, pauseEnd]) => slotEnd <= pauseStart || slot >= pauseEnd)) {
+      slots.push(toTime(slot));
+    }
+  }
+  return slots;
+}
+
+/**
+ * Finds the working hours of a doctor on the weekday of `date`
+ * @param {Document<Doctor>} doctor
+ * @param {Date} date Appointment date (UTC midnight)
+ * @returns {WorkingDay | undefined}
+ */
+function workingHoursOn(doctor, date) {
+  return (doctor.workingHours || []).find((hours) => hours.day === date.getUTCDay());
+}
+
+/**
+ * Checks if every requested time is a slot of the doctor's working hours on `date`
+ * @param {Document<Doctor>} doctor
+ * @param {Date} date Appointment date (UTC midnight)
+ * @param {string[]} times Requested slot start times
+ * @returns {boolean}
+ */
+function isWithinWorkingHours(doctor, date, times) {
+  const hours = workingHoursOn(doctor, date);
+  if (!hours) {
+    return false;
+  }
+  const slots = daySlots(hours).map(toMinutes);
+  return times.every((time) => slots.includes(toMinutes(time)));
+}
+
+/**
+ * Splits `start`..`end` into consecutive slots on the clinic calendar
+ * @param {Date} start
+ * @param {Date} end
+ * @param {number} slotLength Minutes
+ * @param {string} timeZone Clinic time zone
+ * @returns {{date: Date, slots: string[]} | undefined} Local day (UTC midnight) and `HH:MM` slots,
+ * `undefined` unless the range is a whole number of slots within a single day
+ */
+function slotsBetween(start, end, slotLength, timeZone) {
+  const length = (end - start) / 60000;
+  if (start.getTime() % 60000 !== 0 || !(length > 0) || length % slotLength !== 0) {
+    return undefined;
+  }
+  const local = timezone.toZoned(start, timeZone);
+  const first = toMinutes(local.time);
+  if (first + length > 24 * 60) {
+    return undefined;
+  }
+  const slots = [];
+  for (let slot = first; slot < first + length; slot += slotLength) {
+    slots.push(toTime(slot));
+  }
+  return { date: new Date(local.date), slots };
+}
+
+/**
+ * Splits an appointment into the doctor's slots
+ * @param {Document<Doctor>} doctor
+ * @param {Date} start
+ * @param {Date} end
+ * @param {string} timeZone Clinic time zone
+ * @returns {{date: Date, slots: string[]} | undefined} `undefined` unless the appointment
+ * lies on the slots of the doctor's working hours
+ */
+function toSlots(doctor, start, end, timeZone) {
+  const hours = workingHoursOn(doctor, new Date(timezone.toZoned(start, timeZone).date));
+  const booking = hours && slotsBetween(start, end, hours.slotLength, timeZone);
+  return booking && isWithinWorkingHours(doctor, booking.date, booking.slots)
+    ? booking
+    : undefined;
+}
+
+/**
+ * Splits `minutes` booked from `start` into the doctor's slots, rounding up to whole slots
+ * @param {Document<Doctor>} doctor
+ * @param {Date} start
+ * @param {number} minutes Service duration and buffer
+ * @param {string} timeZone Clinic time zone
+ * @returns {{date: Date, slots: string[]} | undefined} `undefined` unless `start` is a slot
+ * of the doctor's working hours and enough slots follow it
+ */
+function slotsFor(doctor, start, minutes, timeZone) {
+  const hours = workingHoursOn(doctor, new Date(timezone.toZoned(start, timeZone).date));
+  if (!hours || !(minutes > 0)) {
+    return undefined;
+  }
+  const length = Math.ceil(minutes / hours.slotLength) * hours.slotLength;
+  return toSlots(doctor, start, new Date(start.getTime() + length * 60000), timeZone);
+}
+
+/**
+ * Checks if a leave covers `day`, following its recurrence.
+ * * `weekly` and `yearly` leaves repeat the `from`..`to` span until `until`
+ * @param {LeavePeriod} leave
+ * @param {Date} day UTC midnight
+ * @returns {boolean}
+ */
+function coversDay(leave, day) {
+  if (day < leave.from || (leave.until && day > leave.until)) {
+    return false;
+  }
+  const span = Math.round((leave.to - leave.from) / DAY);
+  switch (leave.recurrence) {
+    case 'weekly':
+      return Math.round((day - leave.from) / DAY) % 7 <= span;
+    case 'yearly':
+      // The occurrence may have started the year before, e.g. Dec 31 - Jan 1
+      return [day.getUTCFullYear() - 1, day.getUTCFullYear()].some((year) => {
+        const start = Date.UTC(year, leave.from.getUTCMonth(), leave.from.getUTCDate());
+        return start <= day.getTime() && day.getTime() <= start + span * DAY;
+      });
+    default:
+      return day <= leave.to;
+  }
+}
+
+/**
+ * Checks if any leave blocks a slot. Leaves without `start` `end` block the whole day.
+ * @param {LeavePeriod[]} leaves
+ * @param {Date} date UTC midnight
+ * @param {string} slot `HH:MM` slot start time
+ * @param {number} slotLength Minutes
+ * @returns {boolean}
+ */
+function isOnLeave(leaves, date, slot, slotLength) {
+  const start = toMinutes(slot);
+  return leaves.some((leave) => coversDay(leave, date)
+    && (!leave.start || (start < toMinutes(leave.end)
+      && start + slotLength > toMinutes(leave.start))));
+}
+
+/**
+ * Lists the start times of a working day followed by enough free slots
+ * @param {WorkingDay} hours
+ * @param {Date} day UTC midnight
+ * @param {string[]} reserved Reserved `HH:MM` slots of the day
+ * @param {LeavePeriod[]} leaves
+ * @param {number} count Consecutive slots needed
+ * @returns {string[]} `HH:MM` start times
+ */
+function freeStarts(hours, day, reserved, leaves, count) {
+  const free = daySlots(hours).filter((slot) => !reserved.includes(slot)
+    && !isOnLeave(leaves, day, slot, hours.slotLength));
+  return free.filter((slot) => Array.from({ length: count }, (_value, index) => toTime(
+    toMinutes(slot) + index * hours.slotLength,
+  )).every((next) => free.includes(next)));
+}
+
+/**
+ * Lists every day between `from` and `to`, both inclusive
+ * @param {Date} from
+ * @param {Date} to
+ * @returns {Date[]} UTC midnights
+ */
+function eachDay(from, to) {
+  const days = [];
+  const day = new Date(toDateString(from));
+  while (day <= to) {
+    days.push(new Date(day));
+    day.setUTCDate(day.getUTCDate() + 1);
+  }
+  return days;
+}
+
+module.exports = {
+  toMinutes,
+  toTime,
+  normalizeTime,
+  toDateString,
+  isValidWorkingDay,
+  daySlots,
+  workingHoursOn,
+  isWithinWorkingHours,
+  slotsBetween,
+  toSlots,
+  slotsFor,
+  coversDay,
+  isOnLeave,
+  freeStarts,
+  eachDay,
+};
@@ -0,0 +1,62 @@
+const { createHash, randomBytes } = require('crypto');
+const { sign, verify } = require('jsonwebtoken');
+const constants = require('./variables');
+
+/**
+ * Audience of access tokens, so that other tokens signed with the key, e.g. video join tokens,
+ * can't be used as one
+ */
+const AUDIENCE = 'access';
+
+/**
+ * Signs a short-lived access token of a session
+ * @param {string} clientId Session, what clients send as `device-id`
+ * @param {string} userId
+ * @returns {{token: string, expiresIn: number}} `expiresIn` in seconds
+ */
+function signAccessToken(clientId, userId) {
+  const expiresIn = constants.accessTokenMinutes() * 60;
+  const token = sign({ sid: String(clientId) }, constants.token(), {
+    audience: AUDIENCE,
+    subject: String(userId),
+    expiresIn,
+  });
+  return { token, expiresIn };
+}
+
+/**
+ * Reads an access token
+ * @param {string} token
+ * @returns {{clientId: string, userId: string} | {expired: true} | null} `null` unless it
+ * is an access token signed with the key, e.g. for tokens issued before access tokens expired
+ */
+function verifyAccessToken(token) {
+  try {
+    const { sid, sub } = verify(String(token), constants.token(), { audience: AUDIENCE });
+    return { clientId: sid, userId: sub };
+  } catch (error) {
+    return error.name === 'TokenExpiredError' ? { expired: true } : null;
+  }
+}
+
+/**
+ * Generates an opaque refresh token
+ * @returns {string}
+ */
+function generateRefreshToken() {
+  return randomBytes(32).toString('base64').replace(/\+/g, '-').replace(/\//g, '_')
+    .replace(/=+$/, '');
+}
+
+/**
+ * Hashes a refresh token, only hashes are stored
+ * @param {string} token
+ * @returns {string}
+ */
+function hashToken(token) {
+  return createHash('sha256').update(String(token)).digest('hex');
+}
+
+module.exports = {
+  AUDIENCE, signAccessToken, verifyAccessToken, generateRefreshToken, hashToken,
+};
@@ -0,0 +1,98 @@
+/**
+ * `Intl.DateTimeFormat` instances by time zone
+ */
+const formatters = {};
+
+/**
+ * Gets a cached 24-hour formatter for a time zone
+ * @param {string} timeZone IANA time zone, e.g. `Asia/Kolkata`
+ * @returns {Intl.DateTimeFormat}
+ */
+function formatterOf(timeZone) {
+  if (!formatters[timeZone]) {
+    formatters[timeZone] = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hour12: false,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    });
+  }
+  return formatters[timeZone];
+}
+
+/**
+ * Offset of a time zone from UTC at an instant
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {number} Minutes, positive east of UTC
+ */
+function offsetOf(date, timeZone) {
+  const parts = {};
+  formatterOf(timeZone).formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = parseInt(value, 10);
+  });
+  // Some runtimes format midnight as hour 24
+  const local = Date.UTC(parts.year, parts.month - 1, parts.day,
+    parts.hour % 24, parts.minute, parts.second);
+  return Math.round((local - (date.getTime() - date.getUTCMilliseconds())) / 60000);
+}
+
+/**
+ * Local calendar date and time of an instant
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {{date: string, time: string}} `YYYY-MM-DD` and `HH:MM`
+ */
+function toZoned(date, timeZone) {
+  const iso = new Date(date.getTime() + offsetOf(date, timeZone) * 60000).toISOString();
+  return { date: iso.slice(0, 10), time: iso.slice(11, 16) };
+}
+
+/**
+ * Instant of a local calendar date and time
+ * @param {string} date `YYYY-MM-DD`
+ * @param {string} time `HH:MM`
+ * @param {string} timeZone
+ * @returns {Date}
+ */
+function fromZoned(date, time, timeZone) {
+  const local = new Date(`${date}T${time}:00Z`).getTime();
+  const guess = local - offsetOf(new Date(local), timeZone) * 60000;
+  // The second pass settles guesses landing across a DST change
+  return new Date(local - offsetOf(new Date(guess), timeZone) * 60000);
+}
+
+/**
+ * Formats an instant as ISO-8601 with the time zone offset, e.g. `2021-05-20T14:30:00+05:30`
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {string}
+ */
+function toISOString(date, timeZone) {
+  const offset = offsetOf(date, timeZone);
+  const local = new Date(date.getTime() + offset * 60000).toISOString().slice(0, 19);
+  const hours = String(Math.floor(Math.abs(offset) / 60)).padStart(2, '0');
+  const minutes = String(Math.abs(offset) % 60).padStart(2, '0');
+  return `${local}${offset < 0 ? '-' : '+'}${hours}:${minutes}`;
+}
+
+/**
+ * Parses an ISO-8601 date-time that carries an offset (`Z` or `±HH:MM`)
+ * @param {string} value
+ * @returns {Date | undefined} `undefined` if the value is invalid or has no offset
+ */
+function parseInstant(value) {
+  if (!/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d{1,3})?)?(Z|[+-]\d{2}:\d{2})$/.test(value)) {
+    return undefined;
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+}
+
+module.exports = {
+  offsetOf, toZoned, fromZoned, toISOString, parseInstant,
+};
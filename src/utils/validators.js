@@ -18,4 +18,26 @@ function isValidGender(value) {
   return /^(male|female|other)$/.test(value);
 }
 
-module.exports = { isValidBloodGroup, isValidGender };
+/**
+ * 24-hour time validator
+ * @param {string} value
+ * @returns {boolean}
+ * Acceptable times: `HH:MM` from `00:00` to `23:59`
+ */
+function isValidTime(value) {
+  return /^([01]\d|2[0-3]):[0-5]\d$/.test(value);
+}
+
+/**
+ * Document id validator
+ * @param {string} value
+ * @returns {boolean}
+ * Acceptable ids: 24 hex digits
+ */
+function isValidId(value) {
+  return typeof value === 'string' && /^[0-9a-f]{24}$/i.test(value);
+}
+
+module.exports = {
+  isValidBloodGroup, isValidGender, isValidTime, isValidId,
+};
@@ -16,6 +16,140 @@ module.exports = {
    */
   token: () => process.env.TOKEN_KEY || 'dummy_key',
 
+  /**
+   * Minutes an access token is valid for, clients refresh it with their refresh token
+   * @default 15 (fallback value)
+   * @return {number} minutes
+   */
+  accessTokenMinutes: () => parseInt(process.env.ACCESS_TOKEN_MINUTES, 10) || 15,
+
+  /**
+   * Days a refresh token is valid for, each refresh issues a new one
+   * @default 30 (fallback value)
+   * @return {number} days
+   */
+  refreshTokenDays: () => parseInt(process.env.REFRESH_TOKEN_DAYS, 10) || 30,
+
+  /**
+   * Whether access tokens issued before they expired still authorize requests.
+   * `POST /accounts/auth/refresh` exchanges them either way.
+   * @default true (fallback value), `false` once clients have moved to refresh tokens
+   * @return {boolean}
+   */
+  acceptLegacyTokens: () => process.env.ACCEPT_LEGACY_TOKENS !== 'false',
+
+  /**
+   * Failed sign-ins of an account before each further one has to wait, see `lockout`
+   * @default 3 (fallback value)
+   * @return {number}
+   */
+  loginFreeAttempts: () => {
+    const attempts = parseInt(process.env.LOGIN_FREE_ATTEMPTS, 10);
+    return Number.isNaN(attempts) ? 3 : attempts;
+  },
+
+  /**
+   * Seconds to wait after the first failed sign-in past the free ones, doubled for each further one
+   * @default 2 (fallback value)
+   * @return {number} seconds
+   */
+  loginBackoffSeconds: () => parseInt(process.env.LOGIN_BACKOFF_SECONDS, 10) || 2,
+
+  /**
+   * Failed sign-ins that lock an account
+   * @default 10 (fallback value)
+   * @return {number}
+   */
+  loginMaxFailures: () => parseInt(process.env.LOGIN_MAX_FAILURES, 10) || 10,
+
+  /**
+   * Failed sign-ins from an IP address that lock it out, of any accounts
+   * @default 50 (fallback value)
+   * @return {number}
+   */
+  loginMaxAddressFailures: () => parseInt(process.env.LOGIN_MAX_ADDRESS_FAILURES, 10) || 50,
+
+  /**
+   * Minutes a lockout lasts. Failures are forgotten after as long without one.
+   * @default 30 (fallback value)
+   * @return {number} minutes
+   */
+  loginLockoutMinutes: () => parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 30,
+
+  /**
+   * Minutes a password reset token is valid for
+   * @default 30 (fallback value)
+   * @return {number} minutes
+   */
+  passwordResetMinutes: () => parseInt(process.env.PASSWORD_RESET_MINUTES, 10) || 30,
+
+  /**
+   * Codes that may be tried against an OTP before it is removed
+   * @default 5 (fallback value)
+   * @return {number}
+   */
+  otpMaxAttempts: () => parseInt(process.env.OTP_MAX_ATTEMPTS, 10) || 5,
+
+  /**
+   * Where rate limits count requests, `memory` for a single instance or `mongo`
+   * @default "memory" (fallback value)
+   * @return {string} store name
+   */
+  rateLimitStore: () => process.env.RATE_LIMIT_STORE || 'memory',
+
+  /**
+   * Requests an address may make to the API in `rateLimitWindowSeconds`
+   * @default 300 (fallback value)
+   * @return {number}
+   */
+  rateLimitMax: () => parseInt(process.env.RATE_LIMIT_MAX, 10) || 300,
+
+  /**
+   * Seconds the API rate limit counts requests over
+   * @default 60 (fallback value)
+   * @return {number} seconds
+   */
+  rateLimitWindowSeconds: () => parseInt(process.env.RATE_LIMIT_WINDOW_SECONDS, 10) || 60,
+
+  /**
+   * OTPs an account, or an address signing in with OTP, may request in 15 minutes
+   * @default 5 (fallback value)
+   * @return {number}
+   */
+  otpRateLimit: () => parseInt(process.env.OTP_RATE_LIMIT, 10) || 5,
+
+  /**
+   * Accounts an address may register in an hour
+   * @default 10 (fallback value)
+   * @return {number}
+   */
+  signupRateLimit: () => parseInt(process.env.SIGNUP_RATE_LIMIT, 10) || 10,
+
+  /**
+   * Lookup service for the approximate location of sessions, `{ip}` is replaced with the
+   * address. Answers in the ipapi.co or ip-api.com format are understood.
+   * @default "" (fallback value), sessions aren't located
+   * @return {string} url
+   */
+  geoipUrl: () => process.env.GEOIP_URL || '',
+
+  /**
+   * Express `trust proxy` setting, for the addresses of sessions behind a load balancer.
+   * `true`, a number of hops or addresses of the proxies.
+   * @default false (fallback value), the address of the connection is used
+   * @return {boolean|number|string}
+   */
+  trustProxy: () => {
+    const setting = process.env.TRUST_PROXY;
+    if (!setting || setting === 'false') {
+      return false;
+    }
+    if (setting === 'true') {
+      return true;
+    }
+    return /^\d+$/.test(setting) ? parseInt(setting, 10) : setting;
+  },
+
   /**
    * MongoDB connection URI
    * @default test (fallback collection)
@@ -23,6 +157,114 @@ module.exports = {
    */
   mongoUri: () => process.env.MONGO_URI || 'mongodb://127.0.0.1:27017/test',
 
+  /**
+   * IANA time zone of the clinic. Working hours, leaves and slots are in clinic time.
+   * @default "Asia/Kolkata" (fallback value)
+   * @return {string} time zone
+   */
+  clinicTimezone: () => process.env.CLINIC_TIMEZONE || 'Asia/Kolkata',
+
+  /**
+   * Minutes a waitlist offer holds the freed slots for
+   * @default 30 (fallback value)
+   * @return {number} minutes
+   */
+  waitlistHoldMinutes: () => parseInt(process.env.WAITLIST_HOLD_MINUTES, 10) || 30,
+
+  /**
+   * Minutes per walk-in patient the queue estimates waits with until the doctor has served some
+   * @default 15 (fallback value)
+   * @return {number} minutes
+   */
+  queueMinutesPerPatient: () => parseInt(process.env.QUEUE_MINUTES_PER_PATIENT, 10) || 15,
+
+  /**
+   * Minutes before its start the room of a video visit opens
+   * @default 10 (fallback value)
+   * @return {number} minutes
+   */
+  videoJoinMinutes: () => parseInt(process.env.VIDEO_JOIN_MINUTES, 10) || 10,
+
+  /**
+   * Hours of notice a cancellation needs not to count as late
+   * @default 24 (fallback value)
+   * @return {number} hours
+   */
+  cancellationNoticeHours: () => parseFloat(process.env.CANCELLATION_NOTICE_HOURS) || 24,
+
+  /**
+   * Hours of notice a reschedule needs
+   * @default 24 (fallback value)
+   * @return {number} hours
+   */
+  rescheduleNoticeHours: () => parseFloat(process.env.RESCHEDULE_NOTICE_HOURS) || 24,
+
+  /**
+   * Times an appointment may be rescheduled
+   * @default 2 (fallback value)
+   * @return {number}
+   */
+  maxReschedules: () => {
+    const max = parseInt(process.env.MAX_RESCHEDULES, 10);
+    return Number.isNaN(max) ? 2 : max;
+  },
+
+  /**
+   * Percent of what was paid a late cancellation gets back
+   * @default 50 (fallback value)
+   * @return {number} percent
+   */
+  lateCancellationRefundPercent: () => {
+    const percent = parseFloat(process.env.LATE_CANCELLATION_REFUND_PERCENT);
+    return Number.isNaN(percent) ? 50 : percent;
+  },
+
+  /**
+   * ISO 4217 code of the currency invoices are in, amounts are in its minor unit
+   * @default "INR" (fallback value)
+   * @return {string} currency code
+   */
+  currency: () => process.env.CURRENCY || 'INR',
+
+  /**
+   * Tax percent of service prices that don't set their own
+   * @default 18 (fallback value)
+   * @return {number} percent
+   */
+  taxPercent: () => {
+    const percent = parseFloat(process.env.TAX_PERCENT);
+    return Number.isNaN(percent) ? 18 : percent;
+  },
+
+  /**
+   * Whether this is a test or development run, `NODE_ENV` being `test` or `development`
+   * @return {boolean}
+   */
+  isDevelopment: () => ['test', 'development'].includes(process.env.NODE_ENV),
+
+  /**
+   * Name of the payment gateway online payments go through, see `utils/payment-gateway`
+   * @default "fake" (fallback value), the local gateway, only there in test and development runs
+   * @return {string} gateway name
+   */
+  paymentGateway: () => process.env.PAYMENT_GATEWAY || 'fake',
+
+  /**
+   * Minutes before an appointment its reminders go out, comma separated
+   * @default "1440,120" (fallback value), a day and two hours before
+   * @return {number[]} minutes
+   */
+  reminderOffsets: () => (process.env.REMINDER_OFFSETS || '1440,120').split(',')
+    .map((offset) => parseInt(offset, 10))
+    .filter((offset) => offset > 0),
+
+  /**
+   * Seconds between job scheduler polls
+   * @default 30 (fallback value)
+   * @return {number} seconds
+   */
+  schedulerInterval: () => parseInt(process.env.SCHEDULER_INTERVAL, 10) || 30,
+
   /**
    * @default "" (fallback value)
    * @returns {String} send grid api key
@@ -46,11 +288,21 @@ module.exports = {
    */
   EMAIL_TEMPLATE_VERIFICATION: 'assets/verification-email.hbs',
 
+  /**
+   * Notification email template path
+   */
+  EMAIL_TEMPLATE_NOTIFICATION: 'assets/notification-email.hbs',
+
   /**
    * Verification SMA template path
    */
    SMS_TEMPLATE_VERIFICATION: 'assets/verification-sms.hbs',
 
+  /**
+   * Notification SMS template path
+   */
+  SMS_TEMPLATE_NOTIFICATION: 'assets/notification-sms.hbs',
+
    /**
     * firebase url for push-notifcation
     */
@@ -0,0 +1,140 @@
+/* eslint-disable no-console */
+const { sign, verify } = require('jsonwebtoken');
+const Appointment = require('../database/Appointment');
+const { server } = require('./sms-server');
+const constants = require('./variables');
+const { ACTIVE } = require('./appointment-status');
+
+/**
+ * Participants of a video visit
+ */
+const ROLE = {
+  PATIENT: 'patient',
+  DOCTOR: 'doctor',
+};
+
+/**
+ * Audience of join tokens, so that access-tokens can't be used to join
+ */
+const AUDIENCE = 'video-visit';
+
+/**
+ * Video visit namespace of the socket server, relays WebRTC signalling between
+ * the patient and the doctor.
+ * * Clients connect with `auth: { token }`, a join token of the appointment
+ * * `signal` events, e.g. offers, answers and ICE candidates, reach the other participant
+ * * `peer-joined` `peer-left` tell when the other participant comes and goes
+ */
+const namespace = server.of('/video');
+
+/**
+ * Time the room of an appointment is open
+ * @param {{start: Date, end: Date}} appointment
+ * @returns {{opens: Date, closes: Date}}
+ */
+function joinWindow(appointment) {
+  return {
+    opens: new Date(appointment.start.getTime() - constants.videoJoinMinutes() * 60000),
+    closes: appointment.end,
+  };
+}
+
+/**
+ * Checks if the room of an appointment can be joined
+ * @param {{mode: string, status: string, start: Date, end: Date}} appointment
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+function isJoinable(appointment, now = new Date()) {
+  const { opens, closes } = joinWindow(appointment);
+  return appointment.mode === Appointment.MODE.VIDEO
+    && ACTIVE.includes(appointment.status)
+    && opens <= now && now < closes;
+}
+
+/**
+ * Signs a token to join the room of an appointment, expiring as the room closes
+ * @param {{id: string, room: string, start: Date, end: Date}} appointment
+ * @param {string} role One of `ROLE`
+ * @param {string} userId
+ * @returns {{token: string, room: string, expiresAt: Date}}
+ */
+function issueToken(appointment, role, userId) {
+  const { closes } = joinWindow(appointment);
+  const token = sign({
+    appointment: appointment.id,
+    room: appointment.room,
+    role,
+    exp: Math.floor(closes.getTime() / 1000),
+  }, constants.token(), { audience: AUDIENCE, subject: String(userId) });
+  return { token, room: appointment.room, expiresAt: closes };
+}
+
+/**
+ * Verifies a join token against its appointment as it is now, so that tokens of
+ * rescheduled, cancelled or moved to the clinic appointments stop working
+ * @param {string} token
+ * @returns {Promise<{appointment: Document<Appointment>, role: string, userId: string}>}
+ * @throws if the token is invalid or the room isn't open
+ */
+async function authorize(token) {
+  const refused = new Error('Video visit can\'t be joined now');
+  let claims;
+  try {
+    claims = verify(token, constants.token(), { audience: AUDIENCE });
+  } catch (error) {
+    throw refused;
+  }
+  const appointment = await Appointment.findById(claims.appointment);
+  if (!appointment || appointment.room !== claims.room || !isJoinable(appointment)) {
+    throw refused;
+  }
+  return { appointment, role: claims.role, userId: claims.sub };
+}
+
+namespace.use((socket, next) => {
+  authorize(socket.handshake.auth && socket.handshake.auth.token)
+    .then((participant) => {
+      // eslint-disable-next-line no-param-reassign
+      socket.participant = participant;
+      next();
+    })
+    .catch((error) => next(error));
+});
+
+namespace.on('connection', (socket) => {
+  const { appointment, role } = socket.participant;
+  const { room } = appointment;
+
+  // A participant reconnecting replaces their previous connection
+  namespace.in(room).allSockets().then((ids) => ids.forEach((id) => {
+    const other = namespace.sockets.get(id);
+    if (other && other !== socket && other.participant.role === role) {
+      other.disconnect();
+    }
+  })).catch(console.error);
+
+  socket.join(room);
+  socket.to(room).emit('peer-joined', { role });
+
+  socket.on('signal', (data) => {
+    socket.to(room).emit('signal', { from: role, data });
+  });
+
+  // Close the connection with the room
+  const closing = setTimeout(() => socket.disconnect(),
+    joinWindow(appointment).closes.getTime() - Date.now());
+
+  socket.on('disconnect', () => {
+    clearTimeout(closing);
+    socket.to(room).emit('peer-left', { role });
+  });
+});
+
+module.exports = {
+  ROLE,
+  joinWindow,
+  isJoinable,
+  issueToken,
+  authorize,
+};